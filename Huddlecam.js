@@ -2,13 +2,33 @@
 // https://huddlecamhd.com/wp-content/uploads/2021/01/HuddlecamHD-VISCA-Command.pdf
 
 
-import { SerialPort } from 'serialport';
 import { EventEmitter } from 'events';
+import { Transport, SerialTransport } from './Transport.js';
+import { ReplyType, ErrorCode, parseReply, errorFromCode, TimeoutError, CommandCanceledError, OfflineError, UnsupportedCommandError } from './Visca.js';
+import { DefaultModel, modelFor, modelById, featureOf } from './Models.js';
+
+/**
+ * @typedef {Object} CommandOptions
+ * @property {Number} [timeout]  How long to wait for the camera to complete the command in ms, defaults to the camera's timeout
+ * @property {Number} [priority] One of the `Priority` values, higher priorities skip ahead of queued commands
+*/
+
+/**
+ * @typedef {Object} CommandRecord What the `command` event tells about a command that completed or failed
+ * @property {String} command      The command as it was sent, e.g. `81 01 06 04 FF`
+ * @property {Boolean} inquiry
+ * @property {*} source            What the `source` option returned when the command was queued, null without it
+ * @property {Number} queuedAt     When the command was queued (ms since epoch)
+ * @property {Number|null} sentAt  When it was written to the camera, null if it never was
+ * @property {Number|null} latency ms from writing it to its last reply
+ * @property {String[]} replies    The frames the camera answered with, e.g. `['90 41 FF', '90 51 FF']`
+ * @property {Error|null} error
+*/
 
 /**
  * @typedef {Object} CameraResponse
- * @property {String} command         The command that was sent to the camera
- * @property {Boolean|Error} response The response from the camera
+ * @property {String} command          The command that was sent to the camera
+ * @property {Boolean|String} response `true` once a command completes, or the hex reply of an inquiry
 */
 
 
@@ -18,6 +38,62 @@ const Exposure = {
 	ShutterPriority: 2,
 	IrisPriority: 3
 };
+// Position -> label tables of the HuddleCam HD's exposure inquiries, other models have their own in their profile (see Models.js)
+const ShutterSpeeds = DefaultModel.shutter;
+const IrisStops = DefaultModel.iris;
+
+const Priority = {
+	Normal: 0,
+	High: 1
+};
+const WhiteBalance = {
+	Auto: 0,
+	Indoor: 1,
+	Outdoor: 2,
+	OnePush: 3,
+	Manual: 4
+};
+// State field -> how `syncState()` reads it from the camera
+const StateInquiries = {
+	power: (camera) => camera.powerInquiry(),
+	backlight: async (camera) => await camera.backlightInquiry() === "On",
+	position: async (camera) => ({ zoom: await camera.zoomPosInquiry(), focus: await camera.focusPosInquiry() }),
+	focus: (camera) => camera.focusInquiry(),
+	whiteBalance: (camera) => camera.whiteBalanceInquiry(),
+	redGain: (camera) => camera.redGainInquiry(),
+	blueGain: (camera) => camera.blueGainInquiry(),
+	exposure: (camera) => camera.exposureInquiry(),
+	shutterPos: (camera) => camera.shutterPosInquiry(),
+	irisPos: (camera) => camera.irisPosInquiry(),
+	gainPos: (camera) => camera.gainPosInquiry(),
+	expComp: (camera) => camera.expCompInquiry(),
+	expCompPos: (camera) => camera.expCompPosInquiry(),
+	videoFormat: (camera) => camera.videoFormatInquiry(),
+	panTiltPos: (camera) => camera.positionInquiry(),
+	colorFormat: (camera) => camera.colorFormatInquiry()
+};
+// Inquiry name -> method, the names the shell, the CLI and the REST API use
+const Inquiries = {
+	power: 'powerInquiry',
+	zoom: 'zoomPosInquiry',
+	focus: 'focusPosInquiry',
+	focusMode: 'focusInquiry',
+	whiteBalance: 'whiteBalanceInquiry',
+	redGain: 'redGainInquiry',
+	blueGain: 'blueGainInquiry',
+	exposure: 'exposureInquiry',
+	shutter: 'shutterPosInquiry',
+	iris: 'irisPosInquiry',
+	gain: 'gainPosInquiry',
+	expComp: 'expCompInquiry',
+	expCompPos: 'expCompPosInquiry',
+	backlight: 'backlightInquiry',
+	version: 'versionInquiry',
+	videoFormat: 'videoFormatInquiry',
+	position: 'positionInquiry',
+	colorFormat: 'colorFormatInquiry'
+};
+
 const Direction = {
 	Up: 0,
 	Down: 1,
@@ -29,86 +105,599 @@ const Direction = {
 	DownRight: 7	
 };		
 
+// Corners of the pan-tilt limits, the camera won't pan/tilt past them
+const LimitCorner = {
+	DownLeft: 0,
+	UpRight: 1
+};
+
+// What set the camera in motion, the `kind` of the `motionStart` and `motionEnd` events
+const Motion = {
+	Drive: 'drive',
+	MoveTo: 'moveTo',
+	MoveBy: 'moveBy',
+	Home: 'home',
+	Reset: 'reset',
+	Preset: 'preset'
+};
+
+// Default time a move may take in `waitForMotion()` and the `...AndWait` methods (ms)
+const MotionTimeout = 60000;
+
+/**
+ * What a command does to pan-tilt.
+ *
+ * @param {Buffer} bytes A command, e.g. 81 01 06 04 FF
+ * @returns {{ kind?: String, target?: Object, continuous?: Boolean, stop?: Boolean }|null} null for commands that don't move the camera
+*/
+function motionOf(bytes) {
+	// 0p 0q 0r 0s -> signed 16 bit position
+	const position = (from) => {
+		const num = [...bytes.subarray(from, from + 4)].reduce((n, b) => (n << 4) | (b & 0x0F), 0);
+		return num >= 0x8000 ? num - 0x10000 : num;
+	};
+
+	switch(bytes.subarray(1, 4).toString('hex')) {
+		case '010601': return bytes[6] === 0x03 && bytes[7] === 0x03 ? { stop: true } : { kind: Motion.Drive, continuous: true };
+		case '010602': return { kind: Motion.MoveTo, target: { pan: position(6), tilt: position(10) } };
+		case '010603': return { kind: Motion.MoveBy, target: { pan: position(6), tilt: position(10) } };
+		case '010604': return { kind: Motion.Home, target: { pan: 0, tilt: 0 } };
+		case '010605': return { kind: Motion.Reset };
+		case '01043f': return bytes[4] === 0x02 ? { kind: Motion.Preset, target: { preset: bytes[5] } } : null;
+	};
+	return null;
+}
+
 class Huddlecam extends EventEmitter {
-	constructor(path, baudRate) {
+	/**
+	 * @param {String|Transport} transport    The serial port the camera is connected to, or a ready made transport
+	 * @param {Number} [baudRate]             The baud rate of the serial port, only used with a serial port path
+	 * @param {Object} [options]
+	 * @param {Number} [options.timeout=10000] Default time in ms a command may take before it is rejected
+	 * @param {Number} [options.address=1]     The VISCA address of the camera (1-7), cameras in a daisy chain share a transport
+	 * @param {Number} [options.pollInterval]  Read the camera state when the transport opens and then every `pollInterval` ms, see `startPolling()`
+	 * @param {Boolean} [options.offlineQueue=false] Keep commands sent while the transport is closed until it opens again,
+	 *                                         instead of rejecting them with an `OfflineError`
+	 * @param {Number} [options.motionInterval=250] Time between position reads while the camera pans or tilts, in ms
+	 * @param {Function} [options.source]      Called when a command is queued, what it returns is the `source` of its `command` event
+	 * @param {String} [options.model]         The camera's profile (a key of `Models`), skips `detectModel()`. Without it the camera
+	 *                                         is driven as a HuddleCam HD until `detectModel()` found out what it is
+	 *
+	 * @note Pan-tilt commands emit `motionStart` ({ kind, target }) when they are sent, `position` ({ pan, tilt }) for every
+	 * position read while the camera moves and `motionEnd` ({ kind, position, duration }) once it is at rest again.
+	 * Every command and inquiry emits `command` (see `CommandRecord`) once it completed or failed
+	 * 
+	 * @example
+	 * new Huddlecam('/dev/ttyUSB0', 9600);
+	 * new Huddlecam(new UdpTransport('192.168.1.90'));
+	 * 
+	 * // Two cameras daisy chained on one serial port
+	 * const line = new SerialTransport('/dev/ttyUSB0', 9600);
+	 * const left = new Huddlecam(line, null, { address: 1 });
+	 * const right = new Huddlecam(line, null, { address: 2 });
+	*/
+	constructor(transport, baudRate, options = {}) {
 		super();
-		this.path = path;
-		this.baudRate = baudRate;
-		this.serial = new SerialPort({ path, baudRate });
+		if(!(transport instanceof Transport)) transport = new SerialTransport(transport, baudRate);
+		this.transport = transport;
+		this.path = transport.path ?? null;
+		this.baudRate = transport.baudRate ?? null;
+		this.timeout = options.timeout ?? 10000;
+		this.address = Math.min(7, Math.max(1, Math.round(options.address ?? 1)));
+		this.offlineQueue = options.offlineQueue ?? false;
+		this.motionInterval = options.motionInterval ?? 250;
+		this.source = options.source ?? null;
+		/** @type {ModelProfile} */
+		this.profile = options.model ? modelById(options.model) : DefaultModel;
+		this.connected = transport.isOpen ?? false;
+
+		// Track the connection before anyone hears about it, so commands sent from an `open` handler go through
+		this.transport.on('open', () => this.#setConnected(true));
+		this.transport.on('close', () => this.#setConnected(false));
 
-		// Forward all serial events to the EventEmitter
-		this.serial.on('open', () => this.emit('open'));
-		this.serial.on('close', () => this.emit('close'));
-		this.serial.on('data', (data) => this.emit('data', data));
-		this.serial.on('error', (error) => this.emit('error', error));
+		// Forward all transport events to the EventEmitter
+		this.transport.on('open', () => this.emit('open'));
+		this.transport.on('close', () => this.emit('close'));
+		this.transport.on('data', (data) => this.emit('data', data));
+		this.transport.on('error', (error) => this.emit('error', error));
+		this.transport.on('reconnecting', (info) => {
+			// The port couldn't be opened, don't let commands pile up for a camera that may never show up
+			if(!this.connected) this.#setConnected(false);
+			this.emit('reconnecting', info);
+		});
+		this.transport.on('frame', (frame) => this.#handleReply(frame));
+		if(options.pollInterval) this.transport.on('open', () => this.startPolling(options.pollInterval).catch(() => {}));
 
 
-		// States
+		// States, filled by `syncState()` and by commands that complete
 		this.power = "Unknown";
 		this.backlight = false;
-		this.position = null;
+		this.position = null; // Lens position, { zoom, focus }
 		this.focus = "Unknown";
 		this.whiteBalance = "Unknown";
+		this.redGain = null;
+		this.blueGain = null;
 		this.exposure = "Unknown";
 		this.shutterPos = null;
 		this.irisPos = null;
+		this.gainPos = null;
+		this.expComp = "Unknown";
+		this.expCompPos = null;
 		this.videoFormat = "Unknown";
-		this.panTiltPos = null;
+		this.panTiltPos = null; // { pan, tilt }
 		this.colorFormat = "Unknown";
 	}
 
+	// The camera has two command sockets, anything more has to wait in the queue
+	static SOCKETS = 2;
+
+	// Commands waiting to be written, highest priority first
+	#queue = [];
+	// The command that was written and is waiting for its ACK, inquiry reply or error
+	#awaiting = null;
+	// Socket number -> command currently executing in that socket
+	#sockets = new Map();
+	// State polling timer and the sync that is running, if any
+	#pollTimer = null;
+	// `drive()` vector that is on its way to the camera, and the latest one waiting behind it
+	#driving = false;
+	#nextDrive = null;
+	#syncing = null;
+	// Set once the transport closed or failed to open, until it opens. Commands sent before the first open just wait in the queue.
+	#offline = false;
+	// The pan-tilt motion that is being followed: { kind, target, continuous, executing, waiters, started }
+	#motion = null;
+
 	/**
-	 * Helper function to send a command to the camera
+	 * Helper function to send a command to the camera.
+	 * Commands are queued and written one at a time, so every reply can be matched to the command it belongs to.
+	 * While the transport is closed commands reject with an `OfflineError`, unless the camera was created with `offlineQueue`.
+	 * Commands the camera's model doesn't support reject with an `UnsupportedCommandError` without being sent.
 	 * 
-	 * @param {String} cmd              The VISCA command to send
-	 * @param {Boolean} [inquiry=false] Whether the command is an inquiry, defaults to false. If it is, wait for a response.
+	 * @param {String} cmd               The VISCA command to send
+	 * @param {Boolean} [inquiry=false]  Whether the command is an inquiry, defaults to false. If it is, wait for a response.
+	 * @param {CommandOptions} [options] Timeout and priority for this command
 	 * @returns {Promise<CameraResponse>} The response from the camera
 	 * 
 	 * @note 8X 01 RR ...FF
 	 *	RR: Category Code (00=Interface, 04=camera, 06=Pan/Tilter)
-	 *	X = 1 (fixed)
+	 *	X = Camera address, the address in `cmd` is replaced with the camera's own. 88 (broadcast) is left as is.
 	 * 
 	 * @example
 	 * Camera.sendCommand('81 01 04 07 02 FF');
 	 * Camera.sendCommand('8101040702FF'); // Both are equivalent
+	 * Camera.sendCommand('81 01 06 01 00 00 03 03 FF', false, { priority: Priority.High, timeout: 1000 });
 	*/
-	sendCommand(cmd, inquiry = false) {
+	sendCommand(cmd, inquiry = false, options = {}) {
 		return new Promise((resolve, reject) => {
-			var State = { command: cmd, response: '' };
-			this.serial.write(Buffer.from(cmd.replace(/\s+/g, ''), 'hex'), (err) => {
-				if(err) {
-					State.response = err;
-					reject(State);
+			// Address the command to this camera, 81 01 04 00 02 FF -> 82 01 04 00 02 FF for address 2
+			cmd = cmd.trim().replace(/^8[0-79a-fx]/i, `8${this.address}`);
+			const bytes = Buffer.from(cmd.replace(/\s+/g, ''), 'hex');
+			const feature = featureOf(bytes);
+			if(feature && !this.profile.features.includes(feature)) {
+				const error = new UnsupportedCommandError(this.profile.name, feature);
+				error.command = cmd;
+				return reject(error);
+			}
+			if(this.#offline && !this.offlineQueue) {
+				const error = new OfflineError();
+				error.command = cmd;
+				return reject(error);
+			}
+
+			const pending = {
+				command: cmd,
+				bytes,
+				inquiry,
+				broadcast: bytes[0] === 0x88,
+				cancel: (bytes[1] & 0xF0) === 0x20 ? bytes[1] & 0x0F : null, // 8x 2p FF cancels socket p
+				socket: null,
+				priority: options.priority ?? Priority.Normal,
+				timeout: options.timeout ?? this.timeout,
+				timer: null,
+				queuedAt: Date.now(),
+				sentAt: null,
+				replies: [],
+				source: this.source?.() ?? null,
+				resolve,
+				reject
+			};
+
+			// Keep the queue sorted by priority, first come first served within a priority
+			const idx = this.#queue.findIndex((p) => p.priority < pending.priority);
+			if(idx === -1) this.#queue.push(pending);
+			else this.#queue.splice(idx, 0, pending);
+
+			this.#emitQueue();
+			this.#dispatch();
+		});
+	}
+
+	/**
+	 * Number of commands waiting to be written to the camera.
+	 * @returns {Number}
+	*/
+	get queueDepth() {
+		return this.#queue.length;
+	}
+
+	/**
+	 * Write the next queued command if the camera can take it.
+	 * Only one command may wait for its first reply at a time, and regular commands need a free socket.
+	*/
+	#dispatch() {
+		if(this.#awaiting || !this.connected) return;
+
+		const socketFree = this.#sockets.size < Huddlecam.SOCKETS;
+		const idx = this.#queue.findIndex((p) => p.inquiry || p.broadcast || p.cancel !== null || socketFree);
+		if(idx === -1) return;
+
+		const [pending] = this.#queue.splice(idx, 1);
+		this.#awaiting = pending;
+		this.emit('queueWait', { command: pending.command, wait: Date.now() - pending.queuedAt, depth: this.#queue.length });
+		this.#emitQueue();
+
+		pending.sentAt = Date.now();
+		pending.timer = setTimeout(() => this.#settle(pending, new TimeoutError(pending.timeout)), pending.timeout);
+		this.#followMotion(pending);
+		this.transport.write(pending.bytes, (err) => {
+			if(err) this.#settle(pending, err);
+		});
+	}
+
+	/**
+	 * Track the transport. Commands that were written won't get a reply once it closes, and queued commands are
+	 * rejected too unless they should wait for the camera to come back.
+	 * 
+	 * @param {Boolean} connected Whether the transport is open
+	*/
+	#setConnected(connected) {
+		this.connected = connected;
+		this.#offline = !connected;
+		if(connected) return this.#dispatch();
+
+		this.stopPolling();
+		if(this.#motion) this.#endMotion(this.panTiltPos, new OfflineError());
+		const lost = [this.#awaiting, ...this.#sockets.values()].filter(Boolean);
+		if(!this.offlineQueue) lost.push(...this.#queue.splice(0));
+		lost.forEach((pending) => this.#settle(pending, new OfflineError()));
+	}
+
+	#emitQueue() {
+		this.emit('queue', { depth: this.#queue.length, executing: this.#sockets.size });
+	}
+
+	/**
+	 * Match a reply frame from the camera to the command it belongs to.
+	 * 
+	 * @param {Buffer} frame A complete FF terminated frame
+	*/
+	#handleReply(frame) {
+		const reply = parseReply(frame);
+
+		// Other cameras on the same chain answer on the same transport
+		if(reply.address !== this.address && reply.address !== 0) return;
+		this.emit('reply', reply);
+
+		const awaiting = this.#awaiting;
+		const hex = frame.toString('hex').toUpperCase();
+		// Keep the frames of every command for its `command` event, e.g. 90 41 FF then 90 51 FF
+		const received = (pending) => pending?.replies.push(hex.replace(/(..)(?!$)/g, '$1 '));
+		switch(reply.type) {
+			case ReplyType.AddressSet: {
+				if(awaiting?.broadcast) {
+					received(awaiting);
+					this.#settle(awaiting, null, hex);
+				}
+				break;
+			}
+			case ReplyType.IfClear: {
+				// The camera drops whatever it was executing without answering
+				[...this.#sockets.values()].forEach((pending) => this.#settle(pending, new CommandCanceledError(pending.socket)));
+				if(awaiting?.broadcast) {
+					received(awaiting);
+					this.#settle(awaiting, null, hex);
+				}
+				break;
+			}
+			case ReplyType.NetworkChange: {
+				this.emit('networkChange');
+				break;
+			}
+			case ReplyType.Ack: {
+				if(!awaiting || awaiting.inquiry || awaiting.cancel !== null) return;
+
+				// The command now runs in its socket, the next one can be written
+				received(awaiting);
+				awaiting.socket = reply.socket;
+				this.#sockets.set(reply.socket, awaiting);
+				this.#awaiting = null;
+				this.#dispatch();
+				break;
+			}
+			case ReplyType.Completion: {
+				if(reply.socket === 0) {
+					// Inquiry replies carry no socket
+					if(awaiting?.inquiry) {
+						received(awaiting);
+						this.#settle(awaiting, null, hex);
+					}
 				} else {
-					if(inquiry) {
-						this.once('data', (data) => {
-							State.response = data.toString('hex');
-							resolve(State);
-						});
-					} else {
-						State.response = true;
-						resolve(State);
+					const pending = this.#sockets.get(reply.socket);
+					if(pending) {
+						received(pending);
+						this.#settle(pending, null, true);
 					}
 				}
-			});
-		});
+				break;
+			}
+			case ReplyType.Error: {
+				const error = errorFromCode(reply.code, reply.socket);
+				const executing = this.#sockets.get(reply.socket);
+
+				// The cancel command itself gets no reply, it completes when its target is canceled
+				if(awaiting?.cancel === reply.socket) {
+					received(awaiting);
+					if(reply.code === ErrorCode.NoSocket) {
+						this.#settle(awaiting, error);
+						return;
+					}
+					if(reply.code === ErrorCode.CommandCanceled) {
+						if(executing) {
+							received(executing);
+							this.#settle(executing, error);
+						}
+						this.#settle(awaiting, null, true);
+						return;
+					}
+				}
+
+				// Errors refer to an executing socket, anything else to the command waiting for its ACK
+				const pending = executing ?? awaiting;
+				if(pending) {
+					received(pending);
+					this.#settle(pending, error);
+				}
+				break;
+			}
+		};
+	}
+
+	/**
+	 * Resolve or reject a command and free its slot for the next one in the queue.
+	 * 
+	 * @param {Object} pending         The command
+	 * @param {Error|null} error       The error to reject with, if any
+	 * @param {Boolean|String} [value] The response to resolve with
+	*/
+	#settle(pending, error, value) {
+		clearTimeout(pending.timer);
+		if(this.#awaiting === pending) this.#awaiting = null;
+		if(pending.socket !== null && this.#sockets.get(pending.socket) === pending) this.#sockets.delete(pending.socket);
+		this.#motion?.executing.delete(pending);
+
+		if(error) {
+			error.command = pending.command;
+			pending.reject(error);
+		} else {
+			if(!pending.inquiry && !pending.broadcast) this.#applyCommand(pending.bytes);
+			pending.resolve({ command: pending.command, response: value });
+		}
+
+		const { command, inquiry, source, queuedAt, sentAt, replies } = pending;
+		this.emit('command', { command, inquiry, source, queuedAt, sentAt, latency: sentAt === null ? null : Date.now() - sentAt, replies, error: error ?? null });
+
+		this.#emitQueue();
+		this.#dispatch();
 	}
 
 	/** 
-	 * Cancel any ongoing VISCA command on the camera. 
+	 * Cancel an ongoing VISCA command on the camera. 
+	 * Resolves once the camera reports the command as canceled, or rejects with a `NoSocketError`
+	 * if nothing was executing in that socket.
 	 * 
-	 * @param {Number} [socket=1] The socket to cancel the command on (1-2)
+	 * @param {Number} [socket] The socket to cancel the command on (1-2), defaults to the most recently started command
 	 * @returns {Promise<CameraResponse>} The response from the camera
 	 * 
 	 * @example
 	 * Camera.cancelCommand(1);
-	 * Camera.cancelCommand(); // Both are equivalent
+	 * Camera.cancelCommand(); // Cancel whatever is currently running
 	*/ 
-	cancelCommand(socket = 1) {
+	cancelCommand(socket) {
+		if(socket === undefined) socket = this.runningSocket ?? 1;
 		if(socket < 1) socket = 1;
 		if(socket > 2) socket = 2;
-		const socketHex = socket.toString(16).padStart(2, '0');
-		return this.sendCommand(`8x 2${socketHex} FF`);
+		return this.sendCommand(`81 2${socket} FF`, false, { priority: Priority.High });
+	}
+
+	/**
+	 * The socket of the most recently acknowledged command that is still executing, or `null` if the camera is idle.
+	 * @returns {Number|null}
+	*/
+	get runningSocket() {
+		const sockets = [...this.#sockets.keys()];
+		return sockets.length ? sockets[sockets.length - 1] : null;
+	}
+
+	/**
+	 * Assign addresses to every camera in the daisy chain, starting at 1 for the camera closest to the controller.
+	 * Broadcast on the transport, so it only needs to be called on one camera of the chain.
+	 * 
+	 * @returns {Promise<Number>} The number of cameras in the chain
+	 * 
+	 * @example
+	 * const count = await Camera.addressSet(); // 3 cameras now have address 1, 2 and 3
+	*/
+	async addressSet() {
+		const res = await this.sendCommand('88 30 01 FF');
+		return parseInt(res.response.slice(4, 6), 16) - 1;
+	}
+	/**
+	 * Clear the command buffers of every camera in the daisy chain. Commands that were executing are rejected
+	 * with a `CommandCanceledError`.
+	 * 
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	*/
+	ifClear() {
+		return this.sendCommand('88 01 00 01 FF', false, { priority: Priority.High });
+	}
+
+	/**
+	 * Close the connection to the camera.
+	 * @returns {Promise<void>}
+	*/
+	close() {
+		this.stopPolling();
+		return this.transport.close();
+	}
+
+	/** ===== STATE ===== */
+	/**
+	 * A copy of everything that is known about the camera.
+	 * @returns {Object} The state fields, e.g. { power: 'On', panTiltPos: { pan: 0, tilt: 0 }, ... }
+	*/
+	get state() {
+		return Object.fromEntries(Object.keys(StateInquiries).map((field) => [field, this[field]]));
+	}
+
+	/**
+	 * Read state fields from the camera with the inquiry commands and emit `stateChanged` for the ones that changed.
+	 * Fields this camera model rejects are left as they are.
+	 * 
+	 * @param {String[]} [fields] The fields to read, defaults to all of them
+	 * @returns {Promise<Object>} The complete state
+	 * 
+	 * @example
+	 * Camera.on('stateChanged', (changes, state) => console.log(changes)); // { power: 'On', exposure: 'Manual' }
+	 * await Camera.syncState();
+	 * await Camera.syncState(['panTiltPos']);
+	*/
+	async syncState(fields = Object.keys(StateInquiries)) {
+		const changes = {};
+		for(const field of fields) {
+			try {
+				changes[field] = await StateInquiries[field](this);
+			} catch(err) {
+				// A camera that doesn't answer won't answer the next inquiry either
+				if(err instanceof TimeoutError) {
+					this.#updateState(changes);
+					throw err;
+				}
+			}
+		}
+
+		this.#updateState(changes);
+		return this.state;
+	}
+
+	/**
+	 * Read the whole state now and then every `interval` ms, until `stopPolling()` or the transport closes.
+	 * A poll is skipped while the previous one is still running.
+	 * 
+	 * @param {Number} [interval=5000] Time between polls in ms, 0 reads the state once
+	 * @returns {Promise<Object>} The state after the first read
+	*/
+	startPolling(interval = 5000) {
+		this.stopPolling();
+		if(interval > 0) {
+			this.#pollTimer = setInterval(() => {
+				if(!this.#syncing) this.#sync().catch(() => {}); // Failed polls are retried on the next interval
+			}, interval);
+		}
+		return this.#sync();
+	}
+	stopPolling() {
+		clearInterval(this.#pollTimer);
+		this.#pollTimer = null;
+	}
+
+	#sync(fields) {
+		const sync = this.syncState(fields).finally(() => {
+			if(this.#syncing === sync) this.#syncing = null;
+		});
+		this.#syncing = sync;
+		return sync;
+	}
+
+	/**
+	 * Store new state values and emit `stateChanged` with the ones that differ from before.
+	 * @param {Object} values Field -> value
+	*/
+	#updateState(values) {
+		const changes = {};
+		for(const [field, value] of Object.entries(values)) {
+			if(JSON.stringify(this[field]) === JSON.stringify(value)) continue;
+			this[field] = value;
+			changes[field] = value;
+		}
+
+		if(Object.keys(changes).length > 0) this.emit('stateChanged', changes, this.state);
+	}
+
+	/**
+	 * Update the state after a command completed. Values that follow from the command are stored right away,
+	 * the rest is read back from the camera.
+	 * 
+	 * @param {Buffer} bytes The completed command
+	*/
+	#applyCommand(bytes) {
+		const { patch = {}, refresh = [] } = this.#stateEffect(bytes) ?? {};
+		this.#updateState(patch);
+		if(refresh.length > 0) this.syncState(refresh).catch(() => {});
+	}
+
+	/**
+	 * @param {Buffer} bytes A command, e.g. 81 01 04 00 02 FF
+	 * @returns {{ patch?: Object, refresh?: String[] }|undefined} Known values and fields to read back
+	*/
+	#stateEffect(bytes) {
+		const key = bytes.subarray(1, 4).toString('hex');
+		const value = (i) => bytes[i] ?? -1;
+		const nibbles = (from, count) => [...bytes.subarray(from, from + count)].reduce((num, b) => (num << 4) | (b & 0x0F), 0);
+		const on = value(4) === 0x02;
+
+		switch(key) {
+			case '010400': return { patch: { power: on ? "On" : "Off (standby)" } };
+			case '010433': return { patch: { backlight: on } };
+			case '010438': return { refresh: ['focus', 'position'] };
+			case '01043e': return { patch: { expComp: on ? "On" : "Off" } };
+			case '010439': return { refresh: ['exposure', 'shutterPos', 'irisPos', 'gainPos'] };
+
+			// Up/down/reset depend on the value the camera had, read them back
+			case '01040a': return { refresh: ['shutterPos'] };
+			case '01040b': return { refresh: ['irisPos'] };
+			case '01040c': return { refresh: ['gainPos'] };
+			case '01040e': return { refresh: ['expCompPos'] };
+			case '01044a': return { patch: { shutterPos: this.#exposureValue(0x0A, nibbles(6, 2)) } };
+			case '01044b': return { patch: { irisPos: this.#exposureValue(0x0B, nibbles(6, 2)) } };
+			case '01044c': return { patch: { gainPos: this.#exposureValue(0x0C, nibbles(6, 2)) } };
+			case '01044e': return { patch: { expCompPos: this.#exposureValue(0x0E, nibbles(6, 2)) } };
+
+			case '010435': return { refresh: ['whiteBalance', 'redGain', 'blueGain'] };
+			case '010410': return { refresh: ['redGain', 'blueGain'] };
+			case '010403': return { refresh: ['redGain'] };
+			case '010404': return { refresh: ['blueGain'] };
+			case '010443': return { patch: { redGain: nibbles(6, 2) } };
+			case '010444': return { patch: { blueGain: nibbles(6, 2) } };
+
+			// Zoom and focus drives complete as soon as they start, only a stop means the lens is at rest
+			case '010407':
+			case '010408': return value(4) === 0x00 ? { refresh: ['position'] } : undefined;
+			case '010418': return { refresh: ['position'] };
+			case '010447': {
+				const zoom = nibbles(4, 4);
+				const focus = bytes.length === 13 ? nibbles(8, 4) : this.position?.focus ?? null;
+				return { patch: { position: { zoom, focus } } };
+			}
+			case '010448': return { patch: { position: { zoom: this.position?.zoom ?? null, focus: nibbles(4, 4) } } };
+
+			case '01043f': return value(4) === 0x02 ? { refresh: ['panTiltPos', 'position'] } : undefined;
+			case '010601': return value(6) === 0x03 && value(7) === 0x03 ? { refresh: ['panTiltPos'] } : undefined;
+			case '010602':
+			case '010603':
+			case '010605': return { refresh: ['panTiltPos'] };
+			case '010604': return { patch: { panTiltPos: { pan: 0, tilt: 0 } } };
+		};
 	}
 
 	powerOn() {
@@ -118,12 +707,191 @@ class Huddlecam extends EventEmitter {
 		return this.sendCommand('81 01 04 00 03 FF');
 	}
 
-	//focus
+	/** ===== ZOOM ===== */
+	/**
+	 * Helper function to get the hex value of a variable zoom/focus speed.
+	 * 
+	 * @param {Number} speed A number between 0-7
+	 * @returns {String} The hex value of the speed
+	*/
+	getLensSpeed(speed) {
+		return this.#clampTo(speed, 'lensSpeed').toString(16);
+	}
 
-	//zoomFocus // TODO: My camera zoom is broken, but I should implement this
+	/**
+	 * Zoom in. Must be followed by `zoomStop()`.
+	 * 
+	 * @param {Number} [speed] Variable speed (0-7), uses the camera's standard speed if omitted
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 * 
+	 * @example
+	 * Camera.zoomTele();  // Standard speed
+	 * Camera.zoomTele(7); // Fastest
+	 */
+	zoomTele(speed) {
+		const p = speed === undefined ? '02' : `2${this.getLensSpeed(speed)}`;
+		return this.sendCommand(`81 01 04 07 ${p} FF`);
+	}
+	/**
+	 * Zoom out. Must be followed by `zoomStop()`.
+	 * 
+	 * @param {Number} [speed] Variable speed (0-7), uses the camera's standard speed if omitted
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	zoomWide(speed) {
+		const p = speed === undefined ? '03' : `3${this.getLensSpeed(speed)}`;
+		return this.sendCommand(`81 01 04 07 ${p} FF`);
+	}
+	zoomStop() {
+		return this.sendCommand('81 01 04 07 00 FF', false, { priority: Priority.High });
+	}
+	/**
+	 * Zoom to an absolute position. Resolves once the camera has arrived.
+	 * 
+	 * @param {Number} position A number between 0 (wide) and 16384 (tele), see the `zoom` range of the camera's profile
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 * 
+	 * @example
+	 * Camera.zoomTo(8192); // Half way
+	 */
+	zoomTo(position) {
+		return this.sendCommand(`81 01 04 47 ${this.#toNibbles(this.#clampTo(position, 'zoom'))} FF`);
+	}
+
+
+	/** ===== FOCUS ===== */
+	focusAuto() {
+		return this.sendCommand('81 01 04 38 02 FF');
+	}
+	focusManual() {
+		return this.sendCommand('81 01 04 38 03 FF');
+	}
+	/**
+	 * Move the focus further away. Only works in manual focus, must be followed by `focusStop()`.
+	 * 
+	 * @param {Number} [speed] Variable speed (0-7), uses the camera's standard speed if omitted
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	focusFar(speed) {
+		const p = speed === undefined ? '02' : `2${this.getLensSpeed(speed)}`;
+		return this.sendCommand(`81 01 04 08 ${p} FF`);
+	}
+	/**
+	 * Move the focus closer. Only works in manual focus, must be followed by `focusStop()`.
+	 * 
+	 * @param {Number} [speed] Variable speed (0-7), uses the camera's standard speed if omitted
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	focusNear(speed) {
+		const p = speed === undefined ? '03' : `3${this.getLensSpeed(speed)}`;
+		return this.sendCommand(`81 01 04 08 ${p} FF`);
+	}
+	focusStop() {
+		return this.sendCommand('81 01 04 08 00 FF', false, { priority: Priority.High });
+	}
+	/**
+	 * Focus once on the current image and stay there. Only works in manual focus.
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	focusOnePush() {
+		return this.sendCommand('81 01 04 18 01 FF');
+	}
+	/**
+	 * Set the focus to an absolute position. Only works in manual focus.
+	 * 
+	 * @param {Number} position A number between 4096 (far) and 49152 (near), see the `focus` range of the camera's profile
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	focusTo(position) {
+		return this.sendCommand(`81 01 04 48 ${this.#toNibbles(this.#clampTo(position, 'focus'))} FF`);
+	}
+	/**
+	 * Set zoom and focus to an absolute position in one command.
+	 * 
+	 * @param {Number} zoom  A number between 0 (wide) and 16384 (tele)
+	 * @param {Number} focus A number between 4096 (far) and 49152 (near)
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 * 
+	 * @example
+	 * Camera.zoomFocusTo(8192, 20480);
+	 */
+	zoomFocusTo(zoom, focus) {
+		const z = this.#toNibbles(this.#clampTo(zoom, 'zoom'));
+		const f = this.#toNibbles(this.#clampTo(focus, 'focus'));
+		return this.sendCommand(`81 01 04 47 ${z} ${f} FF`);
+	}
+
+
+	/** ===== WHITE BALANCE ===== */
+	/**
+	 * Set the white balance mode of the camera
+	 * 
+	 * @param {Number} mode The white balance mode to set. 0 = Auto, 1 = In Door, 2 = Out Door, 3 = One Push WB, 4 = Manual
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 * 
+	 * @example
+	 * Camera.whiteBalanceMode(WhiteBalance.Manual);
+	 * Camera.whiteBalanceMode(4); // Both are equivalent
+	 */
+	whiteBalanceMode(mode) {
+		if(mode < 0) mode = 0;
+		if(mode > 4) mode = 4;
+
+		var b = '';
+		switch(mode) {
+			case 0: b = '0'; break; // Auto
+			case 1: b = '1'; break; // In Door
+			case 2: b = '2'; break; // Out Door
+			case 3: b = '3'; break; // One Push WB
+			case 4: b = '5'; break; // Manual
+		};
+
+		return this.sendCommand(`81 01 04 35 0${b} FF`);
+	}
+	/**
+	 * Measure the white balance once, only works in One Push WB mode.
+	 * Point the camera at something white first.
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	whiteBalanceOnePush() {
+		return this.sendCommand('81 01 04 10 05 FF');
+	}
 
-	//whiteBalance // These commands are missing from the VISCA protocol
+	/**
+	 * Red and blue gain, only work in Manual white balance mode.
+	 * Gains go from 0 to 255.
+	 * 
+	 * @example
+	 * await Camera.whiteBalanceMode(WhiteBalance.Manual);
+	 * await Camera.redGainTo(140);
+	 * await Camera.blueGainTo(120);
+	 */
+	redGainUp() {
+		return this.sendCommand('81 01 04 03 02 FF');
+	}
+	redGainDown() {
+		return this.sendCommand('81 01 04 03 03 FF');
+	}
+	redGainReset() {
+		return this.sendCommand('81 01 04 03 00 FF');
+	}
+	redGainTo(gain) {
+		return this.sendCommand(this.#directCommand('43', gain, 'colorGain'));
+	}
+	blueGainUp() {
+		return this.sendCommand('81 01 04 04 02 FF');
+	}
+	blueGainDown() {
+		return this.sendCommand('81 01 04 04 03 FF');
+	}
+	blueGainReset() {
+		return this.sendCommand('81 01 04 04 00 FF');
+	}
+	blueGainTo(gain) {
+		return this.sendCommand(this.#directCommand('44', gain, 'colorGain'));
+	}
 
+	/** ===== EXPOSURE ===== */
 	/**
 	 * Set the exposure mode of the camera
 	 * 
@@ -146,14 +914,120 @@ class Huddlecam extends EventEmitter {
 			case 3: b = 'B'; break; // Iris Priority
 		};
 
-		return this.sendCommand(`81 01 04 07 0${b} FF`);
+		return this.sendCommand(`81 01 04 39 0${b} FF`);
 	}
 
-	// shutterPos
+	/**
+	 * Helper function to build a `81 01 04 XX 00 00 0p 0q FF` direct command.
+	 * 
+	 * @param {String} category The command byte, e.g. '4A' for the shutter
+	 * @param {Number} position The position to set
+	 * @param {String} range    The range of the camera's profile the position is clamped to, e.g. 'shutter'
+	 * @returns {String} The VISCA command
+	*/
+	#directCommand(category, position, range) {
+		position = this.#clampTo(position, range);
 
-	// irisPos
+		const hex = position.toString(16).padStart(2, '0');
+		return `81 01 04 ${category} 00 00 0${hex[0]} 0${hex[1]} FF`;
+	}
+
+	/**
+	 * Shutter speed, only works in Manual and Shutter Priority exposure modes.
+	 * Positions go from 0 (1/1 s) to 21 (1/10000 s) on a HuddleCam HD, see the `shutter` table of the camera's profile.
+	 * 
+	 * @example
+	 * await Camera.exposureMode(Exposure.ShutterPriority);
+	 * await Camera.shutterTo(6); // 1/60 s
+	 */
+	shutterUp() {
+		return this.sendCommand('81 01 04 0A 02 FF');
+	}
+	shutterDown() {
+		return this.sendCommand('81 01 04 0A 03 FF');
+	}
+	shutterReset() {
+		return this.sendCommand('81 01 04 0A 00 FF');
+	}
+	shutterTo(position) {
+		return this.sendCommand(this.#directCommand('4A', position, 'shutter'));
+	}
 
-	toggleBacklight() {
+	/**
+	 * Iris, only works in Manual and Iris Priority exposure modes.
+	 * Positions go from 0 (closed) to 17 (F1.8) on a HuddleCam HD, see the `iris` table of the camera's profile.
+	 * 
+	 * @example
+	 * Camera.irisTo(14); // F2.8
+	 */
+	irisUp() {
+		return this.sendCommand('81 01 04 0B 02 FF');
+	}
+	irisDown() {
+		return this.sendCommand('81 01 04 0B 03 FF');
+	}
+	irisReset() {
+		return this.sendCommand('81 01 04 0B 00 FF');
+	}
+	irisTo(position) {
+		return this.sendCommand(this.#directCommand('4B', position, 'iris'));
+	}
+
+	/**
+	 * Gain, only works in Manual exposure mode.
+	 * Positions go from 0 (-3 dB) to 15 (+28 dB) on a HuddleCam HD, 1 is 0 dB and every step after that is 2 dB.
+	 * Other models have other steps, see the `gain` table of the camera's profile.
+	 * 
+	 * @example
+	 * Camera.gainTo(4); // +6 dB
+	 */
+	gainUp() {
+		return this.sendCommand('81 01 04 0C 02 FF');
+	}
+	gainDown() {
+		return this.sendCommand('81 01 04 0C 03 FF');
+	}
+	gainReset() {
+		return this.sendCommand('81 01 04 0C 00 FF');
+	}
+	gainTo(position) {
+		return this.sendCommand(this.#directCommand('4C', position, 'gain'));
+	}
+
+	/**
+	 * Exposure compensation, only works in the automatic exposure modes.
+	 * Positions go from 0 (-10.5 dB) to 14 (+10.5 dB) in 1.5 dB steps, 7 is 0 dB.
+	 * 
+	 * @example
+	 * await Camera.expCompOn();
+	 * await Camera.expCompTo(9); // +3 dB
+	 */
+	expCompOn() {
+		return this.sendCommand('81 01 04 3E 02 FF');
+	}
+	expCompOff() {
+		return this.sendCommand('81 01 04 3E 03 FF');
+	}
+	expCompUp() {
+		return this.sendCommand('81 01 04 0E 02 FF');
+	}
+	expCompDown() {
+		return this.sendCommand('81 01 04 0E 03 FF');
+	}
+	expCompReset() {
+		return this.sendCommand('81 01 04 0E 00 FF');
+	}
+	expCompTo(position) {
+		return this.sendCommand(this.#directCommand('4E', position, 'expComp'));
+	}
+
+	/**
+	 * Turn backlight compensation on if it is off, and off if it is on.
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	async toggleBacklight() {
+		const state = await this.backlightInquiry();
+		return state === "On" ? this.backlightOff() : this.backlightOn();
 	}
 
 	backlightOn() {
@@ -168,26 +1042,20 @@ class Huddlecam extends EventEmitter {
 	/**
 	 * Helper function to get the hex value of the pan speed.
 	 * 
-	 * @param {Number} speed A number between 1-18 
+	 * @param {Number} speed A number between 1-18 on a HuddleCam HD, see the `panSpeed` range of the camera's profile
 	 * @returns {String} The hex value of the pan speed
 	*/
 	getPanSpeed(speed) {
-		if(speed < 1) speed = 1;
-		if(speed > 18) speed = 18;
-
-		return speed.toString(16).padStart(2, '0');
+		return this.#clampTo(speed, 'panSpeed').toString(16).padStart(2, '0');
 	}
 	/**
 	 * Helper function to get the hex value of the tilt speed.
 	 * 
-	 * @param {Number} speed A number between 1-14 
+	 * @param {Number} speed A number between 1-14 on a HuddleCam HD, see the `tiltSpeed` range of the camera's profile
 	 * @returns {String} The hex value of the tilt speed
 	*/
 	getTiltSpeed(speed) {
-		if(speed < 1) speed = 1;
-		if(speed > 14) speed = 14;
-
-		return speed.toString(16).padStart(2, '0');
+		return this.#clampTo(speed, 'tiltSpeed').toString(16).padStart(2, '0');
 	}
 
 	/**
@@ -223,38 +1091,87 @@ class Huddlecam extends EventEmitter {
 
 	/**
 	 * Move the camera to an absolute/relative position.
+	 * Absolute positions are clamped to the `pan` and `tilt` ranges of the camera's profile, -2224 to 2216 and -400 to 1200 on a HuddleCam HD.
 	 * 
 	 * @param {Number} ps                Pan speed 
 	 * @param {Number} ts                Tilt speed
-	 * @param {Number} pan               A number between 0-2016 
-	 * @param {Number} tilt              A number between 0-456
+	 * @param {Number} pan               Pan position, negative is left of home
+	 * @param {Number} tilt              Tilt position, negative is below home
 	 * @param {Boolean} [relative=false] Whether the position is relative or absolute, defaults to false
 	 * @returns {Promise<CameraResponse>} The response from the camera
 	 * 
 	 * @example
-	 * Camera.moveTo(3, 3, 1008, 228); // Move the camera to the "center"
-	 * Camera.moveTo(3, 3, 0, 0); // Move the camera to the bottom-left
-	 * Camera.moveTo(3, 3, 2016, 456); // Move the camera to the top-right
+	 * Camera.moveTo(3, 3, 0, 0); // Move the camera home
+	 * Camera.moveTo(3, 3, -2224, -400); // Move the camera to the bottom-left
+	 * Camera.moveTo(3, 3, 2216, 1200); // Move the camera to the top-right
 	 */
-	moveTo(ps, ts, pan, tilt, relative = false) { 
+	async moveTo(ps, ts, pan, tilt, relative = false) { 
+		return this.sendCommand(this.#moveToCommand(ps, ts, pan, tilt, relative));
+	}
+	#moveToCommand(ps, ts, pan, tilt, relative) {
 		const panSpeed = this.getPanSpeed(ps);
 		const tiltSpeed = this.getTiltSpeed(ts);
 
-		const x = Math.round(pan);
-		const y = Math.round(tilt);
+		const x = relative ? this.#relative(pan, 'relativePan') : this.#clampTo(pan, 'pan');
+		const y = relative ? this.#relative(tilt, 'relativeTilt') : this.#clampTo(tilt, 'tilt');
 		const panPos = this.#toHex(x);
 		const tiltPos = this.#toHex(y);
 
-		console.log('moveTo', pan, x, tilt, y, panPos, tiltPos);
-
 		const rel = relative ? '03' : '02';
 
-		var command = `81 01 06 ${rel} ${panSpeed} ${tiltSpeed} 0${panPos[0]} 0${panPos[0]} 0${panPos[2]} 0${panPos[3]} 0${tiltPos[0]} 0${tiltPos[1]} 0${tiltPos[2]} 0${tiltPos[3]} FF`;
-		return this.sendCommand(command);
+		return `81 01 06 ${rel} ${panSpeed} ${tiltSpeed} 0${panPos[0]} 0${panPos[1]} 0${panPos[2]} 0${panPos[3]} 0${tiltPos[0]} 0${tiltPos[1]} 0${tiltPos[2]} 0${tiltPos[3]} FF`;
 	}
 
+	/**
+	 * Drive pan and tilt with signed speeds, e.g. from a joystick. Speed and direction can change on every call without a stop in between.
+	 * Calls that come in faster than the camera answers are merged: only the latest vector is sent after the one on its way,
+	 * the calls in between resolve with its response.
+	 * 
+	 * @param {Number} pan  Pan speed, -18 (left) to 18 (right) on a HuddleCam HD, 0 stops panning
+	 * @param {Number} tilt Tilt speed, -14 (down) to 14 (up) on a HuddleCam HD, 0 stops tilting
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 * 
+	 * @example
+	 * Camera.drive(-9, 4); // Left at half speed while tilting up slowly
+	 * Camera.drive(0, 0);  // Stop
+	*/
+	drive(pan, tilt) {
+		const panSpeed = this.getPanSpeed(Math.round(Math.abs(pan)));
+		const tiltSpeed = this.getTiltSpeed(Math.round(Math.abs(tilt)));
+		const panDir = pan < 0 ? '01' : pan > 0 ? '02' : '03';
+		const tiltDir = tilt > 0 ? '01' : tilt < 0 ? '02' : '03';
+		const command = `81 01 06 01 ${panSpeed} ${tiltSpeed} ${panDir} ${tiltDir} FF`;
+
+		if(this.#driving) {
+			if(!this.#nextDrive) {
+				const next = {};
+				next.promise = new Promise((resolve, reject) => Object.assign(next, { resolve, reject }));
+				this.#nextDrive = next;
+			}
+			this.#nextDrive.command = command;
+			return this.#nextDrive.promise;
+		}
+		return this.#sendDrive(command);
+	}
+	#sendDrive(command) {
+		this.#driving = true;
+		const sent = this.sendCommand(command, false, { priority: Priority.High });
+		const sendNext = () => {
+			this.#driving = false;
+			const next = this.#nextDrive;
+			this.#nextDrive = null;
+			if(next) this.#sendDrive(next.command).then(next.resolve, next.reject);
+		};
+		sent.then(sendNext, sendNext);
+		return sent;
+	}
+
+	/**
+	 * Stop any pan-tilt movement. Skips ahead of queued commands.
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
 	stop() {
-		return this.sendCommand('81 01 06 01 00 00 03 03 FF');
+		return this.sendCommand('81 01 06 01 00 00 03 03 FF', false, { priority: Priority.High });
 	}
 	/**
 	 * Return the camera to its home position.
@@ -272,6 +1189,211 @@ class Huddlecam extends EventEmitter {
 		return this.sendCommand('81 01 06 05 FF');
 	}
 
+	/**
+	 * Set a corner of the pan-tilt limits. The camera stops at the limits whatever it is told, presets and home included.
+	 * 
+	 * @param {Number} corner `LimitCorner.UpRight` (highest pan and tilt) or `LimitCorner.DownLeft` (lowest)
+	 * @param {Number} pan    Pan position of the corner
+	 * @param {Number} tilt   Tilt position of the corner
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 * 
+	 * @example
+	 * Camera.limitSet(LimitCorner.UpRight, 1200, 600);
+	 * Camera.limitSet(LimitCorner.DownLeft, -800, -200);
+	*/
+	limitSet(corner, pan, tilt) {
+		return this.sendCommand(`81 01 06 07 00 0${corner} ${this.#toNibbles(Math.round(pan))} ${this.#toNibbles(Math.round(tilt))} FF`);
+	}
+	/**
+	 * Remove a corner of the pan-tilt limits, the camera can move to its mechanical end on that side again.
+	 * @param {Number} corner `LimitCorner.UpRight` or `LimitCorner.DownLeft`
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	*/
+	limitClear(corner) {
+		return this.sendCommand(`81 01 06 07 01 0${corner} 07 0F 0F 0F 07 0F 0F 0F FF`);
+	}
+
+
+	/** ===== MOTION ===== */
+	/**
+	 * `moveTo()`, resolving once the camera has arrived instead of when the command completes.
+	 * Some cameras complete the command as soon as the move started, the position is read until it stops changing.
+	 *
+	 * @param {Object} [options]
+	 * @param {Number} [options.timeout=60000] Time in ms the whole move may take
+	 * @returns {Promise<{ pan: Number, tilt: Number }>} Where the camera stopped
+	 *
+	 * @example
+	 * await Camera.moveToAndWait(18, 14, 500, 200);
+	 * await Camera.presetSet(1); // Stored at 500, 200
+	*/
+	async moveToAndWait(ps, ts, pan, tilt, relative = false, options = {}) {
+		return this.#untilAtRest(this.#moveToCommand(ps, ts, pan, tilt, relative), options);
+	}
+	/**
+	 * `home()`, resolving once the camera is there.
+	 * @returns {Promise<{ pan: Number, tilt: Number }>}
+	*/
+	homeAndWait(options = {}) {
+		return this.#untilAtRest('81 01 06 04 FF', options);
+	}
+	/**
+	 * `reset()`, resolving once the startup sequence is over.
+	 * @returns {Promise<{ pan: Number, tilt: Number }>}
+	*/
+	resetAndWait(options = {}) {
+		return this.#untilAtRest('81 01 06 05 FF', options);
+	}
+
+	/**
+	 * Wait until pan-tilt is at rest. A move that starts before that is waited for too, a continuous move waits for its stop.
+	 *
+	 * @param {Object} [options]
+	 * @param {Number} [options.timeout=60000] Reject with a `TimeoutError` when the camera still moves after this many ms
+	 * @returns {Promise<{ pan: Number, tilt: Number }>} Where the camera stopped
+	*/
+	waitForMotion({ timeout = MotionTimeout } = {}) {
+		if(!this.#motion) return this.positionInquiry();
+
+		const { waiters } = this.#motion;
+		return new Promise((resolve, reject) => {
+			const waiter = { resolve, reject };
+			waiter.timer = setTimeout(() => {
+				waiters.splice(waiters.indexOf(waiter), 1);
+				const error = new TimeoutError(timeout);
+				error.message = `The camera was still moving after ${timeout}ms`;
+				reject(error);
+			}, timeout);
+			waiters.push(waiter);
+		});
+	}
+
+	/**
+	 * Whether the camera is panning or tilting, as far as the commands and the position reads tell.
+	 * @returns {Boolean}
+	*/
+	get moving() {
+		return this.#motion !== null;
+	}
+
+	async #untilAtRest(command, { timeout = MotionTimeout } = {}) {
+		const sent = Date.now();
+		await this.sendCommand(command, false, { timeout });
+		return this.waitForMotion({ timeout: Math.max(1, timeout - (Date.now() - sent)) });
+	}
+
+	/**
+	 * Follow a command that was just written: emit `motionStart` for a new or different move and read the position
+	 * until the camera is at rest.
+	 *
+	 * @param {Object} pending The command
+	*/
+	#followMotion(pending) {
+		const motion = motionOf(pending.bytes);
+		if(!motion) return;
+		if(motion.stop) {
+			if(this.#motion) this.#motion.continuous = false;
+			return;
+		}
+
+		if(!this.#motion) {
+			this.#motion = { kind: null, target: null, executing: new Set(), waiters: [], started: Date.now() };
+			this.#trackMotion(this.#motion);
+		}
+		const current = this.#motion;
+		current.executing.add(pending);
+		current.continuous = motion.continuous ?? false;
+
+		// A joystick sends drives all the time, only a change of kind or target is a new start
+		const target = motion.target ?? null;
+		if(current.kind === motion.kind && JSON.stringify(current.target) === JSON.stringify(target)) return;
+		Object.assign(current, { kind: motion.kind, target });
+		this.emit('motionStart', { kind: current.kind, target });
+	}
+
+	async #trackMotion(motion) {
+		let last = null;
+		try {
+			for(;;) {
+				await new Promise((resolve) => setTimeout(resolve, this.motionInterval));
+				if(this.#motion !== motion) return;
+				const position = await this.positionInquiry();
+				if(this.#motion !== motion) return;
+
+				this.#updateState({ panTiltPos: position });
+				this.emit('position', position);
+
+				// At rest: the same position twice, with no move executing and no drive waiting for its stop
+				const still = last?.pan === position.pan && last?.tilt === position.tilt;
+				last = position;
+				if(still && !motion.continuous && motion.executing.size === 0) return this.#endMotion(position);
+			}
+		} catch(err) {
+			if(this.#motion === motion) this.#endMotion(last, err);
+		}
+	}
+
+	/**
+	 * @param {Object|null} position Where the camera stopped, as far as known
+	 * @param {Error} [error]        Why the motion couldn't be followed to its end, rejects the waiters
+	*/
+	#endMotion(position, error) {
+		const motion = this.#motion;
+		this.#motion = null;
+		motion.waiters.forEach((waiter) => {
+			clearTimeout(waiter.timer);
+			if(error) waiter.reject(error);
+			else waiter.resolve(position);
+		});
+
+		const end = { kind: motion.kind, position, duration: Date.now() - motion.started };
+		if(error) end.error = error.message;
+		this.emit('motionEnd', end);
+	}
+
+
+	/** ===== PRESETS ===== */
+	/**
+	 * Helper function to get the hex value of a preset memory number.
+	 * 
+	 * @param {Number} preset A number between 0-127 on a HuddleCam HD, see the `preset` range of the camera's profile
+	 * @returns {String} The hex value of the preset number
+	*/
+	getPreset(preset) {
+		return this.#clampTo(preset, 'preset').toString(16).padStart(2, '0');
+	}
+
+	/**
+	 * Store the current position of the camera in a preset memory.
+	 * 
+	 * @param {Number} preset The preset memory to store to (0-127)
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 * 
+	 * @example
+	 * Camera.presetSet(3);
+	 */
+	presetSet(preset) {
+		return this.sendCommand(`81 01 04 3F 01 ${this.getPreset(preset)} FF`);
+	}
+	/**
+	 * Move the camera to a stored preset. Resolves once the camera has arrived.
+	 * 
+	 * @param {Number} preset The preset memory to recall (0-127)
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	presetRecall(preset) {
+		return this.sendCommand(`81 01 04 3F 02 ${this.getPreset(preset)} FF`);
+	}
+	/**
+	 * Clear a preset memory.
+	 * 
+	 * @param {Number} preset The preset memory to clear (0-127)
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	 */
+	presetReset(preset) {
+		return this.sendCommand(`81 01 04 3F 00 ${this.getPreset(preset)} FF`);
+	}
+
 
 	/** ===== INQUIRIES ===== */
 
@@ -292,7 +1414,22 @@ class Huddlecam extends EventEmitter {
 		return "Unknown";
 	}
 
-	async zoomPosInquiry() { return null; }
+	/**
+	 * Poll the camera for its zoom position.
+	 * @returns {Promise<Number>} The zoom position, 0 (wide) to 16384 (tele)
+	 */
+	async zoomPosInquiry() {
+		const res = await this.sendCommand('81 09 04 47 FF', true);
+		return parseInt(this.#extractHex(res.response.slice(4, 12)), 16);
+	}
+	/**
+	 * Poll the camera for its focus position.
+	 * @returns {Promise<Number>} The focus position, 4096 (far) to 49152 (near)
+	 */
+	async focusPosInquiry() {
+		const res = await this.sendCommand('81 09 04 48 FF', true);
+		return parseInt(this.#extractHex(res.response.slice(4, 12)), 16);
+	}
 		
 	async focusInquiry() {
 		const res = await this.sendCommand('81 09 04 38 FF', true);
@@ -319,6 +1456,21 @@ class Huddlecam extends EventEmitter {
 		return "Unknown";
 	}
 
+	/**
+	 * Poll the camera for its red gain.
+	 * @returns {Promise<Number>} The red gain (0-255)
+	 */
+	async redGainInquiry() {
+		return this.#positionInquiry('81 09 04 43 FF');
+	}
+	/**
+	 * Poll the camera for its blue gain.
+	 * @returns {Promise<Number>} The blue gain (0-255)
+	 */
+	async blueGainInquiry() {
+		return this.#positionInquiry('81 09 04 44 FF');
+	}
+
 	async exposureInquiry() {
 		const res = await this.sendCommand('81 09 04 39 FF', true);
 		const b = res.response[5];
@@ -332,8 +1484,44 @@ class Huddlecam extends EventEmitter {
 		return "Unknown";
 	}
 
-	async shutterPosInquiry() { return null; }
-	async irisPosInquiry() { return null; }
+	/**
+	 * Poll the camera for its shutter speed.
+	 * @returns {Promise<{ position: Number, label: String }>} The shutter position and speed, e.g. { position: 6, label: '1/60' }
+	 */
+	async shutterPosInquiry() {
+		return this.#exposureValue(0x0A, await this.#positionInquiry('81 09 04 4A FF'));
+	}
+	/**
+	 * Poll the camera for its iris.
+	 * @returns {Promise<{ position: Number, label: String }>} The iris position and F-stop, e.g. { position: 14, label: 'F2.8' }
+	 */
+	async irisPosInquiry() {
+		return this.#exposureValue(0x0B, await this.#positionInquiry('81 09 04 4B FF'));
+	}
+	/**
+	 * Poll the camera for its gain.
+	 * @returns {Promise<{ position: Number, label: String }>} The gain position and level, e.g. { position: 4, label: '+6 dB' }
+	 */
+	async gainPosInquiry() {
+		return this.#exposureValue(0x0C, await this.#positionInquiry('81 09 04 4C FF'));
+	}
+	async expCompInquiry() {
+		const res = await this.sendCommand('81 09 04 3E FF', true);
+		const b = res.response[5];
+		switch(b) {
+			case '2': return "On";
+			case '3': return "Off";
+		};
+
+		return "Unknown";
+	}
+	/**
+	 * Poll the camera for its exposure compensation level.
+	 * @returns {Promise<{ position: Number, label: String }>} The position and level, e.g. { position: 9, label: '+3 dB' }
+	 */
+	async expCompPosInquiry() {
+		return this.#exposureValue(0x0E, await this.#positionInquiry('81 09 04 4E FF'));
+	}
 
 	async backlightInquiry() {
 		const res = await this.sendCommand('81 09 04 33 FF', true);
@@ -359,32 +1547,44 @@ class Huddlecam extends EventEmitter {
 		const res = await this.sendCommand('81 09 00 02 FF', true);
 		
 		return {
-			vendor: Number(res.response.slice(4, 8)),
-			model: Number(res.response.slice(8, 12)),
-			romRevision: Number(res.response.slice(12, 16)),
-			maxSocketNum: Number(res.response.slice(16, 18))
+			vendor: parseInt(res.response.slice(4, 8), 16),
+			model: parseInt(res.response.slice(8, 12), 16),
+			romRevision: parseInt(res.response.slice(12, 16), 16),
+			maxSocketNum: parseInt(res.response.slice(16, 18), 16)
 		};
 	}
 
+	/**
+	 * Ask the camera for its vendor and model IDs and drive it with the matching profile from now on: speed and position ranges,
+	 * supported commands and inquiry labels. Unknown IDs get the HuddleCam HD profile.
+	 * 
+	 * @returns {Promise<ModelProfile>} The profile, emitted as `model` when it changed
+	 * 
+	 * @example
+	 * const profile = await Camera.detectModel();
+	 * profile.name;              // 'Sony EVI/SRG'
+	 * profile.ranges.panSpeed;   // [1, 24]
+	 */
+	async detectModel() {
+		const profile = modelFor(await this.versionInquiry());
+		if(profile !== this.profile) {
+			this.profile = profile;
+			this.emit('model', profile);
+		}
+		return profile;
+	}
+
+	/**
+	 * Poll the camera for its video format, labelled from the `videoFormats` table of the camera's profile.
+	 * @returns {Promise<String>} e.g. "1920x1080p/30"
+	 */
 	async videoFormatInquiry() {
 		const res = await this.sendCommand('81 09 06 23 FF', true);
-		const b = res.response[5];
-		switch(b) {
-			case '1': return "1920x1080p/30";
-			case '2': return "1920x1080i/60";
-			case '3': return "1280x720p/60";
-			case '9': return "1920x1080p/25";
-			case 'A': return "1920x1080i/50";
-			case 'B': return "1280x720p/50";
-			case 'D': return "";
-		};
-
-		return "Unknown";
+		return this.profile.videoFormats[parseInt(res.response[5], 16)] ?? "Unknown";
 	}
 
 	async positionInquiry() {
 		const res = await this.sendCommand('81 09 06 12 FF', true);
-		console.log(res.response)
 
 		// Example :  90 50 0w 0w 0w 0w 0z 0z 0z 0z ff  | wwww = pan, zzzz = tilt
 		// HOME	   :  90 50 00 00 00 00 00 00 00 00 ff  | pan = 0000, tilt = 0000
@@ -426,7 +1626,55 @@ class Huddlecam extends EventEmitter {
 		const data = parseInt(raw, 16);
 		return (data >= 0x8000 ? data - 0x10000 : data);
 	}
+	/**
+	 * Send an inquiry answered with `y0 50 00 00 0p 0q FF` and return pq.
+	 * @param {String} cmd The inquiry
+	 * @returns {Promise<Number>}
+	 */
+	async #positionInquiry(cmd) {
+		const res = await this.sendCommand(cmd, true);
+		return parseInt(this.#extractHex(res.response.slice(4, 12)), 16);
+	}
+	/**
+	 * Label an exposure position the way the camera's menu shows it.
+	 * @param {Number} category 0x0A shutter, 0x0B iris, 0x0C gain, 0x0E exposure compensation
+	 * @param {Number} position The position from the inquiry or direct command
+	 * @returns {{ position: Number, label: String }}
+	 */
+	#exposureValue(category, position) {
+		switch(category) {
+			case 0x0A: return { position, label: this.profile.shutter[position] ?? "Unknown" };
+			case 0x0B: return { position, label: this.profile.iris[position] ?? "Unknown" };
+			case 0x0C: return { position, label: this.#formatDecibel(this.profile.gain[position]) };
+			case 0x0E: return { position, label: this.#formatDecibel(this.profile.expComp[position]) };
+		};
+	}
+	#formatDecibel(db) {
+		if(db === undefined) return "Unknown";
+		return `${db > 0 ? '+' : ''}${db} dB`;
+	}
+	// Round and clamp a value to a range of the camera's profile, e.g. 'panSpeed'
+	#clampTo(value, range) {
+		const [min, max] = this.profile.ranges[range];
+		value = Math.round(value);
+		if(value < min) value = min;
+		if(value > max) value = max;
+		return value;
+	}
+	// A relative move can't be clamped without going somewhere else than asked, one the camera can't make is an error
+	#relative(value, range) {
+		const [min, max] = this.profile.ranges[range];
+		value = Math.round(value);
+		if(!(value >= min && value <= max)) throw new RangeError(`A ${range} of ${value} is outside ${min} to ${max} on a ${this.profile.name}`);
+		return value;
+	}
+	#toNibbles(num) {
+		// 0x1234 -> '01 02 03 04'
+		return this.#toHex(num).split('').map((n) => `0${n}`).join(' ');
+	}
 	#toHex(num) {
+		// Anything else would come out as more or fewer than 4 nibbles, or as another number
+		if(!Number.isInteger(num) || num < -0x8000 || num > 0xFFFF) throw new RangeError(`${num} doesn't fit in 16 bits`);
 		// Ensure that if the number is negative, we convert to a 16 bit signed integer
 		if(num < 0) {
 			num = num + 0x10000;
@@ -441,4 +1689,10 @@ class Huddlecam extends EventEmitter {
 	}
 };
 
-export { Huddlecam, Exposure, Direction };
\ No newline at end of file
+export { Huddlecam, Exposure, WhiteBalance, Direction, LimitCorner, Motion, Priority, ShutterSpeeds, IrisStops, Inquiries };
+export { Transport, SerialTransport, UdpTransport } from './Transport.js';
+export { SimulatedCamera, SimulatedChain } from './Simulator.js';
+export {
+	ViscaError, MessageLengthError, ViscaSyntaxError, CommandBufferFullError, CommandCanceledError, NoSocketError, NotExecutableError, TimeoutError, OfflineError, UnsupportedCommandError
+} from './Visca.js';
+export { Models, Feature, modelFor, modelById } from './Models.js';
\ No newline at end of file
@@ -0,0 +1,208 @@
+// Camera model profiles: the speed and position ranges, the commands and the inquiry tables of the VISCA cameras the library knows
+// A camera picks its profile from the vendor and model IDs of its version inquiry, see `Huddlecam.detectModel()`
+// Sony: https://pro.sony/s3/2022/09/14131603/VISCA-Command-List-Version-2.00.pdf
+
+
+/**
+ * @typedef {Object} ModelProfile
+ * @property {String} id          The key in `Models`, e.g. `huddlecam`
+ * @property {String} name        e.g. `HuddleCam HD`
+ * @property {Object[]} ids       `{ vendor, model? }` pairs from `versionInquiry()` the profile is picked for, without `model` any model of the vendor
+ * @property {Object} ranges      Field -> [min, max]: panSpeed, tiltSpeed, pan, tilt, relativePan, relativeTilt, zoom, focus, lensSpeed, preset,
+ *                                colorGain, shutter, iris, gain, expComp
+ * @property {String[]} features  The `Feature` values the camera supports, commands of the others are rejected before they are sent
+ * @property {String[]} shutter   Position -> shutter speed label
+ * @property {String[]} iris      Position -> F-stop label
+ * @property {Number[]} gain      Position -> gain in dB
+ * @property {Number[]} expComp   Position -> exposure compensation in dB
+ * @property {Object} videoFormats Video format byte -> label
+*/
+
+
+// Groups of commands a model supports or doesn't
+const Feature = {
+	Power: 'power',
+	Zoom: 'zoom',
+	Focus: 'focus',
+	WhiteBalance: 'whiteBalance',
+	Exposure: 'exposure',
+	ExposureCompensation: 'expComp',
+	Backlight: 'backlight',
+	PanTilt: 'panTilt',
+	Limits: 'limits',
+	Presets: 'presets',
+	VideoFormat: 'videoFormat',
+	ColorFormat: 'colorFormat'
+};
+
+// Bytes 1-3 of a command or inquiry (81 01 04 00 02 FF -> 010400) -> its feature. Anything else, e.g. the version inquiry, always goes through
+const CommandFeatures = {
+	'010400': Feature.Power, '090400': Feature.Power,
+	'010407': Feature.Zoom, '010447': Feature.Zoom, '090447': Feature.Zoom,
+	'010408': Feature.Focus, '010418': Feature.Focus, '010438': Feature.Focus, '010448': Feature.Focus, '090438': Feature.Focus, '090448': Feature.Focus,
+	'010435': Feature.WhiteBalance, '010410': Feature.WhiteBalance, '010403': Feature.WhiteBalance, '010404': Feature.WhiteBalance,
+	'010443': Feature.WhiteBalance, '010444': Feature.WhiteBalance, '090435': Feature.WhiteBalance, '090443': Feature.WhiteBalance, '090444': Feature.WhiteBalance,
+	'010439': Feature.Exposure, '01040a': Feature.Exposure, '01040b': Feature.Exposure, '01040c': Feature.Exposure,
+	'01044a': Feature.Exposure, '01044b': Feature.Exposure, '01044c': Feature.Exposure,
+	'090439': Feature.Exposure, '09044a': Feature.Exposure, '09044b': Feature.Exposure, '09044c': Feature.Exposure,
+	'01043e': Feature.ExposureCompensation, '01040e': Feature.ExposureCompensation, '01044e': Feature.ExposureCompensation,
+	'09043e': Feature.ExposureCompensation, '09044e': Feature.ExposureCompensation,
+	'010433': Feature.Backlight, '090433': Feature.Backlight,
+	'010601': Feature.PanTilt, '010602': Feature.PanTilt, '010603': Feature.PanTilt, '010604': Feature.PanTilt, '010605': Feature.PanTilt, '090612': Feature.PanTilt,
+	'010607': Feature.Limits,
+	'01043f': Feature.Presets,
+	'090623': Feature.VideoFormat,
+	'097e01': Feature.ColorFormat
+};
+
+// Exposure compensation is the same on all of them: -10.5 dB to +10.5 dB in 1.5 dB steps
+const ExpCompSteps = Array.from({ length: 15 }, (_, position) => (position - 7) * 1.5);
+
+const Models = {
+	huddlecam: {
+		name: 'HuddleCam HD',
+		ids: [{ vendor: 0x0001, model: 0x0510 }],
+		ranges: {
+			panSpeed: [1, 18],
+			tiltSpeed: [1, 14],
+			pan: [-2224, 2216],
+			tilt: [-400, 1200],
+			zoom: [0, 0x4000],
+			focus: [0x1000, 0xC000],
+			preset: [0, 127]
+		},
+		features: Object.values(Feature),
+		// 60 Hz video formats
+		shutter: [
+			'1/1', '1/2', '1/4', '1/8', '1/15', '1/30', '1/60', '1/90', '1/100', '1/125', '1/180',
+			'1/250', '1/350', '1/500', '1/725', '1/1000', '1/1500', '1/2000', '1/3000', '1/4000', '1/6000', '1/10000'
+		],
+		iris: [
+			'Close', 'Close', 'Close', 'Close', 'Close', 'F14', 'F11', 'F9.6', 'F8.0',
+			'F6.8', 'F5.6', 'F4.8', 'F4.0', 'F3.4', 'F2.8', 'F2.4', 'F2.0', 'F1.8'
+		],
+		// -3 dB, then 0 dB to +28 dB in 2 dB steps
+		gain: [-3, ...Array.from({ length: 15 }, (_, step) => step * 2)],
+		expComp: ExpCompSteps,
+		videoFormats: { 0x1: '1920x1080p/30', 0x2: '1920x1080i/60', 0x3: '1280x720p/60', 0x9: '1920x1080p/25', 0xA: '1920x1080i/50', 0xB: '1280x720p/50', 0xD: '' }
+	},
+	sony: {
+		name: 'Sony EVI/SRG',
+		ids: [{ vendor: 0x0020 }],
+		ranges: {
+			panSpeed: [1, 24],
+			tiltSpeed: [1, 20],
+			pan: [-2267, 2267],
+			tilt: [-400, 1200],
+			zoom: [0, 0x4000],
+			focus: [0x1000, 0xC000],
+			preset: [0, 15]
+		},
+		// The color format inquiry is HuddleCam's own
+		features: Object.values(Feature).filter((feature) => feature !== Feature.ColorFormat),
+		shutter: [
+			'1/1', '2/3', '1/2', '1/3', '1/4', '1/6', '1/8', '1/10', '1/15', '1/20', '1/30', '1/50', '1/60', '1/90', '1/100',
+			'1/125', '1/180', '1/250', '1/350', '1/500', '1/725', '1/1000', '1/1500', '1/2000', '1/3000', '1/4000', '1/6000', '1/10000'
+		],
+		iris: [
+			'Close', 'F28', 'F22', 'F19', 'F16', 'F14', 'F11', 'F9.6', 'F8.0',
+			'F6.8', 'F5.6', 'F4.8', 'F4.0', 'F3.4', 'F2.8', 'F2.4', 'F2.0', 'F1.6'
+		],
+		// -3 dB to +18 dB in 3 dB steps
+		gain: Array.from({ length: 8 }, (_, step) => (step - 1) * 3),
+		expComp: ExpCompSteps,
+		videoFormats: {
+			0x0: '1920x1080i/59.94', 0x1: '1920x1080p/29.97', 0x2: '1280x720p/59.94', 0x3: '1280x720p/29.97', 0x4: '720x480p/59.94',
+			0x8: '1920x1080i/50', 0x9: '1920x1080p/25', 0xA: '1280x720p/50', 0xB: '1280x720p/25', 0xC: '720x576p/50'
+		}
+	},
+	ptzoptics: {
+		name: 'PTZOptics',
+		// PTZOptics cameras answer with the same vendor as the HuddleCam HD, so only these model IDs are taken for one.
+		// Other models of the vendor get the HuddleCam HD profile, pin `model: 'ptzoptics'` for them
+		ids: [{ vendor: 0x0001, model: 0x0612 }, { vendor: 0x0001, model: 0x0613 }],
+		ranges: {
+			panSpeed: [1, 24],
+			tiltSpeed: [1, 20],
+			pan: [-2448, 2448],
+			tilt: [-432, 1296],
+			zoom: [0, 0x4000],
+			focus: [0x1000, 0xC000],
+			preset: [0, 254]
+		},
+		features: Object.values(Feature).filter((feature) => feature !== Feature.ColorFormat),
+		shutter: [
+			'1/30', '1/60', '1/90', '1/100', '1/125', '1/180', '1/250', '1/350',
+			'1/500', '1/725', '1/1000', '1/1500', '1/2000', '1/3000', '1/4000', '1/6000', '1/10000'
+		],
+		iris: [
+			'Close', 'F11', 'F9.6', 'F8.0', 'F6.8', 'F5.6', 'F4.8', 'F4.0', 'F3.4', 'F2.8', 'F2.4', 'F2.0', 'F1.8'
+		],
+		// 0 dB to +30 dB in 2 dB steps
+		gain: Array.from({ length: 16 }, (_, step) => step * 2),
+		expComp: ExpCompSteps,
+		videoFormats: {
+			0x0: '1920x1080p/60', 0x1: '1920x1080p/50', 0x2: '1920x1080i/60', 0x3: '1920x1080i/50', 0x4: '1280x720p/60',
+			0x5: '1280x720p/50', 0x6: '1920x1080p/30', 0x7: '1920x1080p/25', 0x8: '1280x720p/30', 0x9: '1280x720p/25'
+		}
+	}
+};
+
+// Fill in what every profile has in common: its id, and the ranges that follow from its tables
+for(const [id, profile] of Object.entries(Models)) {
+	Object.assign(profile.ranges, {
+		lensSpeed: [0, 7],
+		colorGain: [0, 255],
+		shutter: [0, profile.shutter.length - 1],
+		iris: [0, profile.iris.length - 1],
+		gain: [0, profile.gain.length - 1],
+		expComp: [0, profile.expComp.length - 1],
+		// Relative moves may cover the whole range in either direction
+		relativePan: [profile.ranges.pan[0] - profile.ranges.pan[1], profile.ranges.pan[1] - profile.ranges.pan[0]],
+		relativeTilt: [profile.ranges.tilt[0] - profile.ranges.tilt[1], profile.ranges.tilt[1] - profile.ranges.tilt[0]]
+	});
+	profile.id = id;
+}
+
+// Cameras that report IDs no profile knows are driven like a HuddleCam HD, the camera this library was written for
+const DefaultModel = Models.huddlecam;
+
+/**
+ * Pick the profile for the IDs a camera reported. A profile for the exact model wins over one for the whole vendor.
+ *
+ * @param {{ vendor: Number, model: Number }} version From `versionInquiry()`
+ * @returns {ModelProfile}
+ *
+ * @example
+ * modelFor({ vendor: 0x0020, model: 0x0426 }).name; // 'Sony EVI/SRG'
+*/
+function modelFor({ vendor, model }) {
+	const profiles = Object.values(Models);
+	return profiles.find((profile) => profile.ids.some((id) => id.vendor === vendor && id.model === model))
+		?? profiles.find((profile) => profile.ids.some((id) => id.vendor === vendor && id.model === undefined))
+		?? DefaultModel;
+}
+
+/**
+ * Look up a profile by its id, for cameras that are configured with their model instead of detecting it.
+ *
+ * @param {String} id A key of `Models`
+ * @returns {ModelProfile}
+ * @throws {Error} For an unknown id
+*/
+function modelById(id) {
+	if(!Object.hasOwn(Models, id)) throw new Error(`Unknown camera model "${id}", use ${Object.keys(Models).join(', ')}`);
+	return Models[id];
+}
+
+/**
+ * The feature a command belongs to.
+ *
+ * @param {Buffer} bytes The command
+ * @returns {String|null} A `Feature` value, null for commands every camera takes
+*/
+function featureOf(bytes) {
+	return CommandFeatures[bytes.subarray(1, 4).toString('hex')] ?? null;
+}
+
+export { Models, Feature, DefaultModel, modelFor, modelById, featureOf };
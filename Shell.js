@@ -0,0 +1,414 @@
+// Command shell for a camera: a fixed grammar instead of evaluating JavaScript
+// Used by the server console and by the `huddlecam` CLI, e.g. `move up 8 4`, `moveto -300 100`, `inquire power`
+
+
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import readline from 'readline';
+import { Direction, Exposure, WhiteBalance, Inquiries, LimitCorner } from './Huddlecam.js';
+
+/**
+ * @typedef {Object} Argument
+ * @property {String} name                 Shown in the usage, e.g. `panSpeed`
+ * @property {Function} parse              (word, ranges) -> value, throws a `ShellError` for a bad word. `ranges` are those of the
+ *                                         camera's model profile, when the camera is known
+ * @property {String[]} [choices]          Words for tab completion and help
+ * @property {String} [label]              Shown in the usage instead of the name or the choices
+ * @property {Boolean} [optional=false]    The argument may be left out, `run` gets undefined then
+ * @property {Boolean} [rest=false]        Takes all remaining words (joined with spaces)
+ * @property {String} [range]              A range of the camera's model profile the value must be in, e.g. `relativePan`
+*/
+
+/**
+ * @typedef {Object} ShellCommand
+ * @property {String} help         What the command does, one line
+ * @property {Argument[]} [args]   The arguments in order
+ * @property {Function} run        `(camera, ...args) => Promise`, gets the parsed arguments
+ * @property {Boolean} [local]     Doesn't talk to the camera, the shell prints the result without timing it
+*/
+
+class ShellError extends Error {
+	constructor(message) { super(message); this.name = 'ShellError'; }
+}
+
+// Argument types
+const Arg = {
+	/**
+	 * A number, decimal or 0x hex.
+	 * @param {String} name
+	 * @param {Object} [options] { optional, range }
+	*/
+	number: (name, options = {}) => ({
+		name,
+		...options,
+		parse(word, ranges) {
+			const value = Number(word);
+			if(word.trim() === '' || !Number.isFinite(value)) throw new ShellError(`${name} must be a number, got "${word}"`);
+			const [min, max] = (options.range && ranges?.[options.range]) ?? [-Infinity, Infinity];
+			if(value < min || value > max) throw new ShellError(`${name} must be between ${min} and ${max}`);
+			return value;
+		}
+	}),
+	/**
+	 * One of the names of an enum like `Direction`, case insensitive.
+	 * @param {String} name
+	 * @param {Object} values Name -> value
+	 * @param {Object} [options] { optional }
+	*/
+	choice: (name, values, options = {}) => ({
+		name,
+		...options,
+		choices: Object.keys(values).map((key) => key.toLowerCase()),
+		parse(word) {
+			const key = Object.keys(values).find((key) => key.toLowerCase() === word.toLowerCase());
+			if(key === undefined) throw new ShellError(`${name} must be one of ${Object.keys(values).map((key) => key.toLowerCase()).join(', ')}`);
+			return values[key];
+		}
+	}),
+	/**
+	 * `up`, `down`, `reset` or a position, for the settings that have all four.
+	 * @param {String} name
+	 * @param {Object} [options] { range }
+	 * @returns {Argument} Parses to { action } or { position }
+	*/
+	step: (name, options = {}) => ({
+		name,
+		label: 'up|down|reset|position',
+		choices: ['up', 'down', 'reset'],
+		parse(word, ranges) {
+			const action = word.toLowerCase();
+			if(['up', 'down', 'reset'].includes(action)) return { action };
+			return { position: Arg.number(name, options).parse(word, ranges) };
+		}
+	}),
+	/**
+	 * Any word, e.g. an id.
+	 * @param {String} name
+	 * @param {Object} [options] { optional }
+	*/
+	word: (name, options = {}) => ({ name, ...options, parse: (word) => word }),
+	/**
+	 * The rest of the line as a VISCA message, e.g. `81 01 06 04 FF` or `81010604FF`.
+	 * @param {String} name
+	*/
+	hex: (name) => ({
+		name,
+		rest: true,
+		parse(words) {
+			const hex = words.replace(/\s+/g, '');
+			if(!/^([0-9a-f]{2})+$/i.test(hex)) throw new ShellError(`${name} must be hex bytes, e.g. 81 01 06 04 FF`);
+			if(!/^8[0-9a-f]/i.test(hex) || !/ff$/i.test(hex)) throw new ShellError(`${name} must start with 8x and end with FF`);
+			return hex.match(/../g).join(' ').toUpperCase();
+		}
+	})
+};
+
+/**
+ * A command for `up`/`down`/`reset`/position settings, `prefix` is the start of the camera methods (`shutter` -> `shutterUp()`, `shutterTo()`).
+ * @param {String} prefix
+ * @param {String} help
+ * @param {String} [range=prefix] The range of the camera's profile positions are checked against
+ * @returns {ShellCommand}
+*/
+function stepCommand(prefix, help, range = prefix) {
+	return {
+		help,
+		args: [Arg.step('step', { range })],
+		run: (camera, { action, position }) => {
+			if(position !== undefined) return camera[`${prefix}To`](position);
+			return camera[`${prefix}${action[0].toUpperCase()}${action.slice(1)}`]();
+		}
+	};
+}
+
+const OnOff = { On: true, Off: false };
+
+// Command name -> ShellCommand, names are lowercase
+const Commands = {
+	help: {
+		help: 'List the commands, or explain one',
+		args: [Arg.word('command', { optional: true })],
+		local: true,
+		run: null // Needs the command table, see `runCommand()`
+	},
+	state: { help: 'Read everything the camera reports', run: (camera) => camera.syncState() },
+	inquire: {
+		help: 'Ask the camera for one value',
+		args: [Arg.choice('name', Object.fromEntries(Object.keys(Inquiries).map((name) => [name, name])))],
+		run: (camera, name) => camera[Inquiries[name]]()
+	},
+	power: { help: 'Power on or standby', args: [Arg.choice('state', OnOff)], run: (camera, on) => on ? camera.powerOn() : camera.powerOff() },
+
+	// Pan-tilt
+	move: {
+		help: 'Start moving, until `stop`',
+		args: [
+			Arg.choice('direction', Direction),
+			Arg.number('panSpeed', { optional: true, range: 'panSpeed' }), Arg.number('tiltSpeed', { optional: true, range: 'tiltSpeed' })
+		],
+		run: (camera, direction, panSpeed, tiltSpeed) => camera.move(direction, panSpeed, tiltSpeed)
+	},
+	stop: { help: 'Stop moving', run: (camera) => camera.stop() },
+	moveto: {
+		help: 'Move to an absolute position',
+		args: [
+			Arg.number('pan', { range: 'pan' }), Arg.number('tilt', { range: 'tilt' }),
+			Arg.number('panSpeed', { optional: true, range: 'panSpeed' }), Arg.number('tiltSpeed', { optional: true, range: 'tiltSpeed' })
+		],
+		run: (camera, pan, tilt, panSpeed = 5, tiltSpeed = 3) => camera.moveTo(panSpeed, tiltSpeed, pan, tilt)
+	},
+	moveby: {
+		help: 'Move relative to the current position',
+		args: [
+			Arg.number('pan', { range: 'relativePan' }), Arg.number('tilt', { range: 'relativeTilt' }),
+			Arg.number('panSpeed', { optional: true, range: 'panSpeed' }), Arg.number('tiltSpeed', { optional: true, range: 'tiltSpeed' })
+		],
+		run: (camera, pan, tilt, panSpeed = 5, tiltSpeed = 3) => camera.moveTo(panSpeed, tiltSpeed, pan, tilt, true)
+	},
+	home: { help: 'Move to the home position', run: (camera) => camera.home() },
+	reset: { help: 'Recalibrate pan-tilt', run: (camera) => camera.reset() },
+	limit: {
+		help: 'Set or clear the camera\'s pan-tilt limit at one corner',
+		args: [
+			Arg.choice('action', { Set: 'set', Clear: 'clear' }), Arg.choice('corner', LimitCorner),
+			Arg.number('pan', { optional: true, range: 'pan' }), Arg.number('tilt', { optional: true, range: 'tilt' })
+		],
+		run: (camera, action, corner, pan, tilt) => {
+			if(action === 'clear') return camera.limitClear(corner);
+			if(pan === undefined || tilt === undefined) throw new ShellError('limit set needs a pan and a tilt position');
+			return camera.limitSet(corner, pan, tilt);
+		}
+	},
+	preset: {
+		help: 'Store, recall or clear a preset memory (0-127 on a HuddleCam HD)',
+		args: [Arg.choice('action', { Set: 'presetSet', Recall: 'presetRecall', Reset: 'presetReset' }), Arg.number('slot', { range: 'preset' })],
+		run: (camera, method, slot) => camera[method](slot)
+	},
+
+	// Lens
+	zoom: {
+		help: 'Zoom in or out until `zoom stop`, speed 0-7',
+		args: [Arg.choice('direction', { Tele: 'zoomTele', Wide: 'zoomWide', Stop: 'zoomStop' }), Arg.number('speed', { optional: true, range: 'lensSpeed' })],
+		run: (camera, method, speed) => camera[method](speed)
+	},
+	zoomto: { help: 'Zoom to a position (0-16384)', args: [Arg.number('position', { range: 'zoom' })], run: (camera, position) => camera.zoomTo(position) },
+	focus: {
+		help: 'Focus far or near until `focus stop`, or change the focus mode',
+		args: [
+			Arg.choice('action', { Far: 'focusFar', Near: 'focusNear', Stop: 'focusStop', Auto: 'focusAuto', Manual: 'focusManual', OnePush: 'focusOnePush' }),
+			Arg.number('speed', { optional: true, range: 'lensSpeed' })
+		],
+		run: (camera, method, speed) => camera[method](speed)
+	},
+	focusto: { help: 'Focus to a position (4096-49152)', args: [Arg.number('position', { range: 'focus' })], run: (camera, position) => camera.focusTo(position) },
+
+	// Exposure and white balance
+	exposure: { help: 'Set the exposure mode', args: [Arg.choice('mode', Exposure)], run: (camera, mode) => camera.exposureMode(mode) },
+	shutter: stepCommand('shutter', 'Shutter speed in shutter priority or manual (0-21)'),
+	iris: stepCommand('iris', 'Iris in iris priority or manual (0-17)'),
+	gain: stepCommand('gain', 'Gain in manual (0-15)'),
+	expcomp: stepCommand('expComp', 'Exposure compensation (0-14), needs `expcompmode on`'),
+	expcompmode: { help: 'Exposure compensation on or off', args: [Arg.choice('state', OnOff)], run: (camera, on) => on ? camera.expCompOn() : camera.expCompOff() },
+	backlight: { help: 'Backlight compensation on or off', args: [Arg.choice('state', OnOff)], run: (camera, on) => on ? camera.backlightOn() : camera.backlightOff() },
+	wb: { help: 'Set the white balance mode', args: [Arg.choice('mode', WhiteBalance)], run: (camera, mode) => camera.whiteBalanceMode(mode) },
+	redgain: stepCommand('redGain', 'Red gain in manual white balance (0-255)', 'colorGain'),
+	bluegain: stepCommand('blueGain', 'Blue gain in manual white balance (0-255)', 'colorGain'),
+
+	raw: {
+		help: 'Send a VISCA message as is, inquiries (8x 09 ...) answer the reply',
+		args: [Arg.hex('bytes')],
+		run: (camera, bytes) => camera.sendCommand(bytes, bytes.slice(3, 5) === '09')
+	}
+};
+
+/**
+ * The usage line of a command, e.g. `move <direction> [panSpeed] [tiltSpeed]`.
+ * Short choices are spelled out: `power <on|off>`.
+ *
+ * @param {String} name
+ * @param {ShellCommand} command
+ * @returns {String}
+*/
+function usage(name, command) {
+	const args = (command.args ?? []).map((arg) => {
+		const label = arg.label ?? (arg.choices && arg.choices.length <= 3 ? arg.choices.join('|') : arg.name);
+		return arg.optional ? `[${label}]` : `<${label}${arg.rest ? '...' : ''}>`;
+	});
+	return [name, ...args].join(' ');
+}
+
+/**
+ * Split a line into the command and its parsed arguments.
+ *
+ * @param {String} line                  e.g. `move upleft 8 4`
+ * @param {Object} [commands=Commands]   The command table
+ * @param {Object} [ranges]              The ranges of the camera's model profile, numbers with a `range` are checked against them
+ * @returns {{ name: String, command: ShellCommand, args: Array }}
+ * @throws {ShellError} For unknown commands and bad arguments
+*/
+function parseCommand(line, commands = Commands, ranges) {
+	const [word, ...words] = line.trim().split(/\s+/);
+	const name = word.toLowerCase();
+	const command = Object.hasOwn(commands, name) ? commands[name] : undefined;
+	if(!command) throw new ShellError(`Unknown command "${word}", \`help\` lists the commands`);
+
+	const specs = command.args ?? [];
+	const args = specs.map((spec, i) => {
+		const value = spec.rest ? words.slice(i).join(' ') : words[i];
+		if(value === undefined || value === '') {
+			if(spec.optional) return undefined;
+			throw new ShellError(`Missing ${spec.name}, usage: ${usage(name, command)}`);
+		}
+		return spec.parse(value, ranges);
+	});
+	if(!specs.some((spec) => spec.rest) && words.length > specs.length) throw new ShellError(`Too many arguments, usage: ${usage(name, command)}`);
+
+	return { name, command, args };
+}
+
+/**
+ * The text of `help` or `help <command>`.
+ * @param {Object} commands
+ * @param {String} [name]
+ * @returns {String}
+*/
+function helpText(commands, name) {
+	if(name !== undefined) {
+		const command = Object.hasOwn(commands, name.toLowerCase()) ? commands[name.toLowerCase()] : undefined;
+		if(!command) throw new ShellError(`Unknown command "${name}"`);
+
+		const lines = [usage(name.toLowerCase(), command), `  ${command.help}`];
+		(command.args ?? []).filter((arg) => arg.choices).forEach((arg) => lines.push(`  ${arg.name}: ${arg.choices.join(', ')}`));
+		return lines.join('\n');
+	}
+
+	const usages = Object.entries(commands).map(([name, command]) => [usage(name, command), command.help]);
+	const width = Math.max(...usages.map(([line]) => line.length));
+	return usages.map(([line, help]) => `  ${line.padEnd(width)}  ${help}`).join('\n');
+}
+
+/**
+ * Parse and run one line against a camera.
+ *
+ * @param {Huddlecam} camera
+ * @param {String} line
+ * @param {Object} [commands=Commands]
+ * @returns {Promise<*>} What the camera method resolved with, e.g. a `CameraResponse` or an inquiry value
+ *
+ * @example
+ * await runCommand(Camera, 'moveto -300 100 8 4');
+ * await runCommand(Camera, 'inquire position'); // { pan: -300, tilt: 100 }
+*/
+async function runCommand(camera, line, commands = Commands) {
+	const { command, args } = parseCommand(line, commands, camera?.profile.ranges);
+	if(command === Commands.help) return helpText(commands, ...args);
+	return command.run(camera, ...args);
+}
+
+/**
+ * Readable text for a command result: completed commands show the bytes that were sent, anything else is inspected.
+ *
+ * @param {*} result
+ * @param {Boolean} [colors=false] ANSI colors for a terminal
+ * @returns {String}
+*/
+function formatResult(result, colors = false) {
+	if(typeof result === 'string') return result;
+	if(result?.response === true) return `completed (${result.command})`;
+	if(typeof result?.response === 'string') return `${result.response} (reply to ${result.command})`;
+	return util.inspect(result, { colors, depth: 4, breakLength: 80 });
+}
+
+/**
+ * Complete the word under the cursor: command names first, then the choices of the argument.
+ * Meant as the readline `completer`.
+ *
+ * @param {String} line
+ * @param {Object} [commands=Commands]
+ * @returns {[String[], String]} The candidates and the word they complete
+*/
+function completeCommand(line, commands = Commands) {
+	const words = line.trimStart().split(/\s+/);
+	const current = words[words.length - 1];
+	if(words.length === 1) return [Object.keys(commands).filter((name) => name.startsWith(current.toLowerCase())), current];
+
+	const name = words[0].toLowerCase();
+	if(name === 'help' && words.length === 2) return [Object.keys(commands).filter((name) => name.startsWith(current.toLowerCase())), current];
+	const spec = Object.hasOwn(commands, name) ? commands[name].args?.[words.length - 2] : undefined;
+	return [(spec?.choices ?? []).filter((choice) => choice.startsWith(current.toLowerCase())), current];
+}
+
+/**
+ * Read commands from a stream (stdin by default) and run them, with tab completion and history on a terminal.
+ * Every command prints how long it took and what it returned.
+ *
+ * @param {Huddlecam|Function} camera   The camera, or a function that returns the camera commands go to
+ * @param {Object} [options]
+ * @param {Object} [options.commands]    Extra commands, merged into `Commands`
+ * @param {String} [options.historyFile] Keep the history in this file between runs
+ * @param {Function} [options.wrap]      Runs every command, `(run) => run()`, e.g. to tag what it sends to the camera
+ * @param {String} [options.prompt='huddlecam> ']
+ * @param {stream.Readable} [options.input=process.stdin]
+ * @param {stream.Writable} [options.output=process.stdout]
+ * @returns {readline.Interface}
+ *
+ * @example
+ * startShell(Camera, { historyFile: 'data/shell_history' });
+ * // huddlecam> inquire power
+ * // inquire power took 12ms and returned 'On'
+*/
+function startShell(camera, options = {}) {
+	const commands = { ...Commands, ...options.commands };
+	const input = options.input ?? process.stdin;
+	const output = options.output ?? process.stdout;
+	const terminal = !!(input.isTTY && output.isTTY); // Piped input (nodemon, systemd) would be echoed twice otherwise
+	const getCamera = typeof camera === 'function' ? camera : () => camera;
+	const wrap = options.wrap ?? ((run) => run());
+
+	var history = [];
+	if(options.historyFile) {
+		try {
+			history = fs.readFileSync(options.historyFile, 'utf8').split('\n').filter(Boolean);
+		} catch(err) {
+			if(err.code !== 'ENOENT') console.error(`Can't read the shell history: ${err.message}`);
+		}
+	}
+
+	const rl = readline.createInterface({
+		input,
+		output,
+		terminal,
+		history,
+		historySize: 500,
+		completer: (line) => completeCommand(line, commands)
+	});
+	rl.setPrompt(options.prompt ?? 'huddlecam> ');
+	// Only show the prompt on a terminal, it would end up in the logs otherwise
+	const prompt = () => terminal && rl.prompt();
+	if(options.historyFile) rl.on('history', (lines) => {
+		fs.mkdir(path.dirname(options.historyFile), { recursive: true }, () => fs.writeFile(options.historyFile, lines.join('\n'), () => {}));
+	});
+
+	rl.on('line', async (line) => {
+		if(line.trim().length === 0) return prompt();
+
+		try {
+			const { command } = parseCommand(line, commands);
+			const timeStart = Date.now();
+			const res = await wrap(() => runCommand(getCamera(), line, commands));
+			const t = Date.now() - timeStart;
+
+			// Print out a nice formatted log line of what command was run, how long it took, and the response
+			if(command.local) output.write(`${formatResult(res)}\n`);
+			else output.write(`\x1b[32m${line.trim()}\x1b[0m took \x1b[33m${t}ms\x1b[0m and returned ${formatResult(res, terminal)}\n`);
+		} catch(err) {
+			output.write(`\x1b[31m${err.name}: ${err.message}\x1b[0m\n`);
+		}
+		prompt();
+	});
+	prompt();
+	return rl;
+}
+
+export { Commands, Arg, ShellError, parseCommand, runCommand, formatResult, completeCommand, startShell, usage };
@@ -0,0 +1,785 @@
+// Simulated VISCA camera
+// Stands in for the serial port or UDP transport, so the library, server and GUI can run without a camera attached
+
+
+import { Transport } from './Transport.js';
+import { ErrorCode } from './Visca.js';
+
+/**
+ * @typedef {Object} SimulatorState
+ * @property {Boolean} power       Whether the camera is on (false = standby)
+ * @property {Number} pan          Current pan position
+ * @property {Number} tilt         Current tilt position
+ * @property {Number} zoom         Current zoom position (0x0000 = wide, 0x4000 = tele)
+ * @property {Number} focus        Current focus position
+ * @property {Boolean} autoFocus   Whether auto focus is on
+ * @property {Number} exposure     AE mode byte (0x0 = Full Auto, 0x3 = Manual, 0xA = Shutter Priority, 0xB = Iris Priority)
+ * @property {Number} shutter      Shutter position
+ * @property {Number} iris         Iris position
+ * @property {Number} gain         Gain position
+ * @property {Boolean} expComp     Whether exposure compensation is on
+ * @property {Number} expCompPos   Exposure compensation position
+ * @property {Number} whiteBalance WB mode byte (0x0 = Auto, 0x1 = In Door, 0x2 = Out Door, 0x3 = One Push, 0x5 = Manual)
+ * @property {Number} redGain      Manual white balance red gain (0-255)
+ * @property {Number} blueGain     Manual white balance blue gain (0-255)
+ * @property {Boolean} backlight   Whether backlight compensation is on
+ * @property {Number} videoFormat  Video format byte
+ * @property {Number} colorFormat  Color format byte (0 = RGB, 1 = YPbPr)
+*/
+
+
+// Completion handling for a command handler
+const Done = 'done';   // Send the completion right away
+const Later = 'later'; // The handler completes the socket itself once the camera is done
+
+class SimulatedCamera extends Transport {
+	/**
+	 * @param {Object} [options]
+	 * @param {Number} [options.address=1]      The VISCA address of the simulated camera (1-7)
+	 * @param {Number} [options.latency=2]      Time in ms before the camera answers a message
+	 * @param {Number} [options.panRate=60]     Pan units per second for each step of pan speed
+	 * @param {Number} [options.tiltRate=40]    Tilt units per second for each step of tilt speed
+	 * @param {Number} [options.lensRate=600]   Zoom/focus units per second for each step of lens speed (0-7 maps to 1-8 steps)
+	 * @param {Number[]} [options.panRange]     Mechanical pan range, defaults to [-2224, 2216]
+	 * @param {Number[]} [options.tiltRange]    Mechanical tilt range, defaults to [-400, 1200]
+	 * @param {Number} [options.resetTime=2000] How long the reset (startup) sequence takes in ms
+	 * @param {Object} [options.version]        The reply to `versionInquiry()`: { vendor, model, romRevision, maxSocketNum }
+	 *
+	 * @example
+	 * const camera = new Huddlecam(new SimulatedCamera());
+	 * await camera.moveTo(18, 14, 500, 200);
+	*/
+	constructor(options = {}) {
+		super();
+		this.address = options.address ?? 1;
+		this.latency = options.latency ?? 2;
+		this.panRate = options.panRate ?? 60;
+		this.tiltRate = options.tiltRate ?? 40;
+		this.lensRate = options.lensRate ?? 600;
+		this.panRange = options.panRange ?? [-2224, 2216];
+		this.tiltRange = options.tiltRange ?? [-400, 1200];
+		this.resetTime = options.resetTime ?? 2000;
+		this.version = { vendor: 0x0001, model: 0x0510, romRevision: 0x0100, maxSocketNum: 2, ...options.version };
+		this.isOpen = false;
+
+		/** @type {SimulatorState} */
+		this.state = {
+			power: true,
+			pan: 0,
+			tilt: 0,
+			zoom: 0,
+			focus: 0x1000,
+			autoFocus: true,
+			exposure: 0x0,
+			shutter: 0x06,
+			iris: 0x0B,
+			gain: 0x01,
+			expComp: false,
+			expCompPos: 0x07,
+			whiteBalance: 0x0,
+			redGain: 0x80,
+			blueGain: 0x80,
+			backlight: false,
+			videoFormat: 0x1,
+			colorFormat: 0x0
+		};
+
+		// Preset memory number -> { pan, tilt, zoom }
+		this.presets = new Map();
+		// Pan-tilt limits set with 81 01 06 07, { pan: [min, max], tilt: [min, max] }
+		this.limits = { pan: [...this.panRange], tilt: [...this.tiltRange] };
+
+		// Every message the camera received, as lowercase hex without spaces
+		this.received = [];
+
+		setImmediate(() => {
+			this.isOpen = true;
+			this.emit('open');
+		});
+	}
+
+	// Socket number -> deferred command that is still executing
+	#sockets = new Map();
+	// The current pan-tilt motion, if any
+	#motion = null;
+	#motionTimer = null;
+	// Zoom and focus move independently of pan-tilt: axis -> { dir, speed, target, socket }
+	#lens = { zoom: null, focus: null };
+	#lensTimer = null;
+
+	write(bytes, callback) {
+		if(!this.isOpen) {
+			const err = new Error('Port is not open');
+			if(callback) setImmediate(() => callback(err));
+			return;
+		}
+
+		// Messages are FF terminated, a single write may hold several
+		let start = 0;
+		for(let i = 0; i < bytes.length; i++) {
+			if(bytes[i] !== 0xFF) continue;
+			const msg = Buffer.from(bytes.subarray(start, i + 1));
+			this.received.push(msg.toString('hex'));
+			setTimeout(() => this.#handleMessage(msg), this.latency);
+			start = i + 1;
+		}
+
+		if(callback) setImmediate(() => callback(null));
+	}
+
+	async close() {
+		this.#stopMotion();
+		this.#stopLens('zoom');
+		this.#stopLens('focus');
+		if(!this.isOpen) return;
+		this.isOpen = false;
+		this.emit('close');
+	}
+
+	/**
+	 * Open the camera again after `close()`, like plugging the adapter back in.
+	*/
+	async open() {
+		if(this.isOpen) return;
+		this.isOpen = true;
+		this.emit('open');
+	}
+
+	/**
+	 * Handle one message from the controller.
+	 *
+	 * @param {Buffer} msg A complete FF terminated VISCA message
+	*/
+	#handleMessage(msg) {
+		if(msg[0] === 0x88) return this.#handleBroadcast(msg);
+
+		// Only answer messages for our address
+		if(msg[0] !== 0x80 + this.address) return;
+
+		const kind = msg[1];
+		if(kind === 0x09) return this.#handleInquiry(msg);
+		if((kind & 0xF0) === 0x20) return this.#handleCancel(kind & 0x0F);
+		if(kind !== 0x01) return this.#error(0, ErrorCode.Syntax);
+
+		const handler = this.#handlerFor(msg);
+		if(!handler) return this.#error(0, ErrorCode.Syntax);
+
+		// Only the power command works in standby
+		if(!this.state.power && !(msg[2] === 0x04 && msg[3] === 0x00)) return this.#error(0, ErrorCode.NotExecutable);
+
+		const socket = [1, 2].find((s) => !this.#sockets.has(s));
+		if(!socket) return this.#error(0, ErrorCode.CommandBufferFull);
+
+		const result = handler(msg, socket);
+		if(typeof result === 'number') return this.#error(0, result);
+
+		this.#reply([0x40 | socket]);
+		if(result === Later) this.#sockets.set(socket, msg);
+		else this.#reply([0x50 | socket]);
+	}
+
+	/**
+	 * Handle a broadcast as if this camera was the only one on the line.
+	 *
+	 * @param {Buffer} msg A broadcast message, `88 ... FF`
+	*/
+	#handleBroadcast(msg) {
+		const hex = msg.toString('hex');
+
+		// AddressSet: 88 30 0w FF, take address w and pass w + 1 on
+		if(msg[1] === 0x30 && msg.length === 4) {
+			this.address = msg[2];
+			return this.#broadcast([0x30, msg[2] + 1]);
+		}
+		// IF_Clear: 88 01 00 01 FF, drop everything that is executing
+		if(hex === '88010001ff') {
+			this.clear();
+			return this.#broadcast([0x01, 0x00, 0x01]);
+		}
+	}
+
+	/**
+	 * Forget every executing command without answering, like IF_Clear does.
+	*/
+	clear() {
+		this.#stopMotion();
+		this.#stopLens('zoom');
+		this.#stopLens('focus');
+		this.#sockets.clear();
+	}
+
+	/**
+	 * Find the handler for a command, handlers return `Done`, `Later` or an `ErrorCode`.
+	 *
+	 * @param {Buffer} msg The command
+	 * @returns {Function|undefined}
+	*/
+	#handlerFor(msg) {
+		const key = msg.subarray(2, 4).toString('hex');
+		const value = (i) => msg[i] ?? -1;
+		const oneOf = (i, ...options) => options.includes(value(i));
+
+		switch(key) {
+			// CAM_Power: 81 01 04 00 0p FF, p = 2 (On) / 3 (Off)
+			case '0400': return () => {
+				if(msg.length !== 6 || !oneOf(4, 0x02, 0x03)) return ErrorCode.Syntax;
+				this.state.power = value(4) === 0x02;
+				if(!this.state.power) this.#stopMotion(ErrorCode.CommandCanceled);
+				return Done;
+			};
+			// CAM_BackLight: 81 01 04 33 0p FF, p = 2 (On) / 3 (Off)
+			case '0433': return () => {
+				if(msg.length !== 6 || !oneOf(4, 0x02, 0x03)) return ErrorCode.Syntax;
+				this.state.backlight = value(4) === 0x02;
+				return Done;
+			};
+			// CAM_AE: 81 01 04 39 0p FF
+			case '0439': return () => {
+				if(msg.length !== 6 || !oneOf(4, 0x00, 0x03, 0x0A, 0x0B)) return ErrorCode.Syntax;
+				this.state.exposure = value(4);
+				return Done;
+			};
+			// CAM_Zoom: 81 01 04 07 pp FF, 00 = Stop, 02/03 = Tele/Wide (standard), 2p/3p = Tele/Wide (variable)
+			case '0407': return () => {
+				if(msg.length !== 6) return ErrorCode.Syntax;
+				return this.#lensDrive('zoom', value(4), 0x4000, 0x0000);
+			};
+			// CAM_Focus: 81 01 04 08 pp FF, 00 = Stop, 02/03 = Far/Near (standard), 2p/3p = Far/Near (variable)
+			case '0408': return () => {
+				if(msg.length !== 6) return ErrorCode.Syntax;
+				if(this.state.autoFocus) return ErrorCode.NotExecutable;
+				return this.#lensDrive('focus', value(4), 0x1000, 0xC000);
+			};
+			// CAM_Focus Auto/Manual: 81 01 04 38 0p FF, p = 2 (Auto) / 3 (Manual) / 10 (Toggle)
+			case '0438': return () => {
+				if(msg.length !== 6 || !oneOf(4, 0x02, 0x03, 0x10)) return ErrorCode.Syntax;
+				this.state.autoFocus = value(4) === 0x10 ? !this.state.autoFocus : value(4) === 0x02;
+				return Done;
+			};
+			// CAM_Focus One Push Trigger: 81 01 04 18 01 FF
+			case '0418': return () => {
+				if(msg.length !== 6 || value(4) !== 0x01) return ErrorCode.Syntax;
+				if(this.state.autoFocus) return ErrorCode.NotExecutable;
+				this.state.focus = 0x1000 + Math.round(this.state.zoom / 2); // Pretend the subject is closer when zoomed in
+				return Done;
+			};
+			// CAM_Zoom Direct: 81 01 04 47 0p 0q 0r 0s FF, CAM_ZoomFocus Direct: ... 0t 0u 0v 0w FF
+			case '0447': return (_, socket) => {
+				if(msg.length !== 9 && msg.length !== 13) return ErrorCode.Syntax;
+				const zoom = this.#readNibbles(msg, 4, false);
+				const focus = msg.length === 13 ? this.#readNibbles(msg, 8, false) : undefined;
+				if(zoom === null || zoom > 0x4000 || focus === null || focus < 0x1000 || focus > 0xC000) return ErrorCode.Syntax;
+
+				if(focus !== undefined && !this.state.autoFocus) this.state.focus = focus;
+				this.#startLens('zoom', { target: zoom, speed: 7, socket });
+				return Later;
+			};
+			// CAM_Focus Direct: 81 01 04 48 0p 0q 0r 0s FF
+			case '0448': return () => {
+				if(msg.length !== 9) return ErrorCode.Syntax;
+				const focus = this.#readNibbles(msg, 4, false);
+				if(focus === null || focus < 0x1000 || focus > 0xC000) return ErrorCode.Syntax;
+				if(this.state.autoFocus) return ErrorCode.NotExecutable;
+
+				this.state.focus = focus;
+				return Done;
+			};
+			// CAM_Shutter/Iris/Gain/ExpComp: 81 01 04 0X 0p FF, p = 0 (Reset) / 2 (Up) / 3 (Down)
+			case '040a':
+			case '040b':
+			case '040c':
+			case '040e': return () => {
+				if(msg.length !== 6 || !oneOf(4, 0x00, 0x02, 0x03)) return ErrorCode.Syntax;
+				const setting = this.#exposureSetting(msg[3] & 0x0F);
+				if(!setting.allowed) return ErrorCode.NotExecutable;
+
+				const current = this.state[setting.key];
+				switch(value(4)) {
+					case 0x00: this.state[setting.key] = setting.reset; break;
+					case 0x02: this.state[setting.key] = Math.min(setting.max, current + 1); break;
+					case 0x03: this.state[setting.key] = Math.max(0, current - 1); break;
+				};
+				return Done;
+			};
+			// CAM_Shutter/Iris/Gain/ExpComp Direct: 81 01 04 4X 00 00 0p 0q FF
+			case '044a':
+			case '044b':
+			case '044c':
+			case '044e': return () => {
+				if(msg.length !== 9 || value(4) !== 0x00 || value(5) !== 0x00 || value(6) > 0x0F || value(7) > 0x0F) return ErrorCode.Syntax;
+				const setting = this.#exposureSetting(msg[3] & 0x0F);
+				const position = (value(6) << 4) | value(7);
+				if(position > setting.max) return ErrorCode.Syntax;
+				if(!setting.allowed) return ErrorCode.NotExecutable;
+
+				this.state[setting.key] = position;
+				return Done;
+			};
+			// CAM_ExpComp On/Off: 81 01 04 3E 0p FF, p = 2 (On) / 3 (Off)
+			case '043e': return () => {
+				if(msg.length !== 6 || !oneOf(4, 0x02, 0x03)) return ErrorCode.Syntax;
+				this.state.expComp = value(4) === 0x02;
+				return Done;
+			};
+			// CAM_WB: 81 01 04 35 0p FF
+			case '0435': return () => {
+				if(msg.length !== 6 || !oneOf(4, 0x00, 0x01, 0x02, 0x03, 0x05)) return ErrorCode.Syntax;
+				this.state.whiteBalance = value(4);
+				return Done;
+			};
+			// CAM_WB One Push Trigger: 81 01 04 10 05 FF
+			case '0410': return () => {
+				if(msg.length !== 6 || value(4) !== 0x05) return ErrorCode.Syntax;
+				if(this.state.whiteBalance !== 0x3) return ErrorCode.NotExecutable;
+				return Done;
+			};
+			// CAM_RGain/BGain: 81 01 04 0[3|4] 0p FF, p = 0 (Reset) / 2 (Up) / 3 (Down)
+			case '0403':
+			case '0404': return () => {
+				if(msg.length !== 6 || !oneOf(4, 0x00, 0x02, 0x03)) return ErrorCode.Syntax;
+				if(this.state.whiteBalance !== 0x5) return ErrorCode.NotExecutable;
+
+				const key = msg[3] === 0x03 ? 'redGain' : 'blueGain';
+				switch(value(4)) {
+					case 0x00: this.state[key] = 0x80; break;
+					case 0x02: this.state[key] = Math.min(0xFF, this.state[key] + 1); break;
+					case 0x03: this.state[key] = Math.max(0x00, this.state[key] - 1); break;
+				};
+				return Done;
+			};
+			// CAM_RGain/BGain Direct: 81 01 04 4[3|4] 00 00 0p 0q FF
+			case '0443':
+			case '0444': return () => {
+				if(msg.length !== 9 || value(4) !== 0x00 || value(5) !== 0x00 || value(6) > 0x0F || value(7) > 0x0F) return ErrorCode.Syntax;
+				if(this.state.whiteBalance !== 0x5) return ErrorCode.NotExecutable;
+
+				this.state[msg[3] === 0x43 ? 'redGain' : 'blueGain'] = (value(6) << 4) | value(7);
+				return Done;
+			};
+			// CAM_Memory: 81 01 04 3F 0p pp FF, p = 0 (Reset) / 1 (Set) / 2 (Recall)
+			case '043f': return (_, socket) => {
+				if(msg.length !== 7 || !oneOf(4, 0x00, 0x01, 0x02) || value(5) > 0x7F) return ErrorCode.Syntax;
+				const preset = value(5);
+				switch(value(4)) {
+					case 0x00: this.presets.delete(preset); return Done;
+					case 0x01: this.presets.set(preset, { pan: this.state.pan, tilt: this.state.tilt, zoom: this.state.zoom }); return Done;
+				};
+
+				// Recalling an empty memory leaves the camera where it is
+				const stored = this.presets.get(preset);
+				if(!stored) return Done;
+				this.state.zoom = stored.zoom;
+				this.#startMotion({ panTarget: this.#clamp(stored.pan, this.limits.pan), tiltTarget: this.#clamp(stored.tilt, this.limits.tilt), panSpeed: 0x18, tiltSpeed: 0x14, socket });
+				return Later;
+			};
+			// Pan-tiltDrive: 81 01 06 01 VV WW 0p 0q FF
+			case '0601': return () => {
+				if(msg.length !== 9 || !oneOf(6, 0x01, 0x02, 0x03) || !oneOf(7, 0x01, 0x02, 0x03)) return ErrorCode.Syntax;
+
+				// 01 = left/up, 02 = right/down, 03 = stop
+				const panDir = { 1: -1, 2: 1, 3: 0 }[value(6)];
+				const tiltDir = { 1: 1, 2: -1, 3: 0 }[value(7)];
+				if(panDir === 0 && tiltDir === 0) {
+					// Stop doesn't care about the speed bytes
+					this.#stopMotion(ErrorCode.CommandCanceled);
+					return Done;
+				}
+
+				const speeds = this.#speeds(msg);
+				if(!speeds) return ErrorCode.Syntax;
+				this.#startMotion({ panDir, tiltDir, ...speeds });
+				return Done;
+			};
+			// Pan-tiltDrive absolute/relative: 81 01 06 0[2|3] VV WW 0Y 0Y 0Y 0Y 0Z 0Z 0Z 0Z FF
+			case '0602':
+			case '0603': return (_, socket) => {
+				if(msg.length !== 15) return ErrorCode.Syntax;
+				const speeds = this.#speeds(msg);
+				if(!speeds) return ErrorCode.Syntax;
+
+				let pan = this.#readNibbles(msg, 6);
+				let tilt = this.#readNibbles(msg, 10);
+				if(pan === null || tilt === null) return ErrorCode.Syntax;
+				if(key === '0603') {
+					pan += this.state.pan;
+					tilt += this.state.tilt;
+				}
+
+				this.#startMotion({ panTarget: this.#clamp(pan, this.limits.pan), tiltTarget: this.#clamp(tilt, this.limits.tilt), socket, ...speeds });
+				return Later;
+			};
+			// Pan-tiltDrive Home: 81 01 06 04 FF
+			case '0604': return (_, socket) => {
+				if(msg.length !== 5) return ErrorCode.Syntax;
+				this.#startMotion({ panTarget: this.#clamp(0, this.limits.pan), tiltTarget: this.#clamp(0, this.limits.tilt), panSpeed: 0x18, tiltSpeed: 0x14, socket });
+				return Later;
+			};
+			// Pan-tiltLimitSet: 81 01 06 07 00 0W 0Y 0Y 0Y 0Y 0Z 0Z 0Z 0Z FF, clear: 81 01 06 07 01 0W 07 0F 0F 0F 07 0F 0F 0F FF
+			// W = 1 for the up-right corner, 0 for down-left
+			case '0607': return () => {
+				if(msg.length !== 15 || !oneOf(4, 0x00, 0x01) || !oneOf(5, 0x00, 0x01)) return ErrorCode.Syntax;
+				const side = value(5); // Index into [min, max]
+				if(value(4) === 0x01) {
+					this.limits.pan[side] = this.panRange[side];
+					this.limits.tilt[side] = this.tiltRange[side];
+					return Done;
+				}
+
+				const pan = this.#readNibbles(msg, 6);
+				const tilt = this.#readNibbles(msg, 10);
+				if(pan === null || tilt === null) return ErrorCode.Syntax;
+				this.limits.pan[side] = this.#clamp(pan, this.panRange);
+				this.limits.tilt[side] = this.#clamp(tilt, this.tiltRange);
+				return Done;
+			};
+			// Pan-tiltDrive Reset: 81 01 06 05 FF
+			case '0605': return (_, socket) => {
+				if(msg.length !== 5) return ErrorCode.Syntax;
+				this.#stopMotion(ErrorCode.CommandCanceled);
+				this.#motion = { socket };
+				this.#motionTimer = setTimeout(() => {
+					this.state.pan = 0;
+					this.state.tilt = 0;
+					this.#motion = null;
+					this.#complete(socket);
+				}, this.resetTime);
+				return Later;
+			};
+		};
+	}
+
+	/**
+	 * Which state an exposure command changes, and whether the current AE mode allows it.
+	 *
+	 * @param {Number} id The low nibble of the command byte (A = shutter, B = iris, C = gain, E = exposure compensation)
+	 * @returns {{ key: String, max: Number, reset: Number, allowed: Boolean }}
+	*/
+	#exposureSetting(id) {
+		const mode = this.state.exposure;
+		switch(id) {
+			case 0xA: return { key: 'shutter', max: 0x15, reset: 0x06, allowed: mode === 0x3 || mode === 0xA };
+			case 0xB: return { key: 'iris', max: 0x11, reset: 0x0B, allowed: mode === 0x3 || mode === 0xB };
+			case 0xC: return { key: 'gain', max: 0x0F, reset: 0x01, allowed: mode === 0x3 };
+			case 0xE: return { key: 'expCompPos', max: 0x0E, reset: 0x07, allowed: mode !== 0x3 && this.state.expComp };
+		};
+	}
+
+	/**
+	 * Answer an inquiry with `y0 50 ... FF`.
+	 *
+	 * @param {Buffer} msg The inquiry
+	*/
+	#handleInquiry(msg) {
+		const s = this.state;
+		const key = msg.subarray(2, msg.length - 1).toString('hex');
+
+		switch(key) {
+			case '0400': return this.#reply([0x50, s.power ? 0x02 : 0x03]);
+			case '0447': return this.#reply([0x50, ...this.#nibbles(Math.round(s.zoom))]);
+			case '0448': return this.#reply([0x50, ...this.#nibbles(Math.round(s.focus))]);
+			case '0438': return this.#reply([0x50, s.autoFocus ? 0x02 : 0x03]);
+			case '0435': return this.#reply([0x50, s.whiteBalance]);
+			case '0439': return this.#reply([0x50, s.exposure]);
+			case '044a': return this.#reply([0x50, 0x00, 0x00, s.shutter >> 4, s.shutter & 0x0F]);
+			case '044b': return this.#reply([0x50, 0x00, 0x00, s.iris >> 4, s.iris & 0x0F]);
+			case '0443': return this.#reply([0x50, 0x00, 0x00, s.redGain >> 4, s.redGain & 0x0F]);
+			case '0444': return this.#reply([0x50, 0x00, 0x00, s.blueGain >> 4, s.blueGain & 0x0F]);
+			case '044c': return this.#reply([0x50, 0x00, 0x00, s.gain >> 4, s.gain & 0x0F]);
+			case '043e': return this.#reply([0x50, s.expComp ? 0x02 : 0x03]);
+			case '044e': return this.#reply([0x50, 0x00, 0x00, s.expCompPos >> 4, s.expCompPos & 0x0F]);
+			case '0433': return this.#reply([0x50, s.backlight ? 0x02 : 0x03]);
+			case '0002': {
+				const v = this.version;
+				return this.#reply([0x50, v.vendor >> 8, v.vendor & 0xFF, v.model >> 8, v.model & 0xFF, v.romRevision >> 8, v.romRevision & 0xFF, v.maxSocketNum]);
+			}
+			case '0623': return this.#reply([0x50, s.videoFormat]);
+			case '0612': return this.#reply([0x50, ...this.#nibbles(Math.round(s.pan)), ...this.#nibbles(Math.round(s.tilt))]);
+			case '7e0103': return this.#reply([0x50, s.colorFormat]);
+		};
+
+		this.#error(0, ErrorCode.Syntax);
+	}
+
+	/**
+	 * Cancel the command running in a socket, `y0 6p 04 FF` or `y0 6p 05 FF` if there is none.
+	 *
+	 * @param {Number} socket The socket to cancel
+	*/
+	#handleCancel(socket) {
+		if(!this.#sockets.has(socket)) return this.#error(socket, ErrorCode.NoSocket);
+
+		if(this.#motion?.socket === socket) this.#stopMotion();
+		this.#sockets.delete(socket);
+		this.#error(socket, ErrorCode.CommandCanceled);
+	}
+
+	/**
+	 * Start a new pan-tilt motion, replacing the current one.
+	 *
+	 * @param {Object} motion Either `panDir`/`tiltDir` (-1, 0, 1) for a continuous drive or `panTarget`/`tiltTarget`
+	*/
+	#startMotion(motion) {
+		this.#stopMotion(ErrorCode.CommandCanceled);
+
+		this.#motion = { ...motion, last: Date.now() };
+		this.#motionTimer = setInterval(() => this.#stepMotion(), 20);
+	}
+
+	/**
+	 * Stop the current motion.
+	 *
+	 * @param {Number} [errorCode] If given, the socket of an interrupted absolute move is answered with this error
+	*/
+	#stopMotion(errorCode) {
+		clearInterval(this.#motionTimer);
+		clearTimeout(this.#motionTimer);
+		this.#motionTimer = null;
+
+		const socket = this.#motion?.socket;
+		this.#motion = null;
+		if(socket && errorCode !== undefined && this.#sockets.has(socket)) {
+			this.#sockets.delete(socket);
+			this.#error(socket, errorCode);
+		}
+	}
+
+	#stepMotion() {
+		const m = this.#motion;
+		const now = Date.now();
+		const dt = (now - m.last) / 1000;
+		m.last = now;
+
+		const panStep = m.panSpeed * this.panRate * dt;
+		const tiltStep = m.tiltSpeed * this.tiltRate * dt;
+
+		if(m.panTarget !== undefined) {
+			this.state.pan = this.#approach(this.state.pan, m.panTarget, panStep);
+			this.state.tilt = this.#approach(this.state.tilt, m.tiltTarget, tiltStep);
+			if(this.state.pan === m.panTarget && this.state.tilt === m.tiltTarget) {
+				this.#stopMotion();
+				this.#complete(m.socket);
+			}
+		} else {
+			// Continuous drives stop at the limits (or the mechanical end), but keep "running" until the stop command
+			this.state.pan = this.#clamp(this.state.pan + m.panDir * panStep, this.limits.pan);
+			this.state.tilt = this.#clamp(this.state.tilt + m.tiltDir * tiltStep, this.limits.tilt);
+		}
+	}
+
+	/**
+	 * Start or stop a continuous zoom/focus drive from the `pp` byte of CAM_Zoom/CAM_Focus.
+	 *
+	 * @param {String} axis   `zoom` or `focus`
+	 * @param {Number} pp     00 = stop, 02/03 = standard speed, 2p/3p = variable speed
+	 * @param {Number} end2   Where the 02/2p direction ends (zoom tele, focus far)
+	 * @param {Number} end3   Where the 03/3p direction ends (zoom wide, focus near)
+	 * @returns {String|Number} `Done` or `ErrorCode.Syntax`
+	*/
+	#lensDrive(axis, pp, end2, end3) {
+		if(pp === 0x00) {
+			this.#stopLens(axis, ErrorCode.CommandCanceled);
+			return Done;
+		}
+
+		const standard = pp === 0x02 || pp === 0x03;
+		const variable = (pp & 0xF0) === 0x20 || (pp & 0xF0) === 0x30;
+		if(!standard && !variable) return ErrorCode.Syntax;
+		if(variable && (pp & 0x0F) > 7) return ErrorCode.Syntax;
+
+		const toEnd2 = pp === 0x02 || (pp & 0xF0) === 0x20;
+		this.#startLens(axis, { target: toEnd2 ? end2 : end3, speed: standard ? 3 : pp & 0x0F });
+		return Done;
+	}
+
+	#startLens(axis, motion) {
+		this.#stopLens(axis, ErrorCode.CommandCanceled);
+		this.#lens[axis] = { ...motion, last: Date.now() };
+		if(!this.#lensTimer) this.#lensTimer = setInterval(() => this.#stepLens(), 20);
+	}
+
+	#stopLens(axis, errorCode) {
+		const socket = this.#lens[axis]?.socket;
+		this.#lens[axis] = null;
+		if(!this.#lens.zoom && !this.#lens.focus) {
+			clearInterval(this.#lensTimer);
+			this.#lensTimer = null;
+		}
+
+		if(socket && errorCode !== undefined && this.#sockets.has(socket)) {
+			this.#sockets.delete(socket);
+			this.#error(socket, errorCode);
+		}
+	}
+
+	#stepLens() {
+		const now = Date.now();
+		for(const axis of ['zoom', 'focus']) {
+			const m = this.#lens[axis];
+			if(!m) continue;
+
+			const dt = (now - m.last) / 1000;
+			m.last = now;
+			this.state[axis] = this.#approach(this.state[axis], m.target, (m.speed + 1) * this.lensRate * dt);
+			if(this.state[axis] !== m.target) continue;
+
+			// Continuous drives stay "running" at the end stop, direct positioning completes
+			if(m.socket) {
+				this.#stopLens(axis);
+				this.#complete(m.socket);
+			}
+		}
+	}
+
+	#complete(socket) {
+		if(!this.#sockets.has(socket)) return;
+		this.#sockets.delete(socket);
+		this.#reply([0x50 | socket]);
+	}
+
+	/**
+	 * Decode and validate the VV WW speed bytes of a pan-tilt command.
+	 * @returns {{ panSpeed: Number, tiltSpeed: Number }|null}
+	*/
+	#speeds(msg) {
+		const panSpeed = msg[4];
+		const tiltSpeed = msg[5];
+		if(panSpeed < 0x01 || panSpeed > 0x18 || tiltSpeed < 0x01 || tiltSpeed > 0x14) return null;
+		return { panSpeed, tiltSpeed };
+	}
+
+	#approach(from, to, step) {
+		if(Math.abs(to - from) <= step) return to;
+		return from + Math.sign(to - from) * step;
+	}
+	#clamp(value, [min, max]) {
+		return Math.min(max, Math.max(min, value));
+	}
+
+	/**
+	 * Read a 16 bit value spread over four 0p bytes.
+	 * @param {Boolean} [signed=true] Whether the value is a signed position
+	 * @returns {Number|null} The value, or null if a byte has its upper nibble set
+	*/
+	#readNibbles(msg, offset, signed = true) {
+		let value = 0;
+		for(let i = 0; i < 4; i++) {
+			if(msg[offset + i] > 0x0F) return null;
+			value = (value << 4) | msg[offset + i];
+		}
+		return signed && value >= 0x8000 ? value - 0x10000 : value;
+	}
+	#nibbles(value) {
+		if(value < 0) value += 0x10000;
+		return [(value >> 12) & 0x0F, (value >> 8) & 0x0F, (value >> 4) & 0x0F, value & 0x0F];
+	}
+
+	/**
+	 * Send a broadcast reply `88 ... FF`.
+	 * @param {Number[]} bytes The reply without the broadcast header and terminator
+	*/
+	#broadcast(bytes) {
+		this.#send(Buffer.from([0x88, ...bytes, 0xFF]));
+	}
+	#error(socket, code) {
+		this.#reply([0x60 | socket, code]);
+	}
+	/**
+	 * Send a reply `y0 ... FF` from this camera.
+	 * @param {Number[]} bytes The reply without the address byte and terminator
+	*/
+	#reply(bytes) {
+		this.#send(Buffer.from([(this.address + 8) << 4, ...bytes, 0xFF]));
+	}
+	#send(frame) {
+		setTimeout(() => {
+			if(!this.isOpen) return;
+			this.emit('data', frame);
+			this.emit('frame', frame);
+		}, this.latency);
+	}
+}
+
+class SimulatedChain extends Transport {
+	/**
+	 * Several simulated cameras daisy chained on one line. Each camera only answers its own address,
+	 * broadcasts are handled by the chain as a whole.
+	 *
+	 * @param {Number} [count=2]  How many cameras are on the chain
+	 * @param {Object} [options]  Options passed to every `SimulatedCamera`
+	 *
+	 * @example
+	 * const chain = new SimulatedChain(3);
+	 * const cameras = [1, 2, 3].map((address) => new Huddlecam(chain, null, { address }));
+	 * await cameras[0].addressSet(); // 3
+	*/
+	constructor(count = 2, options = {}) {
+		super();
+		this.latency = options.latency ?? 2;
+		this.isOpen = false;
+		this.cameras = [];
+		this.received = [];
+
+		for(let i = 0; i < count; i++) {
+			const camera = new SimulatedCamera({ ...options, address: i + 1 });
+			camera.on('data', (data) => this.emit('data', data));
+			camera.on('frame', (frame) => this.emit('frame', frame));
+			this.cameras.push(camera);
+		}
+
+		setImmediate(() => {
+			this.isOpen = true;
+			this.emit('open');
+		});
+	}
+
+	write(bytes, callback) {
+		if(!this.isOpen) {
+			const err = new Error('Port is not open');
+			if(callback) setImmediate(() => callback(err));
+			return;
+		}
+		this.received.push(bytes.toString('hex'));
+
+		// Broadcasts pass through every camera before they come back to the controller
+		if(bytes[0] === 0x88) {
+			if(bytes[1] === 0x30) {
+				let next = bytes[2];
+				this.cameras.forEach((camera) => camera.address = next++);
+				this.#reply(Buffer.from([0x88, 0x30, next, 0xFF]));
+			} else if(bytes[1] === 0x01) {
+				this.cameras.forEach((camera) => camera.clear());
+				this.#reply(Buffer.from(bytes));
+			}
+			if(callback) setImmediate(() => callback(null));
+			return;
+		}
+
+		let pending = this.cameras.length;
+		this.cameras.forEach((camera) => camera.write(bytes, () => {
+			if(--pending === 0 && callback) callback(null);
+		}));
+	}
+
+	async close() {
+		await Promise.all(this.cameras.map((camera) => camera.close()));
+		if(!this.isOpen) return;
+		this.isOpen = false;
+		this.emit('close');
+	}
+
+	async open() {
+		await Promise.all(this.cameras.map((camera) => camera.open()));
+		if(this.isOpen) return;
+		this.isOpen = true;
+		this.emit('open');
+	}
+
+	#reply(frame) {
+		setTimeout(() => {
+			this.emit('data', frame);
+			this.emit('frame', frame);
+		}, this.latency);
+	}
+}
+
+export { SimulatedCamera, SimulatedChain };
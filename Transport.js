@@ -0,0 +1,347 @@
+// Byte transports for VISCA cameras
+// Serial: RS-232/USB, replies are split on the FF terminator
+// UDP: VISCA over IP (Sony style), every message is wrapped in an 8 byte header
+
+
+import { SerialPort, DelimiterParser } from 'serialport';
+import { EventEmitter } from 'events';
+import dgram from 'dgram';
+import net from 'net';
+
+/**
+ * Base class for everything that can carry VISCA bytes to a camera.
+ *
+ * Transports emit:
+ * - `open`  once the camera can be written to
+ * - `close` when the connection is gone
+ * - `error` with an Error
+ * - `data`  with every raw chunk that was received
+ * - `frame` with every complete FF terminated VISCA reply
+ *
+ * and have an `isOpen` property that is true while the camera can be written to.
+*/
+class Transport extends EventEmitter {
+	/**
+	 * Write a complete VISCA message to the camera.
+	 *
+	 * @param {Buffer} bytes              The VISCA message, including the FF terminator
+	 * @param {Function} [callback]       Called with an Error if the write failed
+	*/
+	write(bytes, callback) {
+		throw new Error(`${this.constructor.name} does not implement write()`);
+	}
+
+	/**
+	 * Close the connection to the camera.
+	 * @returns {Promise<void>}
+	*/
+	async close() {}
+}
+
+class SerialTransport extends Transport {
+	/**
+	 * @param {String} path     The serial port the camera is connected to, e.g. `/dev/ttyUSB0` or `COM3`
+	 * @param {Number} baudRate The baud rate of the serial port
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.reconnect=true] Open the port again when it can't be opened or disappears, e.g. when the adapter is unplugged
+	 * @param {Number} [options.minDelay=500]    Time in ms before the first reconnect attempt, doubled on every failed attempt
+	 * @param {Number} [options.maxDelay=30000]  Longest time in ms between reconnect attempts
+	 *
+	 * @note Emits `reconnecting` with { attempt, delay, error } before every reconnect attempt
+	*/
+	constructor(path, baudRate, options = {}) {
+		super();
+		this.path = path;
+		this.baudRate = baudRate;
+		this.reconnect = options.reconnect ?? true;
+		this.minDelay = options.minDelay ?? 500;
+		this.maxDelay = options.maxDelay ?? 30000;
+		this.attempt = 0;
+		this.serial = null;
+
+		this.#connect();
+	}
+
+	// Set once close() was called, so the port stays closed
+	#closing = false;
+	#reconnectTimer = null;
+
+	/**
+	 * List the serial ports on this machine, to find the camera's adapter.
+	 * @returns {Promise<Object[]>} The ports, e.g. [{ path: '/dev/ttyUSB0', manufacturer: 'FTDI', serialNumber: 'A10K5XYZ', ... }]
+	*/
+	static list() {
+		return SerialPort.list();
+	}
+
+	get isOpen() {
+		return this.serial?.isOpen ?? false;
+	}
+
+	write(bytes, callback) {
+		this.serial.write(bytes, callback);
+	}
+
+	/**
+	 * Move to another serial port, e.g. after the adapter got a different name. The transport emits `close`
+	 * for the old port and `open` once the new one is open.
+	 *
+	 * @param {String} path       The new serial port
+	 * @param {Number} [baudRate] The new baud rate, defaults to the current one
+	 * @returns {Promise<void>} Resolves once the new port is open, rejects if it couldn't be opened (it keeps retrying)
+	*/
+	async switchPort(path, baudRate = this.baudRate) {
+		clearTimeout(this.#reconnectTimer);
+		this.#reconnectTimer = null;
+
+		const old = this.serial;
+		this.serial = null;
+		if(old?.isOpen) {
+			await new Promise((resolve) => old.close(() => resolve()));
+			this.emit('close');
+		}
+
+		this.path = path;
+		this.baudRate = baudRate;
+		this.attempt = 0;
+		this.#closing = false;
+		return new Promise((resolve, reject) => this.#connect((err) => err ? reject(err) : resolve()));
+	}
+
+	close() {
+		this.#closing = true;
+		clearTimeout(this.#reconnectTimer);
+		this.#reconnectTimer = null;
+
+		return new Promise((resolve) => {
+			if(!this.serial?.isOpen) return resolve();
+			this.serial.close(() => resolve());
+		});
+	}
+
+	#connect(callback) {
+		const serial = new SerialPort({ path: this.path, baudRate: this.baudRate, autoOpen: false });
+		this.serial = serial;
+
+		// Forward all serial events, as long as this is still the port in use
+		serial.on('open', () => {
+			this.attempt = 0;
+			this.emit('open');
+		});
+		serial.on('close', () => {
+			if(this.serial !== serial) return;
+			this.emit('close');
+			this.#scheduleReconnect(null);
+		});
+		serial.on('data', (data) => this.emit('data', data));
+		serial.on('error', (error) => this.emit('error', error));
+
+		// Split the serial stream into FF terminated reply frames
+		this.parser = serial.pipe(new DelimiterParser({ delimiter: [0xFF], includeDelimiter: true }));
+		this.parser.on('data', (frame) => this.emit('frame', frame));
+
+		this.#open(callback);
+	}
+
+	#open(callback) {
+		const serial = this.serial;
+		serial.open((err) => {
+			callback?.(err);
+			if(!err || this.serial !== serial) return;
+
+			// Only report the first failure, the reconnect attempts are reported with `reconnecting`
+			if(this.attempt === 0 && !callback) this.emit('error', err);
+			this.#scheduleReconnect(err);
+		});
+	}
+
+	#scheduleReconnect(error) {
+		if(this.#closing || !this.reconnect || this.#reconnectTimer) return;
+
+		const delay = Math.min(this.maxDelay, this.minDelay * 2 ** this.attempt);
+		this.attempt++;
+		this.emit('reconnecting', { attempt: this.attempt, delay, error });
+		this.#reconnectTimer = setTimeout(() => {
+			this.#reconnectTimer = null;
+			if(this.serial && !this.serial.isOpen) this.#open();
+		}, delay);
+	}
+}
+
+
+const PayloadType = {
+	ViscaCommand: 0x0100,
+	ViscaInquiry: 0x0110,
+	ViscaReply: 0x0111,
+	DeviceSetting: 0x0120,
+	ControlCommand: 0x0200,
+	ControlReply: 0x0201
+};
+
+class UdpTransport extends Transport {
+	/**
+	 * @param {String} host                         The IP address of the camera
+	 * @param {Number} [port=52381]                 The VISCA over IP port of the camera
+	 * @param {Object} [options]
+	 * @param {Number} [options.retransmitInterval=200] Time in ms to wait for a reply before sending a message again
+	 * @param {Number} [options.retries=3]          How often a message is sent again before the sequence is reset
+	 *
+	 * @note Header: TT TT LL LL SS SS SS SS
+	 *	TTTT: Payload type (0100=VISCA command, 0110=VISCA inquiry, 0111=VISCA reply, 0200=control command, 0201=control reply)
+	 *	LLLL: Payload length
+	 *	SSSSSSSS: Sequence number
+	*/
+	constructor(host, port = 52381, options = {}) {
+		super();
+		this.host = host;
+		this.port = port;
+		this.retransmitInterval = options.retransmitInterval ?? 200;
+		this.retries = options.retries ?? 3;
+		this.sequence = 0;
+		this.isOpen = false;
+
+		this.socket = dgram.createSocket('udp4');
+		this.socket.on('message', (msg, rinfo) => this.#handleMessage(msg, rinfo));
+		this.socket.on('error', (error) => this.emit('error', error));
+		this.socket.on('close', () => {
+			this.isOpen = false;
+			this.emit('close');
+		});
+		this.socket.bind(options.localPort ?? 0, () => this.resetSequence());
+	}
+
+	// Sequence number (or `reset` for the RESET control command) -> message that hasn't been answered yet
+	#unanswered = new Map();
+
+	write(bytes, callback) {
+		const type = bytes[1] === 0x09 ? PayloadType.ViscaInquiry : PayloadType.ViscaCommand;
+		this.#send(type, bytes, callback);
+	}
+
+	/**
+	 * Send the RESET control command, which sets the sequence number back to 0 on both ends.
+	 * The transport emits `open` once the camera confirms the first reset.
+	*/
+	resetSequence() {
+		this.#unanswered.forEach((msg) => clearTimeout(msg.timer));
+		this.#unanswered.clear();
+		this.#send(PayloadType.ControlCommand, Buffer.from([0x01]));
+		this.sequence = 0; // The camera ignores the sequence number of the RESET itself
+	}
+
+	close() {
+		return new Promise((resolve) => {
+			this.#unanswered.forEach((msg) => clearTimeout(msg.timer));
+			this.#unanswered.clear();
+			this.socket.close(() => resolve());
+		});
+	}
+
+	/**
+	 * Wrap a payload in the VISCA over IP header and send it, resending it until the camera answers.
+	 *
+	 * @param {Number} type         One of the `PayloadType` values
+	 * @param {Buffer} payload      The message to send
+	 * @param {Function} [callback] Called with an Error if the datagram couldn't be sent
+	*/
+	#send(type, payload, callback) {
+		const seq = this.sequence;
+		const key = type === PayloadType.ControlCommand ? 'reset' : seq;
+		this.sequence = (this.sequence + 1) >>> 0;
+
+		const packet = Buffer.alloc(8 + payload.length);
+		packet.writeUInt16BE(type, 0);
+		packet.writeUInt16BE(payload.length, 2);
+		packet.writeUInt32BE(seq, 4);
+		payload.copy(packet, 8);
+
+		const msg = { packet, attempts: 0, timer: null };
+		const done = (err) => {
+			if(callback) {
+				const cb = callback;
+				callback = null;
+				cb(err);
+			} else if(err) {
+				this.emit('error', err);
+			}
+		};
+		const transmit = () => {
+			msg.attempts++;
+			this.socket.send(packet, this.port, this.host, (err) => {
+				if(err) {
+					clearTimeout(msg.timer);
+					this.#unanswered.delete(key);
+				}
+				done(err);
+			});
+
+			msg.timer = setTimeout(() => {
+				if(msg.attempts <= this.retries) return transmit();
+
+				if(type === PayloadType.ControlCommand) {
+					// The camera doesn't answer the RESET, consider it gone but keep trying
+					if(this.isOpen) {
+						this.isOpen = false;
+						this.emit('close');
+					}
+					msg.attempts = 0;
+					return transmit();
+				}
+
+				// The camera lost track of us, start over with a fresh sequence
+				this.#unanswered.delete(key);
+				this.emit('error', new Error(`No reply from ${this.host}:${this.port} for sequence ${seq}, resetting`));
+				this.resetSequence();
+			}, this.retransmitInterval);
+		};
+
+		this.#unanswered.set(key, msg);
+		transmit();
+	}
+
+	#handleMessage(msg, rinfo) {
+		if((net.isIP(this.host) && rinfo.address !== this.host) || msg.length < 8) return;
+		this.emit('data', msg);
+
+		const type = msg.readUInt16BE(0);
+		const length = msg.readUInt16BE(2);
+		const seq = msg.readUInt32BE(4);
+		const payload = msg.subarray(8, 8 + length);
+
+		// Any reply means the camera received the message, stop resending it
+		const key = type === PayloadType.ControlReply ? 'reset' : seq;
+		const pending = this.#unanswered.get(key);
+		if(pending) {
+			clearTimeout(pending.timer);
+			this.#unanswered.delete(key);
+		}
+
+		switch(type) {
+			case PayloadType.ViscaReply: {
+				// A datagram normally holds one reply, but split on FF to be safe
+				let start = 0;
+				for(let i = 0; i < payload.length; i++) {
+					if(payload[i] !== 0xFF) continue;
+					this.emit('frame', payload.subarray(start, i + 1));
+					start = i + 1;
+				}
+				break;
+			}
+			case PayloadType.ControlReply: {
+				// 01 = RESET acknowledged, 0F 01 = abnormal sequence number, 0F 02 = abnormal message
+				if(payload[0] === 0x01) {
+					if(!this.isOpen) {
+						this.isOpen = true;
+						this.emit('open');
+					}
+				} else if(payload[0] === 0x0F) {
+					this.emit('error', new Error(payload[1] === 0x01 ? 'Abnormal sequence number' : 'Abnormal message'));
+					if(payload[1] === 0x01) this.resetSequence();
+				}
+				break;
+			}
+		};
+	}
+}
+
+export { Transport, SerialTransport, UdpTransport, PayloadType };
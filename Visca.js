@@ -0,0 +1,168 @@
+// VISCA reply parsing and error types
+// Every reply from the camera is framed as `X0 ... FF`, where X is the camera address + 8
+
+
+/**
+ * @typedef {Object} ViscaReply
+ * @property {Number} address  The address of the camera that sent the reply (1-7), 0 for broadcasts
+ * @property {String} type     One of the `ReplyType` values
+ * @property {Number} socket   The socket number the reply refers to (0 for inquiries and socket-less errors)
+ * @property {Buffer} frame    The raw frame, including the address byte and the FF terminator
+ * @property {Buffer} payload  The bytes between the reply header and the terminator
+ * @property {Number} [code]   The error code, only set for error replies
+ * @property {Number} [next]   The next free address, only set for address set replies
+*/
+
+
+const ReplyType = {
+	Ack: 'ack',
+	Completion: 'completion',
+	Error: 'error',
+	AddressSet: 'addressSet',
+	IfClear: 'ifClear',
+	NetworkChange: 'networkChange',
+	Unknown: 'unknown'
+};
+const ErrorCode = {
+	MessageLength: 0x01,
+	Syntax: 0x02,
+	CommandBufferFull: 0x03,
+	CommandCanceled: 0x04,
+	NoSocket: 0x05,
+	NotExecutable: 0x41
+};
+
+class ViscaError extends Error {
+	/**
+	 * @param {String} message    A human readable description of the error
+	 * @param {Number} [code]     The VISCA error code (see `ErrorCode`)
+	 * @param {Number} [socket=0] The socket the error was reported on
+	*/
+	constructor(message, code = null, socket = 0) {
+		super(message);
+		this.name = 'ViscaError';
+		this.code = code;
+		this.socket = socket;
+		this.command = null; // Filled in by the camera once the error is matched to a command
+	}
+}
+class MessageLengthError extends ViscaError {
+	constructor(socket) { super('Message length error', ErrorCode.MessageLength, socket); this.name = 'MessageLengthError'; }
+}
+class ViscaSyntaxError extends ViscaError {
+	constructor(socket) { super('Syntax error', ErrorCode.Syntax, socket); this.name = 'ViscaSyntaxError'; }
+}
+class CommandBufferFullError extends ViscaError {
+	constructor(socket) { super('Command buffer full', ErrorCode.CommandBufferFull, socket); this.name = 'CommandBufferFullError'; }
+}
+class CommandCanceledError extends ViscaError {
+	constructor(socket) { super('Command canceled', ErrorCode.CommandCanceled, socket); this.name = 'CommandCanceledError'; }
+}
+class NoSocketError extends ViscaError {
+	constructor(socket) { super('No socket (to be canceled)', ErrorCode.NoSocket, socket); this.name = 'NoSocketError'; }
+}
+class NotExecutableError extends ViscaError {
+	constructor(socket) { super('Command not executable', ErrorCode.NotExecutable, socket); this.name = 'NotExecutableError'; }
+}
+class OfflineError extends ViscaError {
+	constructor() { super('The camera is not connected'); this.name = 'OfflineError'; }
+}
+class UnsupportedCommandError extends ViscaError {
+	/**
+	 * @param {String} model   The camera model, e.g. `Sony EVI/SRG`
+	 * @param {String} feature The `Feature` the command belongs to
+	*/
+	constructor(model, feature) { super(`The ${model} doesn't support ${feature} commands`); this.name = 'UnsupportedCommandError'; this.feature = feature; }
+}
+class TimeoutError extends ViscaError {
+	/**
+	 * @param {Number} timeout How long the command waited for a reply, in ms
+	*/
+	constructor(timeout) { super(`No reply from the camera within ${timeout}ms`); this.name = 'TimeoutError'; this.timeout = timeout; }
+}
+
+/**
+ * Build the matching error for a VISCA error code.
+ *
+ * @param {Number} code   The error code from a `9x 6y 0z FF` reply
+ * @param {Number} socket The socket number from the reply
+ * @returns {ViscaError} The typed error
+*/
+function errorFromCode(code, socket = 0) {
+	switch(code) {
+		case ErrorCode.MessageLength: return new MessageLengthError(socket);
+		case ErrorCode.Syntax: return new ViscaSyntaxError(socket);
+		case ErrorCode.CommandBufferFull: return new CommandBufferFullError(socket);
+		case ErrorCode.CommandCanceled: return new CommandCanceledError(socket);
+		case ErrorCode.NoSocket: return new NoSocketError(socket);
+		case ErrorCode.NotExecutable: return new NotExecutableError(socket);
+	};
+
+	return new ViscaError(`Unknown error 0x${code.toString(16).padStart(2, '0')}`, code, socket);
+}
+
+/**
+ * Classify a single FF terminated frame received from the camera.
+ *
+ * @param {Buffer} frame A complete reply frame
+ * @returns {ViscaReply} The parsed reply
+ *
+ * @note 9x 4y FF       ACK, y = socket
+ *       9x 5y ... FF   Completion, y = socket (0 for inquiry replies)
+ *       9x 6y 0z FF    Error, y = socket, z = error code
+ *       88 30 0w FF    Address set, w = the address after the last camera in the chain
+ *       88 01 00 01 FF IF_Clear (broadcast)
+ *       9x 38 FF       Network change, a camera was added or removed and the addresses must be set again
+ *
+ * @example
+ * parseReply(Buffer.from('9041FF', 'hex')); // { type: 'ack', socket: 1, ... }
+*/
+function parseReply(frame) {
+	const header = frame[0] ?? 0;
+	const kind = frame[1] ?? 0;
+	const reply = {
+		address: (header >> 4) - 8,
+		type: ReplyType.Unknown,
+		socket: kind & 0x0F,
+		frame,
+		payload: frame.subarray(2, frame.length - 1)
+	};
+
+	// Anything that isn't `9x ?y ... FF` is not a camera reply we understand
+	if((header & 0x80) === 0 || frame[frame.length - 1] !== 0xFF || frame.length < 3) return reply;
+
+	// Broadcast replies travel through the whole chain and come back with the broadcast header
+	if(header === 0x88) {
+		reply.address = 0;
+		reply.socket = 0;
+		if(kind === 0x30) {
+			reply.type = ReplyType.AddressSet;
+			reply.next = frame[2];
+		} else if(kind === 0x01) {
+			reply.type = ReplyType.IfClear;
+		}
+		return reply;
+	}
+	if(kind === 0x38) {
+		reply.type = ReplyType.NetworkChange;
+		reply.socket = 0;
+		return reply;
+	}
+
+	switch(kind & 0xF0) {
+		case 0x40: reply.type = ReplyType.Ack; break;
+		case 0x50: reply.type = ReplyType.Completion; break;
+		case 0x60: {
+			reply.type = ReplyType.Error;
+			reply.code = frame[2];
+			break;
+		}
+	};
+
+	return reply;
+}
+
+export {
+	ReplyType, ErrorCode, parseReply, errorFromCode,
+	ViscaError, MessageLengthError, ViscaSyntaxError, CommandBufferFullError, CommandCanceledError, NoSocketError, NotExecutableError, TimeoutError, OfflineError, UnsupportedCommandError
+};
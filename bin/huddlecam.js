@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Control a camera from shell scripts and cron without starting the web server
+// huddlecam [options] <command> [arguments], `huddlecam help` lists the commands
+
+
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import dotenv from 'dotenv';
+import { Huddlecam, SerialTransport, UdpTransport, SimulatedCamera, ViscaError, Models } from '../Huddlecam.js';
+import { ShellError, parseCommand, runCommand, formatResult, startShell } from '../Shell.js';
+
+dotenv.config();
+
+const usage = `Usage: huddlecam [options] <command> [arguments]
+       huddlecam [options] shell
+
+Options:
+  --port <path>       Serial port, defaults to SERIAL_PORT
+  --baud <rate>       Baud rate, defaults to BAUDRATE or 9600
+  --address <1-7>     VISCA address of the camera, defaults to CAMERA_ADDRESS or 1
+  --host <ip>         Talk VISCA over IP to this camera instead of a serial port
+  --udp-port <port>   VISCA over IP port, defaults to 52381
+  --simulator         Talk to a simulated camera
+  --model <id>        huddlecam, sony or ptzoptics, defaults to CAMERA_MODEL or is asked from the camera
+  --timeout <ms>      How long a command may take, defaults to COMMAND_TIMEOUT or 10000
+  --json              Print the result (or the error) as JSON
+  -h, --help          Show this help
+
+Examples:
+  huddlecam --port /dev/ttyUSB0 preset recall 3
+  huddlecam moveto -300 100 8 4
+  huddlecam --json inquire position
+  huddlecam raw 81 01 04 00 03 FF
+
+Exit codes: 0 done, 1 the camera failed or rejected the command, 2 bad usage
+
+Commands:
+`;
+
+/**
+ * Split the options from the command, everything from the first word that isn't an option is the command.
+ * Negative numbers in the command (`moveto -300 100`) are left alone.
+ *
+ * @param {String[]} argv
+ * @returns {{ options: Object, words: String[] }}
+*/
+function parseOptions(argv) {
+	const options = { json: false, help: false, simulator: false };
+	const value = (i, name) => {
+		if(argv[i] === undefined) throw new ShellError(`${name} needs a value`);
+		return argv[i];
+	};
+
+	let i = 0;
+	for(; i < argv.length && argv[i].startsWith('-') && isNaN(Number(argv[i])); i++) {
+		switch(argv[i]) {
+			case '--port': options.port = value(++i, '--port'); break;
+			case '--baud': options.baudRate = Number(value(++i, '--baud')); break;
+			case '--address': options.address = Number(value(++i, '--address')); break;
+			case '--host': options.host = value(++i, '--host'); break;
+			case '--udp-port': options.udpPort = Number(value(++i, '--udp-port')); break;
+			case '--timeout': options.timeout = Number(value(++i, '--timeout')); break;
+			case '--simulator': options.simulator = true; break;
+			case '--model': options.model = value(++i, '--model'); break;
+			case '--json': options.json = true; break;
+			case '-h':
+			case '--help': options.help = true; break;
+			default: throw new ShellError(`Unknown option ${argv[i]}`);
+		};
+	}
+	return { options, words: argv.slice(i) };
+}
+
+// Open the camera the options (or the environment) point to, resolves once it is connected
+async function openCamera(options, env) {
+	const timeout = options.timeout ?? (parseInt(env.COMMAND_TIMEOUT) || 10000);
+	const address = options.address ?? (parseInt(env.CAMERA_ADDRESS) || 1);
+	const model = options.model ?? (env.CAMERA_MODEL || undefined);
+	if(model && !Object.hasOwn(Models, model)) throw new ShellError(`Unknown camera model "${model}", use ${Object.keys(Models).join(', ')}`);
+
+	var transport;
+	if(options.simulator || env.TRANSPORT === 'simulator') transport = new SimulatedCamera({ address });
+	else if(options.host || (env.TRANSPORT === 'udp' && env.CAMERA_HOST)) transport = new UdpTransport(options.host ?? env.CAMERA_HOST, options.udpPort ?? (parseInt(env.CAMERA_PORT) || 52381));
+	else {
+		const port = options.port ?? env.SERIAL_PORT;
+		if(!port) throw new ShellError('No camera, use --port, --host or --simulator (or set SERIAL_PORT)');
+		// A script should fail right away when the adapter is missing, not wait for it to come back
+		transport = new SerialTransport(port, options.baudRate ?? (parseInt(env.BAUDRATE) || 9600), { reconnect: false });
+	}
+
+	const camera = new Huddlecam(transport, null, { timeout, address, model });
+	if(!camera.connected) {
+		const connectTimeout = AbortSignal.timeout(timeout);
+		try {
+			await once(camera, 'open', { signal: connectTimeout });
+		} catch(err) {
+			await camera.close().catch(() => {});
+			throw err.name === 'AbortError' ? new Error(`The camera didn't connect within ${timeout}ms`) : err;
+		}
+	}
+	// Transport errors after connecting show up as failed commands, keep them off stdout
+	camera.on('error', (err) => console.error(`huddlecam: ${err.message}`));
+	// Speeds and positions are clamped to what the model takes
+	if(!model) await camera.detectModel();
+	return camera;
+}
+
+// Errors as JSON, with the VISCA error code and the rejected command when the camera refused
+function errorJson(err) {
+	const error = { name: err.name, message: err.message };
+	if(err instanceof ViscaError) Object.assign(error, { code: err.code ?? null, command: err.command ?? null });
+	return { error };
+}
+
+async function main(argv) {
+	const { options, words } = parseOptions(argv);
+	if(options.help || words.length === 0 || (words[0] === 'help' && words.length === 1)) {
+		console.log(usage + await runCommand(null, 'help'));
+		return 0;
+	}
+
+	const line = words.join(' ');
+	if(words[0] !== 'shell') parseCommand(line); // Bad usage fails before the camera is opened
+	if(words[0] === 'help') {
+		console.log(await runCommand(null, line));
+		return 0;
+	}
+
+	const camera = await openCamera(options, process.env);
+	if(words[0] === 'shell') {
+		const shell = startShell(camera, { historyFile: path.join(os.homedir(), '.huddlecam_history') });
+		await once(shell, 'close');
+		await camera.close();
+		return 0;
+	}
+
+	try {
+		const result = await runCommand(camera, line);
+		if(options.json) console.log(JSON.stringify({ command: line, result: result ?? null }));
+		else if(result?.response !== true) console.log(typeof result === 'object' ? formatResult(result) : String(result));
+		return 0;
+	} finally {
+		await camera.close();
+	}
+}
+
+main(process.argv.slice(2)).then((code) => {
+	process.exitCode = code;
+}).catch((err) => {
+	const json = process.argv.includes('--json');
+	if(json) console.log(JSON.stringify(errorJson(err)));
+	else console.error(`huddlecam: ${err.message}`);
+	process.exitCode = err instanceof ShellError ? 2 : 1;
+});
@@ -4,60 +4,143 @@ import express from 'express';
 import { Server as SocketIOServer } from "socket.io";
 import dotenv from 'dotenv';
 import path from "path";
-import { Huddlecam, Direction, Exposure } from './Huddlecam.js';
-import readline from 'readline';
+import { Direction, Exposure, WhiteBalance, ViscaError } from './Huddlecam.js';
+import { CameraRegistry, loadCameraConfig } from './server/CameraRegistry.js';
+import { TourMode } from './server/TourRunner.js';
+import { createRestApi } from './server/RestApi.js';
+import { Auth, Role, loadUsers } from './server/Auth.js';
+import { OscServer, loadOscConfig } from './server/OscServer.js';
+import { Journal, loadJournalConfig, withSource } from './server/Journal.js';
+import { ValidationError, integer, number, boolean, oneOf, string } from './server/Validate.js';
+import { startShell, Arg, ShellError } from './Shell.js';
 
 dotenv.config();
 
 // Get camera settings
-const serialPORT = process.env.SERIAL_PORT;
-const baudRate = process.env.BAUDRATE;
-if(!serialPORT) {
-	console.log('Please provide `SERIAL_PORT` in the .env file');
-	process.exit(1);
-}
-if(!baudRate) {
-	console.log('Please provide `BAUDRATE` in the .env file');
+// Without CAMERAS_FILE a single camera is used: TRANSPORT=serial (default) talks to SERIAL_PORT at BAUDRATE,
+// TRANSPORT=udp talks VISCA over IP to CAMERA_HOST:CAMERA_PORT and TRANSPORT=simulator runs against a simulated camera
+// CAMERAS_FILE points to a JSON list of cameras, cameras on the same serial port are daisy chained (see README)
+const commandTimeout = parseInt(process.env.COMMAND_TIMEOUT) || 10000;
+const queueWarnTime = parseInt(process.env.QUEUE_WARN_MS) || 1000;
+const statePollInterval = process.env.STATE_POLL_MS ? parseInt(process.env.STATE_POLL_MS) : 5000;
+// An operator keeps control of a camera until LOCK_TIMEOUT_MS passes without commands (0 keeps it until released)
+const lockTimeout = process.env.LOCK_TIMEOUT_MS ? parseInt(process.env.LOCK_TIMEOUT_MS) : 60000;
+const dataDir = process.env.DATA_DIR || 'data';
+// A tour paused by a manual command continues after TOUR_RESUME_MS without manual commands (0 waits for someone to resume it)
+const tourResume = parseInt(process.env.TOUR_RESUME_MS) || 0;
+
+// USERS_FILE lists who may log in as viewer or operator (see README), without it everyone is an operator
+// Every command goes to the journal (JOURNAL_FILE, data/journal.log by default) unless JOURNAL_FILE=off
+var Cameras, auth, journal;
+try {
+	Cameras = new CameraRegistry(loadCameraConfig(process.env), {
+		timeout: commandTimeout,
+		dataDir,
+		lockTimeout,
+		tourResume
+	});
+	auth = new Auth(loadUsers(process.env));
+	const journalConfig = loadJournalConfig(process.env, dataDir);
+	journal = journalConfig && new Journal(journalConfig);
+} catch(err) {
+	console.log(err.message);
 	process.exit(1);
 }
 
-// Setup camera
-const Camera = new Huddlecam(serialPORT, parseInt(baudRate));
-// Camera.on('data', (data) => console.log('Camera data:', data.toString('hex')));
-Camera.on('error', (error) => console.error('Camera error:', error));
-Camera.on('close', () => console.log('Camera is disconnected'));
-Camera.on('open', () => { console.log('Camera is connected'); 
-	Camera.home();
+// Commands now reject when the camera answers with a VISCA error, log them instead of crashing
+const logCameraError = (err) => console.error(`Camera rejected ${err.command ?? 'command'}:`, err.message);
 
-	// Open cli input so we can eval commands
-	const rl = readline.createInterface({
-		input: process.stdin,
-		output: process.stdout,
-		terminal: false // Fixes duplicated input
-	});
+journal?.on('error', (err) => console.error(`Can't write the journal: ${err.message}`));
 
-	// Evaluate commands from the command line
-	rl.on('line', async (input) => {
-		// input = input.trim();
-		if(input.length === 0) return;
+Cameras.forEach((entry) => {
+	const { camera, name } = entry;
+	if(entry.config.transport === 'simulator') console.log(`${name} is simulated, no hardware required`);
+	journal?.attach(entry);
 
+	// Log when commands have to wait too long for the camera
+	camera.on('queueWait', ({ command, wait, depth }) => {
+		if(wait >= queueWarnTime) console.warn(`${name} is falling behind: ${command} waited ${wait}ms (${depth} still queued)`);
+	});
+	// camera.on('data', (data) => console.log(`${name} data:`, data.toString('hex')));
+	camera.on('error', (error) => console.error(`${name} error:`, error));
+	camera.on('close', () => {
+		console.log(`${name} is disconnected, commands fail until it is back`);
+		io.emit('cameras', Cameras.list());
+	});
+	camera.on('reconnecting', ({ attempt, delay }) => {
+		if(attempt === 1 || attempt % 10 === 0) console.log(`${name}: reconnecting in ${delay}ms (attempt ${attempt})`);
+	});
 
-		try {
-			const cmd = `Camera.${input};`;
+	// Keep every client's preset grid in sync
+	entry.presets.on('change', (presets) => io.to(room(entry)).emit('presets', presets));
+	entry.calibration.on('change', (calibration) => io.to(room(entry)).emit('calibration', { camera: entry.id, calibration }));
+	entry.tours.on('change', (tours) => io.to(room(entry)).emit('tours', tours));
+	// Everyone sees where the tours of every camera are
+	entry.tour.on('progress', (status) => io.emit('tour', { camera: entry.id, ...status }));
+	// Tell the operators when a move was cut short by the limits
+	entry.fence.on('clamped', ({ target }) => io.to(room(entry)).emit('fence', { camera: entry.id, message: `Limited the move to ${target.pan} / ${target.tilt}` }));
+	entry.fence.on('stopped', ({ axis, position }) => io.to(room(entry)).emit('fence', { camera: entry.id, message: `Stopped ${axis === 'pan' ? 'panning' : 'tilting'} at the limit (${position[axis]})` }));
+	entry.fence.on('error', (err) => console.error(`${name} fence:`, err.message));
+	entry.tour.on('error', (err) => console.error(`${name} tour:`, err.message));
+	entry.tour.on('skipped', (tour, holder) => console.log(`Skipped the scheduled start of "${tour}" on ${name}, ${holder} has control`));
+	entry.macros.on('change', (macros) => io.to(room(entry)).emit('macros', macros));
+	entry.macro.on('progress', (status) => io.emit('macro', { camera: entry.id, ...status }));
+	entry.macro.on('error', (err) => console.error(`${name} macro:`, err.message));
+	// Everyone sees which cameras are on, in standby or switching
+	entry.power.on('progress', (status) => io.emit('power', { camera: entry.id, ...status }));
+	entry.power.on('error', (err) => console.error(`${name} power:`, err.message));
+	entry.power.on('skipped', (holder) => console.log(`Skipped the scheduled standby of ${name}, ${holder} has control`));
+	// Follow moves live, e.g. to chain moves or to show where the camera is heading
+	camera.on('motionStart', (motion) => io.to(room(entry)).emit('motionStart', { camera: entry.id, ...motion }));
+	camera.on('position', (position) => io.to(room(entry)).emit('position', { camera: entry.id, ...position }));
+	camera.on('motionEnd', (motion) => io.to(room(entry)).emit('motionEnd', { camera: entry.id, ...motion }));
+	// Every client sees the live state of every camera, e.g. to show which one is powered off
+	camera.on('stateChanged', (changes, state) => io.emit('state', { camera: entry.id, state, changes }));
+	// Everyone sees who has control, so viewers and waiting operators know who to ask
+	entry.lock.on('change', (status) => {
+		console.log(status.holder ? `${status.holder} has control of ${name}` : `${name} is free`);
+		io.emit('lock', { camera: entry.id, ...status });
+	});
+});
+if(!auth.enabled) console.log('No USERS_FILE, every client is an operator');
+Cameras.on('error', (entry, err) => console.error(`${entry.name}:`, err.message));
 
-			var timeStart = Date.now();
-			const res = await eval(cmd);
-			var timeEnd = Date.now();
-			var t = timeEnd - timeStart;
+Cameras.on('ready', (entry, { reconnected }) => {
+	console.log(`${entry.name} is ${reconnected ? 'back' : 'connected'} (address ${entry.camera.address}, ${entry.camera.profile.name})`);
+	io.emit('cameras', Cameras.list());
+	// The camera forgets its limits when it is power cycled, set them every time it connects
+	entry.fence.apply().catch((err) => console.warn(`${entry.name} didn't take its pan-tilt limits (${err.message}), only the server keeps it inside them`));
+	// The startup action (home by default) runs once, a camera that comes back stays where it is
+	if(!reconnected) entry.power.runStartup().catch((err) => console.error(`${entry.name} startup (${entry.power.startup.action}):`, err.message));
+	entry.camera.startPolling(statePollInterval).catch(logCameraError);
+	if(entry === Cameras.default) openCommandLine();
+});
 
-			// Print out a nice formatted log line of what command was run, how long it took, and the response
-			// console.log(res);
-			console.log(`\x1b[32m${cmd}\x1b[0m took \x1b[33m${t}ms\x1b[0m and returned \x1b[36m${JSON.stringify(res)}\x1b[0m`);
-		} catch(err) {
-			console.error(err);
+// Command shell on stdin, `help` lists the commands. They go to the first camera until `camera <id>` picks another one.
+var shell;
+function openCommandLine() {
+	if(shell) return; // The camera reconnected, the command line is still open
+	let entry = Cameras.default;
+
+	shell = startShell(() => entry.camera, {
+		historyFile: path.join(dataDir, 'shell_history'),
+		wrap: (run) => withSource({ via: 'cli' }, run),
+		commands: {
+			camera: {
+				help: 'List the cameras, or pick the one commands go to',
+				args: [Arg.word('id', { optional: true })],
+				local: true,
+				run: async (camera, id) => {
+					if(id === undefined) return Cameras.list().map((camera) => `${camera.id === entry.id ? '*' : ' '} ${camera.id}: ${camera.name} (address ${camera.address})${camera.connected ? '' : ' - offline'}`).join('\n');
+					const selected = Cameras.get(id);
+					if(!selected) throw new ShellError(`There is no camera "${id}"`);
+					entry = selected;
+					return `Commands go to ${entry.name}`;
+				}
+			}
 		}
 	});
-});
+}
 
 
 // Setup web app
@@ -68,37 +151,461 @@ const io = new SocketIOServer(server);
 
 const __dirname = path.resolve();
 app.use(express.static(path.join(__dirname, 'public')));
+// JSON API for scripts and other tools, described in /api/v1/openapi.json
+app.use('/api/v1', createRestApi(Cameras, auth));
 
 // Setup the socket.io interface
+// Once there are users every client sends its token in the handshake, the GUI shows its login form on `unauthorized`
+io.use((socket, next) => {
+	const user = auth.verify(socket.handshake.auth?.token);
+	if(!user) return next(new Error('unauthorized'));
+	// Without users every browser is its own operator, so the control lock still works between them
+	socket.data.user = auth.enabled ? user : { name: `Guest ${socket.id.slice(0, 4)}`, role: Role.Operator };
+	next();
+});
+
+// What a client event needs: View is open to everyone, Operate needs the operator role and Control also takes the camera's control lock
+const Access = {
+	View: 0,
+	Operate: 1,
+	Control: 2
+};
+
 io.on('connection', (socket) => {
-	console.log('A user connected');
+	const user = socket.data.user;
+	console.log(`${user.name} connected (${user.role})`);
+
+	// Every client controls one camera at a time and only gets the updates of that camera
+	let entry = Cameras.default;
+	socket.join(room(entry));
+	socket.emit('user', { ...user, login: auth.enabled });
+	socket.emit('cameras', Cameras.list(), entry.id);
+	socket.emit('state', { camera: entry.id, state: entry.camera.state, changes: {} });
+	socket.emit('lock', { camera: entry.id, ...entry.lock.status() });
+	Cameras.forEach((other) => socket.emit('power', { camera: other.id, ...other.power.status() }));
+	// Someone opening the GUI wants to use the camera, wake it if it only went to standby for being idle
+	entry.power.wakeFromIdle(user.name).catch(logCameraError);
+
+	// Log failed commands and tell the client that sent them, e.g. when this camera model rejects a command
+	const reportError = (err) => {
+		if(err instanceof ViscaError) logCameraError(err);
+		else console.warn(`${user.name}: ${err.message}`);
+		socket.emit('cameraError', { command: err.command ?? null, name: err.name, message: err.message });
+	};
+	/**
+	 * Handle a client event for the selected camera.
+	 * Missing permissions, a lock held by someone else and bad arguments (thrown by the validators) are reported like failed commands,
+	 * so is a promise returned by the handler when it rejects.
+	 * Clients that pass a callback as the last argument are told when the command is done, with `{}` or `{ error }`,
+	 * e.g. `socket.emit('moveTo', 5, 5, 100, 0, true, ({ error }) => ...)` to wait until the camera has moved.
+	*/
+	const on = (event, access, handler) => socket.on(event, (...args) => {
+		const ack = typeof args.at(-1) === 'function' ? args.pop() : null;
+		const fail = (err) => {
+			reportError(err);
+			ack?.({ error: err.message });
+		};
+
+		try {
+			if(access === Access.Operate) auth.requireOperator(user);
+			if(access === Access.Control) auth.authorize(user, entry);
+			// Manual input takes over from a playing tour or macro
+			if(access === Access.Control && !TourEvents.has(event)) entry.tour.pause(user.name);
+			if(access === Access.Control && !MacroEvents.has(event)) entry.macro.stop();
+			// The journal and macro recordings tell the clients apart by their socket id
+			const source = { via: 'socket', user: user.name, client: socket.id };
+			// A camera in standby is woken up first, the command goes out once it is on
+			const input = access === Access.Control && !PowerEvents.has(event) ? entry.power.input(user.name) : null;
+			Promise.resolve(input).then(() => withSource(source, () => handler(...args))).then(() => ack?.({}), fail);
+		} catch(err) {
+			fail(err);
+		}
+	});
+
+	// Whether this client's last `drive` vector left the camera moving
+	let driving = false;
+
 	socket.on('disconnect', () => {
-		console.log('User disconnected');
+		console.log(`${user.name} disconnected`);
+		// A gamepad that drops out mid-move would leave the camera moving forever
+		if(driving) entry.fence.stop().catch(logCameraError);
+		entry.macro.stopRecording(socket.id);
+		// Give up control once the operator's last window is closed, instead of making the others wait for the timeout
+		const connected = [...io.sockets.sockets.values()].some((other) => other.data.user?.name === user.name);
+		if(!connected) Cameras.forEach((other) => other.lock.release(user.name));
+	});
+
+	on('getCameras', Access.View, () => {
+		socket.emit('cameras', Cameras.list(), entry.id);
+	});
+	on('selectCamera', Access.View, (id) => {
+		const selected = Cameras.get(id);
+		if(!selected) throw new ValidationError(`There is no camera "${id}"`, 'id');
+
+		if(driving) entry.fence.stop().catch(logCameraError);
+		driving = false;
+		// A recording only covers one camera
+		entry.macro.stopRecording(socket.id);
+		socket.leave(room(entry));
+		entry = selected;
+		socket.join(room(entry));
+		socket.emit('camera', entry.id);
+		socket.emit('presets', entry.presets.list());
+		socket.emit('state', { camera: entry.id, state: entry.camera.state, changes: {} });
+		socket.emit('lock', { camera: entry.id, ...entry.lock.status() });
+		socket.emit('calibration', { camera: entry.id, calibration: entry.calibration.get() });
+		socket.emit('tours', entry.tours.list());
+		socket.emit('macros', entry.macros.list());
+		entry.power.wakeFromIdle(user.name).catch(logCameraError);
+	});
+	on('getState', Access.View, () => {
+		return entry.camera.syncState().then((state) => socket.emit('state', { camera: entry.id, state, changes: {} }));
 	});
 
-	socket.on('reset', () => {
-		Camera.reset();
+	// Control lock, commands take it automatically, these are for the "take control" and "release" buttons
+	on('requestControl', Access.Control, () => {
+		socket.emit('lock', { camera: entry.id, ...entry.lock.status() });
 	});
-	socket.on('home', () => {
-		Camera.home();
+	on('releaseControl', Access.Operate, () => {
+		entry.lock.release(user.name);
 	});
-	socket.on('move', (direction, panSpeed, tiltSpeed) => {
-		Camera.move(direction, panSpeed, tiltSpeed);
+
+	// Serial ports, to move the selected camera to another adapter without editing .env
+	on('getPorts', Access.Operate, () => {
+		return Cameras.listPorts().then((ports) => socket.emit('ports', ports, entry.config.port ?? null));
+	});
+	on('switchPort', Access.Control, (port, baudRate) => {
+		port = string(port, 'port', { max: 255 });
+		baudRate = integer(baudRate, 'baudRate', { fallback: null }) ?? undefined;
+		console.log(`Switching ${entry.name} to ${port}`);
+		return Cameras.switchPort(entry.id, port, baudRate).finally(() => io.emit('cameras', Cameras.list()));
+	});
+
+	// Power, done once the camera reports the new state
+	on('setPower', Access.Control, (enabled) => entry.power.set(boolean(enabled, 'on'), user.name));
+	on('getPower', Access.View, () => {
+		socket.emit('power', { camera: entry.id, ...entry.power.status() });
+	});
+
+	// Moves are done (and acknowledged) once the camera arrived, not when it accepted the command
+	on('reset', Access.Control, () => entry.camera.resetAndWait());
+	on('home', Access.Control, () => entry.fence.home({ wait: true }));
+	on('move', Access.Control, (direction, panSpeed, tiltSpeed) => {
+		return entry.fence.move(
+			oneOf(direction, 'direction', Direction),
+			integer(panSpeed, 'panSpeed', { profile: entry.camera.profile, fallback: 5 }),
+			integer(tiltSpeed, 'tiltSpeed', { profile: entry.camera.profile, fallback: 3 })
+		);
 	});
-	socket.on('getPosition', () => {
-		Camera.positionInquiry().then((position) => {
-			socket.emit('position', position);
+	on('getPosition', Access.View, () => {
+		return entry.camera.positionInquiry().then((position) => {
+			socket.emit('position', { camera: entry.id, ...position });
 		});
 	});
-	socket.on('moveTo', (panSpeed, tiltSpeed, x, y, relative) => {
-		Camera.moveTo(panSpeed, tiltSpeed, x, y, relative); // TODO
-	})
-	socket.on('moveStop', () => {
-		Camera.stop();
-	})
+	on('moveTo', Access.Control, (panSpeed, tiltSpeed, x, y, relative) => {
+		relative = boolean(relative, 'relative', false);
+		return entry.fence.moveTo(
+			integer(panSpeed, 'panSpeed', { profile: entry.camera.profile }),
+			integer(tiltSpeed, 'tiltSpeed', { profile: entry.camera.profile }),
+			integer(x, 'pan', { range: relative ? 'relativePan' : 'pan', profile: entry.camera.profile }),
+			integer(y, 'tilt', { range: relative ? 'relativeTilt' : 'tilt', profile: entry.camera.profile }),
+			relative,
+			{ wait: true }
+		);
+	});
+	on('moveStop', Access.Control, () => entry.fence.stop());
+	// Pan/tilt vector from a gamepad, signed speeds that change continuously. 0, 0 stops.
+	on('drive', Access.Control, (pan, tilt) => {
+		pan = integer(pan, 'pan', { range: 'panVector', profile: entry.camera.profile });
+		tilt = integer(tilt, 'tilt', { range: 'tiltVector', profile: entry.camera.profile });
+		driving = pan !== 0 || tilt !== 0;
+		return entry.fence.drive(pan, tilt);
+	});
+
+	// Zoom and focus
+	on('zoom', Access.Control, (direction, speed) => {
+		speed = integer(speed, 'speed', { range: 'lensSpeed', profile: entry.camera.profile, fallback: null }) ?? undefined;
+		switch(oneOf(direction, 'direction', ZoomDirection)) {
+			case ZoomDirection.Tele: return entry.camera.zoomTele(speed);
+			case ZoomDirection.Wide: return entry.camera.zoomWide(speed);
+			case ZoomDirection.Stop: return entry.camera.zoomStop().then(() => broadcastLens(entry));
+		};
+	});
+	on('zoomTo', Access.Control, (position) => {
+		return entry.camera.zoomTo(integer(position, 'position', { range: 'zoom', profile: entry.camera.profile })).then(() => broadcastLens(entry));
+	});
+	on('focus', Access.Control, (direction, speed) => {
+		speed = integer(speed, 'speed', { range: 'lensSpeed', profile: entry.camera.profile, fallback: null }) ?? undefined;
+		switch(oneOf(direction, 'direction', FocusDirection)) {
+			case FocusDirection.Far: return entry.camera.focusFar(speed);
+			case FocusDirection.Near: return entry.camera.focusNear(speed);
+			case FocusDirection.Stop: return entry.camera.focusStop().then(() => broadcastLens(entry));
+		};
+	});
+	on('focusMode', Access.Control, (mode) => {
+		const cmd = oneOf(mode, 'mode', FocusMode) === FocusMode.Manual ? entry.camera.focusManual() : entry.camera.focusAuto();
+		return cmd.then(() => broadcastLens(entry));
+	});
+	on('focusOnePush', Access.Control, () => {
+		return entry.camera.focusOnePush().then(() => broadcastLens(entry));
+	});
+	on('focusTo', Access.Control, (position) => {
+		return entry.camera.focusTo(integer(position, 'position', { range: 'focus', profile: entry.camera.profile })).then(() => broadcastLens(entry));
+	});
+	on('getLens', Access.View, () => {
+		return readLens(entry).then((lens) => socket.emit('lens', lens));
+	});
+
+	// White balance
+	on('whiteBalanceMode', Access.Control, (mode) => {
+		return entry.camera.whiteBalanceMode(oneOf(mode, 'mode', WhiteBalance)).then(() => broadcastWhiteBalance(entry));
+	});
+	on('whiteBalanceOnePush', Access.Control, () => {
+		return entry.camera.whiteBalanceOnePush().then(() => broadcastWhiteBalance(entry));
+	});
+	on('setWhiteBalance', Access.Control, (gain, action, value) => {
+		const method = commandFor(whiteBalanceCommands, gain, action);
+		const args = action === 'to' ? [integer(value, 'value', { range: 'colorGain', profile: entry.camera.profile })] : [];
+		return entry.camera[method](...args).then(() => broadcastWhiteBalance(entry));
+	});
+	on('getWhiteBalance', Access.View, () => {
+		return readWhiteBalance(entry).then((wb) => socket.emit('whiteBalance', wb));
+	});
+
+	// Exposure
+	on('exposureMode', Access.Control, (mode) => {
+		return entry.camera.exposureMode(oneOf(mode, 'mode', Exposure)).then(() => broadcastExposure(entry));
+	});
+	on('setExposure', Access.Control, (setting, action, position) => {
+		const method = commandFor(exposureCommands, setting, action);
+		const args = action === 'to' ? [integer(position, 'position', { range: setting, profile: entry.camera.profile })] : [];
+		return entry.camera[method](...args).then(() => broadcastExposure(entry));
+	});
+	on('backlight', Access.Control, (enabled) => {
+		const cmd = boolean(enabled, 'on') ? entry.camera.backlightOn() : entry.camera.backlightOff();
+		return cmd.then(() => broadcastExposure(entry));
+	});
+	on('getExposure', Access.View, () => {
+		return readExposure(entry).then((exposure) => socket.emit('exposure', exposure));
+	});
+
+	// Presets
+	socket.emit('presets', entry.presets.list());
+	on('getPresets', Access.View, () => {
+		socket.emit('presets', entry.presets.list());
+	});
+	on('savePreset', Access.Control, (preset) => {
+		const { label, slot, panSpeed, tiltSpeed } = preset ?? {};
+		return entry.presets.save({
+			label: string(label, 'label', { max: 40, optional: true }),
+			slot: integer(slot, 'slot', { profile: entry.camera.profile, fallback: null }) ?? undefined,
+			panSpeed: integer(panSpeed, 'panSpeed', { profile: entry.camera.profile, fallback: null }) ?? undefined,
+			tiltSpeed: integer(tiltSpeed, 'tiltSpeed', { profile: entry.camera.profile, fallback: null }) ?? undefined
+		});
+	});
+	on('recallPreset', Access.Control, (slot) => {
+		return entry.presets.recall(integer(slot, 'slot', { profile: entry.camera.profile })).then(() => entry.camera.waitForMotion());
+	});
+	on('deletePreset', Access.Control, (slot) => {
+		return entry.presets.remove(integer(slot, 'slot', { profile: entry.camera.profile }));
+	});
+
+	// Click-to-center calibration, measured by the wizard in the GUI
+	socket.emit('calibration', { camera: entry.id, calibration: entry.calibration.get() });
+	on('getCalibration', Access.View, () => {
+		socket.emit('calibration', { camera: entry.id, calibration: entry.calibration.get() });
+	});
+	on('saveCalibration', Access.Control, (calibration) => {
+		return entry.calibration.save(calibrationPoints(calibration?.points, entry.camera.profile));
+	});
+	on('clearCalibration', Access.Control, () => entry.calibration.clear());
+
+	// Tours, editing them doesn't touch the camera so it doesn't need control
+	socket.emit('tours', entry.tours.list());
+	Cameras.forEach((other) => socket.emit('tour', { camera: other.id, ...other.tour.status() }));
+	on('getTours', Access.View, () => {
+		socket.emit('tours', entry.tours.list());
+	});
+	on('saveTour', Access.Operate, (tour, previousName) => {
+		return entry.tours.save(checkTour(tour, entry.camera.profile), string(previousName, 'previousName', { max: 40, optional: true }));
+	});
+	on('deleteTour', Access.Operate, (name) => entry.tours.remove(string(name, 'name', { max: 40 })));
+	on('startTour', Access.Control, (name) => {
+		const status = entry.tour.start(string(name, 'name', { max: 40 }), user.name);
+		console.log(`${user.name} started the tour "${status.tour}" on ${entry.name}`);
+	});
+	on('stopTour', Access.Control, () => entry.tour.stop());
+	on('pauseTour', Access.Control, () => entry.tour.pause(user.name));
+	on('resumeTour', Access.Control, () => entry.tour.resume());
+
+	// Macros: record what this client sends to the camera, save it under a name and play it back
+	socket.emit('macros', entry.macros.list());
+	Cameras.forEach((other) => socket.emit('macro', { camera: other.id, ...other.macro.status() }));
+	on('getMacros', Access.View, () => {
+		socket.emit('macros', entry.macros.list());
+	});
+	on('startRecording', Access.Operate, () => entry.macro.record(socket.id));
+	// Without a name the recording is thrown away
+	on('stopRecording', Access.Operate, (name) => {
+		name = string(name, 'name', { max: 40, optional: true });
+		const recorded = entry.macro.stopRecording(socket.id);
+		if(!recorded) throw new Error('Nothing is being recorded');
+		if(name === undefined) return;
+		if(recorded.commands.length === 0) throw new Error('Nothing was recorded, send some commands to the camera between start and stop');
+		return entry.macros.save({ name, ...recorded, recordedBy: user.name });
+	});
+	on('deleteMacro', Access.Operate, (name) => entry.macros.remove(string(name, 'name', { max: 40 })));
+	on('playMacro', Access.Control, (name, speed) => {
+		return entry.macro.play(string(name, 'name', { max: 40 }), { speed: number(speed, 'speed', { range: 'playbackSpeed', fallback: 1 }), by: user.name });
+	});
+	on('stopMacro', Access.Control, () => entry.macro.stop());
 });
 
+// Socket.io room of the clients that control a camera
+function room(entry) {
+	return `camera:${entry.id}`;
+}
+
+// Zoom and focus arguments of the `zoom`, `focus` and `focusMode` events
+const ZoomDirection = { Tele: 'tele', Wide: 'wide', Stop: 'stop' };
+const FocusDirection = { Far: 'far', Near: 'near', Stop: 'stop' };
+const FocusMode = { Auto: 'auto', Manual: 'manual' };
+
+// Zoom and focus positions, sent to every client of the camera after a lens command finishes
+async function readLens({ camera: Camera }) {
+	return {
+		zoom: await Camera.zoomPosInquiry(),
+		focus: await Camera.focusPosInquiry(),
+		focusMode: await Camera.focusInquiry()
+	};
+}
+function broadcastLens(entry) {
+	return readLens(entry).then((lens) => io.to(room(entry)).emit('lens', lens));
+}
+
+// Exposure settings, `setExposure` events are mapped onto these camera methods
+const exposureCommands = {
+	shutter: { up: 'shutterUp', down: 'shutterDown', reset: 'shutterReset', to: 'shutterTo' },
+	iris: { up: 'irisUp', down: 'irisDown', reset: 'irisReset', to: 'irisTo' },
+	gain: { up: 'gainUp', down: 'gainDown', reset: 'gainReset', to: 'gainTo' },
+	expComp: { on: 'expCompOn', off: 'expCompOff', up: 'expCompUp', down: 'expCompDown', reset: 'expCompReset', to: 'expCompTo' }
+};
+async function readExposure({ camera: Camera }) {
+	return {
+		mode: await Camera.exposureInquiry(),
+		shutter: await Camera.shutterPosInquiry(),
+		iris: await Camera.irisPosInquiry(),
+		gain: await Camera.gainPosInquiry(),
+		expComp: await Camera.expCompInquiry(),
+		expCompPos: await Camera.expCompPosInquiry(),
+		backlight: await Camera.backlightInquiry()
+	};
+}
+function broadcastExposure(entry) {
+	return readExposure(entry).then((exposure) => io.to(room(entry)).emit('exposure', exposure));
+}
+
+// White balance, `setWhiteBalance` events are mapped onto these camera methods
+const whiteBalanceCommands = {
+	red: { up: 'redGainUp', down: 'redGainDown', reset: 'redGainReset', to: 'redGainTo' },
+	blue: { up: 'blueGainUp', down: 'blueGainDown', reset: 'blueGainReset', to: 'blueGainTo' }
+};
+async function readWhiteBalance({ camera: Camera }) {
+	return {
+		mode: await Camera.whiteBalanceInquiry(),
+		red: await Camera.redGainInquiry(),
+		blue: await Camera.blueGainInquiry()
+	};
+}
+function broadcastWhiteBalance(entry) {
+	return readWhiteBalance(entry).then((wb) => io.to(room(entry)).emit('whiteBalance', wb));
+}
+
+// Look up the camera method of a `setExposure` or `setWhiteBalance` event, e.g. commandFor(exposureCommands, 'iris', 'up')
+function commandFor(commands, setting, action) {
+	const actions = Object.hasOwn(commands, setting) ? commands[setting] : {};
+	if(!Object.hasOwn(actions, action)) throw new ValidationError(`Unknown setting "${setting}" or action "${action}"`, 'action');
+	return actions[action];
+}
+
+// Tour events, the other commands that need control pause a playing tour
+const TourEvents = new Set(['startTour', 'stopTour', 'pauseTour', 'resumeTour']);
+// Macro events, the other commands that need control stop a playing macro
+const MacroEvents = new Set(['playMacro', 'stopMacro']);
+// Power events, the other commands that need control wake a camera in standby
+const PowerEvents = new Set(['setPower']);
+
+// Check a tour from a `saveTour` event against the ranges of the camera's profile, see TourStore.js for the format
+function checkTour(tour, profile) {
+	const steps = tour?.steps;
+	if(!Array.isArray(steps) || steps.length === 0 || steps.length > 100) throw new ValidationError('`steps` must be a list of 1 to 100 steps', 'steps');
+
+	const checked = {
+		name: string(tour.name, 'name', { max: 40 }),
+		mode: oneOf(tour.mode ?? TourMode.Loop, 'mode', TourMode),
+		steps: steps.map((step) => {
+			const checkedStep = step?.preset !== undefined && step?.preset !== null
+				? { preset: integer(step.preset, 'preset', { range: 'slot', profile }) }
+				: { pan: integer(step?.pan, 'pan', { profile }), tilt: integer(step?.tilt, 'tilt', { profile }) };
+			// Positions need a speed, presets are recalled at the camera's preset speed without one
+			const speedFallback = checkedStep.preset === undefined ? undefined : null;
+			const panSpeed = integer(step.panSpeed, 'panSpeed', { profile, fallback: speedFallback });
+			const tiltSpeed = integer(step.tiltSpeed, 'tiltSpeed', { profile, fallback: speedFallback });
+			if(panSpeed && tiltSpeed) Object.assign(checkedStep, { panSpeed, tiltSpeed });
+			checkedStep.dwell = number(step.dwell, 'dwell');
+			return checkedStep;
+		})
+	};
+
+	if(tour.schedule) {
+		const { times, days } = tour.schedule;
+		if(!Array.isArray(times) || times.length === 0 || times.length > 24) throw new ValidationError('`times` must be a list of 1 to 24 times', 'times');
+		checked.schedule = {
+			times: times.map((time) => {
+				if(!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) throw new ValidationError('`times` must be like 08:30', 'times');
+				return time;
+			})
+		};
+		if(days !== undefined && days !== null) {
+			if(!Array.isArray(days) || days.length === 0) throw new ValidationError('`days` must be a list of weekdays', 'days');
+			checked.schedule.days = [...new Set(days.map((day) => integer(day, 'days', { range: 'weekday' })))].sort();
+		}
+	}
+	return checked;
+}
+
+// Check the measurements of a `saveCalibration` event, a span of 0 would make every click a move to infinity
+function calibrationPoints(points, profile) {
+	if(!Array.isArray(points) || points.length === 0 || points.length > 16) throw new ValidationError('`points` must be a list of 1 to 16 measurements', 'points');
+	return points.map((point) => {
+		const measured = {
+			zoom: integer(point?.zoom, 'zoom', { profile }),
+			panSpan: number(point?.panSpan, 'panSpan', { profile }),
+			tiltSpan: number(point?.tiltSpan, 'tiltSpan', { profile })
+		};
+		if(measured.panSpan === 0 || measured.tiltSpan === 0) throw new ValidationError('Spans can\'t be 0', measured.panSpan === 0 ? 'panSpan' : 'tiltSpan');
+		return measured;
+	});
+}
+
 // Start the web server
 server.listen(webPORT, () => {
 	console.log(`Web server listening on port ${webPORT}`);
-});
\ No newline at end of file
+});
+
+// OSC for show control software, only with OSC_PORT. With a USERS_FILE it runs as the user of OSC_TOKEN.
+const oscConfig = loadOscConfig(process.env);
+if(oscConfig) {
+	const oscUser = auth.verify(oscConfig.token);
+	if(!oscUser) {
+		console.error('OSC is off: OSC_TOKEN must be the token of a user in USERS_FILE');
+	} else {
+		const osc = new OscServer(Cameras, auth, auth.enabled ? oscUser : { name: 'OSC', role: Role.Operator }, oscConfig);
+		osc.on('commandError', (err, address) => console.warn(`OSC ${address ?? 'packet'}: ${err.message}`));
+		osc.on('error', (err) => console.error('OSC:', err.message));
+		osc.listen().then(
+			() => console.log(`OSC listening on ${oscConfig.host}:${oscConfig.port}`),
+			(err) => console.error(`OSC can't listen on port ${oscConfig.port}:`, err.message)
+		);
+	}
+}
\ No newline at end of file
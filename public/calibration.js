@@ -0,0 +1,258 @@
+// Click-to-center calibration: how far the camera has to pan/tilt to bring a spot on the video feed to the center
+// Without a calibration the spans come from the field of view of the lens, the wizard measures the real ones
+
+// Pan/tilt units per degree, the pan range (-2224 to 2216) covers 340° and the tilt range (-400 to 1200) 120°
+const UnitsPerDegree = { pan: 4440 / 340, tilt: 1600 / 120 };
+// Horizontal field of view in degrees at full wide and full tele (20x)
+const WideFov = 60.7;
+const TeleFov = 3.2;
+const MaxZoom = 0x4000;
+
+// Zoom positions the wizard measures at, and the speeds it moves with
+const WizardSteps = [0, 0x1800, 0x3000];
+const WizardSpeed = [12, 10];
+// Time for the video feed to catch up after a move (ms)
+const SettleTime = 600;
+// The reference spot has to be at least this far from the center (part of the picture), closer spots move too little to measure
+const MinOffset = 0.15;
+
+/**
+ * @typedef {Object} Spans
+ * @property {Number} pan  Pan units from the left to the right edge of the picture, negative if the picture moves the other way
+ * @property {Number} tilt Tilt units from the top to the bottom edge
+*/
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Estimate the spans from the field of view of the lens. The magnification grows about exponentially with the zoom position.
+ * @param {Number} zoom   Zoom position, 0 to 16384
+ * @param {Number} aspect Width / height of the picture
+ * @returns {Spans}
+*/
+function estimateSpans(zoom, aspect) {
+	const fov = WideFov * (TeleFov / WideFov) ** (zoom / MaxZoom);
+	const verticalFov = toDegrees(2 * Math.atan(Math.tan(toRadians(fov / 2)) / aspect));
+	return { pan: fov * UnitsPerDegree.pan, tilt: verticalFov * UnitsPerDegree.tilt };
+}
+
+/**
+ * The spans at a zoom position. Measurements are interpolated (and extrapolated past the first and last one),
+ * a single measurement corrects the field of view estimate by the same factor at every zoom position.
+ *
+ * @param {Object|null} calibration  `{ points: [{ zoom, panSpan, tiltSpan }] }` sorted by zoom, null for the estimate
+ * @param {Number} zoom
+ * @param {Number} aspect Width / height of the picture
+ * @returns {Spans}
+*/
+function spanAt(calibration, zoom, aspect) {
+	const points = calibration?.points ?? [];
+	const estimate = estimateSpans(zoom, aspect);
+	if(points.length === 0) return estimate;
+
+	if(points.length === 1) {
+		const [point] = points;
+		const measured = estimateSpans(point.zoom, aspect);
+		return { pan: estimate.pan * point.panSpan / measured.pan, tilt: estimate.tilt * point.tiltSpan / measured.tilt };
+	}
+
+	// The two measurements around the zoom position, spans shrink exponentially like the estimate
+	let i = points.findIndex((point) => point.zoom > zoom);
+	i = i === -1 ? points.length - 1 : Math.max(1, i);
+	const [a, b] = [points[i - 1], points[i]];
+	const t = (zoom - a.zoom) / (b.zoom - a.zoom);
+	const blend = (from, to) => Math.sign(from) * Math.abs(from) ** (1 - t) * Math.abs(to) ** t;
+	return { pan: blend(a.panSpan, b.panSpan), tilt: blend(a.tiltSpan, b.tiltSpan) };
+}
+
+/**
+ * Pan or tilt units from the center of the picture to a spot. The lens projects angles onto a flat picture,
+ * so half way to the edge is less than half of the angle to the edge.
+ *
+ * @param {Number} fraction  Position of the spot, -0.5 (left/bottom edge) to 0.5 (right/top edge)
+ * @param {Number} span      Units across the picture
+ * @param {Number} perDegree `UnitsPerDegree.pan` or `.tilt`
+ * @returns {Number}
+*/
+function offset(fraction, span, perDegree) {
+	const half = toRadians(Math.min(85, Math.abs(span) / perDegree / 2));
+	if(half < 1e-6) return fraction * span;
+	return span / 2 * Math.atan(2 * fraction * Math.tan(half)) / half;
+}
+
+/**
+ * The span that explains a measurement: the camera moved `moved` units and the spot went from `from` to `to`.
+ * `offset` has no inverse, so search for it.
+ * @returns {Number}
+*/
+function solveSpan(moved, from, to, perDegree) {
+	const sign = Math.sign(moved) * Math.sign(from - to);
+	const distance = (span) => Math.abs(offset(from, span, perDegree) - offset(to, span, perDegree));
+
+	let [low, high] = [1, 170 * perDegree];
+	for(let i = 0; i < 40; i++) {
+		const mid = (low + high) / 2;
+		if(distance(mid) < Math.abs(moved)) low = mid;
+		else high = mid;
+	}
+	return sign * (low + high) / 2;
+}
+
+/**
+ * The relative move that brings a spot on the picture to the center.
+ *
+ * @param {Object|null} calibration
+ * @param {Number} zoom   The current zoom position
+ * @param {Number} aspect Width / height of the picture
+ * @param {Number} x      -0.5 (left edge) to 0.5 (right edge)
+ * @param {Number} y      -0.5 (top edge) to 0.5 (bottom edge), like screen coordinates
+ * @returns {{ pan: Number, tilt: Number }}
+ *
+ * @example
+ * centerMove(calibration, 0, 16 / 9, 0.25, 0); // Half way to the right edge at full wide
+*/
+function centerMove(calibration, zoom, aspect, x, y) {
+	const spans = spanAt(calibration, zoom, aspect);
+	return {
+		pan: Math.round(offset(x, spans.pan, UnitsPerDegree.pan)),
+		tilt: Math.round(offset(-y, spans.tilt, UnitsPerDegree.tilt))
+	};
+}
+
+/**
+ * The zoom position where the picture is `span` pan units wide.
+ * @returns {Number} 0 to 16384
+*/
+function zoomForSpan(calibration, span, aspect) {
+	let [low, high] = [0, MaxZoom];
+	while(high - low > 1) {
+		const mid = Math.floor((low + high) / 2);
+		if(Math.abs(spanAt(calibration, mid, aspect).pan) > span) low = mid;
+		else high = mid;
+	}
+	return high;
+}
+
+/**
+ * The move and zoom position that make a rectangle on the picture fill it.
+ * The zoom is limited by the side of the rectangle that is largest compared to the picture.
+ *
+ * @param {Object|null} calibration
+ * @param {Number} zoom
+ * @param {Number} aspect
+ * @param {Number[]} from One corner, [x, y] like `centerMove`
+ * @param {Number[]} to   The opposite corner
+ * @returns {{ pan: Number, tilt: Number, zoom: Number }}
+*/
+function frameMove(calibration, zoom, aspect, from, to) {
+	const spans = spanAt(calibration, zoom, aspect);
+	const center = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+	const width = Math.abs(offset(from[0], spans.pan, UnitsPerDegree.pan) - offset(to[0], spans.pan, UnitsPerDegree.pan));
+	const height = Math.abs(offset(-from[1], spans.tilt, UnitsPerDegree.tilt) - offset(-to[1], spans.tilt, UnitsPerDegree.tilt));
+	const scale = Math.max(width / Math.abs(spans.pan), height / Math.abs(spans.tilt));
+
+	return {
+		...centerMove(calibration, zoom, aspect, ...center),
+		zoom: Math.max(zoom, zoomForSpan(calibration, Math.abs(spans.pan) * scale, aspect))
+	};
+}
+
+class CancelledError extends Error {
+	constructor() {
+		super('Calibration cancelled');
+		this.name = 'CancelledError';
+	}
+}
+
+/**
+ * Guided measurement of the spans. At every zoom step the user clicks a spot near a corner, the camera moves to center it
+ * with the best guess so far and the user clicks the same spot again. How far the spot moved gives the spans.
+*/
+class CalibrationWizard {
+	/**
+	 * @param {Object} handlers
+	 * @param {Function} handlers.request (event, ...args) Send a command, resolves once the camera is done with it
+	 * @param {Function} handlers.prompt  (text) Show the next instruction
+	 * @param {Number} aspect Width / height of the picture
+	*/
+	constructor(handlers, aspect) {
+		this.handlers = handlers;
+		this.aspect = aspect;
+		// Resolves the spot the wizard is waiting for, { resolve, reject }
+		this.waiting = null;
+	}
+
+	/**
+	 * Measure every zoom step, the zoom is put back afterwards.
+	 * @param {Number} zoom The current zoom position
+	 * @returns {Promise<Object[]|null>} The points for `saveCalibration`, null when cancelled
+	*/
+	async run(zoom) {
+		const points = [];
+		try {
+			for(const [i, step] of WizardSteps.entries()) {
+				this.step = `${i + 1}/${WizardSteps.length}`;
+				this.handlers.prompt(`Step ${this.step}: zooming`);
+				await this.handlers.request('zoomTo', step);
+				points.push(await this.#measure(step, { points }));
+			}
+			return points;
+		} catch(err) {
+			if(err instanceof CancelledError) return null;
+			throw err;
+		} finally {
+			this.waiting = null;
+			await this.handlers.request('zoomTo', zoom).catch(() => {});
+		}
+	}
+
+	/**
+	 * Pass a click on the picture to the wizard.
+	 * @param {Number} x -0.5 to 0.5
+	 * @param {Number} y -0.5 to 0.5
+	*/
+	click(x, y) {
+		this.waiting?.resolve([x, y]);
+	}
+
+	cancel() {
+		this.waiting?.reject(new CancelledError());
+	}
+
+	async #measure(zoom, calibration) {
+		let hint = '';
+		for(;;) {
+			this.handlers.prompt(`Step ${this.step}: ${hint}click something small and sharp near a corner of the picture`);
+			const [x1, y1] = await this.#click();
+			if(Math.abs(x1) < MinOffset || Math.abs(y1) < MinOffset) {
+				hint = 'too close to the center, ';
+				continue;
+			}
+
+			const moved = centerMove(calibration.points.length > 0 ? calibration : null, zoom, this.aspect, x1, y1);
+			this.handlers.prompt(`Step ${this.step}: moving`);
+			await this.handlers.request('moveTo', ...WizardSpeed, moved.pan, moved.tilt, true);
+			await new Promise((resolve) => setTimeout(resolve, SettleTime));
+
+			this.handlers.prompt(`Step ${this.step}: click the same spot again`);
+			const [x2, y2] = await this.#click();
+			if(moved.pan === 0 || moved.tilt === 0 || Math.abs(x1 - x2) < MinOffset / 2 || Math.abs(y1 - y2) < MinOffset / 2) {
+				hint = 'the spot barely moved, try again: ';
+				continue;
+			}
+
+			return {
+				zoom,
+				panSpan: solveSpan(moved.pan, x1, x2, UnitsPerDegree.pan),
+				tiltSpan: solveSpan(moved.tilt, -y1, -y2, UnitsPerDegree.tilt)
+			};
+		}
+	}
+
+	#click() {
+		return new Promise((resolve, reject) => this.waiting = { resolve, reject });
+	}
+}
+
+export { CalibrationWizard, spanAt, centerMove, frameMove, zoomForSpan };
@@ -0,0 +1,207 @@
+// Gamepad support: the left stick drives pan/tilt at a speed that follows how far it is pushed,
+// the triggers zoom and the other buttons can be bound to home and presets
+// Works with controllers the browser exposes with the standard mapping (Xbox, PlayStation, most USB pads)
+
+// Highest signed speeds of the `drive` event, unless `maxSpeeds` knows the camera's own
+const MaxPanSpeed = 18;
+const MaxTiltSpeed = 14;
+const MaxZoomSpeed = 7;
+// Speed changes are sent at most this often (ms), starting and stopping are sent right away
+const DriveInterval = 100;
+
+// Button names of the standard mapping, https://w3c.github.io/gamepad/#remapping
+const ButtonNames = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Guide'];
+
+const DefaultSettings = {
+	panAxis: 0,
+	tiltAxis: 1,
+	invertTilt: false,
+	deadzone: 0.15, // Part of the stick travel around the center that is ignored
+	curve: 2,       // Response curve exponent, 1 is linear, higher gives finer control at low speeds
+	// Action -> button index, presets are `preset:<slot>`
+	buttons: { home: 3, zoomWide: 6, zoomTele: 7, 'preset:0': 0, 'preset:1': 1, 'preset:2': 2 }
+};
+
+/**
+ * @param {Number} index A button index
+ * @returns {String} The name on an Xbox style controller, e.g. `RB`
+*/
+function buttonName(index) {
+	return ButtonNames[index] ?? `Button ${index}`;
+}
+
+/**
+ * Apply a radial deadzone and the response curve to a stick.
+ * @returns {Number[]} [x, y], each -1 to 1
+*/
+function shapeStick(x, y, deadzone, curve) {
+	const length = Math.hypot(x, y);
+	if(length <= deadzone) return [0, 0];
+
+	const shaped = ((Math.min(1, length) - deadzone) / (1 - deadzone)) ** curve;
+	return [x / length * shaped, y / length * shaped];
+}
+// -1..1 -> signed speed, small values round to 0 so a stick pushed sideways doesn't creep up or down
+function toSpeed(value, max) {
+	return Math.sign(value) * Math.round(Math.abs(value) * max) || 0;
+}
+
+class GamepadControl {
+	/**
+	 * @param {Object} handlers
+	 * @param {Function} handlers.drive       (pan, tilt) Signed speeds, whenever they change
+	 * @param {Function} handlers.zoom        (direction, speed) `tele`, `wide` or `stop`, the speed follows analog triggers (null for digital buttons)
+	 * @param {Function} handlers.action      (action) A bound button was pressed, e.g. `home` or `preset:3`
+	 * @param {Function} [handlers.connected] (gamepad) The controller in use, null once it is gone
+	 * @param {Function} [handlers.maxSpeeds] () The highest [pan, tilt] speed of the camera, null when it isn't known
+	*/
+	constructor(handlers) {
+		this.handlers = handlers;
+		this.settings = GamepadControl.load();
+		this.index = null;
+		this.vector = [0, 0];
+		this.zoom = ['stop', null];
+		this.pressed = [];
+		this.lastDrive = 0;
+		// Set while waiting for a button to bind, { action, resolve }
+		this.binding = null;
+
+		// Browsers only announce a controller after one of its buttons is pressed
+		window.addEventListener('gamepadconnected', (e) => {
+			if(this.index === null) this.#use(e.gamepad);
+		});
+		window.addEventListener('gamepaddisconnected', (e) => {
+			if(e.gamepad.index !== this.index) return;
+			this.index = null;
+			this.#release();
+			this.handlers.connected?.(null);
+		});
+		// Hidden tabs don't get gamepad input, don't leave the camera moving
+		document.addEventListener('visibilitychange', () => {
+			if(document.hidden) this.#release();
+		});
+	}
+
+	static load() {
+		try {
+			const saved = JSON.parse(localStorage.getItem('gamepad'));
+			return { ...DefaultSettings, ...saved, buttons: { ...(saved?.buttons ?? DefaultSettings.buttons) } };
+		} catch {
+			return { ...DefaultSettings, buttons: { ...DefaultSettings.buttons } };
+		}
+	}
+	save() {
+		localStorage.setItem('gamepad', JSON.stringify(this.settings));
+	}
+
+	/**
+	 * Change a setting and remember it, e.g. `set('deadzone', 0.2)`.
+	 * @param {String} name
+	 * @param {*} value
+	*/
+	set(name, value) {
+		this.settings[name] = value;
+		this.save();
+	}
+	reset() {
+		this.settings = { ...DefaultSettings, buttons: { ...DefaultSettings.buttons } };
+		this.save();
+	}
+
+	/**
+	 * Bind the next button that is pressed to an action. A button only runs one action, its old binding is removed.
+	 * @param {String} action e.g. `home`, `zoomTele` or `preset:3`
+	 * @returns {Promise<Number>} The button index
+	*/
+	bind(action) {
+		this.binding?.resolve(null);
+		return new Promise((resolve) => this.binding = { action, resolve });
+	}
+	unbind(action) {
+		delete this.settings.buttons[action];
+		this.save();
+	}
+
+	#use(gamepad) {
+		this.index = gamepad.index;
+		this.pressed = gamepad.buttons.map((button) => button.pressed);
+		this.handlers.connected?.(gamepad);
+		requestAnimationFrame(() => this.#poll());
+	}
+
+	#poll() {
+		if(this.index === null) return;
+		const gamepad = navigator.getGamepads()[this.index];
+		if(!gamepad) return;
+
+		this.#readButtons(gamepad);
+		this.#readStick(gamepad);
+		this.#readZoom(gamepad);
+		requestAnimationFrame(() => this.#poll());
+	}
+
+	#readStick(gamepad) {
+		if(document.hidden) return;
+		const { panAxis, tiltAxis, invertTilt, deadzone, curve } = this.settings;
+		const [x, y] = shapeStick(gamepad.axes[panAxis] ?? 0, gamepad.axes[tiltAxis] ?? 0, deadzone, curve);
+		// Pushing the stick up gives a negative axis value
+		const [maxPan, maxTilt] = this.handlers.maxSpeeds?.() ?? [MaxPanSpeed, MaxTiltSpeed];
+		const vector = [toSpeed(x, maxPan), toSpeed(invertTilt ? y : -y, maxTilt)];
+		if(vector[0] === this.vector[0] && vector[1] === this.vector[1]) return;
+
+		const now = performance.now();
+		const moving = [vector, this.vector].every(([pan, tilt]) => pan !== 0 || tilt !== 0);
+		if(moving && now - this.lastDrive < DriveInterval) return;
+
+		this.vector = vector;
+		this.lastDrive = now;
+		this.handlers.drive(...vector);
+	}
+
+	#readZoom(gamepad) {
+		const value = (action) => gamepad.buttons[this.settings.buttons[action]]?.value ?? 0;
+		const tele = value('zoomTele');
+		const wide = value('zoomWide');
+		const amount = Math.max(tele, wide);
+
+		let zoom = ['stop', null];
+		// Half pressed analog triggers zoom slower, fully pressed (or digital) buttons use the zoom speed slider
+		if(amount > this.settings.deadzone) zoom = [tele >= wide ? 'tele' : 'wide', amount < 1 ? Math.round(amount * MaxZoomSpeed) : null];
+		if(zoom[0] === this.zoom[0] && zoom[1] === this.zoom[1]) return;
+
+		this.zoom = zoom;
+		this.handlers.zoom(...zoom);
+	}
+
+	#readButtons(gamepad) {
+		gamepad.buttons.forEach((button, index) => {
+			if(button.pressed === this.pressed[index]) return;
+			this.pressed[index] = button.pressed;
+			if(!button.pressed) return;
+
+			if(this.binding) {
+				const { action, resolve } = this.binding;
+				this.binding = null;
+				Object.keys(this.settings.buttons).forEach((other) => {
+					if(this.settings.buttons[other] === index) delete this.settings.buttons[other];
+				});
+				this.settings.buttons[action] = index;
+				this.save();
+				return resolve(index);
+			}
+
+			const action = Object.keys(this.settings.buttons).find((action) => this.settings.buttons[action] === index);
+			if(action && !action.startsWith('zoom')) this.handlers.action(action);
+		});
+	}
+
+	// Stop everything the controller started
+	#release() {
+		if(this.vector[0] !== 0 || this.vector[1] !== 0) this.handlers.drive(0, 0);
+		if(this.zoom[0] !== 'stop') this.handlers.zoom('stop', null);
+		this.vector = [0, 0];
+		this.zoom = ['stop', null];
+	}
+}
+
+export { GamepadControl, buttonName };
@@ -0,0 +1,197 @@
+// Keyboard control: held direction keys are combined into the eight directions of the `move` event, releasing one
+// of two keys goes back to the direction of the other. Modifier keys move at a fine or a fast speed.
+// Every key can be bound to another action, the bindings are remembered in the browser for each user
+
+// Fast speed when `maxSpeeds` doesn't know the camera's own
+const MaxPanSpeed = 18;
+const MaxTiltSpeed = 14;
+// Fine moves go at this part of the slider speed
+const FineFactor = 0.25;
+
+// [vertical, horizontal] -> `Direction` of Huddlecam.js
+const Directions = {
+	'up,': 0, 'down,': 1, ',left': 2, ',right': 3,
+	'up,left': 4, 'up,right': 5, 'down,left': 6, 'down,right': 7
+};
+
+// Key code -> action, presets are `preset:<slot>`. A key runs one action, an action can have several keys
+const DefaultKeys = {
+	ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right',
+	ShiftLeft: 'fine', ShiftRight: 'fine', AltLeft: 'fast', AltRight: 'fast',
+	KeyH: 'home',
+	Equal: 'zoomTele', NumpadAdd: 'zoomTele', Minus: 'zoomWide', NumpadSubtract: 'zoomWide',
+	...Object.fromEntries(Array.from({ length: 10 }, (_, slot) => [`Digit${slot}`, `preset:${slot}`]))
+};
+
+// Actions that last while their key is held, the others run once per press
+const HeldActions = ['up', 'down', 'left', 'right', 'fine', 'fast', 'zoomTele', 'zoomWide'];
+
+/**
+ * @param {String} code A key code, e.g. `ArrowUp` or `KeyH`
+ * @returns {String} What is printed on the key, e.g. `↑` or `H`
+*/
+function keyName(code) {
+	const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+	return arrows[code] ?? code.replace(/^(Key|Digit)/, '').replace(/(Left|Right)$/, ' $1').replace(/^Numpad/, 'Num ');
+}
+
+class KeyboardControl {
+	/**
+	 * @param {Object} handlers
+	 * @param {Function} handlers.move        (direction, panSpeed, tiltSpeed) Start moving, or change direction or speed
+	 * @param {Function} handlers.stop        () Stop moving
+	 * @param {Function} handlers.zoom        (direction) `tele`, `wide` or `stop`
+	 * @param {Function} handlers.action      (action) A bound key was pressed, e.g. `home` or `preset:3`
+	 * @param {Function} handlers.speeds      () The pan and tilt speed of the sliders, `[pan, tilt]`
+	 * @param {Function} [handlers.maxSpeeds] () The highest [pan, tilt] speed of the camera, null when it isn't known
+	 * @param {Function} [handlers.direction] (direction) The direction the keys move the camera in, null when they don't
+	*/
+	constructor(handlers) {
+		this.handlers = handlers;
+		this.user = null;
+		this.keys = KeyboardControl.load(null);
+		// Held actions, in the order they were pressed
+		this.held = [];
+		// What was sent last, `{ direction, speeds }` while moving
+		this.moving = null;
+		this.zooming = 'stop';
+		// Set while waiting for a key to bind, { action, resolve }
+		this.binding = null;
+
+		document.addEventListener('keydown', (e) => this.#keyDown(e));
+		document.addEventListener('keyup', (e) => this.#keyUp(e));
+		// Keys that are let go in another window never come up here, don't leave the camera moving
+		window.addEventListener('blur', () => this.release());
+		document.addEventListener('visibilitychange', () => {
+			if(document.hidden) this.release();
+		});
+	}
+
+	static load(user) {
+		try {
+			return { ...(JSON.parse(localStorage.getItem(KeyboardControl.storageKey(user))) ?? DefaultKeys) };
+		} catch {
+			return { ...DefaultKeys };
+		}
+	}
+	// Users that share a browser each have their own bindings, without a login everyone shares them
+	static storageKey(user) {
+		return user ? `keyboard:${user}` : 'keyboard';
+	}
+	save() {
+		localStorage.setItem(KeyboardControl.storageKey(this.user), JSON.stringify(this.keys));
+	}
+
+	/**
+	 * Switch to the bindings of another user.
+	 * @param {String|null} user The name of the logged in user, null without a login
+	*/
+	setUser(user) {
+		this.release();
+		this.user = user;
+		this.keys = KeyboardControl.load(user);
+	}
+	reset() {
+		this.keys = { ...DefaultKeys };
+		this.save();
+	}
+
+	/**
+	 * The keys bound to an action.
+	 * @param {String} action e.g. `up`, `fine` or `preset:3`
+	 * @returns {String[]} Key codes
+	*/
+	keysFor(action) {
+		return Object.keys(this.keys).filter((code) => this.keys[code] === action);
+	}
+
+	/**
+	 * Bind the next key that is pressed to an action, instead of the keys it had. Escape cancels.
+	 * @param {String} action
+	 * @returns {Promise<String|null>} The key code, null when cancelled
+	*/
+	bind(action) {
+		this.binding?.resolve(null);
+		return new Promise((resolve) => this.binding = { action, resolve });
+	}
+	unbind(action) {
+		this.keysFor(action).forEach((code) => delete this.keys[code]);
+		this.save();
+	}
+
+	/**
+	 * Let go of every key: stop moving and zooming.
+	*/
+	release() {
+		this.held = [];
+		this.#update();
+	}
+
+	#keyDown(e) {
+		// Typing in a form, e.g. a preset name or a dwell time
+		if(e.target.matches('input:not([type="range"]):not([type="checkbox"]), select')) return;
+		if(this.binding) return this.#bindKey(e);
+
+		const action = Object.hasOwn(this.keys, e.code) ? this.keys[e.code] : undefined;
+		// Leave the browser's shortcuts alone, e.g. Ctrl+R
+		if(!action || ((e.ctrlKey || e.metaKey) && !HeldActions.includes(action))) return;
+		e.preventDefault();
+		if(e.repeat) return;
+
+		if(!HeldActions.includes(action)) return this.handlers.action(action);
+		this.held = [...this.held.filter((held) => held.code !== e.code), { code: e.code, action }];
+		this.#update();
+	}
+
+	#keyUp(e) {
+		if(!this.held.some((held) => held.code === e.code)) return;
+		this.held = this.held.filter((held) => held.code !== e.code);
+		this.#update();
+	}
+
+	#bindKey(e) {
+		e.preventDefault();
+		const { action, resolve } = this.binding;
+		this.binding = null;
+		if(e.code === 'Escape') return resolve(null);
+
+		this.keysFor(action).forEach((code) => delete this.keys[code]);
+		this.keys[e.code] = action;
+		this.save();
+		resolve(e.code);
+	}
+
+	// Work out what the held keys ask for and send what changed
+	#update() {
+		const actions = this.held.map((held) => held.action);
+		// Of two opposite keys the one pressed last wins, releasing it goes back to the other
+		const last = (...options) => actions.filter((action) => options.includes(action)).at(-1) ?? '';
+		const direction = Directions[`${last('up', 'down')},${last('left', 'right')}`] ?? null;
+
+		if(direction === null) {
+			if(this.moving) this.handlers.stop();
+			this.moving = null;
+		} else {
+			const speeds = this.#speeds(actions);
+			if(this.moving?.direction !== direction || this.moving.speeds.join() !== speeds.join()) {
+				this.moving = { direction, speeds };
+				this.handlers.move(direction, ...speeds);
+			}
+		}
+		this.handlers.direction?.(direction);
+
+		const zoom = { zoomTele: 'tele', zoomWide: 'wide' }[last('zoomTele', 'zoomWide')] ?? 'stop';
+		if(zoom !== this.zooming) this.handlers.zoom(zoom);
+		this.zooming = zoom;
+	}
+
+	// Fine wins over fast when both are held
+	#speeds(actions) {
+		const speeds = this.handlers.speeds();
+		if(actions.includes('fine')) return speeds.map((speed) => Math.max(1, Math.round(speed * FineFactor)));
+		if(actions.includes('fast')) return this.handlers.maxSpeeds?.() ?? [MaxPanSpeed, MaxTiltSpeed];
+		return speeds;
+	}
+}
+
+export { KeyboardControl, keyName };
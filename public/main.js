@@ -1,17 +1,459 @@
 import io from 'https://cdnjs.cloudflare.com/ajax/libs/socket.io/4.8.1/socket.io.esm.min.js';
+import { GamepadControl, buttonName } from './gamepad.js';
+import { CalibrationWizard, centerMove, frameMove } from './calibration.js';
+import { TourEditor, describeTour } from './tours.js';
+import { PositionMap } from './map.js';
+import { KeyboardControl, keyName } from './keyboard.js';
 
-const socket = io();
+// Once the server has users, the token from the login form is sent with every connection
+const socket = io({ auth: (cb) => cb({ token: localStorage.getItem('token') }) });
 socket.on('connect', () => {
 	console.log('Connected to server');
 });
 
-socket.on('position', (pos) => {
-	console.log(pos);
+// Position reads while the camera moves, and the answer to `getPosition`
+socket.on('position', ({ camera, pan, tilt }) => {
+	if(camera !== cameraSelect.value) return;
+	currentPosition = { pan, tilt };
+	positionMap.setPosition(currentPosition);
+});
+
+// Camera selector, every event the GUI sends goes to the selected camera
+// The choice is remembered in the browser, the server starts every client on the first camera
+// The server sends the list again whenever a camera connects or disconnects, without a current camera
+const cameraSelect = document.querySelector('select#camera-select');
+var cameraList = [];
+socket.on('cameras', (cameras, current) => {
+	const selected = current ?? cameraSelect.value;
+	cameraList = cameras;
+	cameraSelect.innerHTML = '';
+	cameras.forEach((camera) => {
+		const option = document.createElement('option');
+		option.value = camera.id;
+		option.textContent = `${camera.name} (${camera.address})${camera.connected ? '' : ' - offline'}`;
+		option.title = camera.model.name;
+		cameraSelect.appendChild(option);
+	});
+	cameraSelect.value = selected;
+	updatePortControls();
+	renderLimits();
+	renderModel();
+
+	const stored = localStorage.getItem('camera');
+	if(current && stored && stored !== current && cameras.some((camera) => camera.id === stored)) socket.emit('selectCamera', stored);
+});
+socket.on('camera', (id) => {
+	cameraSelect.value = id;
+	localStorage.setItem('camera', id);
+	updatePortControls();
+	renderLimits();
+	renderModel();
+	moving = null;
+	positionMap.setMotion(null);
+	// Fill the panels with the settings of the newly selected camera, the server sends its state itself
+	socket.emit('getLens');
+	socket.emit('getExposure');
+	socket.emit('getWhiteBalance');
+	renderTourStatus();
+	renderPowerStatus();
+	// The server ends the recording when the camera changes
+	recording = false;
+	renderMacroStatus();
+});
+cameraSelect.addEventListener('change', () => socket.emit('selectCamera', cameraSelect.value));
+
+// Login, the server refuses the connection with `unauthorized` until the browser has a valid token
+const loginForm = document.querySelector('login#login');
+const loginName = document.querySelector('input#login-name');
+const loginPassword = document.querySelector('input#login-password');
+const loginError = document.querySelector('span#login-error');
+socket.on('connect_error', (err) => {
+	if(err.message !== 'unauthorized') return;
+	localStorage.removeItem('token');
+	loginForm.classList.add('visible');
+	loginName.focus();
+});
+loginForm.querySelector('form').addEventListener('submit', (event) => {
+	event.preventDefault();
+	fetch('/api/v1/login', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ name: loginName.value, password: loginPassword.value })
+	})
+		.then((res) => res.json())
+		.then(({ token, error }) => {
+			if(error) {
+				loginError.textContent = error.message;
+				return;
+			}
+			localStorage.setItem('token', token);
+			loginPassword.value = '';
+			loginError.textContent = '';
+			loginForm.classList.remove('visible');
+			socket.connect();
+		})
+		.catch((err) => loginError.textContent = err.message);
+});
+
+// Who is logged in, viewers only get to watch the state so the controls are greyed out
+const userName = document.querySelector('span#user-name');
+const logout = document.querySelector('btn#logout');
+var user = null;
+socket.on('user', (current) => {
+	user = current;
+	userName.textContent = `${user.name} (${user.role})`;
+	logout.style.display = user.login ? '' : 'none';
+	document.body.classList.toggle('viewer', user.role === 'viewer');
+	// Without a login every guest gets a new name, they share one set of key bindings
+	keyboard.setUser(user.login ? user.name : null);
+	renderKeyBindings();
+});
+logout.addEventListener('click', () => {
+	fetch('/api/v1/logout', { method: 'POST', headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }).finally(() => {
+		localStorage.removeItem('token');
+		socket.disconnect();
+		loginForm.classList.add('visible');
+	});
+});
+
+// Control lock, one operator controls a camera at a time. Any command takes control of a free camera,
+// it is released with the button, when the operator leaves or after a while without commands
+const lockHolder = document.querySelector('span#lock-holder');
+const lockTake = document.querySelector('btn#lock-take');
+const lockRelease = document.querySelector('btn#lock-release');
+socket.on('lock', ({ camera, holder }) => {
+	if(camera !== cameraSelect.value && cameraSelect.value) return;
+
+	const mine = !!holder && holder === user?.name;
+	lockHolder.textContent = mine ? 'You have control' : holder ? `${holder} has control` : 'Nobody has control';
+	lockTake.classList.toggle('disabled', !!holder);
+	lockRelease.classList.toggle('disabled', !mine);
+});
+lockTake.addEventListener('click', () => socket.emit('requestControl'));
+lockRelease.addEventListener('click', () => socket.emit('releaseControl'));
+
+// Power of the selected camera: what it reported, why it was switched and the next scheduled change
+// The server confirms every change with the power inquiry, the buttons wait for that
+const powerStatus = document.querySelector('span#power-status');
+const powerOn = document.querySelector('btn#power-on');
+const powerStandby = document.querySelector('btn#power-standby');
+const PowerReasons = { schedule: 'on schedule', idle: 'after being idle', wake: 'for', manual: 'by' };
+var powerStatuses = {};
+socket.on('power', (status) => {
+	powerStatuses[status.camera] = status;
+	renderPowerStatus();
+});
+
+function renderPowerStatus() {
+	const status = powerStatuses[cameraSelect.value];
+	if(!status) return;
+
+	const reason = status.reason ? ` ${PowerReasons[status.reason]}${status.by ? ` ${status.by}` : ''}` : '';
+	const confirmed = status.confirmedAt ? ` at ${new Date(status.confirmedAt).toLocaleTimeString()}` : '';
+	const next = status.next ? `, ${status.next.action === 'on' ? 'on' : 'standby'} ${new Date(status.next.at).toLocaleString()}` : '';
+	switch(status.transition) {
+		case 'on': powerStatus.textContent = `Waking up${reason}…`; break;
+		case 'standby': powerStatus.textContent = `Going to standby${reason}…`; break;
+		default: powerStatus.textContent = status.error ? `${status.power}, ${status.error}` : `${status.power}${reason}${confirmed}${next}`;
+	};
+	powerStatus.classList.toggle('standby', status.power !== 'On');
+	powerOn.classList.toggle('disabled', !!status.transition || status.power === 'On');
+	powerStandby.classList.toggle('disabled', !!status.transition || status.power !== 'On');
+}
+powerOn.addEventListener('click', () => socket.emit('setPower', true));
+powerStandby.addEventListener('click', () => socket.emit('setPower', false));
+
+// Pan/tilt limits of the selected camera, the server keeps moves inside them
+const limitsLabel = document.querySelector('span#limits');
+function renderLimits() {
+	const limits = cameraList.find((camera) => camera.id === cameraSelect.value)?.limits;
+	const range = (axis) => limits[axis] ? `${axis} ${limits[axis][0]} to ${limits[axis][1]}` : `${axis} free`;
+	limitsLabel.textContent = limits ? `Limits: ${range('pan')}, ${range('tilt')}` : '';
+	positionMap.setLimits(limits ?? null);
+}
+
+// Speed and position ranges of the selected camera's model, e.g. { panSpeed: [1, 18], ... }. null until the server sent the cameras
+function cameraRanges() {
+	return cameraList.find((camera) => camera.id === cameraSelect.value)?.model.ranges ?? null;
+}
+// Fit the sliders to what the selected camera takes, a Sony pans faster than a HuddleCam
+function renderModel() {
+	const ranges = cameraRanges();
+	positionMap.setRanges(ranges);
+	if(!ranges) return;
+	const fit = (slider, [min, max]) => {
+		Object.assign(slider, { min, max });
+		// The browser moved the value inside the range, let the slider's handler pick it up
+		slider.dispatchEvent(new Event('input'));
+	};
+	fit(document.querySelector('sliders > input[name="panSpeed"]'), ranges.panSpeed);
+	fit(document.querySelector('sliders > input[name="tiltSpeed"]'), ranges.tiltSpeed);
+	fit(document.querySelector('input#zoom-pos'), ranges.zoom);
+	fit(document.querySelector('input#focus-pos'), ranges.focus);
+	fit(document.querySelector('input#zoom-speed'), ranges.lensSpeed);
+	['shutter', 'iris', 'gain', 'expComp'].forEach((name) => fit(document.querySelector(`setting[name="${name}"] > input[type="range"]`), ranges[name]));
+}
+
+// Serial port of the selected camera, scan for adapters and move the camera (and its daisy chain) to another one
+const portSelect = document.querySelector('select#port-select');
+const portScan = document.querySelector('btn#port-scan');
+const portSwitch = document.querySelector('btn#port-switch');
+function updatePortControls() {
+	const camera = cameraList.find((camera) => camera.id === cameraSelect.value);
+	const serial = camera?.transport === 'serial';
+	[portSelect, portScan, portSwitch].forEach((el) => el.classList.toggle('disabled', !serial));
+	portSelect.disabled = !serial;
+	if(serial && !portSelect.querySelector(`option[value="${camera.port}"]`)) {
+		const option = document.createElement('option');
+		option.value = option.textContent = camera.port;
+		portSelect.appendChild(option);
+	}
+	if(serial) portSelect.value = camera.port;
+}
+socket.on('ports', (ports, current) => {
+	portSelect.innerHTML = '';
+	const paths = ports.map((port) => port.path);
+	if(current && !paths.includes(current)) ports = [{ path: current, missing: true }, ...ports];
+	ports.forEach((port) => {
+		const option = document.createElement('option');
+		option.value = port.path;
+		option.textContent = [port.path, port.manufacturer, port.missing && '(not found)'].filter(Boolean).join(' ');
+		portSelect.appendChild(option);
+	});
+	if(current) portSelect.value = current;
+});
+portScan.addEventListener('click', () => socket.emit('getPorts'));
+portSwitch.addEventListener('click', () => {
+	if(portSwitch.classList.contains('disabled') || !portSelect.value) return;
+	socket.emit('switchPort', portSelect.value);
+});
+
+// Live camera state, the server sends it for every camera whenever something changes
+// The values that changed in the last update are highlighted
+const statePanel = document.querySelector('state#state');
+const stateFields = {
+	power: ['Power', (v) => v],
+	panTiltPos: ['Pan / Tilt', (v) => v && `${v.pan} / ${v.tilt}`],
+	position: ['Zoom / Focus', (v) => v && `${v.zoom} / ${v.focus}`],
+	focus: ['Focus mode', (v) => v],
+	exposure: ['Exposure', (v) => v],
+	shutterPos: ['Shutter', (v) => v?.label],
+	irisPos: ['Iris', (v) => v?.label],
+	gainPos: ['Gain', (v) => v?.label],
+	expCompPos: ['Exp. comp.', (v) => v?.label],
+	backlight: ['Backlight', (v) => v ? 'On' : 'Off'],
+	whiteBalance: ['White balance', (v) => v],
+	videoFormat: ['Video format', (v) => v]
+};
+var lastState = null;
+var moving = null; // The `motionStart` of the move the selected camera is making
+socket.on('state', ({ camera, state, changes }) => {
+	if(camera !== cameraSelect.value && cameraSelect.value) return;
+	if(state.position) currentZoom = state.position.zoom ?? currentZoom;
+	if(state.panTiltPos) currentPosition = state.panTiltPos;
+	positionMap.setPosition(currentPosition);
+	lastState = state;
+	renderState(changes);
+});
+function renderState(changes = {}) {
+	if(!lastState) return;
+	statePanel.innerHTML = '';
+	Object.entries(stateFields).forEach(([field, [label, format]]) => {
+		const name = document.createElement('label');
+		name.textContent = label;
+		const value = document.createElement('span');
+		value.textContent = format(lastState[field]) ?? '-';
+		if(field === 'panTiltPos' && moving) value.textContent += moving.target?.pan !== undefined ? ` → ${moving.target.pan} / ${moving.target.tilt}` : ' (moving)';
+		if(field in changes) value.classList.add('changed');
+		statePanel.append(name, value);
+	});
+}
+socket.on('motionStart', (motion) => {
+	if(motion.camera !== cameraSelect.value) return;
+	moving = motion;
+	positionMap.setMotion(motion);
+	renderState();
+});
+socket.on('motionEnd', ({ camera, position }) => {
+	if(camera !== cameraSelect.value) return;
+	moving = null;
+	if(position) currentPosition = position;
+	positionMap.setMotion(null);
+	positionMap.setPosition(currentPosition);
+	renderState();
+});
+
+// Pan/tilt map of the selected camera, aims it with absolute moves at the speed of the sliders
+const positionMap = new PositionMap(document.querySelector('field#position-map'), {
+	moveTo: (pan, tilt) => socket.emit('moveTo', Number(panSpeed), Number(tiltSpeed), pan, tilt, false),
+	recall: (slot) => socket.emit('recallPreset', slot)
+});
+
+// Preset grid, the server sends the full list whenever a preset changes
+// Click to recall, right click to delete
+const presetGrid = document.querySelector('grid#preset-grid');
+var presetList = [];
+socket.on('presets', (presets) => {
+	presetList = presets;
+	renderBindings();
+	renderKeyBindings();
+	tourEditor.setPresets(presets);
+	positionMap.setPresets(presets);
+	presetGrid.replaceChildren(...presets.map(preset => {
+		const el = document.createElement('preset');
+		el.textContent = preset.label;
+		el.title = `Slot ${preset.slot} (${preset.pan}, ${preset.tilt})`;
+		el.addEventListener('click', () => socket.emit('recallPreset', preset.slot));
+		el.addEventListener('contextmenu', (e) => {
+			e.preventDefault();
+			if(confirm(`Delete preset "${preset.label}"?`)) socket.emit('deletePreset', preset.slot);
+		});
+		return el;
+	}));
+});
+
+const presetLabel = document.querySelector('input#preset-label');
+const presetSpeed = document.querySelector('input#preset-speed');
+document.querySelector('preset#preset-save').addEventListener('click', () => {
+	const preset = { label: presetLabel.value.trim() };
+	if(presetSpeed.checked) {
+		preset.panSpeed = Number(panSpeed);
+		preset.tiltSpeed = Number(tiltSpeed);
+	}
+
+	socket.emit('savePreset', preset);
+	presetLabel.value = '';
 });
 
 window.panSpeed = 8;
 window.tiltSpeed = 4;
 
+// Tours: the server plays them and tells every client how far along they are
+// Any other command to the camera pauses the tour, Resume continues at the step it was on
+const tourList = document.querySelector('list#tour-list');
+const tourStatus = document.querySelector('span#tour-status');
+const tourPause = document.querySelector('btn#tour-pause');
+const tourResume = document.querySelector('btn#tour-resume');
+const tourStop = document.querySelector('btn#tour-stop');
+var currentPosition = null;
+var tourStatuses = {};
+const tourEditor = new TourEditor(document.querySelector('editor#tour-editor'), {
+	save: (tour, previousName) => request('saveTour', tour, previousName),
+	remove: (name) => socket.emit('deleteTour', name),
+	position: () => currentPosition,
+	speeds: () => [Number(panSpeed), Number(tiltSpeed)],
+	ranges: () => cameraRanges()
+});
+
+socket.on('tours', (tours) => {
+	tourList.replaceChildren(...tours.map((tour) => {
+		const item = document.createElement('tour');
+		const name = document.createElement('label');
+		name.textContent = tour.name;
+		const summary = document.createElement('span');
+		summary.textContent = describeTour(tour);
+		const start = document.createElement('btn');
+		start.className = 'small';
+		start.textContent = 'Start';
+		start.addEventListener('click', () => socket.emit('startTour', tour.name));
+		const edit = document.createElement('btn');
+		edit.className = 'small';
+		edit.textContent = 'Edit';
+		edit.addEventListener('click', () => tourEditor.open(tour));
+		item.append(name, summary, start, edit);
+		return item;
+	}));
+});
+socket.on('tour', (status) => {
+	tourStatuses[status.camera] = status;
+	renderTourStatus();
+});
+
+function renderTourStatus() {
+	const status = tourStatuses[cameraSelect.value];
+	if(!status) return;
+
+	const next = status.next ? `, "${status.next.tour}" starts ${new Date(status.next.at).toLocaleString()}` : '';
+	const step = `step ${status.step + 1} of ${status.steps}`;
+	switch(status.state) {
+		case 'running': tourStatus.textContent = `Playing "${status.tour}", ${step}${status.dwellUntil ? `, moving on at ${new Date(status.dwellUntil).toLocaleTimeString()}` : ''}`; break;
+		case 'paused': tourStatus.textContent = `"${status.tour}" paused by ${status.pausedBy} at ${step}`; break;
+		default: tourStatus.textContent = `No tour is playing${next}`;
+	};
+	tourList.querySelectorAll('tour').forEach((item) => item.classList.toggle('active', item.firstChild.textContent === status.tour));
+	tourPause.classList.toggle('disabled', status.state !== 'running');
+	tourResume.classList.toggle('disabled', status.state !== 'paused');
+	tourStop.classList.toggle('disabled', status.state === 'stopped');
+}
+tourPause.addEventListener('click', () => socket.emit('pauseTour'));
+tourResume.addEventListener('click', () => socket.emit('resumeTour'));
+tourStop.addEventListener('click', () => socket.emit('stopTour'));
+document.querySelector('btn#tour-new').addEventListener('click', () => tourEditor.open());
+
+// Macros: Record takes everything this window sends to the camera until it is pressed again, then asks for a name
+// Like tours, any other command to the camera stops a playing macro
+const macroList = document.querySelector('list#macro-list');
+const macroStatus = document.querySelector('span#macro-status');
+const macroRecord = document.querySelector('btn#macro-record');
+const macroStop = document.querySelector('btn#macro-stop');
+const macroSpeed = document.querySelector('select#macro-speed');
+var macroStatuses = {};
+var recording = false;
+
+socket.on('macros', (macros) => {
+	macroList.replaceChildren(...macros.map((macro) => {
+		const item = document.createElement('macro');
+		const name = document.createElement('label');
+		name.textContent = macro.name;
+		const summary = document.createElement('span');
+		summary.textContent = `${macro.commands.length} command${macro.commands.length === 1 ? '' : 's'}, ${(macro.duration / 1000).toFixed(1)}s${macro.recordedBy ? `, by ${macro.recordedBy}` : ''}`;
+		const play = document.createElement('btn');
+		play.className = 'small';
+		play.textContent = 'Play';
+		play.addEventListener('click', () => socket.emit('playMacro', macro.name, Number(macroSpeed.value)));
+		const remove = document.createElement('btn');
+		remove.className = 'small';
+		remove.textContent = 'Delete';
+		remove.addEventListener('click', () => confirm(`Delete macro "${macro.name}"?`) && socket.emit('deleteMacro', macro.name));
+		item.append(name, summary, play, remove);
+		return item;
+	}));
+	renderMacroStatus();
+});
+socket.on('macro', (status) => {
+	macroStatuses[status.camera] = status;
+	renderMacroStatus();
+});
+
+function renderMacroStatus() {
+	const status = macroStatuses[cameraSelect.value];
+	macroRecord.textContent = recording ? 'Stop recording' : 'Record';
+	macroRecord.classList.toggle('recording', recording);
+	if(!status) return;
+
+	macroStatus.textContent = status.macro ? `Playing "${status.macro}" at ${status.speed}× for ${status.startedBy}` : 'No macro is playing';
+	macroList.querySelectorAll('macro').forEach((item) => item.classList.toggle('active', item.firstChild.textContent === status.macro));
+	macroStop.classList.toggle('disabled', !status.macro);
+}
+// Errors show up through `cameraError`
+macroRecord.addEventListener('click', () => {
+	if(!recording) {
+		recording = true;
+		renderMacroStatus();
+		return request('startRecording').catch(() => {
+			recording = false;
+			renderMacroStatus();
+		});
+	}
+
+	// Without a name the server throws the recording away
+	const name = prompt('Save the macro as', '')?.trim();
+	recording = false;
+	renderMacroStatus();
+	request('stopRecording', name || null).catch(() => {});
+});
+macroStop.addEventListener('click', () => socket.emit('stopMacro'));
+
 
 // Add a check to the show-feed checkbox
 // If its true, we want to display the webcam feed in the video element
@@ -42,46 +484,272 @@ showFeed.addEventListener('change', () => {
 	}
 });
 
-// Add a click event to the video feed to send a command to the server to move to that position
-videoFeed.addEventListener('click', (event) => {
+// Click to center a spot, drag a rectangle to center it and zoom in until it fills the picture
+// How far to move comes from the camera's calibration, or from the field of view of the lens until it is calibrated
+const videoWrapper = videoFeed.parentElement;
+const selection = document.querySelector('selection');
+const calibrationStatus = document.querySelector('span#calibration-status');
+const calibrateButton = document.querySelector('btn#calibrate');
+const calibrationClear = document.querySelector('btn#calibration-clear');
+const calibrationCancel = document.querySelector('btn#calibration-cancel');
+// Drags shorter than this (px) are clicks
+const MinDrag = 6;
+var currentZoom = 0;
+var calibration = null;
+var wizard = null;
+var dragStart = null;
+
+socket.on('calibration', ({ camera, calibration: calibrated }) => {
+	if(camera !== cameraSelect.value && cameraSelect.value) return;
+	calibration = calibrated;
+	if(!wizard) calibrationStatus.textContent = calibrated ? `Calibrated at ${calibrated.points.length} zoom positions` : 'Not calibrated, clicks are estimated';
+});
+
+// Width / height of the picture, the video may be letterboxed inside the element
+function videoAspect() {
+	return videoFeed.videoWidth && videoFeed.videoHeight ? videoFeed.videoWidth / videoFeed.videoHeight : 16 / 9;
+}
+// Position on the picture, -0.5 to 0.5 from the center, and the picture's rectangle on the page
+function pictureSpot(event) {
 	const rect = videoFeed.getBoundingClientRect();
-	var clickX = event.clientX - rect.left;
-	var clickY = event.clientY - rect.top;
+	const width = Math.min(rect.width, rect.height * videoAspect());
+	const height = width / videoAspect();
+	const picture = { left: rect.left + (rect.width - width) / 2, top: rect.top + (rect.height - height) / 2, width, height };
+	const clamp = (value) => Math.max(-0.5, Math.min(0.5, value));
+	return [clamp((event.clientX - picture.left) / width - 0.5), clamp((event.clientY - picture.top) / height - 0.5), picture];
+}
 
-	// console.log(event, rect, clickX, clickY);
+videoFeed.addEventListener('mousedown', (event) => {
+	if(event.button !== 0) return;
+	event.preventDefault();
+	dragStart = event;
+});
+window.addEventListener('mousemove', (event) => {
+	if(!dragStart || wizard) return;
+	const [x1, y1, picture] = pictureSpot(dragStart);
+	const [x2, y2] = pictureSpot(event);
+	const wrapper = videoWrapper.getBoundingClientRect();
+	Object.assign(selection.style, {
+		display: Math.hypot(event.clientX - dragStart.clientX, event.clientY - dragStart.clientY) < MinDrag ? 'none' : 'block',
+		left: `${picture.left - wrapper.left + (Math.min(x1, x2) + 0.5) * picture.width}px`,
+		top: `${picture.top - wrapper.top + (Math.min(y1, y2) + 0.5) * picture.height}px`,
+		width: `${Math.abs(x2 - x1) * picture.width}px`,
+		height: `${Math.abs(y2 - y1) * picture.height}px`
+	});
+});
+window.addEventListener('mouseup', (event) => {
+	if(!dragStart) return;
+	const start = pictureSpot(dragStart);
+	const end = pictureSpot(event);
+	const dragged = Math.hypot(event.clientX - dragStart.clientX, event.clientY - dragStart.clientY) >= MinDrag;
+	dragStart = null;
+	selection.style.display = 'none';
 
-	// Normalize with origin at the center of the video
-	// Positions are a bit off, we need to somehow match the scale of the positions from the camera
-	clickX = (clickX - videoFeed.clientWidth / 2);
-	clickY = (clickY - videoFeed.clientHeight / 2) * 0.25;
+	if(wizard) return wizard.click(end[0], end[1]);
+	if(!dragged) {
+		const move = centerMove(calibration, currentZoom, videoAspect(), end[0], end[1]);
+		return socket.emit('moveTo', panSpeed, tiltSpeed, move.pan, move.tilt, true);
+	}
 
-	clickX = Math.round(clickX);
-	clickY = Math.round(clickY);
+	const frame = frameMove(calibration, currentZoom, videoAspect(), start, end);
+	socket.emit('moveTo', panSpeed, tiltSpeed, frame.pan, frame.tilt, true);
+	if(frame.zoom !== currentZoom) socket.emit('zoomTo', frame.zoom);
+});
 
-	clickY = -clickY; // Invert Y axis
+// Send a command and wait until the camera is done with it, rejects with the server's error
+function request(event, ...args) {
+	return new Promise((resolve, reject) => {
+		// Moves answer once the camera arrived, the server gives them up to a minute
+		socket.timeout(65000).emit(event, ...args, (err, response) => {
+			if(err || response?.error) reject(new Error(response?.error ?? 'The server did not answer'));
+			else resolve();
+		});
+	});
+}
 
-	console.log('Click at ', clickX, clickY);
+// The wizard measures a few zoom positions, see calibration.js
+calibrateButton.addEventListener('click', async () => {
+	if(wizard) return;
+	wizard = new CalibrationWizard({ request, prompt: (text) => calibrationStatus.textContent = text }, videoAspect());
+	document.body.classList.add('calibrating');
+	try {
+		const points = await wizard.run(currentZoom);
+		if(points) await request('saveCalibration', { points });
+	} catch(err) {
+		alert(`Calibration failed: ${err.message}`);
+	} finally {
+		wizard = null;
+		document.body.classList.remove('calibrating');
+		socket.emit('getCalibration');
+	}
+});
+calibrationCancel.addEventListener('click', () => wizard?.cancel());
+calibrationClear.addEventListener('click', () => {
+	if(confirm('Forget the calibration of this camera?')) socket.emit('clearCalibration');
+});
+
+// Zoom and focus
+// The buttons drive while held, the position sliders jump straight to a position
+const zoomSpeed = document.querySelector('input#zoom-speed');
+const zoomPos = document.querySelector('input#zoom-pos');
+const focusPos = document.querySelector('input#focus-pos');
+const focusAuto = document.querySelector('input#focus-auto');
+const focusOnePush = document.querySelector('btn#focus-onepush');
+
+socket.on('connect', () => socket.emit('getLens'));
+socket.on('lens', (lens) => {
+	currentZoom = lens.zoom;
+	zoomPos.value = lens.zoom;
+	focusPos.value = lens.focus;
+	focusAuto.checked = lens.focusMode !== 'Manual';
+	updateFocusControls();
+});
 
+// Manual focus controls only work with auto focus off
+function updateFocusControls() {
+	const manual = !focusAuto.checked;
+	focusPos.disabled = !manual;
+	document.querySelectorAll('btn[focus], btn#focus-onepush').forEach(btn => btn.classList.toggle('disabled', !manual));
+}
+updateFocusControls();
 
-	socket.emit('getPosition');
-	socket.emit('moveTo', panSpeed, tiltSpeed, clickX, clickY, true);
+document.querySelectorAll('btn[zoom], btn[focus]').forEach(btn => {
+	const event = btn.hasAttribute('zoom') ? 'zoom' : 'focus';
+	const direction = btn.getAttribute(event);
+	var state = false;
+	btn.addEventListener('mousedown', () => {
+		socket.emit(event, direction, Number(zoomSpeed.value));
+		state = true;
+	});
+	const stop = () => {
+		if(!state) return;
+		socket.emit(event, 'stop');
+		state = false;
+	};
+	btn.addEventListener('mouseup', stop);
+	btn.addEventListener('mouseleave', stop);
+});
+zoomPos.addEventListener('change', () => socket.emit('zoomTo', Number(zoomPos.value)));
+focusPos.addEventListener('change', () => socket.emit('focusTo', Number(focusPos.value)));
+focusAuto.addEventListener('change', () => {
+	socket.emit('focusMode', focusAuto.checked ? 'auto' : 'manual');
+	updateFocusControls();
+});
+focusOnePush.addEventListener('click', () => socket.emit('focusOnePush'));
+
+// Zoom with the mouse wheel over the video feed, stop shortly after the wheel does
+var wheelTimer = null;
+var wheelDirection = null;
+videoFeed.addEventListener('wheel', (event) => {
+	event.preventDefault();
+	const direction = event.deltaY < 0 ? 'tele' : 'wide';
+	if(direction !== wheelDirection) {
+		socket.emit('zoom', direction, Number(zoomSpeed.value));
+		wheelDirection = direction;
+	}
+
+	clearTimeout(wheelTimer);
+	wheelTimer = setTimeout(() => {
+		socket.emit('zoom', 'stop');
+		wheelDirection = null;
+	}, 150);
+}, { passive: false });
+
+// Show commands the camera rejected, e.g. because this model doesn't support them
+const status = document.querySelector('status#status');
+var statusTimer = null;
+function showStatus(text) {
+	status.textContent = text;
+	status.classList.add('visible');
+	clearTimeout(statusTimer);
+	statusTimer = setTimeout(() => status.classList.remove('visible'), 5000);
+}
+socket.on('cameraError', (err) => showStatus(`${err.name}: ${err.message}${err.command ? ` (${err.command})` : ''}`));
+// A move that was cut short by the limits of the camera
+socket.on('fence', ({ camera, message }) => {
+	if(camera === cameraSelect.value) showStatus(message);
+});
+
+// White balance panel, the R/B gains only apply in Manual and the trigger only in One Push WB
+const wbMode = document.querySelector('select#wb-mode');
+const wbOnePush = document.querySelector('btn#wb-onepush');
+const wbModes = ['Auto', 'In Door', 'Out Door', 'One Push WB', 'Manual'];
+
+socket.on('connect', () => socket.emit('getWhiteBalance'));
+socket.on('whiteBalance', (wb) => {
+	wbMode.value = wbModes.indexOf(wb.mode);
+	wbOnePush.classList.toggle('disabled', wb.mode !== 'One Push WB');
+	document.querySelectorAll('whitebalance > setting').forEach(setting => {
+		const name = setting.getAttribute('name');
+		setting.querySelector('span').textContent = wb[name];
+		setting.querySelector('input[type="range"]').value = wb[name];
+		setting.classList.toggle('disabled', wb.mode !== 'Manual');
+	});
+});
+
+wbMode.addEventListener('change', () => socket.emit('whiteBalanceMode', Number(wbMode.value)));
+wbOnePush.addEventListener('click', () => socket.emit('whiteBalanceOnePush'));
+document.querySelectorAll('whitebalance > setting').forEach(setting => {
+	const name = setting.getAttribute('name');
+	setting.querySelectorAll('btn[action]').forEach(btn => {
+		btn.addEventListener('click', () => socket.emit('setWhiteBalance', name, btn.getAttribute('action')));
+	});
+	const slider = setting.querySelector('input[type="range"]');
+	slider.addEventListener('change', () => socket.emit('setWhiteBalance', name, 'to', Number(slider.value)));
 });
 
-window.testMove = ((relX, relY) => {
-	relX = Math.round(relX);
-	relY = Math.round(relY);
-	console.log('Test move to ', relX, relY);
+// Exposure panel, only the settings that apply to the current mode are enabled
+const exposureMode = document.querySelector('select#exposure-mode');
+const expComp = document.querySelector('input#exp-comp');
+const backlight = document.querySelector('input#backlight');
+const exposureSettings = {
+	'Full Auto': ['expComp'],
+	'Manual': ['shutter', 'iris', 'gain'],
+	'Shutter Priority': ['shutter', 'expComp'],
+	'Iris Priority': ['iris', 'expComp']
+};
+const exposureModes = ['Full Auto', 'Manual', 'Shutter Priority', 'Iris Priority'];
 
-	socket.emit('getPosition');
-	socket.emit('moveTo', panSpeed, tiltSpeed, relX, relY, true);
+socket.on('connect', () => socket.emit('getExposure'));
+socket.on('exposure', (exposure) => {
+	exposureMode.value = exposureModes.indexOf(exposure.mode);
+	expComp.checked = exposure.expComp === 'On';
+	backlight.checked = exposure.backlight === 'On';
+
+	const enabled = exposureSettings[exposure.mode] ?? [];
+	document.querySelectorAll('exposure > setting').forEach(setting => {
+		const name = setting.getAttribute('name');
+		const value = name === 'expComp' ? exposure.expCompPos : exposure[name];
+		setting.querySelector('span').textContent = value.label;
+		setting.querySelector('input[type="range"]').value = value.position;
+
+		setting.classList.toggle('disabled', !enabled.includes(name));
+		// Exposure compensation can be switched on in any automatic mode, but only adjusted while on
+		if(name === 'expComp') {
+			setting.querySelectorAll('btn').forEach(btn => btn.classList.toggle('disabled', !expComp.checked));
+			setting.querySelector('input[type="range"]').disabled = !expComp.checked;
+		}
+	});
 });
 
-const sliders = document.querySelectorAll('input[type="range"]');
+exposureMode.addEventListener('change', () => socket.emit('exposureMode', Number(exposureMode.value)));
+expComp.addEventListener('change', () => socket.emit('setExposure', 'expComp', expComp.checked ? 'on' : 'off'));
+backlight.addEventListener('change', () => socket.emit('backlight', backlight.checked));
+document.querySelectorAll('exposure > setting').forEach(setting => {
+	const name = setting.getAttribute('name');
+	setting.querySelectorAll('btn[action]').forEach(btn => {
+		btn.addEventListener('click', () => socket.emit('setExposure', name, btn.getAttribute('action')));
+	});
+	const slider = setting.querySelector('input[type="range"]');
+	slider.addEventListener('change', () => socket.emit('setExposure', name, 'to', Number(slider.value)));
+});
+
+const sliders = document.querySelectorAll('sliders > input[type="range"]');
 sliders.forEach(slider => {
 	slider.addEventListener('input', () => {
 		switch(slider.name) {
-			case 'panSpeed': panSpeed = slider.value; break;
-			case 'tiltSpeed': tiltSpeed = slider.value; break;
+			case 'panSpeed': panSpeed = Number(slider.value); break;
+			case 'tiltSpeed': tiltSpeed = Number(slider.value); break;
 		}
 
 		document.querySelector(`span#${slider.name}`).textContent = slider
@@ -92,8 +760,116 @@ sliders.forEach(slider => {
 });
 
 
-// TODO: Make a better state machine for the buttons/keyboard
-const bnts = document.querySelectorAll('btn');
+// Gamepad, the left stick sends a pan/tilt vector whose speed follows the deflection
+// The settings and button bindings are remembered in the browser
+const gamepadName = document.querySelector('span#gamepad-name');
+const gamepadDeadzone = document.querySelector('input#gamepad-deadzone');
+const gamepadCurve = document.querySelector('input#gamepad-curve');
+const gamepadInvert = document.querySelector('input#gamepad-invert');
+const gamepadBindings = document.querySelector('bindings#gamepad-bindings');
+const gamepad = new GamepadControl({
+	drive: (pan, tilt) => socket.emit('drive', pan, tilt),
+	zoom: (direction, speed) => socket.emit('zoom', direction, direction === 'stop' ? undefined : speed ?? Number(zoomSpeed.value)),
+	action: (action) => {
+		if(action === 'home') socket.emit('home');
+		else if(action.startsWith('preset:')) socket.emit('recallPreset', Number(action.slice('preset:'.length)));
+	},
+	connected: (pad) => gamepadName.textContent = pad ? pad.id : 'Press a button on the controller to use it',
+	maxSpeeds: () => {
+		const ranges = cameraRanges();
+		return ranges && [ranges.panSpeed[1], ranges.tiltSpeed[1]];
+	}
+});
+function updateGamepadSettings() {
+	gamepadDeadzone.value = gamepad.settings.deadzone;
+	gamepadCurve.value = gamepad.settings.curve;
+	gamepadInvert.checked = gamepad.settings.invertTilt;
+	renderBindings();
+}
+gamepadDeadzone.addEventListener('input', () => gamepad.set('deadzone', Number(gamepadDeadzone.value)));
+gamepadCurve.addEventListener('input', () => gamepad.set('curve', Number(gamepadCurve.value)));
+gamepadInvert.addEventListener('change', () => gamepad.set('invertTilt', gamepadInvert.checked));
+document.querySelector('btn#gamepad-reset').addEventListener('click', () => {
+	gamepad.reset();
+	updateGamepadSettings();
+
+// Keyboard, held keys are combined into diagonals and the modifiers pick a fine or fast speed
+// The bindings are remembered in the browser for each user
+const keyboardBindings = document.querySelector('bindings#keyboard-bindings');
+const keyboard = new KeyboardControl({
+	move: (direction, pan, tilt) => socket.emit('move', direction, pan, tilt),
+	stop: () => socket.emit('moveStop'),
+	zoom: (direction) => socket.emit('zoom', direction, direction === 'stop' ? undefined : Number(zoomSpeed.value)),
+	action: (action) => {
+		if(action === 'home') socket.emit('home');
+		else if(action.startsWith('preset:')) socket.emit('recallPreset', Number(action.slice('preset:'.length)));
+	},
+	speeds: () => [Number(panSpeed), Number(tiltSpeed)],
+	maxSpeeds: () => {
+		const ranges = cameraRanges();
+		return ranges && [ranges.panSpeed[1], ranges.tiltSpeed[1]];
+	},
+	// Light up the on-screen button of the direction
+	direction: (direction) => bnts.forEach((btn) => btn.classList.toggle('active', btn.getAttribute('dir') === String(direction)))
+});
+document.querySelector('btn#keyboard-reset').addEventListener('click', () => {
+	keyboard.reset();
+	renderKeyBindings();
+});
+
+// Click a binding and press a key to change it (Escape cancels), right click to remove it
+function renderKeyBindings() {
+	const actions = [
+		['up', 'Up'], ['down', 'Down'], ['left', 'Left'], ['right', 'Right'], ['fine', 'Fine speed'], ['fast', 'Fast speed'],
+		['home', 'Home'], ['zoomTele', 'Zoom tele'], ['zoomWide', 'Zoom wide'], ...presetList.map((preset) => [`preset:${preset.slot}`, preset.label])
+	];
+	keyboardBindings.replaceChildren(...actions.flatMap(([action, label]) => {
+		const name = document.createElement('label');
+		name.textContent = label;
+		const button = document.createElement('btn');
+		button.className = 'small';
+		button.textContent = keyboard.keysFor(action).map(keyName).join(', ') || '-';
+		button.addEventListener('click', () => {
+			button.textContent = 'Press a key...';
+			keyboard.bind(action).then(renderKeyBindings);
+		});
+		button.addEventListener('contextmenu', (e) => {
+			e.preventDefault();
+			keyboard.unbind(action);
+			renderKeyBindings();
+		});
+		return [name, button];
+	}));
+}
+});
+
+// Click a binding and press a controller button to change it, right click to remove it
+function renderBindings() {
+	const actions = [['home', 'Home'], ['zoomTele', 'Zoom tele'], ['zoomWide', 'Zoom wide'], ...presetList.map((preset) => [`preset:${preset.slot}`, preset.label])];
+	gamepadBindings.replaceChildren(...actions.flatMap(([action, label]) => {
+		const name = document.createElement('label');
+		name.textContent = label;
+		const button = document.createElement('btn');
+		button.className = 'small';
+		const index = gamepad.settings.buttons[action];
+		button.textContent = index === undefined ? '-' : buttonName(index);
+		button.addEventListener('click', () => {
+			button.textContent = 'Press a button...';
+			gamepad.bind(action).then(renderBindings);
+		});
+		button.addEventListener('contextmenu', (e) => {
+			e.preventDefault();
+			gamepad.unbind(action);
+			renderBindings();
+		});
+		return [name, button];
+	}));
+}
+updateGamepadSettings();
+
+
+// TODO: Make a better state machine for the buttons
+const bnts = document.querySelectorAll('controller > btn');
 bnts.forEach(btn => {
 	var state = false;
 	btn.addEventListener('mousedown', () => {
@@ -121,66 +897,3 @@ bnts.forEach(btn => {
 		}
 	});
 });
-
-// Arrow key support to the whole page
-var keys = {
-	Up: false,
-	Down: false,
-	Left: false,
-	Right: false
-}
-document.addEventListener('keydown', (e) => {
-	let dir = null; let alreadyPressed = false;
-	switch(e.key) {
-		case 'ArrowUp': {
-			if(keys.Up) alreadyPressed = true;
-			dir = 0; 
-			keys.Up = true; 
-			break;
-		}
-		case 'ArrowDown': {
-			if(keys.Down) alreadyPressed = true;
-			dir = 1; 
-			keys.Down = true; 
-			break;
-		}
-		case 'ArrowLeft': {
-			if(keys.Left) alreadyPressed = true;
-			dir = 2; 
-			keys.Left = true; 
-			break;
-		}
-		case 'ArrowRight': {
-			if(keys.Right) alreadyPressed = true;
-			dir = 3; 
-			keys.Right = true; 
-			break;
-		}
-	}
-
-	if(dir !== null && !alreadyPressed) {
-		// Add the active state to the button
-		document.querySelector(`btn[dir="${dir}"]`).classList.add('active');
-
-		socket.emit('move', dir, panSpeed, tiltSpeed);
-	}
-});
-document.addEventListener('keyup', (e) => {
-	let dir = null;
-	switch(e.key) {
-		case 'ArrowUp': dir = 0; keys.Up = false; break;
-		case 'ArrowDown': dir = 1; keys.Down = false; break;
-		case 'ArrowLeft': dir = 2; keys.Left = false; break;
-		case 'ArrowRight': dir = 3; keys.Right = false; break;
-	}
-	if(dir === null) return;
-
-	// Add the active state to the button
-	document.querySelector(`btn[dir="${dir}"]`).classList.remove('active');
-		
-	socket.emit('moveStop');
-		// let anyKey = Object.values(keys).some(v => v);
-	// if(!anyKey) {
-	//	 socket.emit('moveStop');
-	// }
-});
@@ -0,0 +1,175 @@
+// Pan/tilt map: the camera's whole pan/tilt range with where it points, its presets and its limits
+// Click or drag on the map to aim the camera. It follows the server's position reads, so it works with the video feed off
+
+// Time between moves while dragging, the camera heads for the latest one (ms)
+const DragInterval = 200;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+class PositionMap {
+	/**
+	 * @param {HTMLElement} root The `<field>` element the map is drawn in, see index.html
+	 * @param {Object} handlers
+	 * @param {Function} handlers.moveTo (pan, tilt) Move the camera to an absolute position
+	 * @param {Function} handlers.recall (slot) Recall a preset, for clicks on its pin
+	*/
+	constructor(root, handlers) {
+		this.root = root;
+		this.handlers = handlers;
+		// { pan: [min, max], tilt: [min, max] } of the camera's model
+		this.ranges = null;
+		this.limits = null;
+		this.presets = [];
+		this.position = null;
+
+		this.limitsBox = document.createElement('limits');
+		this.pins = document.createElement('pins');
+		this.target = document.createElement('target');
+		this.aim = document.createElement('aim');
+		this.marker = document.createElement('marker');
+		root.replaceChildren(this.limitsBox, this.pins, this.target, this.aim, this.marker);
+
+		root.addEventListener('pointerdown', (event) => {
+			if(event.button !== 0 || !this.ranges) return;
+			root.setPointerCapture(event.pointerId);
+			this.#drag = { sent: 0, last: null };
+			this.#aimAt(event);
+		});
+		root.addEventListener('pointermove', (event) => {
+			if(this.ranges) root.title = this.#describe(this.#positionAt(event));
+			if(this.#drag) this.#aimAt(event);
+		});
+		// The move to where the drag ended always goes out, even right after the last one
+		const release = (event) => {
+			if(!this.#drag) return;
+			this.#aimAt(event, true);
+			this.#drag = null;
+			this.aim.style.display = 'none';
+		};
+		root.addEventListener('pointerup', release);
+		root.addEventListener('pointercancel', release);
+	}
+
+	// { sent, last } while the pointer is held down on the map
+	#drag = null;
+
+	/**
+	 * @param {Object|null} ranges The ranges of the camera's model, only `pan` and `tilt` are used
+	*/
+	setRanges(ranges) {
+		this.ranges = ranges && { pan: ranges.pan, tilt: ranges.tilt };
+		// As wide as the camera pans compared to how far it tilts, a unit is about the same angle on both axes
+		if(this.ranges) this.root.style.aspectRatio = `${this.#span('pan')} / ${this.#span('tilt')}`;
+		this.#render();
+	}
+
+	/**
+	 * @param {Object|null} limits `{ pan, tilt }` from the camera list, an axis without limits is null
+	*/
+	setLimits(limits) {
+		this.limits = limits;
+		this.#render();
+	}
+
+	/**
+	 * @param {Object[]} presets The camera's presets, `{ slot, label, pan, tilt }`
+	*/
+	setPresets(presets) {
+		this.presets = presets;
+		this.#render();
+	}
+
+	/**
+	 * Move the marker, it glides to the new position while the camera is moving.
+	 * @param {{ pan: Number, tilt: Number }|null} position
+	*/
+	setPosition(position) {
+		this.position = position;
+		this.#renderMarker();
+	}
+
+	/**
+	 * Show where the camera is heading.
+	 * @param {Object|null} motion The `motionStart` of the move the camera is making, null once it is at rest
+	*/
+	setMotion(motion) {
+		this.root.classList.toggle('moving', !!motion);
+		const target = motion?.target?.pan !== undefined ? motion.target : null;
+		this.target.style.display = target && this.ranges ? 'block' : 'none';
+		if(target && this.ranges) this.#place(this.target, target);
+	}
+
+	#render() {
+		this.root.classList.toggle('disabled', !this.ranges);
+		if(!this.ranges) return;
+
+		const box = this.#limitsBox();
+		this.limitsBox.style.display = box ? '' : 'none';
+		if(box) {
+			this.#place(this.limitsBox, { pan: box.pan[0], tilt: box.tilt[1] });
+			this.limitsBox.style.width = `${(box.pan[1] - box.pan[0]) / this.#span('pan') * 100}%`;
+			this.limitsBox.style.height = `${(box.tilt[1] - box.tilt[0]) / this.#span('tilt') * 100}%`;
+		}
+
+		this.pins.replaceChildren(...this.presets.filter((preset) => preset.pan !== undefined).map((preset) => {
+			const pin = document.createElement('pin');
+			pin.textContent = preset.label;
+			pin.title = `${preset.label}, slot ${preset.slot} (${this.#describe(preset)})`;
+			this.#place(pin, preset);
+			// A click on a pin recalls the preset instead of aiming there
+			pin.addEventListener('pointerdown', (event) => event.stopPropagation());
+			pin.addEventListener('click', () => this.handlers.recall(preset.slot));
+			return pin;
+		}));
+		this.#renderMarker();
+	}
+
+	#renderMarker() {
+		this.marker.style.display = this.position && this.ranges ? '' : 'none';
+		if(this.position && this.ranges) this.#place(this.marker, this.position);
+	}
+
+	// The box the camera stays in, an axis without limits spans the whole range. null without limits
+	#limitsBox() {
+		if(!this.limits?.pan && !this.limits?.tilt) return null;
+		return { pan: this.limits.pan ?? this.ranges.pan, tilt: this.limits.tilt ?? this.ranges.tilt };
+	}
+
+	#aimAt(event, final = false) {
+		const position = this.#positionAt(event);
+		this.aim.style.display = 'block';
+		this.#place(this.aim, position);
+
+		const { sent, last } = this.#drag;
+		const same = last?.pan === position.pan && last?.tilt === position.tilt;
+		if(same || (!final && Date.now() - sent < DragInterval)) return;
+		this.#drag = { sent: Date.now(), last: position };
+		this.handlers.moveTo(position.pan, position.tilt);
+	}
+
+	// Pointer -> pan/tilt position, up is positive tilt and right is positive pan
+	#positionAt(event) {
+		const rect = this.root.getBoundingClientRect();
+		const x = clamp((event.clientX - rect.left) / rect.width, 0, 1);
+		const y = clamp((event.clientY - rect.top) / rect.height, 0, 1);
+		return {
+			pan: Math.round(this.ranges.pan[0] + x * this.#span('pan')),
+			tilt: Math.round(this.ranges.tilt[1] - y * this.#span('tilt'))
+		};
+	}
+
+	#place(element, { pan, tilt }) {
+		element.style.left = `${(clamp(pan, ...this.ranges.pan) - this.ranges.pan[0]) / this.#span('pan') * 100}%`;
+		element.style.top = `${(this.ranges.tilt[1] - clamp(tilt, ...this.ranges.tilt)) / this.#span('tilt') * 100}%`;
+	}
+
+	#span(axis) {
+		return this.ranges[axis][1] - this.ranges[axis][0];
+	}
+
+	#describe({ pan, tilt }) {
+		return `${pan} / ${tilt}`;
+	}
+}
+
+export { PositionMap };
@@ -0,0 +1,187 @@
+// Tour editor: name, mode, schedule and the list of steps of one tour
+// The server checks the tour again when it is saved, this only keeps the form in a shape it accepts
+
+const Weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DefaultDwell = 10;
+
+/**
+ * One line summary of a tour for the tour list, e.g. `3 steps, loop, Sat Sun 08:00 13:30`.
+ * @param {Object} tour
+ * @returns {String}
+*/
+function describeTour(tour) {
+	const parts = [`${tour.steps.length} step${tour.steps.length === 1 ? '' : 's'}`, tour.mode === 'once' ? 'once' : 'loop'];
+	if(tour.schedule) {
+		const days = tour.schedule.days ? tour.schedule.days.map((day) => Weekdays[day]).join(' ') + ' ' : '';
+		parts.push(`${days}${tour.schedule.times.join(' ')}`);
+	}
+	return parts.join(', ');
+}
+
+class TourEditor {
+	/**
+	 * @param {HTMLElement} root The `<editor>` element, see index.html
+	 * @param {Object} handlers
+	 * @param {Function} handlers.save     (tour, previousName) Save the tour, resolves once the server stored it
+	 * @param {Function} handlers.remove   (name) Delete the tour
+	 * @param {Function} handlers.position () The current `{ pan, tilt }` of the camera, null if unknown
+	 * @param {Function} handlers.speeds   () The pan and tilt speed of the sliders, `[pan, tilt]`
+	 * @param {Function} [handlers.ranges] () The ranges of the camera's model, `{ panSpeed, tiltSpeed, ... }`, null when they aren't known
+	*/
+	constructor(root, handlers) {
+		this.root = root;
+		this.handlers = handlers;
+		this.presets = [];
+		this.steps = [];
+		this.previousName = undefined;
+
+		this.name = root.querySelector('#tour-name');
+		this.mode = root.querySelector('#tour-mode');
+		this.times = root.querySelector('#tour-times');
+		this.days = root.querySelector('#tour-days');
+		this.list = root.querySelector('#tour-steps');
+		this.error = root.querySelector('#tour-error');
+
+		this.days.replaceChildren(...Weekdays.map((day, index) => {
+			const label = document.createElement('label');
+			const box = document.createElement('input');
+			box.type = 'checkbox';
+			box.value = index;
+			label.append(box, ` ${day}`);
+			return label;
+		}));
+
+		root.querySelector('#tour-add-position').addEventListener('click', () => {
+			const position = this.handlers.position();
+			if(!position) return this.#fail('The camera position is unknown, wait for the next state update');
+			const [panSpeed, tiltSpeed] = this.handlers.speeds();
+			this.steps.push({ pan: position.pan, tilt: position.tilt, panSpeed, tiltSpeed, dwell: DefaultDwell });
+			this.#render();
+		});
+		root.querySelector('#tour-add-preset').addEventListener('click', () => {
+			if(this.presets.length === 0) return this.#fail('Save a preset first');
+			this.steps.push({ preset: this.presets[0].slot, dwell: DefaultDwell });
+			this.#render();
+		});
+		root.querySelector('#tour-save').addEventListener('click', async () => {
+			try {
+				await this.handlers.save(this.#read(), this.previousName);
+				this.close();
+			} catch(err) {
+				this.#fail(err.message);
+			}
+		});
+		root.querySelector('#tour-delete').addEventListener('click', () => {
+			if(this.previousName !== undefined && confirm(`Delete tour "${this.previousName}"?`)) this.handlers.remove(this.previousName);
+			this.close();
+		});
+		root.querySelector('#tour-close').addEventListener('click', () => this.close());
+	}
+
+	/**
+	 * Edit a tour, or start a new one.
+	 * @param {Object} [tour]
+	*/
+	open(tour) {
+		this.previousName = tour?.name;
+		this.name.value = tour?.name ?? '';
+		this.mode.value = tour?.mode ?? 'loop';
+		this.times.value = tour?.schedule?.times.join(', ') ?? '';
+		this.days.querySelectorAll('input').forEach((box) => box.checked = tour?.schedule?.days?.includes(Number(box.value)) ?? false);
+		this.steps = structuredClone(tour?.steps ?? []);
+		this.error.textContent = '';
+		this.root.style.display = 'flex';
+		this.#render();
+	}
+	close() {
+		this.root.style.display = 'none';
+	}
+
+	/**
+	 * Keep the preset choices of the steps up to date.
+	 * @param {Object[]} presets
+	*/
+	setPresets(presets) {
+		this.presets = presets;
+		if(this.root.style.display === 'flex') this.#render();
+	}
+
+	#fail(message) {
+		this.error.textContent = message;
+	}
+
+	// The tour as the form shows it, empty speeds recall presets at the camera's preset speed
+	#read() {
+		const name = this.name.value.trim();
+		if(!name) throw new Error('The tour needs a name');
+		if(this.steps.length === 0) throw new Error('Add at least one step');
+
+		const tour = { name, mode: this.mode.value, steps: this.steps };
+		const times = this.times.value.split(/[\s,]+/).filter(Boolean);
+		if(times.length > 0) {
+			tour.schedule = { times };
+			const days = [...this.days.querySelectorAll('input:checked')].map((box) => Number(box.value));
+			if(days.length > 0 && days.length < 7) tour.schedule.days = days;
+		}
+		return tour;
+	}
+
+	#render() {
+		const ranges = this.handlers.ranges?.();
+		this.list.replaceChildren(...this.steps.map((step, index) => {
+			const row = document.createElement('step');
+
+			const target = document.createElement('select');
+			target.append(new Option(step.preset === undefined ? `${step.pan} / ${step.tilt}` : 'Position', 'position'));
+			this.presets.forEach((preset) => target.append(new Option(preset.label, preset.slot)));
+			target.value = step.preset === undefined ? 'position' : step.preset;
+			target.addEventListener('change', () => {
+				if(target.value === 'position') {
+					const position = this.handlers.position() ?? { pan: 0, tilt: 0 };
+					const [panSpeed, tiltSpeed] = this.handlers.speeds();
+					this.steps[index] = { pan: position.pan, tilt: position.tilt, panSpeed: step.panSpeed ?? panSpeed, tiltSpeed: step.tiltSpeed ?? tiltSpeed, dwell: step.dwell };
+				} else {
+					const { pan, tilt, ...rest } = step;
+					this.steps[index] = { ...rest, preset: Number(target.value) };
+				}
+				this.#render();
+			});
+
+			const number = (field, title, min, max) => {
+				const input = document.createElement('input');
+				input.type = 'number';
+				Object.assign(input, { min, max, title, placeholder: title, value: step[field] ?? '' });
+				input.addEventListener('change', () => {
+					if(input.value === '') delete step[field];
+					else step[field] = Number(input.value);
+				});
+				return input;
+			};
+
+			const button = (text, action) => {
+				const btn = document.createElement('btn');
+				btn.className = 'small';
+				btn.textContent = text;
+				btn.addEventListener('click', () => {
+					action();
+					this.#render();
+				});
+				return btn;
+			};
+			const swap = (other) => [this.steps[index], this.steps[other]] = [this.steps[other], this.steps[index]];
+
+			row.append(
+				target,
+				number('panSpeed', 'Pan speed', ...(ranges?.panSpeed ?? [1, 18])),
+				number('tiltSpeed', 'Tilt speed', ...(ranges?.tiltSpeed ?? [1, 14])),
+				number('dwell', 'Dwell (s)', 0, 86400),
+				button('↑', () => index > 0 && swap(index - 1)),
+				button('↓', () => index < this.steps.length - 1 && swap(index + 1)),
+				button('✕', () => this.steps.splice(index, 1))
+			);
+			return row;
+		}));
+	}
+}
+
+export { TourEditor, describeTour };
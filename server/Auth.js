@@ -0,0 +1,171 @@
+// Users, roles and login sessions for the web GUI, socket.io and the REST API
+// Without a USERS_FILE nobody has to log in and every client is an operator
+
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+const Role = {
+	Viewer: 'viewer',
+	Operator: 'operator'
+};
+
+/**
+ * @typedef {Object} UserConfig
+ * @property {String} name           Login name
+ * @property {String} role           `viewer` (state and position only) or `operator`
+ * @property {String} [password]     Password hash from `hashPassword()`, for logging in to the GUI
+ * @property {String} [token]        Fixed token for scripts, sent as `Authorization: Bearer <token>`
+*/
+
+/**
+ * @typedef {Object} User
+ * @property {String} name
+ * @property {String} role
+*/
+
+class AuthError extends Error {
+	constructor(message = 'Please log in') { super(message); this.name = 'AuthError'; }
+}
+class ForbiddenError extends Error {
+	constructor(message) { super(message); this.name = 'ForbiddenError'; }
+}
+
+/**
+ * Hash a password for the users file.
+ *
+ * @param {String} password
+ * @returns {String} `scrypt$<salt>$<hash>`
+ *
+ * @example
+ * // node -e "import('./server/Auth.js').then((auth) => console.log(auth.hashPassword('secret')))"
+*/
+function hashPassword(password) {
+	const salt = crypto.randomBytes(16);
+	const hash = crypto.scryptSync(password, salt, 32);
+	return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+// Compared against for unknown names, as long to hash as a real password
+const DummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+function checkPassword(password, stored) {
+	const [scheme, salt, hash] = String(stored).split('$');
+	if(scheme !== 'scrypt' || !salt || !hash) return false;
+
+	const expected = Buffer.from(hash, 'hex');
+	const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+	return crypto.timingSafeEqual(actual, expected);
+}
+function sameToken(a, b) {
+	const left = Buffer.from(String(a));
+	const right = Buffer.from(String(b));
+	return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Read the users from `USERS_FILE`, a JSON array of `UserConfig`.
+ *
+ * @param {Object} env The environment, usually `process.env`
+ * @returns {UserConfig[]} The users, empty without a `USERS_FILE`
+*/
+function loadUsers(env) {
+	if(!env.USERS_FILE) return [];
+
+	const users = JSON.parse(fs.readFileSync(env.USERS_FILE, 'utf8'));
+	if(!Array.isArray(users)) throw new Error(`\`USERS_FILE\` ${env.USERS_FILE} must hold an array of users`);
+	users.forEach((user) => {
+		if(!user.name || !Object.values(Role).includes(user.role)) throw new Error(`Every user in ${env.USERS_FILE} needs a \`name\` and a \`role\` (viewer or operator)`);
+		if(!user.password && !user.token) throw new Error(`User "${user.name}" needs a \`password\` or a \`token\``);
+	});
+	return users;
+}
+
+class Auth {
+	/**
+	 * @param {UserConfig[]} users  The users that may log in, none means everyone is an operator
+	 * @param {Object} [options]
+	 * @param {Number} [options.sessionTtl=43200000] How long a login is valid in ms (12 hours)
+	*/
+	constructor(users = [], options = {}) {
+		this.users = users;
+		this.sessionTtl = options.sessionTtl ?? 12 * 60 * 60 * 1000;
+		// Session token -> { name, role, expires }
+		this.sessions = new Map();
+	}
+
+	get enabled() {
+		return this.users.length > 0;
+	}
+
+	/**
+	 * Check a name and password and start a session.
+	 *
+	 * @param {String} name
+	 * @param {String} password
+	 * @returns {{ token: String, name: String, role: String, expires: Number }} The session
+	*/
+	login(name, password) {
+		const user = this.users.find((user) => user.name === name);
+		// Token-only users can't log in with a password at all
+		if(user && !user.password) throw new AuthError('Wrong name or password');
+		// Check a password even for unknown users, so the time it takes doesn't tell which names exist
+		const valid = checkPassword(String(password ?? ''), user?.password ?? DummyHash) && !!user;
+		if(!valid) throw new AuthError('Wrong name or password');
+
+		this.#expireSessions();
+		const token = crypto.randomBytes(24).toString('hex');
+		const session = { name: user.name, role: user.role, expires: Date.now() + this.sessionTtl };
+		this.sessions.set(token, session);
+		return { token, ...session };
+	}
+
+	logout(token) {
+		return this.sessions.delete(token);
+	}
+
+	/**
+	 * Find the user a session token or fixed token belongs to.
+	 *
+	 * @param {String} [token]
+	 * @returns {User|null} The user, or null if the token isn't valid. Without users everyone is an anonymous operator.
+	*/
+	verify(token) {
+		if(!this.enabled) return { name: 'anonymous', role: Role.Operator };
+		if(!token) return null;
+
+		const session = this.sessions.get(token);
+		if(session) {
+			if(session.expires > Date.now()) return { name: session.name, role: session.role };
+			this.sessions.delete(token);
+		}
+
+		const user = this.users.find((user) => user.token && sameToken(user.token, token));
+		return user ? { name: user.name, role: user.role } : null;
+	}
+
+	/**
+	 * Check that a user may control a camera, and take the camera's control lock if nobody holds it.
+	 *
+	 * @param {User} user
+	 * @param {CameraEntry} entry The camera
+	*/
+	authorize(user, entry) {
+		this.requireOperator(user);
+		entry.lock.claim(user.name);
+	}
+	/**
+	 * Check that a user is an operator, for actions that don't move a camera (scanning ports, releasing a lock).
+	 * @param {User} user
+	*/
+	requireOperator(user) {
+		if(user.role !== Role.Operator) throw new ForbiddenError(`${user.name} is a viewer and can't control the camera`);
+	}
+
+	#expireSessions() {
+		const now = Date.now();
+		this.sessions.forEach((session, token) => {
+			if(session.expires <= now) this.sessions.delete(token);
+		});
+	}
+}
+
+export { Auth, Role, AuthError, ForbiddenError, hashPassword, loadUsers };
@@ -0,0 +1,89 @@
+// Click-to-center calibration of a camera: how many pan/tilt units the picture spans at a few zoom positions
+// Measured by the calibration wizard in the GUI, kept in a JSON file per camera
+
+
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} CalibrationPoint
+ * @property {Number} zoom     Zoom position the measurement was taken at (0-16384)
+ * @property {Number} panSpan  Pan units from the left to the right edge of the picture. Negative if the picture moves the other way.
+ * @property {Number} tiltSpan Tilt units from the top to the bottom edge of the picture
+*/
+
+/**
+ * @typedef {Object} Calibration
+ * @property {CalibrationPoint[]} points Sorted by zoom
+ * @property {Number} updated            When it was measured (ms since epoch)
+*/
+
+class CalibrationStore extends EventEmitter {
+	/**
+	 * @param {String} file The JSON file the calibration is stored in, created on the first save
+	*/
+	constructor(file) {
+		super();
+		this.file = file;
+		/** @type {Calibration|null} */
+		this.calibration = null;
+	}
+
+	/**
+	 * Read the calibration from disk. A missing file means the camera isn't calibrated.
+	 * @returns {Promise<Calibration|null>}
+	*/
+	async load() {
+		try {
+			this.calibration = JSON.parse(await fs.readFile(this.file, 'utf8'));
+		} catch(err) {
+			if(err.code !== 'ENOENT') throw err;
+			this.calibration = null;
+		}
+
+		return this.calibration;
+	}
+
+	/**
+	 * @returns {Calibration|null} The calibration, null if the camera isn't calibrated
+	*/
+	get() {
+		return this.calibration;
+	}
+
+	/**
+	 * Replace the calibration.
+	 *
+	 * @param {CalibrationPoint[]} points The measurements, at most one per zoom position is kept
+	 * @returns {Promise<Calibration>}
+	*/
+	async save(points) {
+		const byZoom = new Map(points.map((point) => [point.zoom, { zoom: point.zoom, panSpan: point.panSpan, tiltSpan: point.tiltSpan }]));
+		this.calibration = { points: [...byZoom.values()].sort((a, b) => a.zoom - b.zoom), updated: Date.now() };
+		await this.#write();
+		return this.calibration;
+	}
+
+	/**
+	 * Forget the calibration, the GUI falls back to its field of view estimate.
+	 * @returns {Promise<void>}
+	*/
+	async clear() {
+		this.calibration = null;
+		await fs.rm(this.file, { force: true });
+		this.emit('change', null);
+	}
+
+	async #write() {
+		// Write to a temporary file first so a crash never leaves half a JSON file behind
+		const tmp = `${this.file}.tmp`;
+		await fs.mkdir(path.dirname(this.file), { recursive: true });
+		await fs.writeFile(tmp, JSON.stringify(this.calibration, null, '\t'));
+		await fs.rename(tmp, this.file);
+
+		this.emit('change', this.calibration);
+	}
+}
+
+export { CalibrationStore };
@@ -0,0 +1,315 @@
+// The cameras the server controls, built from configuration
+// Cameras that share a serial port (a daisy chain) share one transport and get their addresses set on open
+// Serial ports picked in the GUI are kept in `ports.json` in the data directory and win over the configuration
+
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { Huddlecam, SerialTransport, UdpTransport, SimulatedCamera, SimulatedChain } from '../Huddlecam.js';
+import { PresetStore } from './PresetStore.js';
+import { CalibrationStore } from './CalibrationStore.js';
+import { TourStore } from './TourStore.js';
+import { TourRunner } from './TourRunner.js';
+import { MacroStore } from './MacroStore.js';
+import { MacroRunner } from './MacroRunner.js';
+import { currentSource } from './Journal.js';
+import { ControlLock } from './ControlLock.js';
+import { Fence, checkLimits } from './Fence.js';
+import { PowerManager, checkPower } from './PowerManager.js';
+
+/**
+ * @typedef {Object} CameraConfig
+ * @property {String} id                   Identifier used by the socket.io API, e.g. `1` or `stage`
+ * @property {String} [name]               Name shown in the GUI, defaults to `Camera <id>`
+ * @property {String} [transport=serial]   `serial`, `udp` or `simulator`
+ * @property {String} [port]               Serial port, e.g. `/dev/ttyUSB0` (serial only)
+ * @property {Number} [baudRate=9600]      Baud rate of the serial port (serial only)
+ * @property {String} [host]               IP address of the camera (udp only)
+ * @property {Number} [udpPort=52381]      VISCA over IP port of the camera (udp only)
+ * @property {Number} [address=1]          VISCA address of the camera on its line (1-7)
+ * @property {String} [model]              `huddlecam`, `sony` or `ptzoptics` (see `Models`), detected from the camera when left out
+ * @property {Limits} [limits]             Pan/tilt box the camera has to stay in, e.g. `{ "pan": [-800, 1200], "tilt": [-200, 600] }`
+ * @property {PowerConfig} [power]         Power schedules, idle standby and the startup action, e.g. `{ "off": ["0 20 * * *"], "idleStandby": 1800000 }`
+*/
+
+/**
+ * @typedef {Object} CameraEntry
+ * @property {String} id
+ * @property {String} name
+ * @property {Huddlecam} camera
+ * @property {PresetStore} presets
+ * @property {CalibrationStore} calibration
+ * @property {TourStore} tours
+ * @property {TourRunner} tour      Plays the tours
+ * @property {MacroStore} macros
+ * @property {MacroRunner} macro    Records and plays the macros
+ * @property {Fence} fence          Keeps pan/tilt moves inside the limits, moves go through it instead of the camera
+ * @property {ControlLock} lock     Which operator controls the camera
+ * @property {PowerManager} power   Switches the camera on and off and runs its startup action
+ * @property {CameraConfig} config
+*/
+
+/**
+ * Read the camera list. `CAMERAS_FILE` points to a JSON array of `CameraConfig`, without it a single camera
+ * is configured from `TRANSPORT`, `SERIAL_PORT`, `BAUDRATE`, `CAMERA_HOST`, `CAMERA_PORT`, `CAMERA_ADDRESS`, `CAMERA_MODEL`,
+ * `PAN_LIMITS` and `TILT_LIMITS` (`min,max`), `POWER_ON` and `POWER_OFF` (cron expressions separated by `;`), `IDLE_STANDBY_MS`
+ * and `STARTUP`.
+ *
+ * @param {Object} env The environment, usually `process.env`
+ * @returns {CameraConfig[]} The camera configurations
+*/
+function loadCameraConfig(env) {
+	if(env.CAMERAS_FILE) {
+		const cameras = JSON.parse(fs.readFileSync(env.CAMERAS_FILE, 'utf8'));
+		if(!Array.isArray(cameras) || cameras.length === 0) throw new Error(`\`CAMERAS_FILE\` ${env.CAMERAS_FILE} must hold a non-empty array of cameras`);
+		return cameras.map((camera, idx) => ({ ...camera, id: String(camera.id ?? idx + 1) }));
+	}
+
+	return [{
+		id: '1',
+		transport: env.TRANSPORT,
+		port: env.SERIAL_PORT,
+		baudRate: env.BAUDRATE ? parseInt(env.BAUDRATE) : undefined,
+		host: env.CAMERA_HOST,
+		udpPort: env.CAMERA_PORT ? parseInt(env.CAMERA_PORT) : undefined,
+		address: env.CAMERA_ADDRESS ? parseInt(env.CAMERA_ADDRESS) : undefined,
+		model: env.CAMERA_MODEL || undefined,
+		limits: env.PAN_LIMITS || env.TILT_LIMITS ? { pan: limitsFrom(env.PAN_LIMITS), tilt: limitsFrom(env.TILT_LIMITS) } : undefined,
+		power: {
+			on: cronsFrom(env.POWER_ON),
+			off: cronsFrom(env.POWER_OFF),
+			idleStandby: env.IDLE_STANDBY_MS ? parseInt(env.IDLE_STANDBY_MS) : undefined,
+			startup: env.STARTUP || undefined
+		}
+	}];
+}
+
+// `-800,1200` -> [-800, 1200]
+function limitsFrom(value) {
+	return value ? value.split(',').map((n) => Number(n.trim())) : undefined;
+}
+
+// `0 7 * * 1-5; 0 13 * * 6` -> ['0 7 * * 1-5', '0 13 * * 6'], cron expressions have commas of their own
+function cronsFrom(value) {
+	return value ? value.split(';').map((expression) => expression.trim()).filter(Boolean) : undefined;
+}
+
+class CameraRegistry extends EventEmitter {
+	/**
+	 * @param {CameraConfig[]} configs   The cameras to control
+	 * @param {Object} [options]
+	 * @param {Number} [options.timeout] Default command timeout for every camera
+	 * @param {String} [options.dataDir] Directory the per-camera preset files and the port choices are kept in
+	 * @param {Number} [options.lockTimeout] Time in ms without commands before an operator loses control of a camera
+	 * @param {Number} [options.tourResume]  Time in ms without manual commands before a paused tour continues, 0 waits for a resume
+	*/
+	constructor(configs, options = {}) {
+		super();
+		this.timeout = options.timeout;
+		this.dataDir = options.dataDir ?? 'data';
+		this.lockTimeout = options.lockTimeout;
+		this.tourResume = options.tourResume;
+		this.portsFile = path.join(this.dataDir, 'ports.json');
+		/** @type {Map<String, CameraEntry>} */
+		this.cameras = new Map();
+		// Transport key -> { transport, entries }
+		this.lines = new Map();
+
+		const ports = this.#readPorts();
+		configs.forEach((config) => {
+			const isSerial = (config.transport ?? 'serial') === 'serial';
+			this.#add(isSerial ? { ...config, ...ports[config.id] } : config);
+		});
+		this.lines.forEach((line) => this.#setupLine(line));
+	}
+
+	/**
+	 * @param {String} id The camera id
+	 * @returns {CameraEntry|undefined}
+	*/
+	get(id) {
+		return this.cameras.get(String(id));
+	}
+
+	/**
+	 * The camera used when a client hasn't picked one.
+	 * @returns {CameraEntry}
+	*/
+	get default() {
+		return this.cameras.values().next().value;
+	}
+
+	/**
+	 * A summary of every camera for the GUI's camera selector.
+	 * @returns {Object[]} `{ id, name, address, transport, port, connected, limits, model }` for each camera,
+	 * `model` is `{ id, name, ranges }` of the camera's profile
+	*/
+	list() {
+		return [...this.cameras.values()].map(({ id, name, camera, config, fence }) => ({
+			id, name, address: camera.address, transport: config.transport ?? 'serial', port: config.port ?? null, connected: camera.connected, limits: fence.status(),
+			model: { id: camera.profile.id, name: camera.profile.name, ranges: camera.profile.ranges }
+		}));
+	}
+
+	/**
+	 * The serial ports on this machine, to pick the one a camera is connected to.
+	 * @returns {Promise<Object[]>} The ports, e.g. [{ path: '/dev/ttyUSB0', manufacturer: 'FTDI', ... }]
+	*/
+	listPorts() {
+		return SerialTransport.list();
+	}
+
+	/**
+	 * Move a camera, and every camera daisy chained with it, to another serial port. The choice is stored
+	 * and used again after a restart.
+	 *
+	 * @param {String} id           The camera id
+	 * @param {String} port         The serial port, e.g. `/dev/ttyUSB1`
+	 * @param {Number} [baudRate]   The baud rate, defaults to the current one
+	 * @returns {Promise<void>} Resolves once the new port is open
+	*/
+	async switchPort(id, port, baudRate) {
+		const entry = this.get(id);
+		if(!entry) throw new Error(`There is no camera "${id}"`);
+		const line = [...this.lines.values()].find((line) => line.entries.includes(entry));
+		if(!(line.transport instanceof SerialTransport)) throw new Error(`${entry.name} is not connected to a serial port`);
+
+		// Another line already has the port open, two transports on one device would garble both
+		const key = `serial:${port}`;
+		const owner = this.lines.get(key);
+		if(owner && owner !== line) throw new Error(`${port} is already used by ${owner.entries.map((chained) => chained.name).join(', ')}`);
+
+		baudRate = baudRate || line.transport.baudRate;
+		line.entries.forEach((chained) => Object.assign(chained.config, { port, baudRate }));
+		this.lines.delete(line.key);
+		line.key = key;
+		this.lines.set(key, line);
+		await this.#writePorts();
+		await line.transport.switchPort(port, baudRate);
+	}
+	forEach(callback) {
+		this.cameras.forEach(callback);
+	}
+
+	#add(config) {
+		const id = String(config.id);
+		if(this.cameras.has(id)) throw new Error(`Camera id "${id}" is used twice`);
+
+		const { key, create } = this.#transportFor(config);
+		if(!this.lines.has(key)) this.lines.set(key, { key, create, transport: null, entries: [] });
+		const line = this.lines.get(key);
+
+		const entry = { id, name: config.name || `Camera ${id}`, camera: null, presets: null, lock: new ControlLock(this.lockTimeout), config };
+		line.entries.push(entry);
+		this.cameras.set(id, entry);
+	}
+
+	/**
+	 * Work out which line (transport) a camera is on, cameras on the same line share the transport.
+	 *
+	 * @param {CameraConfig} config
+	 * @returns {{ key: String, create: Function }}
+	*/
+	#transportFor(config) {
+		switch(config.transport ?? 'serial') {
+			case 'serial': {
+				if(!config.port) throw new Error(`Please provide \`SERIAL_PORT\` (or \`port\` for camera ${config.id})`);
+				const baudRate = config.baudRate ?? 9600;
+				return { key: `serial:${config.port}`, create: () => new SerialTransport(config.port, baudRate) };
+			}
+			case 'udp': {
+				if(!config.host) throw new Error(`Please provide \`CAMERA_HOST\` (or \`host\` for camera ${config.id})`);
+				const port = config.udpPort ?? 52381;
+				return { key: `udp:${config.host}:${port}`, create: () => new UdpTransport(config.host, port) };
+			}
+			case 'simulator': {
+				// Simulated cameras with the same `port` form a simulated chain
+				const key = `simulator:${config.port ?? config.id}`;
+				return { key, create: (count) => count > 1 ? new SimulatedChain(count) : new SimulatedCamera() };
+			}
+		};
+
+		throw new Error(`Unknown transport "${config.transport}" for camera ${config.id}, use "serial", "udp" or "simulator"`);
+	}
+
+	/**
+	 * Create the transport for a line and the cameras on it. Chains get their addresses set and their
+	 * buffers cleared every time the line opens, before the cameras report `ready`.
+	*/
+	#setupLine(line) {
+		line.transport = line.create(line.entries.length);
+		line.entries.forEach((entry) => {
+			// Every command carries who sent it, for the journal and macro recordings
+			entry.camera = new Huddlecam(line.transport, null, {
+				timeout: this.timeout, address: entry.config.address ?? 1, model: entry.config.model, source: currentSource
+			});
+			entry.fence = new Fence(entry.camera, checkLimits(entry.config.limits, entry.name, entry.config.model && entry.camera.profile));
+			entry.presets = new PresetStore(path.join(this.dataDir, `presets-${entry.id}.json`), entry.camera);
+			entry.presets.load().catch((err) => this.emit('error', entry, err));
+			entry.calibration = new CalibrationStore(path.join(this.dataDir, `calibration-${entry.id}.json`));
+			entry.calibration.load().catch((err) => this.emit('error', entry, err));
+			entry.tours = new TourStore(path.join(this.dataDir, `tours-${entry.id}.json`));
+			entry.tour = new TourRunner(entry, { resumeAfter: this.tourResume });
+			entry.tours.load().catch((err) => this.emit('error', entry, err));
+			entry.macros = new MacroStore(path.join(this.dataDir, `macros-${entry.id}.json`));
+			entry.macro = new MacroRunner(entry);
+			entry.macros.load().catch((err) => this.emit('error', entry, err));
+			entry.power = new PowerManager(entry, { ...checkPower(entry.config.power, entry.name), file: path.join(this.dataDir, `position-${entry.id}.json`) });
+			entry.power.load().catch((err) => this.emit('error', entry, err));
+			entry.camera.on('networkChange', () => this.#initLine(line));
+		});
+
+		line.opened = 0;
+		line.transport.on('open', () => this.#initLine(line));
+	}
+
+	/**
+	 * Get a line ready every time it opens. Serial cameras may have been power cycled or replaced while the line
+	 * was gone, so they get their addresses set and their buffers cleared before they report `ready`.
+	 * Cameras without a configured `model` are asked what they are, also after a reconnect: it may be another camera now.
+	*/
+	async #initLine(line) {
+		const [first] = line.entries;
+		const reconnected = line.opened++ > 0;
+		try {
+			if(line.transport instanceof SerialTransport || line.entries.length > 1) {
+				const count = await first.camera.addressSet();
+				await first.camera.ifClear();
+				if(count !== line.entries.length) {
+					this.emit('error', first, new Error(`Found ${count} cameras on ${line.key}, but ${line.entries.length} are configured`));
+				}
+			}
+		} catch(err) {
+			this.emit('error', first, err);
+		}
+		for(const entry of line.entries) {
+			if(!entry.config.model) await entry.camera.detectModel().catch((err) => this.emit('error', entry, err));
+		}
+
+		line.entries.forEach((entry) => this.emit('ready', entry, { reconnected }));
+	}
+
+	#readPorts() {
+		try {
+			return JSON.parse(fs.readFileSync(this.portsFile, 'utf8'));
+		} catch(err) {
+			if(err.code !== 'ENOENT') throw err;
+			return {};
+		}
+	}
+
+	async #writePorts() {
+		const ports = {};
+		this.cameras.forEach(({ id, config }) => {
+			if((config.transport ?? 'serial') === 'serial') ports[id] = { port: config.port, baudRate: config.baudRate };
+		});
+
+		const tmp = `${this.portsFile}.tmp`;
+		await fs.promises.mkdir(this.dataDir, { recursive: true });
+		await fs.promises.writeFile(tmp, JSON.stringify(ports, null, '\t'));
+		await fs.promises.rename(tmp, this.portsFile);
+	}
+}
+
+export { CameraRegistry, loadCameraConfig };
@@ -0,0 +1,89 @@
+// Exclusive control of one camera: one operator holds the joystick, the others watch until it is released or times out
+
+
+import { EventEmitter } from 'events';
+
+class LockedError extends Error {
+	/**
+	 * @param {String} holder The name of the operator that has control
+	*/
+	constructor(holder) {
+		super(`${holder} has control of this camera`);
+		this.name = 'LockedError';
+		this.holder = holder;
+	}
+}
+
+class ControlLock extends EventEmitter {
+	/**
+	 * @param {Number} [timeout=60000] Time in ms without commands after which the lock is released, 0 never releases it
+	 *
+	 * @note Emits `change` with `status()` whenever the holder changes
+	*/
+	constructor(timeout = 60000) {
+		super();
+		this.timeout = timeout;
+		this.holder = null;
+		this.expires = null;
+	}
+
+	#timer = null;
+
+	/**
+	 * Take control if nobody has it, or keep it alive if `name` already has it.
+	 *
+	 * @param {String} name The operator
+	 * @returns {Boolean} Whether `name` just got control
+	*/
+	claim(name) {
+		if(this.holder && this.holder !== name) throw new LockedError(this.holder);
+
+		const acquired = this.holder !== name;
+		this.holder = name;
+		this.#restartTimer();
+		if(acquired) this.emit('change', this.status());
+		return acquired;
+	}
+	/**
+	 * Ask for control, the same as `claim()` but meant for an explicit "take control" button.
+	 * @param {String} name The operator
+	*/
+	request(name) {
+		this.claim(name);
+		return this.status();
+	}
+
+	/**
+	 * Give up control.
+	 *
+	 * @param {String} name The operator, only the holder can release the lock
+	 * @returns {Boolean} Whether the lock was released
+	*/
+	release(name) {
+		if(this.holder === null || this.holder !== name) return false;
+
+		clearTimeout(this.#timer);
+		this.holder = null;
+		this.expires = null;
+		this.emit('change', this.status());
+		return true;
+	}
+
+	/**
+	 * @returns {{ holder: String|null, expires: Number|null }} Who has control and when it runs out
+	*/
+	status() {
+		return { holder: this.holder, expires: this.expires };
+	}
+
+	#restartTimer() {
+		clearTimeout(this.#timer);
+		if(!this.timeout) return;
+
+		this.expires = Date.now() + this.timeout;
+		this.#timer = setTimeout(() => this.release(this.holder), this.timeout);
+		this.#timer.unref?.();
+	}
+}
+
+export { ControlLock, LockedError };
@@ -0,0 +1,95 @@
+// Cron expressions for schedules: `minute hour day-of-month month day-of-week`, in local time
+// Fields take `*`, numbers, ranges (`1-5`), lists (`1,3,5`) and steps (`*/15`, `8-18/2`), day-of-week 0 and 7 are Sunday
+
+
+// Field -> [min, max]
+const Fields = [
+	['minute', [0, 59]],
+	['hour', [0, 23]],
+	['day', [1, 31]],
+	['month', [1, 12]],
+	['weekday', [0, 7]]
+];
+
+/**
+ * @typedef {Object} Cron
+ * @property {String} expression The expression it was parsed from
+ * @property {Number[]} minute   The matching values of each field, sorted
+ * @property {Number[]} hour
+ * @property {Number[]} day
+ * @property {Number[]} month
+ * @property {Number[]} weekday  0 is Sunday
+ * @property {Boolean} anyDay     Day-of-month was `*`
+ * @property {Boolean} anyWeekday Day-of-week was `*`
+*/
+
+/**
+ * Parse a cron expression.
+ *
+ * @param {String} expression e.g. `0 7 * * 1-5` for 07:00 on weekdays
+ * @returns {Cron}
+ * @throws {Error} When the expression is invalid
+ *
+ * @example
+ * parseCron('30 18 * * 1-5'); // 18:30 Monday to Friday
+ * parseCron('0 8-18/2 * * *'); // Every two hours from 08:00 to 18:00
+*/
+function parseCron(expression) {
+	const parts = String(expression).trim().split(/\s+/);
+	if(parts.length !== Fields.length) throw new Error(`"${expression}" is not a cron expression, use minute hour day month weekday (e.g. 0 7 * * 1-5)`);
+
+	const cron = { expression: parts.join(' ') };
+	Fields.forEach(([field, [min, max]], index) => {
+		const values = new Set();
+		parts[index].split(',').forEach((item) => {
+			const [, range, step] = /^([^/]+)(?:\/(\d+))?$/.exec(item) ?? [];
+			const [, from, to] = /^(\d+)(?:-(\d+))?$/.exec(range ?? '') ?? [];
+			if(range !== '*' && from === undefined) throw new Error(`"${item}" is not a valid ${field} in "${expression}"`);
+
+			const first = range === '*' ? min : Number(from);
+			const last = range === '*' ? max : to !== undefined ? Number(to) : step !== undefined ? max : first;
+			if(first < min || last > max || first > last || Number(step) === 0) throw new Error(`The ${field} "${item}" in "${expression}" must be between ${min} and ${max}`);
+			for(let value = first; value <= last; value += Number(step ?? 1)) values.add(value);
+		});
+		cron[field] = [...values].sort((a, b) => a - b);
+	});
+
+	if(cron.weekday.includes(7)) cron.weekday = [...new Set([0, ...cron.weekday.filter((day) => day !== 7)])].sort((a, b) => a - b);
+	cron.anyDay = parts[2] === '*';
+	cron.anyWeekday = parts[4] === '*';
+	return cron;
+}
+
+/**
+ * The first time after `from` the expression matches. Like cron, a day matches when both day fields do,
+ * or either one when both are restricted.
+ *
+ * @param {Cron} cron
+ * @param {Date} from
+ * @returns {Date|null} null when it never matches, e.g. `0 0 31 2 *`
+*/
+function nextRun(cron, from) {
+	const start = new Date(from.getFullYear(), from.getMonth(), from.getDate(), from.getHours(), from.getMinutes() + 1);
+	const matchesDay = (date) => {
+		const day = cron.day.includes(date.getDate());
+		const weekday = cron.weekday.includes(date.getDay());
+		if(cron.anyDay || cron.anyWeekday) return day && weekday;
+		return day || weekday;
+	};
+
+	// Four years and a day cover February 29
+	for(let offset = 0; offset <= 4 * 366; offset++) {
+		const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+		if(!cron.month.includes(date.getMonth() + 1) || !matchesDay(date)) continue;
+		for(const hour of cron.hour) {
+			for(const minute of cron.minute) {
+				const at = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute);
+				// Times skipped by a daylight saving change don't exist that day
+				if(at >= start && at.getHours() === hour) return at;
+			}
+		}
+	}
+	return null;
+}
+
+export { parseCron, nextRun };
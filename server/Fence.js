@@ -0,0 +1,252 @@
+// Keeps a camera inside a pan/tilt box: clamps the targets of absolute and relative moves and stops continuous moves
+// before they leave it. The camera's own limits (81 01 06 07) are set as well, the fence covers cameras that ignore them
+
+
+import { EventEmitter } from 'events';
+import { LimitCorner } from '../Huddlecam.js';
+
+// Time a stop takes to reach the camera (ms), axes are stopped this long before they would reach an edge
+const StopLatency = 50;
+// Pan/tilt signs of each `Direction`
+const DirectionSigns = [[0, 1], [0, -1], [-1, 0], [1, 0], [-1, 1], [1, 1], [-1, -1], [1, -1]];
+const Axes = ['pan', 'tilt'];
+
+/**
+ * @typedef {Object} Limits
+ * @property {Number[]} [pan]          [min, max] pan position, pan is free without it
+ * @property {Number[]} [tilt]         [min, max] tilt position
+ * @property {Boolean} [hardware=true] Also set the camera's own pan-tilt limits
+*/
+
+/**
+ * Check the limits of a camera config, against the range of its model when the config names one. The limits of the other
+ * cameras are checked once they reported their model, see `Fence.apply()`.
+ *
+ * @param {Limits} [limits]
+ * @param {String} name The camera, for the error message
+ * @param {ModelProfile} [profile] The camera's model
+ * @returns {Limits|null}
+*/
+function checkLimits(limits, name, profile) {
+	if(!limits) return null;
+
+	const checked = { hardware: limits.hardware ?? true };
+	Axes.forEach((axis) => {
+		if(limits[axis] === undefined) return;
+		const [min, max] = limits[axis];
+		// Without a model they only have to fit in a VISCA position
+		const [low, high] = profile?.ranges[axis] ?? [-0x8000, 0x7FFF];
+		if(!Number.isInteger(min) || !Number.isInteger(max) || min >= max || min < low || max > high) {
+			throw new Error(`The ${axis} limits of ${name} must be [min, max] between ${low} and ${high}${profile ? ` on a ${profile.name}` : ''}`);
+		}
+		checked[axis] = [min, max];
+	});
+	return checked.pan || checked.tilt ? checked : null;
+}
+
+class Fence extends EventEmitter {
+	/**
+	 * @param {Huddlecam} camera
+	 * @param {Limits|null} limits From `checkLimits()`, null lets everything through
+	 *
+	 * @note Emits `clamped` ({ requested, target }) when a move target was moved inside the box,
+	 * `stopped` ({ axis, position }) when a continuous move was stopped at its edge and `error` when the camera's position
+	 * couldn't be followed during one, it is stopped then
+	*/
+	constructor(camera, limits) {
+		super();
+		this.camera = camera;
+		this.limits = limits;
+		// Signed pan/tilt speeds of the continuous move that is being watched
+		this.vector = [0, 0];
+		// Last known position and when it was read, `{ pan, tilt, time }`
+		this.position = null;
+		// Units per ms of each axis, from the last two positions
+		this.velocity = [0, 0];
+
+		// The camera reads its position while it moves, the fence follows those reads instead of asking on its own
+		camera.on('position', (position) => this.#follow(position));
+		camera.on('motionEnd', ({ error }) => {
+			if(error && this.#driving()) this.#lost(new Error(error));
+		});
+	}
+
+	// Fires when the camera would reach an edge before its next position read
+	#stopTimer = null;
+
+	get enabled() {
+		return this.limits !== null;
+	}
+
+	/**
+	 * @returns {{ pan: Number[]|null, tilt: Number[]|null, hardware: Boolean }|null} The limits for the GUI, null without any
+	*/
+	status() {
+		if(!this.enabled) return null;
+		return { pan: this.limits.pan ?? null, tilt: this.limits.tilt ?? null, hardware: this.limits.hardware };
+	}
+
+	/**
+	 * Set the camera's own limits to the box, every time the camera connects. Axes without limits get the full range.
+	 * @returns {Promise<void>}
+	 * @throws {Error} When the limits are outside the range of the camera's model, nothing is set then
+	*/
+	async apply() {
+		if(!this.enabled || !this.limits.hardware) return;
+		const { name, ranges } = this.camera.profile;
+		const outside = Axes.find((axis) => this.limits[axis] && (this.limits[axis][0] < ranges[axis][0] || this.limits[axis][1] > ranges[axis][1]));
+		if(outside) throw new Error(`the ${outside} limits are outside the ${name} range of ${ranges[outside][0]} to ${ranges[outside][1]}`);
+		const [pan, tilt] = [this.limits.pan ?? ranges.pan, this.limits.tilt ?? ranges.tilt];
+		await this.camera.limitSet(LimitCorner.UpRight, pan[1], tilt[1]);
+		await this.camera.limitSet(LimitCorner.DownLeft, pan[0], tilt[0]);
+	}
+
+	/**
+	 * @param {{ pan: Number, tilt: Number }} position
+	 * @returns {{ pan: Number, tilt: Number }} The closest position inside the box
+	*/
+	clamp(position) {
+		const clamped = { ...position };
+		Axes.forEach((axis) => {
+			const [min, max] = this.limits?.[axis] ?? [-Infinity, Infinity];
+			clamped[axis] = Math.min(max, Math.max(min, position[axis]));
+		});
+		return clamped;
+	}
+
+	/**
+	 * `Huddlecam.moveTo()` with the target clamped to the box. Relative targets are turned into absolute ones
+	 * from the current position.
+	 *
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.wait=false] Resolve with the position once the camera arrived, see `Huddlecam.moveToAndWait()`
+	*/
+	async moveTo(ps, ts, pan, tilt, relative = false, { wait = false } = {}) {
+		const moveTo = wait ? this.camera.moveToAndWait.bind(this.camera) : this.camera.moveTo.bind(this.camera);
+		if(!this.enabled) return moveTo(ps, ts, pan, tilt, relative);
+
+		this.#halt();
+		if(relative) {
+			const position = await this.camera.positionInquiry();
+			pan += position.pan;
+			tilt += position.tilt;
+		}
+
+		const target = this.clamp({ pan, tilt });
+		if(target.pan !== pan || target.tilt !== tilt) this.emit('clamped', { requested: { pan, tilt }, target });
+		return moveTo(ps, ts, target.pan, target.tilt);
+	}
+
+	/**
+	 * `Huddlecam.move()`, stopped at the edge of the box. A diagonal move keeps going along the edge it reached.
+	*/
+	move(direction, ps = 5, ts = 3) {
+		if(!this.enabled) return this.camera.move(direction, ps, ts);
+		const [panSign, tiltSign] = DirectionSigns[direction];
+		return this.drive(panSign * ps, tiltSign * ts);
+	}
+
+	/**
+	 * `Huddlecam.drive()`, stopped at the edge of the box.
+	*/
+	async drive(pan, tilt) {
+		if(!this.enabled) return this.camera.drive(pan, tilt);
+
+		// Don't start towards an edge the camera is already at, the position events only keep it current during a move
+		if(!this.#driving() && (pan !== 0 || tilt !== 0)) {
+			this.position = { ...await this.camera.positionInquiry(), time: Date.now() };
+			this.velocity = [0, 0];
+		}
+		this.vector = this.#allowed([pan, tilt], this.position, this.velocity, this.#ahead());
+
+		const sent = this.#driving() ? this.camera.drive(...this.vector) : this.camera.stop();
+		this.#check();
+		return sent;
+	}
+
+	stop() {
+		this.#halt();
+		return this.camera.stop();
+	}
+
+	/**
+	 * `Huddlecam.home()`, or the closest position to home when home is outside the box.
+	 * @param {Object} [options] `{ wait }` like `moveTo()`
+	*/
+	home({ wait = false } = {}) {
+		this.#halt();
+		const target = this.clamp({ pan: 0, tilt: 0 });
+		if(target.pan === 0 && target.tilt === 0) return wait ? this.camera.homeAndWait() : this.camera.home();
+		return this.moveTo(this.camera.profile.ranges.panSpeed[1], this.camera.profile.ranges.tiltSpeed[1], target.pan, target.tilt, false, { wait });
+	}
+
+	#driving() {
+		return this.vector[0] !== 0 || this.vector[1] !== 0;
+	}
+
+	#halt() {
+		this.vector = [0, 0];
+		clearTimeout(this.#stopTimer);
+	}
+
+	// How far ahead of the last read to look: the time since it, and until a stop sent now reaches the camera
+	#ahead() {
+		return this.position ? Date.now() - this.position.time + StopLatency : 0;
+	}
+
+	// A position the camera read while it moved
+	#follow({ pan, tilt }) {
+		const position = { pan, tilt, time: Date.now() };
+		const last = this.position;
+		// Reads close together may see the same position, keep the previous speed then
+		this.velocity = Axes.map((axis, i) => last && position[axis] !== last[axis] ? (position[axis] - last[axis]) / (position.time - last.time || 1) : this.velocity[i]);
+		this.position = position;
+		this.#check();
+	}
+
+	// Stop the axes that would leave the box before a stop reaches the camera, and time the stop of the others
+	// for when they would, in case that is before the next read
+	#check() {
+		clearTimeout(this.#stopTimer);
+		if(!this.#driving()) return;
+
+		const ahead = this.#ahead();
+		const vector = this.#allowed(this.vector, this.position, this.velocity, ahead);
+		if(vector[0] !== this.vector[0] || vector[1] !== this.vector[1]) {
+			Axes.forEach((axis, i) => {
+				if(vector[i] !== this.vector[i]) this.emit('stopped', { axis, position: this.position });
+			});
+			this.vector = vector;
+			(this.#driving() ? this.camera.drive(...vector) : this.camera.stop()).catch((err) => this.#lost(err));
+			if(!this.#driving()) return;
+		}
+
+		const untilEdge = Math.min(...this.vector.map((speed, i) => {
+			const limits = this.limits[Axes[i]];
+			if(!limits || speed === 0 || Math.sign(this.velocity[i]) !== Math.sign(speed)) return Infinity;
+			const edge = speed > 0 ? limits[1] : limits[0];
+			return (edge - this.position[Axes[i]]) / this.velocity[i] - ahead;
+		}));
+		if(Number.isFinite(untilEdge)) this.#stopTimer = setTimeout(() => this.#check(), Math.max(1, untilEdge));
+	}
+
+	// Without the position the fence can't be kept, better stop than run into the wall
+	#lost(err) {
+		this.#halt();
+		this.camera.stop().catch(() => {});
+		this.emit('error', err);
+	}
+
+	// The speeds with the axes that would leave the box (at the predicted position) set to 0
+	#allowed(vector, position, velocity, ahead) {
+		if(!position) return vector;
+		return vector.map((speed, i) => {
+			const limits = this.limits[Axes[i]];
+			if(!limits || speed === 0) return speed;
+			const predicted = position[Axes[i]] + velocity[i] * ahead;
+			return (speed > 0 && predicted >= limits[1]) || (speed < 0 && predicted <= limits[0]) ? 0 : speed;
+		});
+	}
+}
+
+export { Fence, checkLimits };
@@ -0,0 +1,136 @@
+// Journal of everything that was sent to the cameras: one JSON line per command and inquiry with who sent it,
+// the bytes, the reply and how long it took. The file is rotated once it gets too big.
+// Who sent a command is tracked with `withSource()`, every command queued inside the callback carries that source
+
+
+import fs from 'fs/promises';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} Source
+ * @property {String} via       `socket`, `rest`, `cli`, `osc`, `tour`, `macro` or `power`
+ * @property {String} [user]    Who sent it
+ * @property {String} [client]  The socket id or OSC sender
+ * @property {String} [name]    The tour or macro that is playing, or why the power changed
+*/
+
+const sources = new AsyncLocalStorage();
+
+/**
+ * Run `callback` with everything it sends to a camera (also later, after awaits and timers) tagged with `source`.
+ *
+ * @param {Source} source
+ * @param {Function} callback
+ * @returns {*} What `callback` returns
+ *
+ * @example
+ * withSource({ via: 'rest', user: 'anna' }, () => entry.fence.home());
+*/
+function withSource(source, callback) {
+	return sources.run(source, callback);
+}
+
+/**
+ * The source of the code that is running, pass it as the `source` option of a `Huddlecam`.
+ * @returns {Source|null} null for commands the server sends on its own, e.g. state polling
+*/
+function currentSource() {
+	return sources.getStore() ?? null;
+}
+
+/**
+ * Read the journal settings: `JOURNAL_FILE` (in the data directory by default), `JOURNAL_MAX_BYTES` before it is rotated
+ * and `JOURNAL_FILES`, how many rotated files are kept. `JOURNAL_FILE=off` turns it off.
+ *
+ * @param {Object} env     The environment, usually `process.env`
+ * @param {String} dataDir
+ * @returns {{ file: String, maxBytes: Number, files: Number }|null}
+*/
+function loadJournalConfig(env, dataDir) {
+	if(env.JOURNAL_FILE === 'off') return null;
+	return {
+		file: env.JOURNAL_FILE || path.join(dataDir, 'journal.log'),
+		maxBytes: parseInt(env.JOURNAL_MAX_BYTES) || 5000000,
+		files: env.JOURNAL_FILES ? parseInt(env.JOURNAL_FILES) : 3
+	};
+}
+
+class Journal extends EventEmitter {
+	/**
+	 * @param {Object} options
+	 * @param {String} options.file              e.g. `data/journal.log`, rotated to `journal.log.1`, `journal.log.2`, ...
+	 * @param {Number} [options.maxBytes=5000000] Rotate the file before it grows past this
+	 * @param {Number} [options.files=3]          Rotated files to keep
+	 *
+	 * @note Emits `entry` with every line it writes and `error` when the file can't be written
+	*/
+	constructor({ file, maxBytes = 5000000, files = 3 }) {
+		super();
+		this.file = file;
+		this.maxBytes = maxBytes;
+		this.files = files;
+	}
+
+	// Lines are appended one after another, in the order the commands finished
+	#writing = Promise.resolve();
+	// Size of the current file, read before the first write
+	#size = null;
+
+	/**
+	 * Write the commands of a camera to the journal.
+	 * @param {CameraEntry} entry
+	*/
+	attach(entry) {
+		entry.camera.on('command', (record) => this.write(entry, record));
+	}
+
+	/**
+	 * @param {CameraEntry} entry
+	 * @param {CommandRecord} record From the camera's `command` event
+	*/
+	write(entry, { command, inquiry, source, queuedAt, sentAt, latency, replies, error }) {
+		const line = {
+			time: new Date(queuedAt).toISOString(),
+			camera: entry.id,
+			source: source ?? { via: 'server' },
+			command,
+			inquiry,
+			replies,
+			// Time in the queue, then time until the camera answered
+			wait: sentAt === null ? null : sentAt - queuedAt,
+			latency
+		};
+		if(error) line.error = `${error.name}: ${error.message}`;
+
+		this.emit('entry', line);
+		this.#writing = this.#writing.then(() => this.#append(`${JSON.stringify(line)}\n`)).catch((err) => this.emit('error', err));
+	}
+
+	async #append(text) {
+		if(this.#size === null) {
+			await fs.mkdir(path.dirname(this.file), { recursive: true });
+			this.#size = await fs.stat(this.file).then((stat) => stat.size, () => 0);
+		}
+
+		const bytes = Buffer.byteLength(text);
+		if(this.#size > 0 && this.#size + bytes > this.maxBytes) await this.#rotate();
+		await fs.appendFile(this.file, text);
+		this.#size += bytes;
+	}
+
+	// journal.log -> journal.log.1 -> journal.log.2 ..., the oldest one is dropped
+	async #rotate() {
+		const ignoreMissing = (err) => {
+			if(err.code !== 'ENOENT') throw err;
+		};
+		await fs.rm(`${this.file}.${this.files}`, { force: true });
+		for(let n = this.files - 1; n >= 1; n--) await fs.rename(`${this.file}.${n}`, `${this.file}.${n + 1}`).catch(ignoreMissing);
+		if(this.files > 0) await fs.rename(this.file, `${this.file}.1`);
+		else await fs.rm(this.file, { force: true });
+		this.#size = 0;
+	}
+}
+
+export { Journal, loadJournalConfig, withSource, currentSource };
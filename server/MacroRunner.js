@@ -0,0 +1,173 @@
+// Records the commands an operator sends to a camera as a macro and plays macros back, with the original timing or faster/slower
+// Recordings are taken from the camera's `command` events, so they hold exactly what the camera carried out
+
+
+import { EventEmitter } from 'events';
+import { withSource } from './Journal.js';
+
+/**
+ * @typedef {Object} MacroStatus
+ * @property {String|null} macro     The macro that is playing
+ * @property {Number} speed          How much faster than recorded it plays, the time between commands only
+ * @property {Number|null} startedAt ms since epoch
+ * @property {String|null} startedBy
+*/
+
+class MacroRunner extends EventEmitter {
+	/**
+	 * @param {CameraEntry} entry The camera, its macros and its fence
+	 *
+	 * @note Emits `progress` with `status()` when a macro starts or ends, and `error` for every command of a macro that fails
+	*/
+	constructor(entry) {
+		super();
+		this.entry = entry;
+		this.macro = null;
+		this.speed = 1;
+		this.startedAt = null;
+		this.startedBy = null;
+		// Client -> { started, commands } of the recordings that are running
+		this.recordings = new Map();
+
+		entry.camera.on('command', (record) => this.#record(record));
+	}
+
+	// Bumped to abandon the macro that is playing
+	#run = 0;
+	#wait = null;
+
+	/**
+	 * Record the commands a client sends from now on, replacing the recording it had.
+	 * @param {String} client The `client` of the commands' source, e.g. the socket id
+	*/
+	record(client) {
+		this.recordings.set(client, { started: Date.now(), commands: [] });
+	}
+
+	/**
+	 * @param {String} client
+	 * @returns {Boolean}
+	*/
+	isRecording(client) {
+		return this.recordings.has(client);
+	}
+
+	/**
+	 * End a recording.
+	 *
+	 * @param {String} client
+	 * @returns {{ duration: Number, commands: MacroCommand[] }|null} What was recorded, null without a recording
+	*/
+	stopRecording(client) {
+		const recording = this.recordings.get(client);
+		if(!recording) return null;
+		this.recordings.delete(client);
+
+		// Commands are recorded when they finish, a move that was sent before a short one finishes after it
+		const commands = recording.commands.sort((a, b) => a.at - b.at);
+		return { duration: commands.at(-1)?.at ?? 0, commands };
+	}
+
+	/**
+	 * Play a macro, replacing the one that is playing. Resolves once every command of the macro completed,
+	 * commands that fail are reported with `error` and don't stop the macro.
+	 * The speed scales the time between the commands, they are sent as recorded: a pan at speed 5 stays at speed 5.
+	 *
+	 * @param {String} name
+	 * @param {Object} [options]
+	 * @param {Number} [options.speed=1] 2 plays twice as fast as recorded, 0.5 half as fast
+	 * @param {String} [options.by]      Who started it
+	 * @returns {Promise<void>}
+	*/
+	play(name, { speed = 1, by = null } = {}) {
+		const macro = this.entry.macros.get(name);
+		if(!macro) return Promise.reject(new Error(`There is no macro "${name}"`));
+
+		this.#cancel();
+		Object.assign(this, { macro, speed, startedAt: Date.now(), startedBy: by });
+		this.emit('progress', this.status());
+		// The journal shows the commands as the macro's, not as the client's that started it
+		return withSource({ via: 'macro', name, user: by ?? undefined }, () => this.#play(++this.#run));
+	}
+
+	/**
+	 * Stop the macro, and pan/tilt with it: the command that would have stopped a continuous move won't be sent anymore.
+	 * @returns {Boolean} Whether a macro was playing
+	*/
+	stop() {
+		if(!this.macro) return false;
+
+		this.#cancel();
+		this.#finish();
+		this.entry.fence.stop().catch((err) => this.emit('error', err));
+		return true;
+	}
+
+	/**
+	 * @returns {MacroStatus}
+	*/
+	status() {
+		return { macro: this.macro?.name ?? null, speed: this.speed, startedAt: this.startedAt, startedBy: this.startedBy };
+	}
+
+	async #play(run) {
+		const { commands } = this.macro;
+		const sent = [];
+		for(const { at, command } of commands) {
+			const delay = this.startedAt + at / this.speed - Date.now();
+			if(delay > 0) await new Promise((resolve) => this.#wait = { timer: setTimeout(resolve, delay), resolve });
+			if(run !== this.#run) break;
+			sent.push(this.#send(command).catch((err) => this.emit('error', err)));
+		}
+
+		await Promise.all(sent);
+		if(run === this.#run) this.#finish();
+	}
+
+	// Pan-tilt commands go through the fence, so a macro recorded before the limits were set stays inside them too
+	#send(command) {
+		const { camera, fence } = this.entry;
+		const bytes = Buffer.from(command.replace(/\s+/g, ''), 'hex');
+		// 0p 0q 0r 0s -> signed 16 bit position
+		const position = (from) => {
+			const num = [...bytes.subarray(from, from + 4)].reduce((n, b) => (n << 4) | (b & 0x0F), 0);
+			return num >= 0x8000 ? num - 0x10000 : num;
+		};
+
+		switch(bytes.subarray(1, 4).toString('hex')) {
+			case '010601': {
+				// 81 01 06 01 VV WW XX YY FF, XX 01 is left and YY 01 is up
+				const sign = (direction, negative) => direction === 0x03 ? 0 : direction === negative ? -1 : 1;
+				return fence.drive(sign(bytes[6], 0x01) * bytes[4], sign(bytes[7], 0x02) * bytes[5]);
+			}
+			case '010602': return fence.moveTo(bytes[4], bytes[5], position(6), position(10));
+			case '010603': return fence.moveTo(bytes[4], bytes[5], position(6), position(10), true);
+			case '010604': return fence.home();
+		};
+		return camera.sendCommand(command);
+	}
+
+	// Keep the commands of the clients that are recording, once the camera carried them out
+	#record({ command, inquiry, source, queuedAt, error }) {
+		const recording = source?.client === undefined ? undefined : this.recordings.get(source.client);
+		// Inquiries don't change anything, and a command the camera rejected, didn't finish or never got would fail again
+		if(!recording || inquiry || error || command.startsWith('88')) return;
+		recording.commands.push({ at: Math.max(0, queuedAt - recording.started), command });
+	}
+
+	#finish() {
+		Object.assign(this, { macro: null, speed: 1, startedAt: null, startedBy: null });
+		this.emit('progress', this.status());
+	}
+
+	#cancel() {
+		this.#run++;
+		if(this.#wait) {
+			clearTimeout(this.#wait.timer);
+			this.#wait.resolve();
+			this.#wait = null;
+		}
+	}
+}
+
+export { MacroRunner };
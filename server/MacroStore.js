@@ -0,0 +1,98 @@
+// Named macros of a camera: VISCA commands recorded from an operator, with the time they were sent, kept in a JSON file per camera
+
+
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} MacroCommand
+ * @property {Number} at      ms from the start of the macro
+ * @property {String} command The VISCA command, e.g. `81 01 06 01 08 04 01 03 FF`
+*/
+
+/**
+ * @typedef {Object} Macro
+ * @property {String} name            Unique per camera
+ * @property {Number} duration        ms from the start to the last command
+ * @property {MacroCommand[]} commands In the order they are sent
+ * @property {String} [recordedBy]
+*/
+
+class MacroStore extends EventEmitter {
+	/**
+	 * @param {String} file The JSON file macros are stored in, created on the first save
+	*/
+	constructor(file) {
+		super();
+		this.file = file;
+		/** @type {Map<String, Macro>} */
+		this.macros = new Map();
+	}
+
+	/**
+	 * Read the macros from disk. A missing file is an empty store.
+	 * @returns {Promise<Macro[]>}
+	*/
+	async load() {
+		try {
+			const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+			this.macros = new Map(data.map((macro) => [macro.name, macro]));
+		} catch(err) {
+			if(err.code !== 'ENOENT') throw err;
+			this.macros = new Map();
+		}
+
+		this.emit('change', this.list());
+		return this.list();
+	}
+
+	/**
+	 * @returns {Macro[]} All macros, sorted by name
+	*/
+	list() {
+		return [...this.macros.values()].sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * @param {String} name
+	 * @returns {Macro|undefined}
+	*/
+	get(name) {
+		return this.macros.get(name);
+	}
+
+	/**
+	 * Add a macro, or replace the one with the same name.
+	 *
+	 * @param {Macro} macro
+	 * @returns {Promise<Macro>}
+	*/
+	async save(macro) {
+		this.macros.set(macro.name, macro);
+		await this.#write();
+		return macro;
+	}
+
+	/**
+	 * @param {String} name
+	 * @returns {Promise<Boolean>} Whether a macro was removed
+	*/
+	async remove(name) {
+		if(!this.macros.delete(name)) return false;
+		await this.#write();
+		return true;
+	}
+
+	async #write() {
+		// Write to a temporary file first so a crash never leaves half a JSON file behind
+		const tmp = `${this.file}.tmp`;
+		await fs.mkdir(path.dirname(this.file), { recursive: true });
+		await fs.writeFile(tmp, JSON.stringify(this.list(), null, '\t'));
+		await fs.rename(tmp, this.file);
+
+		this.emit('change', this.list());
+	}
+}
+
+export { MacroStore };
@@ -0,0 +1,262 @@
+// OpenAPI 3 description of the REST API, served at /api/v1/openapi.json
+// Built from the same tables the router uses, so the two can't drift apart
+
+
+import { Models } from '../Models.js';
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// A range of every model, e.g. 'HuddleCam HD 1 to 18, Sony EVI/SRG 1 to 24, PTZOptics 1 to 24'
+const perModel = (range) => Object.values(Models).map(({ name, ranges }) => `${name} ${ranges[range][0]} to ${ranges[range][1]}`).join(', ');
+
+const errors = {
+	400: { description: 'The request is invalid', ...json(ref('Error')) },
+	401: { description: 'Missing or invalid token', ...json(ref('Error')) },
+	403: { description: 'Viewers can\'t control cameras', ...json(ref('Error')) },
+	404: { description: 'Unknown camera, setting or inquiry', ...json(ref('Error')) },
+	409: { description: 'The camera can\'t execute the command right now (VISCA error 41, 04 or 05)', ...json(ref('Error')) },
+	423: { description: 'Another operator has control of the camera', ...json(ref('Error')) },
+	501: { description: 'The camera\'s model doesn\'t support the command, nothing was sent', ...json(ref('Error')) },
+	503: { description: 'The camera is offline or its command buffer is full', ...json(ref('Error')) },
+	504: { description: 'The camera didn\'t answer in time', ...json(ref('Error')) }
+};
+
+/**
+ * A camera route that sends a command and answers `{ command }` once the camera completed it.
+ *
+ * @param {String} summary
+ * @param {Object} [body] JSON schema of the request body
+*/
+function command(summary, body) {
+	const operation = { summary, responses: { 200: { description: 'The camera completed the command', ...json(ref('CommandResult')) }, ...errors } };
+	if(body) operation.requestBody = { required: true, ...json(body) };
+	return operation;
+}
+
+/**
+ * A pan-tilt route that can wait for the camera to arrive, with `wait: true` it answers `{ position }` once the camera is at rest.
+ *
+ * @param {String} summary
+ * @param {Object} [properties] The other properties of the request body
+ * @param {String[]} [required]
+*/
+function move(summary, properties = {}, required = []) {
+	const operation = command(summary, {
+		type: 'object',
+		...(required.length > 0 && { required }),
+		properties: { ...properties, wait: { type: 'boolean', default: false, description: 'Answer once the camera arrived' } }
+	});
+	operation.requestBody.required = required.length > 0;
+	operation.responses[200] = {
+		description: 'The camera completed the command, or arrived with `wait`',
+		...json({ oneOf: [ref('CommandResult'), ref('Arrived')] })
+	};
+	return operation;
+}
+
+/**
+ * @param {Object} options
+ * @param {String[]} options.inquiries        Inquiry names for `/inquiry/{name}`
+ * @param {Object} options.exposureSettings  Setting -> action -> method
+ * @param {String[]} options.directions       Direction names
+ * @param {String[]} options.exposureModes    Exposure mode names
+ * @returns {Object} The OpenAPI document
+*/
+function buildOpenApi({ inquiries, exposureSettings, directions, exposureModes }) {
+	const speeds = {
+		panSpeed: { type: 'integer', minimum: 1, default: 5, description: `Depends on the camera's model: ${perModel('panSpeed')}` },
+		tiltSpeed: { type: 'integer', minimum: 1, default: 3, description: `Depends on the camera's model: ${perModel('tiltSpeed')}` }
+	};
+	const onOff = { type: 'object', required: ['on'], properties: { on: { type: 'boolean' } } };
+	const actions = [...new Set(Object.values(exposureSettings).flatMap((setting) => Object.keys(setting)))];
+
+	return {
+		openapi: '3.0.3',
+		info: {
+			title: 'HuddleCamPTZ API',
+			version: '1.0.0',
+			description: 'Control HuddleCamHD (VISCA) cameras over HTTP. Commands answer once the camera completed them, '
+				+ 'errors keep the VISCA error code and the command that caused it.'
+		},
+		servers: [{ url: '/api/v1' }],
+		// Only enforced when the server has a USERS_FILE
+		security: [{ bearer: [] }],
+		paths: {
+			'/login': {
+				post: {
+					summary: 'Log in, the token goes into `Authorization: Bearer <token>`',
+					security: [],
+					requestBody: { required: true, ...json({ type: 'object', required: ['name', 'password'], properties: { name: { type: 'string' }, password: { type: 'string' } } }) },
+					responses: { 200: { description: 'The session', ...json(ref('Session')) }, 400: errors[400], 401: errors[401] }
+				}
+			},
+			'/logout': {
+				post: { summary: 'End the session of the token', security: [], responses: { 200: { description: 'Whether there was a session', ...json({ type: 'object', properties: { loggedOut: { type: 'boolean' } } }) } } }
+			},
+			'/me': {
+				get: { summary: 'The user the token belongs to', responses: { 200: { description: 'The user', ...json(ref('User')) }, 401: errors[401] } }
+			},
+			'/cameras': {
+				get: { summary: 'List the cameras', responses: { 200: { description: 'The cameras', ...json({ type: 'array', items: ref('CameraSummary') }) } } }
+			},
+			'/cameras/{id}': {
+				parameters: [{ $ref: '#/components/parameters/CameraId' }],
+				get: { summary: 'A camera and its state', responses: { 200: { description: 'The camera', ...json(ref('Camera')) }, 404: errors[404] } }
+			},
+			'/cameras/{id}/state': {
+				parameters: [{ $ref: '#/components/parameters/CameraId' }],
+				get: { summary: 'The state the server keeps for the camera', responses: { 200: { description: 'The state', ...json(ref('State')) }, 404: errors[404] } }
+			},
+			'/cameras/{id}/move': {
+				parameters: [{ $ref: '#/components/parameters/CameraId' }],
+				post: command('Start moving in a direction until `stop`, or until the edge of the camera\'s limits', {
+					type: 'object',
+					required: ['direction'],
+					properties: { direction: { oneOf: [{ type: 'string', enum: directions }, { type: 'integer', minimum: 0, maximum: directions.length - 1 }] }, ...speeds }
+				})
+			},
+			'/cameras/{id}/moveTo': {
+				parameters: [{ $ref: '#/components/parameters/CameraId' }],
+				post: move('Move to an absolute position, or by a relative amount. Targets outside the camera\'s limits are moved inside them', {
+					pan: { type: 'integer', description: `Depends on the camera's model: ${perModel('pan')}. When relative: ${perModel('relativePan')}` },
+					tilt: { type: 'integer', description: `Depends on the camera's model: ${perModel('tilt')}. When relative: ${perModel('relativeTilt')}` },
+					relative: { type: 'boolean', default: false },
+					...speeds
+				}, ['pan', 'tilt'])
+			},
+			'/cameras/{id}/stop': { parameters: [{ $ref: '#/components/parameters/CameraId' }], post: command('Stop pan-tilt movement') },
+			'/cameras/{id}/home': { parameters: [{ $ref: '#/components/parameters/CameraId' }], post: move('Move to the home position') },
+			'/cameras/{id}/reset': { parameters: [{ $ref: '#/components/parameters/CameraId' }], post: move('Reset (recalibrate) pan-tilt') },
+			'/cameras/{id}/power': {
+				parameters: [{ $ref: '#/components/parameters/CameraId' }],
+				get: { summary: 'The power state, the last change and the next scheduled one', responses: { 200: { description: 'The power status', ...json(ref('Power')) }, 404: errors[404] } },
+				put: command('Power on or standby, answers once the camera reports the new state', onOff)
+			},
+			'/cameras/{id}/backlight': { parameters: [{ $ref: '#/components/parameters/CameraId' }], put: command('Backlight compensation on or off', onOff) },
+			'/cameras/{id}/exposure': {
+				parameters: [{ $ref: '#/components/parameters/CameraId' }],
+				put: command('Set the exposure mode', {
+					type: 'object',
+					required: ['mode'],
+					properties: { mode: { oneOf: [{ type: 'string', enum: exposureModes }, { type: 'integer', minimum: 0, maximum: exposureModes.length - 1 }] } }
+				})
+			},
+			'/cameras/{id}/exposure/{setting}': {
+				parameters: [
+					{ $ref: '#/components/parameters/CameraId' },
+					{ name: 'setting', in: 'path', required: true, schema: { type: 'string', enum: Object.keys(exposureSettings) } }
+				],
+				post: command('Change shutter, iris, gain or exposure compensation. `on`/`off` only apply to expComp', {
+					type: 'object',
+					required: ['action'],
+					properties: { action: { type: 'string', enum: actions }, position: { type: 'integer', minimum: 0, description: 'Only for `to`, up to the range of the setting in the camera\'s `model.ranges`' } }
+				})
+			},
+			'/cameras/{id}/lock': {
+				parameters: [{ $ref: '#/components/parameters/CameraId' }],
+				get: { summary: 'Who has control of the camera', responses: { 200: { description: 'The lock', ...json(ref('Lock')) }, 404: errors[404] } },
+				post: { summary: 'Take control, commands take it as well', responses: { 200: { description: 'The lock', ...json(ref('Lock')) }, 403: errors[403], 404: errors[404], 423: errors[423] } },
+				delete: { summary: 'Give up control', responses: { 200: { description: 'The lock', ...json(ref('Lock')) }, 404: errors[404] } }
+			},
+			'/cameras/{id}/inquiry/{name}': {
+				parameters: [
+					{ $ref: '#/components/parameters/CameraId' },
+					{ name: 'name', in: 'path', required: true, schema: { type: 'string', enum: inquiries } }
+				],
+				get: {
+					summary: 'Ask the camera, e.g. `power` answers { "value": "On" }',
+					responses: { 200: { description: 'The answer', ...json({ type: 'object', properties: { value: {} } }) }, ...errors }
+				}
+			}
+		},
+		components: {
+			securitySchemes: {
+				bearer: { type: 'http', scheme: 'bearer', description: 'A token from `/login`, or a fixed token from the users file' }
+			},
+			parameters: {
+				CameraId: { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Camera id from `/cameras`' }
+			},
+			schemas: {
+				CameraSummary: {
+					type: 'object',
+					properties: {
+						id: { type: 'string' }, name: { type: 'string' }, address: { type: 'integer' },
+						transport: { type: 'string', enum: ['serial', 'udp', 'simulator'] }, port: { type: 'string', nullable: true }, connected: { type: 'boolean' },
+						limits: { ...ref('Limits'), nullable: true },
+						model: ref('Model')
+					}
+				},
+				Model: {
+					type: 'object',
+					description: 'The camera\'s model profile, detected from its version inquiry or configured. Arguments outside its ranges answer 400',
+					properties: {
+						id: { type: 'string', enum: Object.keys(Models) },
+						name: { type: 'string', example: 'HuddleCam HD' },
+						ranges: { type: 'object', additionalProperties: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2 }, example: { panSpeed: [1, 18], tiltSpeed: [1, 14] } }
+					}
+				},
+				Limits: {
+					type: 'object',
+					description: 'The pan/tilt box the camera stays in, an axis without limits is null',
+					properties: {
+						pan: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2, nullable: true, example: [-800, 1200] },
+						tilt: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2, nullable: true, example: [-200, 600] },
+						hardware: { type: 'boolean', description: 'Whether the camera\'s own limits are set as well' }
+					}
+				},
+				Camera: { allOf: [ref('CameraSummary'), { type: 'object', properties: { state: ref('State'), lock: ref('Lock'), power: ref('Power') } }] },
+				Power: {
+					type: 'object',
+					properties: {
+						power: { type: 'string', example: 'On', description: 'What the camera reported last' },
+						transition: { type: 'string', enum: ['on', 'standby'], nullable: true, description: 'The change that is being sent and confirmed' },
+						reason: { type: 'string', enum: ['schedule', 'idle', 'wake', 'manual'], nullable: true, description: 'Why the camera was switched last' },
+						by: { type: 'string', nullable: true, description: 'Who switched it' },
+						confirmedAt: { type: 'integer', nullable: true, description: 'When the camera confirmed the last change (ms since epoch)' },
+						error: { type: 'string', nullable: true, description: 'Why the last change failed' },
+						idleStandby: { type: 'integer', description: 'ms without control input before the camera goes to standby, 0 never' },
+						next: {
+							type: 'object', nullable: true, description: 'The next scheduled change',
+							properties: { action: { type: 'string', enum: ['on', 'standby'] }, at: { type: 'integer', description: 'ms since epoch' } }
+						}
+					}
+				},
+				Lock: {
+					type: 'object',
+					properties: {
+						holder: { type: 'string', nullable: true, description: 'The operator that has control' },
+						expires: { type: 'integer', nullable: true, description: 'When control is released without further commands (ms since epoch)' }
+					}
+				},
+				User: { type: 'object', properties: { name: { type: 'string' }, role: { type: 'string', enum: ['viewer', 'operator'] } } },
+				Session: { allOf: [ref('User'), { type: 'object', properties: { token: { type: 'string' }, expires: { type: 'integer' } } }] },
+				State: { type: 'object', additionalProperties: true, description: 'power, panTiltPos, position (zoom/focus), exposure, shutterPos, whiteBalance...' },
+				CommandResult: { type: 'object', properties: { command: { type: 'string', example: '81 01 06 04 FF' } } },
+				Arrived: {
+					type: 'object',
+					properties: { position: { type: 'object', properties: { pan: { type: 'integer' }, tilt: { type: 'integer' } }, example: { pan: 300, tilt: 100 } } }
+				},
+				Error: {
+					type: 'object',
+					properties: {
+						error: {
+							type: 'object',
+							required: ['name', 'message', 'status'],
+							properties: {
+								name: { type: 'string', example: 'NotExecutableError' },
+								message: { type: 'string' },
+								status: { type: 'integer' },
+								code: { type: 'integer', nullable: true, description: 'VISCA error code' },
+								command: { type: 'string', nullable: true, description: 'The VISCA command the camera rejected' },
+								field: { type: 'string', description: 'The request field that is invalid' },
+								holder: { type: 'string', description: 'The operator that has control, for 423' }
+							}
+						}
+					}
+				}
+			}
+		}
+	};
+}
+
+export { buildOpenApi };
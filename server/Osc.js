@@ -0,0 +1,128 @@
+// Open Sound Control 1.0 messages and bundles, as sent by QLab, Companion and most show control software
+// https://opensoundcontrol.stanford.edu/spec-1_0.html
+
+
+class OscError extends Error {
+	constructor(message) { super(message); this.name = 'OscError'; }
+}
+
+/**
+ * @typedef {Object} OscMessage
+ * @property {String} address e.g. `/camera/1/move`
+ * @property {Array} args     Numbers, strings, booleans, null and Buffers (blobs)
+*/
+
+// OSC strings and blobs are padded with zeros to a multiple of 4 bytes
+const padded = (length) => Math.ceil(length / 4) * 4;
+
+/**
+ * Decode a UDP packet. Bundles are flattened into their messages, their time tags are ignored (everything runs right away).
+ *
+ * @param {Buffer} buffer
+ * @returns {OscMessage[]}
+*/
+function decodePacket(buffer) {
+	let offset = 0;
+	const readString = () => {
+		const end = buffer.indexOf(0, offset);
+		if(end === -1) throw new OscError('Unterminated string');
+		const value = buffer.toString('utf8', offset, end);
+		offset = padded(end + 1);
+		return value;
+	};
+	const need = (bytes) => {
+		if(offset + bytes > buffer.length) throw new OscError('Packet too short');
+	};
+	// A negative size would move back in the packet and read its bytes again as the next argument
+	const readSize = () => {
+		need(4);
+		const size = buffer.readInt32BE(offset);
+		if(size < 0) throw new OscError(`Negative size ${size}`);
+		offset += 4;
+		return size;
+	};
+
+	const start = readString();
+	if(start === '#bundle') {
+		offset += 8; // Time tag
+		const messages = [];
+		while(offset < buffer.length) {
+			const size = readSize();
+			need(size);
+			messages.push(...decodePacket(buffer.subarray(offset, offset + size)));
+			offset += size;
+		}
+		return messages;
+	}
+	if(!start.startsWith('/')) throw new OscError(`"${start}" is not an OSC address`);
+
+	// Old senders leave out the type tags
+	if(offset >= buffer.length) return [{ address: start, args: [] }];
+	const tags = readString();
+	if(!tags.startsWith(',')) throw new OscError('Missing type tags');
+
+	const args = [...tags.slice(1)].map((tag) => {
+		switch(tag) {
+			case 'i': need(4); offset += 4; return buffer.readInt32BE(offset - 4);
+			case 'f': need(4); offset += 4; return buffer.readFloatBE(offset - 4);
+			case 'h': need(8); offset += 8; return Number(buffer.readBigInt64BE(offset - 8));
+			case 'd': need(8); offset += 8; return buffer.readDoubleBE(offset - 8);
+			case 's':
+			case 'S': return readString();
+			case 'b': {
+				const size = readSize();
+				need(size);
+				const blob = buffer.subarray(offset, offset + size);
+				offset += padded(size);
+				return blob;
+			}
+			case 'T': return true;
+			case 'F': return false;
+			case 'N': return null;
+			case 'I': return Infinity;
+		};
+		throw new OscError(`Unsupported type tag "${tag}"`);
+	});
+	return [{ address: start, args }];
+}
+
+/**
+ * Encode a message. Whole numbers are sent as int32, other numbers as float32.
+ *
+ * @param {String} address
+ * @param {Array} [args] Numbers, strings and booleans
+ * @returns {Buffer}
+ *
+ * @example
+ * encodeMessage('/camera/1/position', [300, 100]); // /camera/1/position ,ii 300 100
+*/
+function encodeMessage(address, args = []) {
+	const string = (value) => {
+		const bytes = Buffer.from(`${value}\0`, 'utf8');
+		return Buffer.concat([bytes, Buffer.alloc(padded(bytes.length) - bytes.length)]);
+	};
+
+	let tags = ',';
+	const data = args.map((arg) => {
+		if(typeof arg === 'boolean') {
+			tags += arg ? 'T' : 'F';
+			return Buffer.alloc(0);
+		}
+		if(typeof arg === 'number') {
+			const bytes = Buffer.alloc(4);
+			if(Number.isInteger(arg) && arg >= -0x80000000 && arg <= 0x7FFFFFFF) {
+				tags += 'i';
+				bytes.writeInt32BE(arg);
+			} else {
+				tags += 'f';
+				bytes.writeFloatBE(arg);
+			}
+			return bytes;
+		}
+		tags += 's';
+		return string(arg);
+	});
+	return Buffer.concat([string(address), string(tags), ...data]);
+}
+
+export { decodePacket, encodeMessage, OscError };
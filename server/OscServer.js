@@ -0,0 +1,220 @@
+// OSC control for show control software (QLab, Bitfocus Companion): `/camera/<id>/...` messages over UDP are mapped onto
+// the camera commands, position, power and motion are sent back as feedback
+
+
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
+import { Direction } from '../Huddlecam.js';
+import { decodePacket, encodeMessage, OscError } from './Osc.js';
+import { ValidationError, integer, number, oneOf, string } from './Validate.js';
+import { withSource } from './Journal.js';
+
+// Senders get feedback too, the most recent ones besides the configured targets
+const MaxSenders = 8;
+
+const ZoomDirection = { Tele: 'tele', Wide: 'wide', Stop: 'stop' };
+const Power = { On: true, Off: false };
+
+// Senders differ in how they send numbers (int, float or string), and in how they send on/off
+const numeric = (value) => typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+const whole = (value) => {
+	value = numeric(value);
+	return typeof value === 'number' ? Math.round(value) : value;
+};
+const onOff = (value, field) => {
+	if(typeof value === 'boolean') return value;
+	if(typeof value === 'number') return value !== 0;
+	return oneOf(value, field, Power);
+};
+
+/**
+ * Command routes: the address after `/camera/<id>` -> handler, which gets the camera entry and the message arguments.
+ * Moves go through the camera's fence like every other move.
+*/
+const Routes = {
+	'/move': (entry, [direction, panSpeed, tiltSpeed]) => entry.fence.move(
+		oneOf(whole(direction), 'direction', Direction),
+		integer(whole(panSpeed), 'panSpeed', { profile: entry.camera.profile, fallback: 5 }),
+		integer(whole(tiltSpeed), 'tiltSpeed', { profile: entry.camera.profile, fallback: 3 })
+	),
+	'/stop': (entry) => entry.fence.stop(),
+	'/moveTo': (entry, [pan, tilt, panSpeed, tiltSpeed]) => entry.fence.moveTo(
+		integer(whole(panSpeed), 'panSpeed', { profile: entry.camera.profile, fallback: 5 }),
+		integer(whole(tiltSpeed), 'tiltSpeed', { profile: entry.camera.profile, fallback: 3 }),
+		integer(whole(pan), 'pan', { profile: entry.camera.profile }),
+		integer(whole(tilt), 'tilt', { profile: entry.camera.profile })
+	),
+	'/moveBy': (entry, [pan, tilt, panSpeed, tiltSpeed]) => entry.fence.moveTo(
+		integer(whole(panSpeed), 'panSpeed', { profile: entry.camera.profile, fallback: 5 }),
+		integer(whole(tiltSpeed), 'tiltSpeed', { profile: entry.camera.profile, fallback: 3 }),
+		integer(whole(pan), 'pan', { range: 'relativePan', profile: entry.camera.profile }),
+		integer(whole(tilt), 'tilt', { range: 'relativeTilt', profile: entry.camera.profile }),
+		true
+	),
+	'/home': (entry) => entry.fence.home(),
+	'/preset/recall': (entry, [slot]) => entry.presets.recall(integer(whole(slot), 'slot', { profile: entry.camera.profile })),
+	'/zoom': (entry, [direction, speed]) => {
+		speed = integer(whole(speed), 'speed', { range: 'lensSpeed', profile: entry.camera.profile, fallback: null }) ?? undefined;
+		switch(oneOf(direction, 'direction', ZoomDirection)) {
+			case ZoomDirection.Tele: return entry.camera.zoomTele(speed);
+			case ZoomDirection.Wide: return entry.camera.zoomWide(speed);
+			case ZoomDirection.Stop: return entry.camera.zoomStop();
+		};
+	},
+	'/zoomTo': (entry, [position]) => entry.camera.zoomTo(integer(whole(position), 'position', { range: 'zoom', profile: entry.camera.profile })),
+	'/power': (entry, [on], user) => entry.power.set(onOff(on, 'on'), user.name),
+	'/tour/start': (entry, [name], user) => entry.tour.start(string(String(name ?? ''), 'name', { max: 40 }), user.name),
+	'/tour/stop': (entry) => entry.tour.stop(),
+	'/macro/play': (entry, [name, speed], user) => entry.macro.play(string(String(name ?? ''), 'name', { max: 40 }), {
+		speed: number(numeric(speed), 'speed', { range: 'playbackSpeed', fallback: 1 }),
+		by: user.name
+	}),
+	'/macro/stop': (entry) => entry.macro.stop()
+};
+// Routes that don't count as manual input, a playing tour or macro keeps playing
+const TourRoutes = new Set(['/tour/start', '/tour/stop']);
+const MacroRoutes = new Set(['/macro/play', '/macro/stop']);
+
+/**
+ * Read the OSC settings: `OSC_PORT` turns the listener on, `OSC_HOST` is the address it listens on,
+ * `OSC_FEEDBACK` lists `host:port` targets for feedback and `OSC_TOKEN` is the user token OSC commands run as.
+ *
+ * @param {Object} env The environment, usually `process.env`
+ * @returns {{ port: Number, host: String, feedback: Object[], token?: String }|null} null without `OSC_PORT`
+*/
+function loadOscConfig(env) {
+	if(!env.OSC_PORT) return null;
+
+	const feedback = (env.OSC_FEEDBACK ?? '').split(',').map((target) => target.trim()).filter(Boolean).map((target) => {
+		const [, host, port] = /^(.+):(\d+)$/.exec(target) ?? [];
+		if(!host) throw new Error(`\`OSC_FEEDBACK\` targets must be host:port, got "${target}"`);
+		return { host, port: parseInt(port) };
+	});
+	return { port: parseInt(env.OSC_PORT), host: env.OSC_HOST || '0.0.0.0', feedback, token: env.OSC_TOKEN };
+}
+
+class OscServer extends EventEmitter {
+	/**
+	 * @param {CameraRegistry} cameras The cameras the server controls
+	 * @param {Auth} auth               Users and control locks
+	 * @param {User} user               Who OSC commands run as, they take the camera's control lock like anyone else
+	 * @param {Object} options
+	 * @param {Number} options.port              UDP port to listen on
+	 * @param {String} [options.host='0.0.0.0']  Address to listen on
+	 * @param {Object[]} [options.feedback=[]]   `{ host, port }` targets for feedback messages
+	 *
+	 * @note Emits `commandError` (err, address) when a message can't be handled, the sender gets `/camera/<id>/error` too
+	*/
+	constructor(cameras, auth, user, { port, host = '0.0.0.0', feedback = [] }) {
+		super();
+		this.cameras = cameras;
+		this.auth = auth;
+		this.user = user;
+		this.port = port;
+		this.host = host;
+		this.feedback = feedback;
+		// `host:port` -> { host, port } of the latest senders
+		this.senders = new Map();
+		this.socket = null;
+
+		cameras.forEach((entry) => {
+			entry.camera.on('stateChanged', (changes) => {
+				if(changes.panTiltPos) this.#broadcast(entry, '/position', [changes.panTiltPos.pan, changes.panTiltPos.tilt]);
+				if('power' in changes) this.#broadcast(entry, '/power', [changes.power === 'On' ? 1 : 0]);
+			});
+			entry.camera.on('motionStart', () => this.#broadcast(entry, '/moving', [1]));
+			entry.camera.on('motionEnd', () => this.#broadcast(entry, '/moving', [0]));
+		});
+	}
+
+	/**
+	 * Start listening.
+	 * @returns {Promise<void>}
+	*/
+	listen() {
+		this.socket = dgram.createSocket('udp4');
+		this.socket.on('message', (packet, rinfo) => this.#receive(packet, rinfo));
+		return new Promise((resolve, reject) => {
+			this.socket.once('error', reject);
+			this.socket.bind(this.port, this.host, () => {
+				this.socket.off('error', reject);
+				this.socket.on('error', (err) => this.emit('error', err));
+				resolve();
+			});
+		});
+	}
+
+	close() {
+		this.socket?.close();
+		this.socket = null;
+	}
+
+	#receive(packet, sender) {
+		// Keep the latest senders, the oldest one makes room
+		const key = `${sender.address}:${sender.port}`;
+		this.senders.delete(key);
+		this.senders.set(key, { host: sender.address, port: sender.port });
+		if(this.senders.size > MaxSenders) this.senders.delete(this.senders.keys().next().value);
+
+		let messages;
+		try {
+			messages = decodePacket(packet);
+		} catch(err) {
+			return this.#fail(err, null, sender);
+		}
+		messages.forEach((message) => this.#handle(message, sender));
+	}
+
+	async #handle({ address, args }, sender) {
+		const [, id, path] = /^\/camera\/([^/]+)(\/.+)$/.exec(address) ?? [];
+		const entry = id === undefined ? undefined : this.cameras.get(id);
+		try {
+			if(!entry) throw new OscError(id === undefined ? `Unknown address ${address}, use /camera/<id>/...` : `There is no camera "${id}"`);
+
+			// Ask for the feedback values, e.g. when a Companion page is opened
+			if(path === '/query') return this.#sendState(entry, sender);
+			// Give up control at the end of a cue list, so the operators don't have to wait for the lock timeout
+			if(path === '/release') {
+				this.auth.requireOperator(this.user);
+				return entry.lock.release(this.user.name);
+			}
+
+			const route = Object.hasOwn(Routes, path) ? Routes[path] : undefined;
+			if(!route) throw new OscError(`Unknown command ${path}, use ${Object.keys(Routes).join(' ')} /query or /release`);
+			this.auth.authorize(this.user, entry);
+			if(!TourRoutes.has(path)) entry.tour.pause(this.user.name);
+			if(!MacroRoutes.has(path)) entry.macro.stop();
+			// A camera in standby is woken up first, like for every other client
+			if(path !== '/power') await entry.power.input(this.user.name);
+			await withSource({ via: 'osc', user: this.user.name, client: `${sender.address}:${sender.port}` }, () => route(entry, args, this.user));
+		} catch(err) {
+			this.#fail(err, entry, sender, address);
+		}
+	}
+
+	#fail(err, entry, sender, address = null) {
+		this.emit('commandError', err, address);
+		const prefix = entry ? `/camera/${entry.id}` : '';
+		const message = err instanceof ValidationError || err instanceof OscError ? err.message : `${err.name}: ${err.message}`;
+		this.#send(sender, `${prefix}/error`, [message]);
+	}
+
+	#sendState(entry, target) {
+		const { panTiltPos, power } = entry.camera;
+		if(panTiltPos) this.#send(target, `/camera/${entry.id}/position`, [panTiltPos.pan, panTiltPos.tilt]);
+		this.#send(target, `/camera/${entry.id}/power`, [power === 'On' ? 1 : 0]);
+		this.#send(target, `/camera/${entry.id}/moving`, [entry.camera.moving ? 1 : 0]);
+	}
+
+	#broadcast(entry, path, args) {
+		const targets = new Map([...this.feedback, ...this.senders.values()].map((target) => [`${target.host}:${target.port}`, target]));
+		targets.forEach((target) => this.#send(target, `/camera/${entry.id}${path}`, args));
+	}
+
+	#send({ host, port }, address, args) {
+		// Feedback is best effort, a target that isn't listening doesn't matter
+		this.socket?.send(encodeMessage(address, args), port, host, () => {});
+	}
+}
+
+export { OscServer, loadOscConfig };
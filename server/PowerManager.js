@@ -0,0 +1,357 @@
+// Powers a camera on and off: on cron schedules, into standby after a while without control input and back on when
+// a client connects or sends a command. Every transition is confirmed with the power inquiry.
+// Also runs the camera's startup action (home, a preset, the last position or nothing) when the server connects to it.
+
+
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { parseCron, nextRun } from './Cron.js';
+import { withSource } from './Journal.js';
+import { TourState } from './TourRunner.js';
+
+// What the camera reports, see `Huddlecam.powerInquiry()`
+const PowerState = {
+	On: 'On',
+	Standby: 'Off (standby)'
+};
+
+// Why the camera was powered on or off
+const PowerReason = {
+	Schedule: 'schedule',
+	Idle: 'idle',
+	Wake: 'wake',
+	Manual: 'manual'
+};
+
+const Startup = {
+	Home: 'home',
+	Preset: 'preset',
+	Restore: 'restore',
+	None: 'none'
+};
+
+// Time between power inquiries while a transition is confirmed (ms)
+const ConfirmInterval = 1000;
+// Longer timers fire early and are set again, setTimeout can't wait longer than ~24.8 days
+const MaxTimer = 0x7FFFFFFF;
+
+/**
+ * @typedef {Object} PowerConfig
+ * @property {String[]} [on]          Cron expressions to power on at, e.g. `["0 7 * * 1-5"]`
+ * @property {String[]} [off]         Cron expressions to go to standby at, skipped while an operator has control
+ * @property {Number} [idleStandby=0] ms without control input before the camera goes to standby, 0 never
+ * @property {String} [startup=home]  What to do when the server connects: `home`, `preset:<slot>`, `restore` (the last position) or `none`
+*/
+
+/**
+ * @typedef {Object} PowerStatus
+ * @property {String} power              What the camera reported last, e.g. `On` or `Off (standby)`
+ * @property {String|null} transition     `on` or `standby` while a change is sent and confirmed
+ * @property {String|null} reason         Why the camera was switched last: `schedule`, `idle`, `wake` or `manual`
+ * @property {String|null} by             Who switched it
+ * @property {Number|null} confirmedAt    When the power inquiry confirmed the last change (ms since epoch)
+ * @property {String|null} error          Why the last change failed
+ * @property {Number} idleStandby         ms without control input before standby, 0 never
+ * @property {Object|null} next           The next scheduled change, `{ action: 'on'|'standby', at }`
+*/
+
+/**
+ * Check the power settings of a camera config.
+ *
+ * @param {PowerConfig} [config]
+ * @param {String} name The camera, for the error message
+ * @returns {{ on: Cron[], off: Cron[], idleStandby: Number, startup: { action: String, slot?: Number } }}
+*/
+function checkPower(config = {}, name) {
+	const crons = (field) => {
+		const expressions = typeof config[field] === 'string' ? [config[field]] : config[field] ?? [];
+		if(!Array.isArray(expressions)) throw new Error(`The power ${field} times of ${name} must be a list of cron expressions`);
+		return expressions.map((expression) => {
+			try {
+				return parseCron(expression);
+			} catch(err) {
+				throw new Error(`${name}: ${err.message}`);
+			}
+		});
+	};
+
+	const idleStandby = config.idleStandby ?? 0;
+	if(!Number.isFinite(idleStandby) || idleStandby < 0) throw new Error(`The idle standby time of ${name} must be ms, 0 turns it off`);
+
+	const [, action, slot] = /^(home|restore|none|preset)(?::(\d+))?$/.exec(config.startup ?? Startup.Home) ?? [];
+	if(!action || (action === Startup.Preset) !== (slot !== undefined)) {
+		throw new Error(`The startup action of ${name} must be home, restore, none or preset:<slot>, not "${config.startup}"`);
+	}
+	const startup = action === Startup.Preset ? { action, slot: Number(slot) } : { action };
+	return { on: crons('on'), off: crons('off'), idleStandby, startup };
+}
+
+class PowerManager extends EventEmitter {
+	/**
+	 * @param {CameraEntry} entry The camera, its fence, presets, tour, macro and control lock
+	 * @param {Object} options          From `checkPower()`
+	 * @param {Cron[]} options.on
+	 * @param {Cron[]} options.off
+	 * @param {Number} options.idleStandby
+	 * @param {Object} options.startup
+	 * @param {String} options.file     Where the last position is kept for the `restore` startup action
+	 * @param {Number} [options.confirmTimeout=60000] How long the camera may take to report a change, cameras move to their
+	 *                                   start position before they report on
+	 *
+	 * @note Emits `progress` with `status()` whenever the power changes, `skipped` (holder) when a scheduled standby is skipped
+	 * because an operator has control and `error` when a scheduled or idle change or the startup action fails
+	*/
+	constructor(entry, { on, off, idleStandby, startup, file, confirmTimeout = 60000 }) {
+		super();
+		this.entry = entry;
+		this.schedule = { on, off };
+		this.idleStandby = idleStandby;
+		this.startup = startup;
+		this.file = file;
+		this.confirmTimeout = confirmTimeout;
+		this.transition = null;
+		this.reason = null;
+		this.by = null;
+		this.confirmedAt = null;
+		this.error = null;
+		this.next = null;
+		// The position the camera had when the server stopped, `{ pan, tilt, zoom }`
+		this.lastPosition = null;
+
+		const { camera } = entry;
+		// Commands sent for someone count as input, the server's own polling and power changes don't
+		camera.on('command', ({ inquiry, source }) => {
+			if(!inquiry && source && source.via !== 'power') this.#touch();
+		});
+		camera.on('stateChanged', (changes) => {
+			if('power' in changes && !this.transition) this.emit('progress', this.status());
+			if(this.startup.action === Startup.Restore && ('panTiltPos' in changes || 'position' in changes)) this.#savePosition();
+		});
+
+		this.#touch();
+		this.reschedule();
+	}
+
+	// Transitions run one after another
+	#queue = Promise.resolve();
+	#idleTimer = null;
+	#scheduleTimer = null;
+	#saveTimer = null;
+	// Set once the startup action ran, the position isn't saved before it was restored
+	#started = false;
+	#loading = null;
+
+	/**
+	 * Read the last position for the `restore` startup action. A missing file means there is none.
+	 * @returns {Promise<void>}
+	*/
+	load() {
+		this.#loading ??= this.#readPosition();
+		return this.#loading;
+	}
+
+	/**
+	 * @returns {PowerStatus}
+	*/
+	status() {
+		return {
+			power: this.entry.camera.power,
+			transition: this.transition,
+			reason: this.reason,
+			by: this.by,
+			confirmedAt: this.confirmedAt,
+			error: this.error,
+			idleStandby: this.idleStandby,
+			next: this.next
+		};
+	}
+
+	/**
+	 * Power the camera on or put it in standby for a client. Resolves once the power inquiry confirmed it.
+	 *
+	 * @param {Boolean} on
+	 * @param {String} by Who switched it
+	 * @returns {Promise<CameraResponse>} The response to the power command
+	*/
+	set(on, by) {
+		this.#touch();
+		return this.#run(on, PowerReason.Manual, by);
+	}
+
+	/**
+	 * Control input from a client, call it before the command is sent: restarts the idle time, and wakes the camera
+	 * first when it is in standby, whoever put it there.
+	 *
+	 * @param {String} by Who sent the command
+	 * @returns {Promise<void>} Resolves once the camera is on
+	*/
+	async input(by) {
+		this.#touch();
+		if(this.transition === 'on') await this.#queue;
+		else if(this.transition === 'standby' || this.entry.camera.power === PowerState.Standby) await this.#run(true, PowerReason.Wake, by);
+	}
+
+	/**
+	 * A client connected to the camera. Wakes it when it went to standby for being idle, not when it was switched off
+	 * on purpose (by a schedule or an operator).
+	 *
+	 * @param {String} by Who connected
+	 * @returns {Promise<void>}
+	*/
+	async wakeFromIdle(by) {
+		if(this.reason !== PowerReason.Idle || this.transition === 'on' || this.entry.camera.power !== PowerState.Standby) return;
+		this.#touch();
+		await this.#run(true, PowerReason.Wake, by);
+	}
+
+	/**
+	 * Run the startup action, when the server connects to the camera for the first time.
+	 * @returns {Promise<void>}
+	*/
+	async runStartup() {
+		const { camera, fence, presets } = this.entry;
+		// The camera may connect before the last position and the presets were read, files that can't be read were
+		// reported by the `load()` calls
+		await Promise.all([this.load(), presets.ready].map((loading) => loading.catch(() => {})));
+		try {
+			await withSource({ via: 'power', name: 'startup' }, async () => {
+				switch(this.startup.action) {
+					case Startup.Home: return fence.home();
+					case Startup.Preset: return presets.recall(this.startup.slot);
+					case Startup.Restore: {
+						// Nothing to restore the first time, start from home
+						if(!this.lastPosition) return fence.home();
+						const { pan, tilt, zoom } = this.lastPosition;
+						const { ranges } = camera.profile;
+						await fence.moveTo(ranges.panSpeed[1], ranges.tiltSpeed[1], pan, tilt);
+						if(zoom !== null && zoom !== undefined) await camera.zoomTo(zoom);
+						return;
+					}
+					case Startup.None: return;
+				};
+			});
+		} finally {
+			this.#started = true;
+		}
+	}
+
+	/**
+	 * Set the timer for the next scheduled change.
+	*/
+	reschedule() {
+		clearTimeout(this.#scheduleTimer);
+		const from = new Date();
+		this.next = null;
+		for(const [action, crons] of [['on', this.schedule.on], ['standby', this.schedule.off]]) {
+			crons.forEach((cron) => {
+				const at = nextRun(cron, from)?.getTime();
+				if(at && (!this.next || at < this.next.at)) this.next = { action, at };
+			});
+		}
+
+		if(this.next) {
+			const delay = this.next.at - Date.now();
+			this.#scheduleTimer = setTimeout(() => delay > MaxTimer ? this.reschedule() : this.#scheduled(), Math.min(delay, MaxTimer));
+			this.#scheduleTimer.unref?.();
+		}
+	}
+
+	#scheduled() {
+		const { action } = this.next;
+		// Don't switch off a camera someone is using, e.g. in a meeting that runs late
+		const holder = this.entry.lock.holder;
+		if(action === 'standby' && holder) this.emit('skipped', holder);
+		else this.#run(action === 'on', PowerReason.Schedule, null).catch((err) => this.emit('error', err));
+		this.reschedule();
+		this.emit('progress', this.status());
+	}
+
+	// Restart the idle time
+	#touch() {
+		clearTimeout(this.#idleTimer);
+		if(!this.idleStandby) return;
+		this.#idleTimer = setTimeout(() => this.#idle(), this.idleStandby);
+		this.#idleTimer.unref?.();
+	}
+
+	#idle() {
+		const { camera, tour, macro } = this.entry;
+		// A tour may dwell longer than the idle time, it is still using the camera
+		if(tour.state === TourState.Running || macro.macro) return this.#touch();
+		if(camera.power !== PowerState.On || this.transition) return;
+		this.#run(false, PowerReason.Idle, null).catch((err) => this.emit('error', err));
+	}
+
+	#run(on, reason, by) {
+		const run = this.#queue.catch(() => {}).then(() => this.#switch(on, reason, by));
+		this.#queue = run;
+		return run;
+	}
+
+	async #switch(on, reason, by) {
+		const { camera } = this.entry;
+		Object.assign(this, { transition: on ? 'on' : 'standby', reason, by, error: null });
+		this.emit('progress', this.status());
+
+		try {
+			const response = await withSource({ via: 'power', name: reason, user: by ?? undefined }, async () => {
+				const response = await (on ? camera.powerOn() : camera.powerOff());
+				await this.#confirm(on ? PowerState.On : PowerState.Standby);
+				return response;
+			});
+			this.confirmedAt = Date.now();
+			return response;
+		} catch(err) {
+			this.error = err.message;
+			// What the camera says now, the command may have worked without the camera confirming it in time
+			await camera.syncState(['power']).catch(() => {});
+			throw err;
+		} finally {
+			this.transition = null;
+			this.emit('progress', this.status());
+		}
+	}
+
+	// Ask the camera until it reports the power state, it may not answer at all while it starts up
+	async #confirm(expected) {
+		const { camera, name } = this.entry;
+		const deadline = Date.now() + this.confirmTimeout;
+		while(Date.now() < deadline) {
+			if(await camera.powerInquiry().catch(() => null) === expected) return;
+			await new Promise((resolve) => setTimeout(resolve, ConfirmInterval));
+		}
+		throw new Error(`${name} didn't report "${expected}" within ${Math.round(this.confirmTimeout / 1000)}s`);
+	}
+
+	// Keep the position for the `restore` startup action, written a second after the camera came to rest
+	#savePosition() {
+		if(!this.#started) return;
+		clearTimeout(this.#saveTimer);
+		this.#saveTimer = setTimeout(() => this.#writePosition().catch((err) => this.emit('error', err)), 1000);
+		this.#saveTimer.unref?.();
+	}
+
+	async #readPosition() {
+		if(this.startup.action !== Startup.Restore) return;
+		try {
+			this.lastPosition = JSON.parse(await fs.readFile(this.file, 'utf8'));
+		} catch(err) {
+			if(err.code !== 'ENOENT') throw err;
+		}
+	}
+
+	async #writePosition() {
+		const { panTiltPos, position } = this.entry.camera;
+		if(!panTiltPos) return;
+		this.lastPosition = { pan: panTiltPos.pan, tilt: panTiltPos.tilt, zoom: position?.zoom ?? null };
+
+		// Write to a temporary file first so a crash never leaves half a JSON file behind
+		const tmp = `${this.file}.tmp`;
+		await fs.mkdir(path.dirname(this.file), { recursive: true });
+		await fs.writeFile(tmp, JSON.stringify(this.lastPosition, null, '\t'));
+		await fs.rename(tmp, this.file);
+	}
+}
+
+export { PowerManager, PowerState, PowerReason, Startup, checkPower };
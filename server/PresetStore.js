@@ -0,0 +1,158 @@
+// Named camera presets, kept in a JSON file next to the camera's own preset memory
+
+
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} Preset
+ * @property {Number} slot        The camera preset memory the position is stored in (0-127 on a HuddleCam HD)
+ * @property {String} label       The name shown in the GUI
+ * @property {Number} pan         Pan position from `positionInquiry()` when the preset was saved
+ * @property {Number} tilt        Tilt position from `positionInquiry()` when the preset was saved
+ * @property {Number} [panSpeed]  Pan speed to recall the preset with (1-18 on a HuddleCam HD), recalls at the camera's preset speed if missing
+ * @property {Number} [tiltSpeed] Tilt speed to recall the preset with (1-14 on a HuddleCam HD)
+*/
+
+class PresetStore extends EventEmitter {
+	/**
+	 * @param {String} file        The JSON file presets are stored in, created on the first save
+	 * @param {Huddlecam} camera   The camera the presets belong to
+	*/
+	constructor(file, camera) {
+		super();
+		this.file = file;
+		this.camera = camera;
+		/** @type {Map<Number, Preset>} */
+		this.presets = new Map();
+		// The last `load()`, for code that needs the presets before it runs, e.g. a startup action
+		this.ready = Promise.resolve([]);
+	}
+
+	/**
+	 * Read the presets from disk. A missing file is an empty store.
+	 * @returns {Promise<Preset[]>} The stored presets, also kept as `ready` until the next load
+	*/
+	load() {
+		this.ready = this.#read();
+		return this.ready;
+	}
+
+	async #read() {
+		try {
+			const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+			this.presets = new Map(data.map((preset) => [preset.slot, preset]));
+		} catch(err) {
+			if(err.code !== 'ENOENT') throw err;
+			this.presets = new Map();
+		}
+
+		return this.list();
+	}
+
+	/**
+	 * @returns {Preset[]} All presets, sorted by slot
+	*/
+	list() {
+		return [...this.presets.values()].sort((a, b) => a.slot - b.slot);
+	}
+
+	/**
+	 * @param {Number} slot The preset slot
+	 * @returns {Preset|undefined}
+	*/
+	get(slot) {
+		return this.presets.get(slot);
+	}
+
+	/**
+	 * The lowest preset slot that isn't used yet.
+	 * @returns {Number|null} The slot, or null if all slots of the camera's model are taken
+	*/
+	freeSlot() {
+		const [first, last] = this.camera.profile.ranges.preset;
+		for(let slot = first; slot <= last; slot++) {
+			if(!this.presets.has(slot)) return slot;
+		}
+		return null;
+	}
+
+	/**
+	 * Store the camera's current position as a preset, both in the camera's memory and on disk.
+	 *
+	 * @param {Object} options
+	 * @param {String} options.label       The name of the preset
+	 * @param {Number} [options.slot]      The slot to store to, defaults to the first free one. An existing preset is replaced.
+	 * @param {Number} [options.panSpeed]  Pan speed to recall the preset with
+	 * @param {Number} [options.tiltSpeed] Tilt speed to recall the preset with
+	 * @returns {Promise<Preset>} The stored preset
+	 *
+	 * @example
+	 * await Presets.save({ label: 'Stage', panSpeed: 8, tiltSpeed: 4 });
+	*/
+	async save({ label, slot, panSpeed, tiltSpeed }) {
+		const { name, ranges } = this.camera.profile;
+		slot = slot ?? this.freeSlot();
+		if(slot === null) throw new Error(`All ${ranges.preset[1] - ranges.preset[0] + 1} preset slots are in use`);
+		// The camera would store it in its last slot instead
+		if(slot < ranges.preset[0] || slot > ranges.preset[1]) throw new Error(`The ${name} has preset slots ${ranges.preset[0]}-${ranges.preset[1]}`);
+
+		const { pan, tilt } = await this.camera.positionInquiry();
+		await this.camera.presetSet(slot);
+
+		const preset = { slot, label: label || `Preset ${slot}`, pan, tilt };
+		if(panSpeed && tiltSpeed) {
+			preset.panSpeed = panSpeed;
+			preset.tiltSpeed = tiltSpeed;
+		}
+
+		this.presets.set(slot, preset);
+		await this.#write();
+		return preset;
+	}
+
+	/**
+	 * Move the camera to a preset. Presets with a speed are driven to with an absolute move, the others are
+	 * recalled from the camera's memory.
+	 *
+	 * @param {Number} slot The preset slot
+	 * @returns {Promise<CameraResponse>} The response from the camera
+	*/
+	recall(slot) {
+		const preset = this.presets.get(slot);
+		if(!preset) return Promise.reject(new Error(`There is no preset in slot ${slot}`));
+
+		if(preset.panSpeed && preset.tiltSpeed) {
+			return this.camera.moveTo(preset.panSpeed, preset.tiltSpeed, preset.pan, preset.tilt);
+		}
+		return this.camera.presetRecall(slot);
+	}
+
+	/**
+	 * Clear a preset from the camera's memory and from disk.
+	 *
+	 * @param {Number} slot The preset slot
+	 * @returns {Promise<Boolean>} Whether a preset was removed
+	*/
+	async remove(slot) {
+		if(!this.presets.has(slot)) return false;
+
+		await this.camera.presetReset(slot);
+		this.presets.delete(slot);
+		await this.#write();
+		return true;
+	}
+
+	async #write() {
+		// Write to a temporary file first so a crash never leaves half a JSON file behind
+		const tmp = `${this.file}.tmp`;
+		await fs.mkdir(path.dirname(this.file), { recursive: true });
+		await fs.writeFile(tmp, JSON.stringify(this.list(), null, '\t'));
+		await fs.rename(tmp, this.file);
+
+		this.emit('change', this.list());
+	}
+}
+
+export { PresetStore };
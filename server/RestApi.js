@@ -0,0 +1,212 @@
+// Versioned JSON API for scripts, Stream Deck plugins and curl, next to the socket.io interface
+// Every route works on one camera: /api/v1/cameras/:id/...
+// Reading is open to viewers, everything else needs an operator that holds (or gets) the camera's control lock
+
+
+import express from 'express';
+import { Direction, Exposure, Inquiries, ViscaError, TimeoutError, OfflineError, UnsupportedCommandError } from '../Huddlecam.js';
+import { ErrorCode } from '../Visca.js';
+import { buildOpenApi } from './OpenApi.js';
+import { ValidationError, integer, boolean, oneOf, string } from './Validate.js';
+import { AuthError, ForbiddenError } from './Auth.js';
+import { LockedError } from './ControlLock.js';
+import { withSource } from './Journal.js';
+
+// `POST /exposure/:setting` actions -> camera methods, `to` takes a position
+const ExposureSettings = {
+	shutter: { up: 'shutterUp', down: 'shutterDown', reset: 'shutterReset', to: 'shutterTo' },
+	iris: { up: 'irisUp', down: 'irisDown', reset: 'irisReset', to: 'irisTo' },
+	gain: { up: 'gainUp', down: 'gainDown', reset: 'gainReset', to: 'gainTo' },
+	expComp: { on: 'expCompOn', off: 'expCompOff', up: 'expCompUp', down: 'expCompDown', reset: 'expCompReset', to: 'expCompTo' }
+};
+
+class NotFoundError extends Error {
+	constructor(message) { super(message); this.name = 'NotFoundError'; }
+}
+
+/**
+ * HTTP status for an error, VISCA errors keep their meaning: busy cameras are a conflict, missing cameras are unavailable.
+ * @param {Error} err
+ * @returns {Number}
+*/
+function statusFor(err) {
+	if(err instanceof ValidationError) return 400;
+	if(err instanceof AuthError) return 401;
+	if(err instanceof ForbiddenError) return 403;
+	if(err instanceof NotFoundError) return 404;
+	if(err instanceof LockedError) return 423;
+	if(err instanceof TimeoutError) return 504;
+	if(err instanceof OfflineError) return 503;
+	if(err instanceof UnsupportedCommandError) return 501;
+	if(err instanceof ViscaError) {
+		switch(err.code) {
+			case ErrorCode.CommandBufferFull: return 503;
+			case ErrorCode.NotExecutable:
+			case ErrorCode.CommandCanceled:
+			case ErrorCode.NoSocket: return 409;
+			case ErrorCode.MessageLength:
+			case ErrorCode.Syntax: return 422;
+		};
+		return 502;
+	}
+	return 500;
+}
+
+// Token from `Authorization: Bearer <token>`
+function bearer(req) {
+	const [scheme, token] = (req.get('authorization') ?? '').split(' ');
+	return scheme?.toLowerCase() === 'bearer' ? token : undefined;
+}
+
+/**
+ * Build the API router, mount it with `app.use('/api/v1', createRestApi(Cameras, auth))`.
+ *
+ * @param {CameraRegistry} cameras The cameras the server controls
+ * @param {Auth} auth             Users and sessions
+ * @returns {express.Router}
+ *
+ * @example
+ * // curl -X POST localhost:3000/api/v1/cameras/1/move -H 'Authorization: Bearer <token>' -H 'Content-Type: application/json' -d '{"direction":"up","panSpeed":8,"tiltSpeed":4}'
+ * app.use('/api/v1', createRestApi(Cameras, auth));
+*/
+function createRestApi(cameras, auth) {
+	const router = express.Router();
+	router.use(express.json());
+
+	const openApi = buildOpenApi({ inquiries: Object.keys(Inquiries), exposureSettings: ExposureSettings, directions: Object.keys(Direction), exposureModes: Object.keys(Exposure) });
+	router.get('/openapi.json', (req, res) => res.json(openApi));
+
+	// Log in with a name and password, the token goes into `Authorization: Bearer <token>` or the socket.io handshake
+	router.post('/login', (req, res, next) => {
+		try {
+			const { token, name, role, expires } = auth.login(string(req.body?.name, 'name'), string(req.body?.password, 'password', { max: 1000 }));
+			res.json({ token, name, role, expires });
+		} catch(err) {
+			next(err);
+		}
+	});
+	router.post('/logout', (req, res) => {
+		res.json({ loggedOut: auth.logout(bearer(req)) });
+	});
+
+	// Everything else needs a valid token once there are users
+	router.use((req, res, next) => {
+		req.user = auth.verify(bearer(req));
+		next(req.user ? undefined : new AuthError());
+	});
+	router.get('/me', (req, res) => res.json(req.user));
+
+	router.get('/cameras', (req, res) => res.json(cameras.list()));
+
+	// Resolve `:id` once for every camera route
+	router.param('id', (req, res, next, id) => {
+		req.entry = cameras.get(id);
+		next(req.entry ? undefined : new NotFoundError(`There is no camera "${id}"`));
+	});
+
+	/**
+	 * Register a camera route. The handler gets the camera and the request body, and returns what to send back.
+	 * Commands answer `{ command }`, inquiries answer their value. POST and PUT routes control the camera and need the lock,
+	 * they wake a camera in standby before the handler runs.
+	*/
+	const route = (method, path, handler) => {
+		router[method](`/cameras/:id${path}`, async (req, res, next) => {
+			try {
+				if(method === 'post' || method === 'put') {
+					auth.authorize(req.user, req.entry);
+					if(path !== '/power') await req.entry.power.input(req.user.name);
+				}
+				const result = await withSource({ via: 'rest', user: req.user.name }, () => handler(req.entry.camera, req.body ?? {}, req));
+				// Commands resolve with a `CameraResponse`, only the command is interesting to the client
+				res.json(result?.response === true ? { command: result.command } : result);
+			} catch(err) {
+				next(err);
+			}
+		});
+	};
+
+	route('get', '', (camera, body, req) => {
+		const { id, name, config, lock, fence, power } = req.entry;
+		return {
+			id, name, address: camera.address, transport: config.transport ?? 'serial', connected: camera.connected, state: camera.state,
+			lock: lock.status(), limits: fence.status(), power: power.status()
+		};
+	});
+	route('get', '/state', (camera) => camera.state);
+
+	// Pan-tilt
+	// Pan-tilt moves go through the camera's fence, see Fence.js
+	route('post', '/move', (camera, body, req) => req.entry.fence.move(
+		oneOf(body.direction, 'direction', Direction),
+		integer(body.panSpeed, 'panSpeed', { profile: camera.profile, fallback: 5 }),
+		integer(body.tiltSpeed, 'tiltSpeed', { profile: camera.profile, fallback: 3 })
+	));
+	// `wait: true` answers `{ position }` once the camera arrived instead of when it accepted the command
+	route('post', '/moveTo', async (camera, body, req) => {
+		const relative = boolean(body.relative, 'relative', false);
+		const wait = boolean(body.wait, 'wait', false);
+		const result = await req.entry.fence.moveTo(
+			integer(body.panSpeed, 'panSpeed', { profile: camera.profile, fallback: 5 }),
+			integer(body.tiltSpeed, 'tiltSpeed', { profile: camera.profile, fallback: 3 }),
+			integer(body.pan, 'pan', { range: relative ? 'relativePan' : 'pan', profile: camera.profile }),
+			integer(body.tilt, 'tilt', { range: relative ? 'relativeTilt' : 'tilt', profile: camera.profile }),
+			relative,
+			{ wait }
+		);
+		return wait ? { position: result } : result;
+	});
+	route('post', '/stop', (camera, body, req) => req.entry.fence.stop());
+	route('post', '/home', async (camera, body, req) => {
+		const wait = boolean(body.wait, 'wait', false);
+		const result = await req.entry.fence.home({ wait });
+		return wait ? { position: result } : result;
+	});
+	route('post', '/reset', async (camera, body) => boolean(body.wait, 'wait', false) ? { position: await camera.resetAndWait() } : camera.reset());
+
+	// Power, exposure and backlight
+	// Answers once the camera reports the new state, GET has the schedule and the last change
+	route('get', '/power', (camera, body, req) => req.entry.power.status());
+	route('put', '/power', (camera, body, req) => req.entry.power.set(boolean(body.on, 'on'), req.user.name));
+	route('put', '/exposure', (camera, body) => camera.exposureMode(oneOf(body.mode, 'mode', Exposure)));
+	route('post', '/exposure/:setting', (camera, body, req) => {
+		const { setting } = req.params;
+		if(!Object.hasOwn(ExposureSettings, setting)) throw new NotFoundError(`Unknown exposure setting "${setting}", use ${Object.keys(ExposureSettings).join(', ')}`);
+		const actions = ExposureSettings[setting];
+		const method = Object.hasOwn(actions, body.action) ? actions[body.action] : undefined;
+		if(!method) throw new ValidationError(`\`action\` must be one of ${Object.keys(actions).join(', ')}`, 'action');
+		return body.action === 'to' ? camera[method](integer(body.position, 'position', { range: setting, profile: camera.profile })) : camera[method]();
+	});
+	route('put', '/backlight', (camera, body) => boolean(body.on, 'on') ? camera.backlightOn() : camera.backlightOff());
+
+	// Control lock: GET shows who has it, POST takes it and DELETE gives it up
+	route('get', '/lock', (camera, body, req) => req.entry.lock.status());
+	route('post', '/lock', (camera, body, req) => req.entry.lock.status());
+	route('delete', '/lock', (camera, body, req) => {
+		req.entry.lock.release(req.user.name);
+		return req.entry.lock.status();
+	});
+
+	// Inquiries: GET /cameras/1/inquiry/power -> { value: 'On' }
+	route('get', '/inquiry/:name', async (camera, body, req) => {
+		const method = Object.hasOwn(Inquiries, req.params.name) ? Inquiries[req.params.name] : undefined;
+		if(!method) throw new NotFoundError(`Unknown inquiry "${req.params.name}", use ${Object.keys(Inquiries).join(', ')}`);
+		return { value: await camera[method]() };
+	});
+
+	router.use((req, res, next) => next(new NotFoundError(`No route for ${req.method} ${req.path}`)));
+
+	// Structured errors: { error: { name, message, status, code?, command?, field?, holder? } }
+	router.use((err, req, res, next) => {
+		const status = err.status === 400 ? 400 : statusFor(err); // express.json() marks broken JSON with status 400
+		const error = { name: err.name, message: err.message, status };
+		if(err instanceof ViscaError) Object.assign(error, { code: err.code, command: err.command });
+		if(err.field) error.field = err.field;
+		if(err.holder) error.holder = err.holder;
+		if(status >= 500 && !(err instanceof ViscaError)) console.error('API error:', err);
+		res.status(status).json({ error });
+	});
+
+	return router;
+}
+
+export { createRestApi };
@@ -0,0 +1,259 @@
+// Plays the tours of a camera: moves through the steps, waits at each one and starts tours on their schedule
+// Manual commands pause the tour, it picks up at the step it was on when resumed
+
+
+import { EventEmitter } from 'events';
+import { withSource } from './Journal.js';
+
+const TourState = {
+	Stopped: 'stopped',
+	Running: 'running',
+	Paused: 'paused'
+};
+
+const TourMode = {
+	Loop: 'loop',
+	Once: 'once'
+};
+
+/**
+ * @typedef {Object} TourStatus
+ * @property {String|null} tour      The tour that is running or paused
+ * @property {String} state          `stopped`, `running` or `paused`
+ * @property {Number} step           Index of the current step
+ * @property {Number} steps          Number of steps of the tour
+ * @property {Number|null} dwellUntil When the camera moves on from the current step (ms since epoch), null while moving or paused
+ * @property {String|null} startedBy Who started it, `schedule` for scheduled starts
+ * @property {String|null} pausedBy  Whose command paused it
+ * @property {Object|null} next      The next scheduled start, `{ tour, at }`
+*/
+
+class TourRunner extends EventEmitter {
+	/**
+	 * @param {CameraEntry} entry The camera, its presets, its tours and its control lock
+	 * @param {Object} [options]
+	 * @param {Number} [options.resumeAfter=0] Resume a paused tour after this many ms without manual commands, 0 waits for `resume()`
+	 *
+	 * @note Emits `progress` with `status()` whenever the tour moves on, `error` when a step fails
+	 * and `skipped` (tour, holder) when a scheduled start is skipped because an operator has control
+	*/
+	constructor(entry, { resumeAfter = 0 } = {}) {
+		super();
+		this.entry = entry;
+		this.resumeAfter = resumeAfter;
+		this.tour = null;
+		this.state = TourState.Stopped;
+		this.step = 0;
+		this.dwellUntil = null;
+		this.startedBy = null;
+		this.pausedBy = null;
+		this.next = null;
+
+		// Follow edits of the tour that is playing, stop it when it is deleted
+		entry.tours.on('change', () => {
+			if(this.tour) {
+				this.tour = entry.tours.get(this.tour.name) ?? null;
+				if(!this.tour || this.tour.steps.length === 0) this.stop();
+				else this.step = Math.min(this.step, this.tour.steps.length - 1);
+			}
+			this.reschedule();
+		});
+	}
+
+	// Bumped to abandon the steps of a tour that was stopped or paused
+	#run = 0;
+	#dwell = null;
+	#resumeTimer = null;
+	#scheduleTimer = null;
+
+	/**
+	 * Start a tour from its first step, replacing the one that is playing.
+	 *
+	 * @param {String} name
+	 * @param {String} by Who started it
+	 * @returns {TourStatus}
+	*/
+	start(name, by) {
+		const tour = this.entry.tours.get(name);
+		if(!tour) throw new Error(`There is no tour "${name}"`);
+		if(tour.steps.length === 0) throw new Error(`Tour "${name}" has no steps`);
+
+		this.#cancel();
+		Object.assign(this, { tour, state: TourState.Running, step: 0, startedBy: by, pausedBy: null });
+		this.#start();
+		return this.status();
+	}
+
+	/**
+	 * Stop the tour, the camera stays where it is.
+	 * @returns {Boolean} Whether a tour was playing
+	*/
+	stop() {
+		if(this.state === TourState.Stopped) return false;
+
+		this.#cancel();
+		Object.assign(this, { tour: null, state: TourState.Stopped, step: 0, dwellUntil: null, startedBy: null, pausedBy: null });
+		this.emit('progress', this.status());
+		return true;
+	}
+
+	/**
+	 * Pause the tour for a manual command. Every call restarts the `resumeAfter` time.
+	 *
+	 * @param {String} by Who sent the command
+	 * @returns {Boolean} Whether a tour is paused now
+	*/
+	pause(by) {
+		if(this.state === TourState.Stopped) return false;
+
+		if(this.state === TourState.Running) {
+			this.#cancel();
+			Object.assign(this, { state: TourState.Paused, dwellUntil: null, pausedBy: by });
+			this.emit('progress', this.status());
+		}
+
+		clearTimeout(this.#resumeTimer);
+		if(this.resumeAfter) {
+			this.#resumeTimer = setTimeout(() => this.resume(), this.resumeAfter);
+			this.#resumeTimer.unref?.();
+		}
+		return true;
+	}
+
+	/**
+	 * Continue a paused tour at the step it was on.
+	 * @returns {Boolean} Whether a tour was paused
+	*/
+	resume() {
+		if(this.state !== TourState.Paused) return false;
+
+		clearTimeout(this.#resumeTimer);
+		Object.assign(this, { state: TourState.Running, pausedBy: null });
+		this.#start();
+		return true;
+	}
+
+	/**
+	 * @returns {TourStatus}
+	*/
+	status() {
+		return {
+			tour: this.tour?.name ?? null,
+			state: this.state,
+			step: this.step,
+			steps: this.tour?.steps.length ?? 0,
+			dwellUntil: this.dwellUntil,
+			startedBy: this.startedBy,
+			pausedBy: this.pausedBy,
+			next: this.next
+		};
+	}
+
+	/**
+	 * Set the timer for the next scheduled start, after the tours changed.
+	*/
+	reschedule() {
+		clearTimeout(this.#scheduleTimer);
+		this.next = nextStart(this.entry.tours.list(), new Date(Date.now() + 1000));
+		if(this.next) {
+			this.#scheduleTimer = setTimeout(() => this.#scheduledStart(), this.next.at - Date.now());
+			this.#scheduleTimer.unref?.();
+		}
+		this.emit('progress', this.status());
+	}
+
+	#scheduledStart() {
+		// Don't take the camera away from someone who is using it
+		const { tour } = this.next;
+		const holder = this.entry.lock.holder;
+		if(holder) this.emit('skipped', tour, holder);
+		else {
+			try {
+				this.start(tour, 'schedule');
+			} catch(err) {
+				this.emit('error', err);
+			}
+		}
+		this.reschedule();
+	}
+
+	// The journal shows the steps as the tour's, not as the client's that started or resumed it
+	#start() {
+		withSource({ via: 'tour', name: this.tour.name }, () => this.#play());
+	}
+
+	async #play() {
+		const run = ++this.#run;
+		while(run === this.#run) {
+			const step = this.tour.steps[this.step];
+			this.dwellUntil = null;
+			this.emit('progress', this.status());
+
+			try {
+				await this.#goTo(step);
+			} catch(err) {
+				// Keep going, a camera that was offline for one step may be back for the next
+				if(run === this.#run) this.emit('error', err);
+			}
+			if(run !== this.#run) return;
+
+			this.dwellUntil = Date.now() + step.dwell * 1000;
+			this.emit('progress', this.status());
+			await new Promise((resolve) => this.#dwell = { timer: setTimeout(resolve, step.dwell * 1000), resolve });
+			if(run !== this.#run) return;
+
+			if(this.step + 1 < this.tour.steps.length) this.step++;
+			else if(this.tour.mode === TourMode.Loop) this.step = 0;
+			else return this.stop();
+		}
+	}
+
+	// Resolves once the camera arrived, the dwell starts there
+	async #goTo(step) {
+		const { camera, fence, presets } = this.entry;
+		if(step.preset === undefined) return fence.moveTo(step.panSpeed, step.tiltSpeed, step.pan, step.tilt, false, { wait: true });
+
+		const preset = presets.get(step.preset);
+		if(!preset) throw new Error(`There is no preset in slot ${step.preset}`);
+		if(step.panSpeed && step.tiltSpeed) return fence.moveTo(step.panSpeed, step.tiltSpeed, preset.pan, preset.tilt, false, { wait: true });
+		await presets.recall(step.preset);
+		return camera.waitForMotion();
+	}
+
+	// Abandon the current step, a move that is on its way still finishes
+	#cancel() {
+		this.#run++;
+		clearTimeout(this.#resumeTimer);
+		if(this.#dwell) {
+			clearTimeout(this.#dwell.timer);
+			this.#dwell.resolve();
+			this.#dwell = null;
+		}
+	}
+}
+
+/**
+ * The earliest scheduled start after `from`.
+ *
+ * @param {Tour[]} tours
+ * @param {Date} from
+ * @returns {{ tour: String, at: Number }|null}
+*/
+function nextStart(tours, from) {
+	let next = null;
+	tours.forEach((tour) => {
+		if(!tour.schedule || tour.steps.length === 0) return;
+		// A week ahead covers every day of the week
+		for(let day = 0; day <= 7; day++) {
+			tour.schedule.times.forEach((time) => {
+				const [hours, minutes] = time.split(':').map(Number);
+				const at = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day, hours, minutes);
+				if(at <= from || (tour.schedule.days && !tour.schedule.days.includes(at.getDay()))) return;
+				if(!next || at.getTime() < next.at) next = { tour: tour.name, at: at.getTime() };
+			});
+		}
+	});
+	return next;
+}
+
+export { TourRunner, TourState, TourMode };
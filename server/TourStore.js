@@ -0,0 +1,106 @@
+// Named tours of a camera: ordered lists of positions and presets to cycle through, kept in a JSON file per camera
+
+
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} TourStep
+ * @property {Number} [preset]    Preset slot to go to, or
+ * @property {Number} [pan]       Absolute pan position, with `tilt`
+ * @property {Number} [tilt]      Absolute tilt position
+ * @property {Number} [panSpeed]  Pan speed (1-18), presets without a speed are recalled at the camera's preset speed
+ * @property {Number} [tiltSpeed] Tilt speed (1-14)
+ * @property {Number} dwell       Seconds to stay once the camera got there
+*/
+
+/**
+ * @typedef {Object} Tour
+ * @property {String} name        Unique per camera
+ * @property {String} mode        `loop` starts over after the last step, `once` stops there
+ * @property {TourStep[]} steps
+ * @property {Object} [schedule]  Start the tour at these times (local time)
+ * @property {String[]} schedule.times  e.g. `['08:00', '13:30']`
+ * @property {Number[]} [schedule.days] Days of the week, 0 is Sunday, every day if missing
+*/
+
+class TourStore extends EventEmitter {
+	/**
+	 * @param {String} file The JSON file tours are stored in, created on the first save
+	*/
+	constructor(file) {
+		super();
+		this.file = file;
+		/** @type {Map<String, Tour>} */
+		this.tours = new Map();
+	}
+
+	/**
+	 * Read the tours from disk. A missing file is an empty store.
+	 * @returns {Promise<Tour[]>}
+	*/
+	async load() {
+		try {
+			const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+			this.tours = new Map(data.map((tour) => [tour.name, tour]));
+		} catch(err) {
+			if(err.code !== 'ENOENT') throw err;
+			this.tours = new Map();
+		}
+
+		this.emit('change', this.list());
+		return this.list();
+	}
+
+	/**
+	 * @returns {Tour[]} All tours, sorted by name
+	*/
+	list() {
+		return [...this.tours.values()].sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * @param {String} name
+	 * @returns {Tour|undefined}
+	*/
+	get(name) {
+		return this.tours.get(name);
+	}
+
+	/**
+	 * Add a tour, or replace the one with the same name.
+	 *
+	 * @param {Tour} tour
+	 * @param {String} [previousName] The name the tour had before, to rename it
+	 * @returns {Promise<Tour>}
+	*/
+	async save(tour, previousName) {
+		if(previousName !== undefined && previousName !== tour.name) this.tours.delete(previousName);
+		this.tours.set(tour.name, tour);
+		await this.#write();
+		return tour;
+	}
+
+	/**
+	 * @param {String} name
+	 * @returns {Promise<Boolean>} Whether a tour was removed
+	*/
+	async remove(name) {
+		if(!this.tours.delete(name)) return false;
+		await this.#write();
+		return true;
+	}
+
+	async #write() {
+		// Write to a temporary file first so a crash never leaves half a JSON file behind
+		const tmp = `${this.file}.tmp`;
+		await fs.mkdir(path.dirname(this.file), { recursive: true });
+		await fs.writeFile(tmp, JSON.stringify(this.list(), null, '\t'));
+		await fs.rename(tmp, this.file);
+
+		this.emit('change', this.list());
+	}
+}
+
+export { TourStore };
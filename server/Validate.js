@@ -0,0 +1,151 @@
+// Checks for arguments coming from clients (socket.io and the REST API), against the ranges of the camera they are for
+
+
+// Argument -> [min, max], for the arguments that are the same for every camera
+const Ranges = {
+	dwell: [0, 86400],
+	weekday: [0, 6],
+	// Macro replay, 2 plays twice as fast as recorded
+	playbackSpeed: [0.1, 10]
+};
+
+// Model profile -> its argument ranges, see `rangesFor()`
+const profileRanges = new WeakMap();
+
+/**
+ * The ranges of the arguments for a camera: those of its model profile (see Models.js), the ones that follow from them
+ * and `Ranges`.
+ *
+ * @param {ModelProfile} profile The camera's profile, `camera.profile`
+ * @returns {Object} Argument -> [min, max]
+*/
+function rangesFor(profile) {
+	if(!profileRanges.has(profile)) {
+		const { ranges } = profile;
+		profileRanges.set(profile, {
+			...ranges,
+			slot: ranges.preset,
+			// Signed speeds of a pan/tilt vector, negative is left/down
+			panVector: [-ranges.panSpeed[1], ranges.panSpeed[1]],
+			tiltVector: [-ranges.tiltSpeed[1], ranges.tiltSpeed[1]],
+			// Pan/tilt units across the picture (click-to-center calibration), negative when the picture moves the other way
+			panSpan: ranges.relativePan,
+			tiltSpan: ranges.relativeTilt,
+			...Ranges
+		});
+	}
+	return profileRanges.get(profile);
+}
+
+class ValidationError extends Error {
+	/**
+	 * @param {String} message What is wrong with the argument
+	 * @param {String} [field] The argument that is wrong
+	*/
+	constructor(message, field = null) {
+		super(message);
+		this.name = 'ValidationError';
+		this.field = field;
+	}
+}
+
+// Out of range values are rejected, the camera would clamp them to something else than the client asked for
+function checkRange(value, field, range, profile) {
+	const ranges = profile ? rangesFor(profile) : Ranges;
+	const [min, max] = Object.hasOwn(ranges, range) ? ranges[range] : [-Infinity, Infinity];
+	if(value < min || value > max) {
+		throw new ValidationError(`\`${field}\` must be between ${min} and ${max}${profile ? ` on a ${profile.name}` : ''}`, field);
+	}
+}
+
+/**
+ * Check a whole number.
+ *
+ * @param {*} value       The value from the client
+ * @param {String} field  The name of the argument, for the error message
+ * @param {Object} [options]
+ * @param {String} [options.range]         One of the keys of `rangesFor()`, defaults to `field`
+ * @param {ModelProfile} [options.profile] The profile of the camera the argument is for, only `Ranges` are checked without one
+ * @param {Number} [options.fallback]      Value if the argument is missing, it is required without one
+ * @returns {Number}
+ *
+ * @example
+ * integer(req.body.panSpeed, 'panSpeed', { profile: entry.camera.profile, fallback: 5 });
+ * integer(x, 'pan', { range: 'relativePan', profile: entry.camera.profile });
+*/
+function integer(value, field, { range = field, profile, fallback } = {}) {
+	if(value === undefined || value === null) {
+		if(fallback !== undefined) return fallback;
+		throw new ValidationError(`\`${field}\` is required`, field);
+	}
+	if(typeof value !== 'number' || !Number.isInteger(value)) throw new ValidationError(`\`${field}\` must be a whole number`, field);
+
+	checkRange(value, field, range, profile);
+	return value;
+}
+
+/**
+ * Check a number that may have decimals, e.g. a measurement. Like `integer` without the whole number check.
+ *
+ * @param {*} value
+ * @param {String} field
+ * @param {Object} [options]
+ * @param {String} [options.range]         One of the keys of `rangesFor()`, defaults to `field`
+ * @param {ModelProfile} [options.profile] The profile of the camera the argument is for, only `Ranges` are checked without one
+ * @param {Number} [options.fallback]      Value if the argument is missing, it is required without one
+ * @returns {Number}
+*/
+function number(value, field, { range = field, profile, fallback } = {}) {
+	if(value === undefined || value === null) {
+		if(fallback !== undefined) return fallback;
+		throw new ValidationError(`\`${field}\` is required`, field);
+	}
+	if(typeof value !== 'number' || !Number.isFinite(value)) throw new ValidationError(`\`${field}\` must be a number`, field);
+
+	checkRange(value, field, range, profile);
+	return value;
+}
+
+/**
+ * @param {*} value
+ * @param {String} field
+ * @param {Boolean} [fallback] Value if the argument is missing, it is required without one
+ * @returns {Boolean}
+*/
+function boolean(value, field, fallback) {
+	if(value === undefined && fallback !== undefined) return fallback;
+	if(typeof value !== 'boolean') throw new ValidationError(`\`${field}\` must be true or false`, field);
+	return value;
+}
+
+/**
+ * Check one of the values of an enum like `Direction`, by name (case insensitive) or by value.
+ *
+ * @param {*} value
+ * @param {String} field
+ * @param {Object} enumeration Name -> value, e.g. `Direction`
+ * @returns {*} The enum value
+*/
+function oneOf(value, field, enumeration) {
+	const name = Object.keys(enumeration).find((key) => key.toLowerCase() === String(value).toLowerCase());
+	if(name) return enumeration[name];
+	if(Object.values(enumeration).includes(value)) return value;
+	throw new ValidationError(`\`${field}\` must be one of ${Object.keys(enumeration).join(', ')}`, field);
+}
+
+/**
+ * @param {*} value
+ * @param {String} field
+ * @param {Object} [options]
+ * @param {Number} [options.max=100]       Longest allowed string
+ * @param {Boolean} [options.optional]     Allow the argument to be missing, returns undefined then
+ * @returns {String|undefined}
+*/
+function string(value, field, { max = 100, optional = false } = {}) {
+	if((value === undefined || value === null || value === '') && optional) return undefined;
+	if(typeof value !== 'string' || value.length === 0) throw new ValidationError(`\`${field}\` must be a non-empty string`, field);
+	if(value.length > max) throw new ValidationError(`\`${field}\` must be at most ${max} characters`, field);
+	return value;
+}
+
+export { Ranges, ValidationError, integer, number, boolean, oneOf, string };
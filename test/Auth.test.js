@@ -0,0 +1,99 @@
+// Logins, sessions, fixed tokens and roles
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Auth, Role, AuthError, ForbiddenError, hashPassword, loadUsers } from '../server/Auth.js';
+import { ControlLock, LockedError } from '../server/ControlLock.js';
+
+const users = [
+	{ name: 'ada', role: Role.Operator, password: hashPassword('correct horse') },
+	{ name: 'grace', role: Role.Viewer, password: hashPassword('battery staple') },
+	{ name: 'streamdeck', role: Role.Operator, token: 'f00dfeedf00dfeedf00dfeed' }
+];
+
+test('hashPassword salts every hash', () => {
+	const [first, second] = [hashPassword('secret'), hashPassword('secret')];
+	assert.match(first, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+	assert.notEqual(first, second);
+});
+
+test('login starts a session that verify() knows', () => {
+	const auth = new Auth(users);
+	const session = auth.login('ada', 'correct horse');
+	assert.equal(session.name, 'ada');
+	assert.equal(session.role, Role.Operator);
+	assert.match(session.token, /^[0-9a-f]{48}$/);
+	assert.deepEqual(auth.verify(session.token), { name: 'ada', role: Role.Operator });
+
+	assert.equal(auth.logout(session.token), true);
+	assert.equal(auth.verify(session.token), null);
+});
+
+test('login rejects a wrong password and an unknown name the same way', () => {
+	const auth = new Auth(users);
+	assert.throws(() => auth.login('ada', 'Correct horse'), { name: 'AuthError', message: 'Wrong name or password' });
+	assert.throws(() => auth.login('ada'), AuthError);
+	assert.throws(() => auth.login('linus', 'correct horse'), { name: 'AuthError', message: 'Wrong name or password' });
+	assert.equal(auth.sessions.size, 0);
+});
+
+test('login rejects every password for a token-only user', () => {
+	const auth = new Auth(users);
+	// 'guess173' matched the 1-byte placeholder hash token-only users used to be checked against
+	for(const password of ['guess173', 'f00dfeedf00dfeedf00dfeed', '', undefined]) {
+		assert.throws(() => auth.login('streamdeck', password), { name: 'AuthError', message: 'Wrong name or password' });
+	}
+	assert.equal(auth.sessions.size, 0);
+});
+
+test('sessions expire', () => {
+	const auth = new Auth(users, { sessionTtl: -1 });
+	const { token } = auth.login('grace', 'battery staple');
+	assert.equal(auth.verify(token), null);
+	assert.equal(auth.sessions.size, 0);
+});
+
+test('verify takes the fixed token of a script', () => {
+	const auth = new Auth(users);
+	assert.deepEqual(auth.verify('f00dfeedf00dfeedf00dfeed'), { name: 'streamdeck', role: Role.Operator });
+	assert.equal(auth.verify('f00dfeedf00dfeedf00dfee'), null);
+	assert.equal(auth.verify(undefined), null);
+});
+
+test('without users everyone is an anonymous operator', () => {
+	const auth = new Auth([]);
+	assert.equal(auth.enabled, false);
+	assert.deepEqual(auth.verify(undefined), { name: 'anonymous', role: Role.Operator });
+});
+
+test('only operators control a camera, and only one of them at a time', () => {
+	const auth = new Auth(users);
+	const entry = { lock: new ControlLock(0) };
+
+	assert.throws(() => auth.authorize({ name: 'grace', role: Role.Viewer }, entry), ForbiddenError);
+	assert.equal(entry.lock.holder, null);
+
+	auth.authorize({ name: 'ada', role: Role.Operator }, entry);
+	assert.equal(entry.lock.holder, 'ada');
+	assert.throws(() => auth.authorize({ name: 'streamdeck', role: Role.Operator }, entry), LockedError);
+});
+
+test('loadUsers checks every user of USERS_FILE', (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'huddlecam-users-'));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	const file = path.join(dir, 'users.json');
+	const load = (content) => {
+		fs.writeFileSync(file, JSON.stringify(content));
+		return loadUsers({ USERS_FILE: file });
+	};
+
+	assert.deepEqual(loadUsers({}), []);
+	assert.deepEqual(load(users), users);
+	assert.throws(() => load({ name: 'ada' }), /must hold an array/);
+	assert.throws(() => load([{ name: 'ada', role: 'admin', token: 'x' }]), /needs a `name` and a `role`/);
+	assert.throws(() => load([{ name: 'ada', role: Role.Viewer }]), /needs a `password` or a `token`/);
+});
@@ -0,0 +1,81 @@
+// The camera list: configuration, lines shared by daisy chained cameras and their addresses
+
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CameraRegistry, loadCameraConfig } from '../server/CameraRegistry.js';
+
+let dataDir;
+
+before(() => dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'huddlecam-registry-')));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('loadCameraConfig builds a single camera from the environment', () => {
+	assert.deepEqual(loadCameraConfig({ TRANSPORT: 'udp', CAMERA_HOST: '192.168.1.90', CAMERA_PORT: '1259', CAMERA_ADDRESS: '2' }), [{
+		id: '1', transport: 'udp', port: undefined, baudRate: undefined, host: '192.168.1.90', udpPort: 1259, address: 2, model: undefined, limits: undefined,
+		power: { on: undefined, off: undefined, idleStandby: undefined, startup: undefined }
+	}]);
+	assert.deepEqual(loadCameraConfig({ TRANSPORT: 'simulator', PAN_LIMITS: '-800, 1200' })[0].limits, { pan: [-800, 1200], tilt: undefined });
+	// Cron expressions have commas of their own, the times are separated by `;`
+	assert.deepEqual(loadCameraConfig({ POWER_ON: '0 7 * * 1-5; 0 13 * * 6', IDLE_STANDBY_MS: '1800000', STARTUP: 'preset:3' })[0].power, {
+		on: ['0 7 * * 1-5', '0 13 * * 6'], off: undefined, idleStandby: 1800000, startup: 'preset:3'
+	});
+});
+
+test('loadCameraConfig reads CAMERAS_FILE and numbers cameras without an id', () => {
+	const file = path.join(dataDir, 'cameras.json');
+	fs.writeFileSync(file, JSON.stringify([{ id: 'stage', transport: 'simulator' }, { transport: 'simulator' }]));
+	assert.deepEqual(loadCameraConfig({ CAMERAS_FILE: file }).map((config) => config.id), ['stage', '2']);
+
+	fs.writeFileSync(file, '[]');
+	assert.throws(() => loadCameraConfig({ CAMERAS_FILE: file }), /non-empty array/);
+});
+
+test('rejects configurations it can\'t connect', () => {
+	assert.throws(() => new CameraRegistry([{ id: '1' }], { dataDir }), /SERIAL_PORT/);
+	assert.throws(() => new CameraRegistry([{ id: '1', transport: 'udp' }], { dataDir }), /CAMERA_HOST/);
+	assert.throws(() => new CameraRegistry([{ id: '1', transport: 'usb' }], { dataDir }), /Unknown transport "usb"/);
+	assert.throws(() => new CameraRegistry([{ id: '1', transport: 'simulator' }, { id: '1', transport: 'simulator' }], { dataDir }), /used twice/);
+	assert.throws(() => new CameraRegistry([{ id: '1', transport: 'simulator', limits: { pan: [1200, -800] } }], { dataDir }), /The pan limits of Camera 1/);
+});
+
+test('cameras on one port share a line and get their addresses set before they are ready', async () => {
+	const registry = new CameraRegistry([
+		{ id: 'left', name: 'Left', transport: 'simulator', port: 'chain', address: 1 },
+		{ id: 'right', transport: 'simulator', port: 'chain', address: 2 },
+		{ id: 'solo', transport: 'simulator', model: 'sony', limits: { pan: [-800, 1200] } }
+	], { dataDir });
+
+	const ready = [];
+	await new Promise((resolve) => registry.on('ready', (entry) => ready.push(entry.id) === 3 && resolve()));
+	assert.deepEqual(ready.sort(), ['left', 'right', 'solo']);
+
+	assert.equal(registry.lines.size, 2);
+	assert.equal(registry.default.id, 'left');
+	const list = registry.list();
+	assert.deepEqual(list.map(({ model }) => model.name), ['HuddleCam HD', 'HuddleCam HD', 'Sony EVI/SRG']);
+	assert.deepEqual(list.map(({ model, ...camera }) => camera), [
+		{ id: 'left', name: 'Left', address: 1, transport: 'simulator', port: 'chain', connected: true, limits: null },
+		{ id: 'right', name: 'Camera right', address: 2, transport: 'simulator', port: 'chain', connected: true, limits: null },
+		{ id: 'solo', name: 'Camera solo', address: 1, transport: 'simulator', port: null, connected: true, limits: { pan: [-800, 1200], tilt: null, hardware: true } }
+	]);
+
+	const chain = registry.get('left').camera.transport;
+	// Cameras without a `model` are asked for their version
+	assert.deepEqual(chain.received, ['883001ff', '88010001ff', '81090002ff', '82090002ff']);
+	// A single camera needs no address
+	assert.deepEqual(registry.get('solo').camera.transport.received, []);
+
+	await registry.get('right').camera.powerOff();
+	assert.equal(chain.received.at(-1), '8201040003ff');
+	assert.equal(chain.cameras[1].state.power, false);
+	assert.equal(chain.cameras[0].state.power, true);
+
+	await assert.rejects(registry.switchPort('solo', '/dev/ttyUSB1'), /Camera solo is not connected to a serial port/);
+	await assert.rejects(registry.switchPort('stage', '/dev/ttyUSB1'), /There is no camera "stage"/);
+
+	await Promise.all([chain.close(), registry.get('solo').camera.close()]);
+});
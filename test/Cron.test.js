@@ -0,0 +1,70 @@
+// Cron expressions for power schedules: parsing every field syntax and finding the next run, in local time
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextRun } from '../server/Cron.js';
+
+const Days = Array.from({ length: 31 }, (_, day) => day + 1);
+const Months = Array.from({ length: 12 }, (_, month) => month + 1);
+
+test('parseCron expands every field into its matching values', () => {
+	assert.deepEqual(parseCron(' 0  7 * * 1-5 '), {
+		expression: '0 7 * * 1-5', minute: [0], hour: [7], day: Days, month: Months, weekday: [1, 2, 3, 4, 5], anyDay: true, anyWeekday: false
+	});
+});
+
+test('parseCron takes ranges, lists and steps', () => {
+	const cron = parseCron('*/15 8-18/2 1,15,1 6-8 *');
+	assert.deepEqual(cron.minute, [0, 15, 30, 45]);
+	assert.deepEqual(cron.hour, [8, 10, 12, 14, 16, 18]);
+	assert.deepEqual(cron.day, [1, 15]);
+	assert.deepEqual(cron.month, [6, 7, 8]);
+	assert.equal(cron.anyDay, false);
+	assert.equal(cron.anyWeekday, true);
+
+	// A step from a single value runs to the end of the field
+	assert.deepEqual(parseCron('5/20 * * * *').minute, [5, 25, 45]);
+});
+
+test('parseCron reads weekday 7 as Sunday', () => {
+	assert.deepEqual(parseCron('0 0 * * 5-7').weekday, [0, 5, 6]);
+	assert.deepEqual(parseCron('0 0 * * 0,7').weekday, [0]);
+});
+
+test('parseCron rejects invalid expressions', () => {
+	assert.throws(() => parseCron('0 7 * *'), { message: '"0 7 * *" is not a cron expression, use minute hour day month weekday (e.g. 0 7 * * 1-5)' });
+	assert.throws(() => parseCron('0 7 * * * *'), /is not a cron expression/);
+	assert.throws(() => parseCron('60 * * * *'), { message: 'The minute "60" in "60 * * * *" must be between 0 and 59' });
+	assert.throws(() => parseCron('0 0 0 * *'), /The day "0" .* must be between 1 and 31/);
+	assert.throws(() => parseCron('0 18-8 * * *'), /The hour "18-8"/);
+	assert.throws(() => parseCron('*/0 * * * *'), /The minute "\*\/0"/);
+	assert.throws(() => parseCron('0 7 * * mon'), { message: '"mon" is not a valid weekday in "0 7 * * mon"' });
+	assert.throws(() => parseCron('0 7 1- * *'), /"1-" is not a valid day/);
+	assert.throws(() => parseCron('-1 7 * * *'), /"-1" is not a valid minute/);
+});
+
+test('nextRun finds the first matching minute after the given time', () => {
+	const weekdays = parseCron('0 7 * * 1-5');
+	// Friday 16 October 2026
+	assert.deepEqual(nextRun(weekdays, new Date(2026, 9, 16, 6, 59)), new Date(2026, 9, 16, 7, 0));
+	// Never the minute it is asked in, on to Monday
+	assert.deepEqual(nextRun(weekdays, new Date(2026, 9, 16, 7, 0, 30)), new Date(2026, 9, 19, 7, 0));
+
+	const everyQuarter = parseCron('*/15 8-9 * * *');
+	assert.deepEqual(nextRun(everyQuarter, new Date(2026, 9, 16, 8, 50)), new Date(2026, 9, 16, 9, 0));
+	assert.deepEqual(nextRun(everyQuarter, new Date(2026, 9, 16, 9, 45)), new Date(2026, 9, 17, 8, 0));
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+	// Saturday 10 October 2026: the 13th is a Tuesday and comes before Friday the 16th
+	const from = new Date(2026, 9, 10, 12, 0);
+	assert.deepEqual(nextRun(parseCron('0 12 13 * 5'), from), new Date(2026, 9, 13, 12, 0));
+	assert.deepEqual(nextRun(parseCron('0 12 * * 5'), from), new Date(2026, 9, 16, 12, 0));
+	assert.deepEqual(nextRun(parseCron('0 12 20 * *'), from), new Date(2026, 9, 20, 12, 0));
+});
+
+test('nextRun reaches the next February 29 and gives up on days that never come', () => {
+	assert.deepEqual(nextRun(parseCron('0 0 29 2 *'), new Date(2026, 9, 18)), new Date(2028, 1, 29, 0, 0));
+	assert.equal(nextRun(parseCron('0 0 31 2 *'), new Date(2026, 9, 18)), null);
+});
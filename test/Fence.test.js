@@ -0,0 +1,143 @@
+// The movement fence: limits from the config, clamped move targets and continuous moves stopped at the edge
+
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { Huddlecam, SimulatedCamera, Direction, Models } from '../Huddlecam.js';
+import { Fence, checkLimits } from '../server/Fence.js';
+
+describe('checkLimits', () => {
+	test('takes [min, max] per axis and sets the camera\'s own limits by default', () => {
+		assert.equal(checkLimits(undefined, 'Stage'), null);
+		assert.equal(checkLimits({ hardware: false }, 'Stage'), null);
+		assert.deepEqual(checkLimits({ pan: [-800, 1200] }, 'Stage'), { hardware: true, pan: [-800, 1200] });
+		assert.deepEqual(checkLimits({ tilt: [-200, 600], hardware: false }, 'Stage'), { hardware: false, tilt: [-200, 600] });
+	});
+	test('rejects limits the camera\'s model can\'t reach', () => {
+		const message = /^Error: The pan limits of Stage must be \[min, max\] between -2224 and 2216 on a HuddleCam HD$/;
+		assert.throws(() => checkLimits({ pan: [-3000, 0] }, 'Stage', Models.huddlecam), (err) => message.test(String(err)));
+		assert.throws(() => checkLimits({ pan: [600, -600] }, 'Stage', Models.huddlecam), message);
+		assert.throws(() => checkLimits({ pan: [0, 0] }, 'Stage', Models.huddlecam), message);
+		assert.throws(() => checkLimits({ pan: [0, 10.5] }, 'Stage', Models.huddlecam), message);
+		assert.throws(() => checkLimits({ tilt: [-500, 0] }, 'Stage', Models.huddlecam), /The tilt limits of Stage/);
+		assert.deepEqual(checkLimits({ pan: [-2400, 2400] }, 'Stage', Models.ptzoptics).pan, [-2400, 2400]);
+	});
+	test('without a model the limits only have to fit in a VISCA position', () => {
+		assert.deepEqual(checkLimits({ pan: [-3000, 0] }, 'Stage').pan, [-3000, 0]);
+		assert.throws(() => checkLimits({ pan: [0, 40000] }, 'Stage'), { message: 'The pan limits of Stage must be [min, max] between -32768 and 32767' });
+	});
+});
+
+describe('Fence', () => {
+	let simulator;
+	let camera;
+	let fence;
+
+	beforeEach(async () => {
+		// 5 * 600 = 3000 units per second at pan speed 5, fast enough to hit an edge in a test
+		simulator = new SimulatedCamera({ panRate: 600, tiltRate: 600, resetTime: 20 });
+		camera = new Huddlecam(simulator);
+		await once(camera, 'open');
+		fence = new Fence(camera, checkLimits({ pan: [-800, 1200], tilt: [-200, 600] }, 'Stage'));
+	});
+	afterEach(() => camera.close());
+
+	const commands = (start) => simulator.received.slice(start).filter((message) => !message.startsWith('8109'));
+
+	test('without limits everything goes through', async () => {
+		const free = new Fence(camera, null);
+		assert.equal(free.enabled, false);
+		assert.equal(free.status(), null);
+		await free.apply();
+		await free.moveTo(18, 14, 2000, -300);
+		assert.deepEqual(commands(0), ['81010602120e00070d000f0e0d04ff']);
+	});
+
+	test('apply sets the camera\'s own limits, an axis without limits gets the whole range', async () => {
+		const panOnly = new Fence(camera, checkLimits({ pan: [-800, 1200] }, 'Stage'));
+		await panOnly.apply();
+		assert.deepEqual(commands(0), ['81010607000100040b0000040b00ff', '8101060700000f0c0e000f0e0700ff']);
+
+		const start = simulator.received.length;
+		await new Fence(camera, checkLimits({ pan: [-800, 1200], hardware: false }, 'Stage')).apply();
+		assert.deepEqual(commands(start), []);
+	});
+
+	test('apply sets nothing when the limits are outside the range the camera reported', async () => {
+		const wide = new Fence(camera, checkLimits({ pan: [-2400, 2400] }, 'Stage'));
+		await assert.rejects(wide.apply(), { message: 'the pan limits are outside the HuddleCam HD range of -2224 to 2216' });
+		assert.deepEqual(commands(0), []);
+	});
+
+	test('moveTo clamps the target to the box', async () => {
+		const clamped = once(fence, 'clamped');
+		await fence.moveTo(18, 14, 2000, -300);
+		assert.deepEqual(commands(0), ['81010602120e00040b000f0f0308ff']);
+		assert.deepEqual((await clamped)[0], { requested: { pan: 2000, tilt: -300 }, target: { pan: 1200, tilt: -200 } });
+	});
+
+	test('a relative moveTo becomes an absolute one from the current position', async () => {
+		Object.assign(simulator.state, { pan: 1000, tilt: 100 });
+		await fence.moveTo(18, 14, 500, 100, true);
+		assert.equal(simulator.received[0], '81090612ff');
+		assert.deepEqual(commands(0), ['81010602120e00040b0000000c08ff']);
+	});
+
+	test('home goes to the closest position inside the box', async () => {
+		const outside = new Fence(camera, checkLimits({ pan: [100, 1200] }, 'Stage'));
+		await outside.home();
+		assert.deepEqual(commands(0), ['81010602120e0000060400000000ff']);
+
+		const start = simulator.received.length;
+		await fence.home();
+		assert.deepEqual(commands(start), ['81010604ff']);
+	});
+
+	test('a continuous move stops at the edge of the box', async () => {
+		const stopped = once(fence, 'stopped');
+		await fence.move(Direction.Right, 5, 3);
+		const [{ axis }] = await stopped;
+
+		assert.equal(axis, 'pan');
+		assert.deepEqual(fence.vector, [0, 0]);
+		assert.equal(commands(0).at(-1), '8101060100000303ff');
+		// Let the stop reach the camera. It is timed from the speed between reads, at 3000 units per second it may land a little off the edge
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		assert.ok(simulator.state.pan > 1000 && simulator.state.pan < 1350, `stopped at ${simulator.state.pan}`);
+	});
+
+	test('follows the camera\'s own position reads instead of reading on its own', async () => {
+		camera.motionInterval = 100;
+		const started = Date.now();
+		const stopped = once(fence, 'stopped');
+		await fence.drive(5, 0);
+		await stopped;
+
+		// The read before the move starts, then one per motion interval
+		const reads = simulator.received.filter((message) => message === '81090612ff').length;
+		assert.ok(reads <= 2 + (Date.now() - started) / 100, `${reads} position reads in ${Date.now() - started}ms`);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		assert.ok(simulator.state.pan > 1000 && simulator.state.pan < 1350, `stopped at ${simulator.state.pan}`);
+	});
+
+	test('stops the camera when its position can\'t be read during a move', async () => {
+		const failed = once(fence, 'error');
+		await fence.drive(5, 0);
+		simulator.close();
+		await failed;
+		assert.deepEqual(fence.vector, [0, 0]);
+	});
+
+	test('doesn\'t start towards an edge the camera is at', async () => {
+		Object.assign(simulator.state, { pan: 1200, tilt: 0 });
+		await fence.drive(5, 0);
+		assert.deepEqual(commands(0), ['8101060100000303ff']);
+
+		// Away from it is fine
+		const start = simulator.received.length;
+		await fence.drive(-5, 0);
+		assert.deepEqual(commands(start), ['8101060105010103ff']);
+		await fence.stop();
+	});
+});
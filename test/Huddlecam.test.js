@@ -0,0 +1,386 @@
+// Every public Huddlecam method against the simulator, checking the exact bytes that go out
+// Run with `npm test`
+
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { Huddlecam, SimulatedCamera, Direction, LimitCorner, Exposure, WhiteBalance, NoSocketError, UnsupportedCommandError, Models } from '../Huddlecam.js';
+
+let simulator;
+let camera;
+
+beforeEach(async () => {
+	// Moves, zooms and resets finish within a few simulator steps
+	simulator = new SimulatedCamera({ panRate: 5000, tiltRate: 5000, lensRate: 50000, resetTime: 20 });
+	camera = new Huddlecam(simulator);
+	await once(camera, 'open');
+});
+afterEach(() => camera.close());
+
+/**
+ * Run a call and collect what it wrote to the camera.
+ * @param {Function} call
+ * @returns {Promise<String[]>} The messages as lowercase hex, in the order they were written
+*/
+async function sent(call) {
+	const start = simulator.received.length;
+	await call();
+	return simulator.received.slice(start);
+}
+
+/**
+ * Check that a call wrote one command, completed commands are followed by the inquiries that read back the state they changed.
+ * @param {String[]} messages From `sent()`
+ * @param {String} expected The command as lowercase hex
+*/
+function assertCommand([command, ...reads], expected) {
+	assert.equal(command, expected);
+	assert.ok(reads.every((read) => read.startsWith('8109')), `${command} was followed by ${reads.join(' ')}`);
+}
+
+/**
+ * Check the command of each call, one test per call.
+ * @param {Object} cases Test name -> [call, expected hex]
+*/
+function commands(cases) {
+	for(const [name, [call, expected]] of Object.entries(cases)) {
+		test(name, async () => assertCommand(await sent(() => call(camera)), expected));
+	}
+}
+
+describe('connection', () => {
+	test('sendCommand writes the message without spaces', async () => {
+		assert.deepEqual(await sent(() => camera.sendCommand('81 01 04 00 02 FF')), ['8101040002ff']);
+		assert.deepEqual(await sent(() => camera.sendCommand('8101040003FF')), ['8101040003ff']);
+	});
+	test('sendCommand rewrites the address for a daisy chained camera', async () => {
+		const third = new Huddlecam(new SimulatedCamera({ address: 3 }), null, { address: 3 });
+		await once(third, 'open');
+		assert.deepEqual(await sent(() => third.sendCommand('81 01 04 00 02 FF')), []);
+		assert.deepEqual(third.transport.received, ['8301040002ff']);
+		await third.close();
+	});
+	test('addressSet broadcasts from address 1 and counts the cameras', async () => {
+		let count;
+		assert.deepEqual(await sent(async () => count = await camera.addressSet()), ['883001ff']);
+		assert.equal(count, 1);
+	});
+	test('ifClear broadcasts IF_Clear', async () => {
+		assert.deepEqual(await sent(() => camera.ifClear()), ['88010001ff']);
+	});
+	test('cancelCommand cancels a socket', async () => {
+		const start = simulator.received.length;
+		await assert.rejects(camera.cancelCommand(2), NoSocketError);
+		assert.deepEqual(simulator.received.slice(start), ['8122ff']);
+	});
+});
+
+describe('power', () => {
+	commands({
+		powerOn: [(camera) => camera.powerOn(), '8101040002ff'],
+		powerOff: [(camera) => camera.powerOff(), '8101040003ff']
+	});
+});
+
+describe('zoom and focus', () => {
+	beforeEach(() => simulator.state.autoFocus = false);
+
+	test('getLensSpeed', () => {
+		assert.equal(camera.getLensSpeed(5), '5');
+		assert.equal(camera.getLensSpeed(9), '7');
+	});
+	commands({
+		zoomTele: [(camera) => camera.zoomTele(), '8101040702ff'],
+		'zoomTele with a speed': [(camera) => camera.zoomTele(5), '8101040725ff'],
+		zoomWide: [(camera) => camera.zoomWide(), '8101040703ff'],
+		'zoomWide with a speed': [(camera) => camera.zoomWide(7), '8101040737ff'],
+		zoomStop: [(camera) => camera.zoomStop(), '8101040700ff'],
+		zoomTo: [(camera) => camera.zoomTo(0x1234), '8101044701020304ff'],
+		focusAuto: [(camera) => camera.focusAuto(), '8101043802ff'],
+		focusManual: [(camera) => camera.focusManual(), '8101043803ff'],
+		focusFar: [(camera) => camera.focusFar(), '8101040802ff'],
+		'focusFar with a speed': [(camera) => camera.focusFar(3), '8101040823ff'],
+		focusNear: [(camera) => camera.focusNear(), '8101040803ff'],
+		'focusNear with a speed': [(camera) => camera.focusNear(2), '8101040832ff'],
+		focusStop: [(camera) => camera.focusStop(), '8101040800ff'],
+		focusOnePush: [(camera) => camera.focusOnePush(), '8101041801ff'],
+		focusTo: [(camera) => camera.focusTo(0xC000), '810104480c000000ff'],
+		zoomFocusTo: [(camera) => camera.zoomFocusTo(0x4000, 0x1000), '810104470400000001000000ff']
+	});
+});
+
+describe('white balance', () => {
+	// Manual allows the red and blue gain
+	beforeEach(() => simulator.state.whiteBalance = 0x5);
+
+	commands({
+		'whiteBalanceMode auto': [(camera) => camera.whiteBalanceMode(WhiteBalance.Auto), '8101043500ff'],
+		'whiteBalanceMode indoor': [(camera) => camera.whiteBalanceMode(WhiteBalance.Indoor), '8101043501ff'],
+		'whiteBalanceMode manual': [(camera) => camera.whiteBalanceMode(WhiteBalance.Manual), '8101043505ff'],
+		redGainUp: [(camera) => camera.redGainUp(), '8101040302ff'],
+		redGainDown: [(camera) => camera.redGainDown(), '8101040303ff'],
+		redGainReset: [(camera) => camera.redGainReset(), '8101040300ff'],
+		redGainTo: [(camera) => camera.redGainTo(0xAB), '8101044300000a0bff'],
+		blueGainUp: [(camera) => camera.blueGainUp(), '8101040402ff'],
+		blueGainDown: [(camera) => camera.blueGainDown(), '8101040403ff'],
+		blueGainReset: [(camera) => camera.blueGainReset(), '8101040400ff'],
+		blueGainTo: [(camera) => camera.blueGainTo(0x3C), '810104440000030cff']
+	});
+	test('whiteBalanceOnePush', async () => {
+		simulator.state.whiteBalance = 0x3;
+		assertCommand(await sent(() => camera.whiteBalanceOnePush()), '8101041005ff');
+	});
+});
+
+describe('exposure', () => {
+	// Manual allows shutter, iris and gain
+	beforeEach(() => simulator.state.exposure = 0x3);
+
+	commands({
+		'exposureMode full auto': [(camera) => camera.exposureMode(Exposure.FullAuto), '8101043900ff'],
+		'exposureMode manual': [(camera) => camera.exposureMode(Exposure.Manual), '8101043903ff'],
+		'exposureMode shutter priority': [(camera) => camera.exposureMode(Exposure.ShutterPriority), '810104390aff'],
+		'exposureMode iris priority': [(camera) => camera.exposureMode(Exposure.IrisPriority), '810104390bff'],
+		shutterUp: [(camera) => camera.shutterUp(), '8101040a02ff'],
+		shutterDown: [(camera) => camera.shutterDown(), '8101040a03ff'],
+		shutterReset: [(camera) => camera.shutterReset(), '8101040a00ff'],
+		shutterTo: [(camera) => camera.shutterTo(0x15), '8101044a00000105ff'],
+		irisUp: [(camera) => camera.irisUp(), '8101040b02ff'],
+		irisDown: [(camera) => camera.irisDown(), '8101040b03ff'],
+		irisReset: [(camera) => camera.irisReset(), '8101040b00ff'],
+		irisTo: [(camera) => camera.irisTo(0x11), '8101044b00000101ff'],
+		gainUp: [(camera) => camera.gainUp(), '8101040c02ff'],
+		gainDown: [(camera) => camera.gainDown(), '8101040c03ff'],
+		gainReset: [(camera) => camera.gainReset(), '8101040c00ff'],
+		gainTo: [(camera) => camera.gainTo(0x0F), '8101044c0000000fff'],
+		expCompOn: [(camera) => camera.expCompOn(), '8101043e02ff'],
+		expCompOff: [(camera) => camera.expCompOff(), '8101043e03ff'],
+		backlightOn: [(camera) => camera.backlightOn(), '8101043302ff'],
+		backlightOff: [(camera) => camera.backlightOff(), '8101043303ff']
+	});
+
+	describe('exposure compensation', () => {
+		// Needs an automatic mode with compensation on
+		beforeEach(() => Object.assign(simulator.state, { exposure: 0x0, expComp: true }));
+
+		commands({
+			expCompUp: [(camera) => camera.expCompUp(), '8101040e02ff'],
+			expCompDown: [(camera) => camera.expCompDown(), '8101040e03ff'],
+			expCompReset: [(camera) => camera.expCompReset(), '8101040e00ff'],
+			expCompTo: [(camera) => camera.expCompTo(0x0E), '8101044e0000000eff']
+		});
+	});
+
+	test('toggleBacklight reads the backlight, then switches it', async () => {
+		assert.deepEqual(await sent(() => camera.toggleBacklight()), ['81090433ff', '8101043302ff']);
+		assert.deepEqual(await sent(() => camera.toggleBacklight()), ['81090433ff', '8101043303ff']);
+	});
+});
+
+describe('pan-tilt', () => {
+	test('getPanSpeed and getTiltSpeed', () => {
+		assert.equal(camera.getPanSpeed(18), '12');
+		assert.equal(camera.getTiltSpeed(14), '0e');
+		assert.equal(camera.getPanSpeed(0), '01');
+		assert.equal(camera.getTiltSpeed(20), '0e');
+	});
+
+	test('move in every direction', async () => {
+		const directions = {
+			Up: '0301', Down: '0302', Left: '0103', Right: '0203', UpLeft: '0101', UpRight: '0201', DownLeft: '0102', DownRight: '0202'
+		};
+		for(const [name, bytes] of Object.entries(directions)) {
+			assert.deepEqual(await sent(() => camera.move(Direction[name], 18, 14)), [`81010601120e${bytes}ff`], name);
+		}
+	});
+	commands({
+		'move with the default speeds': [(camera) => camera.move(Direction.Left), '8101060105030103ff'],
+		stop: [(camera) => camera.stop(), '8101060100000303ff'],
+		'drive left and up': [(camera) => camera.drive(-10, 5), '810106010a050101ff'],
+		'drive right and down': [(camera) => camera.drive(18, -14), '81010601120e0202ff'],
+		'drive without speed stops': [(camera) => camera.drive(0, 0), '8101060101010303ff'],
+		home: [(camera) => camera.home(), '81010604ff'],
+		reset: [(camera) => camera.reset(), '81010605ff'],
+		limitSet: [(camera) => camera.limitSet(LimitCorner.UpRight, 1000, 600), '81010607000100030e0800020508ff'],
+		'limitSet below home': [(camera) => camera.limitSet(LimitCorner.DownLeft, -800, -200), '8101060700000f0c0e000f0f0308ff'],
+		limitClear: [(camera) => camera.limitClear(LimitCorner.DownLeft), '810106070100070f0f0f070f0f0fff']
+	});
+
+	test('drive merges calls that come in while one is on its way, only the latest is sent', async () => {
+		const sending = sent(() => Promise.all([camera.drive(4, 0), camera.drive(6, 0), camera.drive(8, 2)]));
+		assert.deepEqual(await sending, ['8101060104010203ff', '8101060108020201ff']);
+	});
+
+	describe('moveTo', () => {
+		commands({
+			'absolute position': [(camera) => camera.moveTo(18, 14, 500, 200), '81010602120e00010f0400000c08ff'],
+			// Every nibble differs, the first one of the pan position used to be sent twice
+			'every nibble of the position': [(camera) => camera.moveTo(5, 3, 0x123, 0x456), '8101060205030001020300040506ff'],
+			'negative position': [(camera) => camera.moveTo(5, 3, -300, -100), '8101060205030f0e0d040f0f090cff'],
+			'relative position': [(camera) => camera.moveTo(5, 3, 0x123, -100, true), '810106030503000102030f0f090cff'],
+			'absolute position clamped to the range of the camera': [(camera) => camera.moveTo(24, 20, 3000, -500), '81010602120e00080a080f0e0700ff']
+		});
+		test('rejects a relative move it can\'t encode', async () => {
+			assert.deepEqual(await sent(async () => {
+				await assert.rejects(camera.moveTo(5, 3, 40000, 0, true), RangeError);
+				await assert.rejects(camera.moveTo(5, 3, 0, -5000, true), { message: 'A relativeTilt of -5000 is outside -1600 to 1600 on a HuddleCam HD' });
+				await assert.rejects(camera.moveToAndWait(5, 3, 4441, 0, true), RangeError);
+			}), []);
+		});
+	});
+});
+
+describe('waiting for the camera to arrive', () => {
+	const PositionInquiry = '81090612ff';
+	// Position reads that follow the camera while it moves
+	const arrives = ([command, ...reads], expected) => {
+		assert.equal(command, expected);
+		assert.ok(reads.length > 0 && reads.every((read) => read === PositionInquiry), reads.join(' '));
+	};
+
+	beforeEach(() => camera.motionInterval = 20);
+
+	test('moveToAndWait', async () => {
+		let position;
+		arrives(await sent(async () => position = await camera.moveToAndWait(18, 14, 500, 200)), '81010602120e00010f0400000c08ff');
+		assert.deepEqual(position, { pan: 500, tilt: 200 });
+		assert.equal(camera.moving, false);
+	});
+	test('homeAndWait', async () => {
+		Object.assign(simulator.state, { pan: 300, tilt: -100 });
+		let position;
+		arrives(await sent(async () => position = await camera.homeAndWait()), '81010604ff');
+		assert.deepEqual(position, { pan: 0, tilt: 0 });
+	});
+	test('resetAndWait', async () => {
+		arrives(await sent(() => camera.resetAndWait()), '81010605ff');
+	});
+	test('waitForMotion reads the position when the camera is at rest', async () => {
+		assert.deepEqual(await sent(() => camera.waitForMotion()), [PositionInquiry]);
+	});
+	test('waitForMotion waits for the stop of a continuous move', async () => {
+		await camera.move(Direction.Right, 1, 1);
+		assert.equal(camera.moving, true);
+		const arrived = camera.waitForMotion();
+		await camera.stop();
+		const { pan } = await arrived;
+		assert.equal(pan, Math.round(simulator.state.pan));
+		assert.equal(camera.moving, false);
+	});
+	test('a move emits motionStart, position and motionEnd', async () => {
+		const events = [];
+		['motionStart', 'position', 'motionEnd'].forEach((event) => camera.on(event, (value) => events.push([event, value])));
+		await camera.moveToAndWait(18, 14, -500, 100);
+
+		assert.deepEqual(events[0], ['motionStart', { kind: 'moveTo', target: { pan: -500, tilt: 100 } }]);
+		assert.deepEqual(events.at(-2), ['position', { pan: -500, tilt: 100 }]);
+		const [event, { kind, position }] = events.at(-1);
+		assert.deepEqual([event, kind, position], ['motionEnd', 'moveTo', { pan: -500, tilt: 100 }]);
+	});
+});
+
+describe('presets', () => {
+	test('getPreset', () => {
+		assert.equal(camera.getPreset(3), '03');
+		assert.equal(camera.getPreset(127), '7f');
+		assert.equal(camera.getPreset(200), '7f');
+	});
+	commands({
+		presetSet: [(camera) => camera.presetSet(3), '8101043f0103ff'],
+		'presetSet in the last slot': [(camera) => camera.presetSet(127), '8101043f017fff'],
+		presetReset: [(camera) => camera.presetReset(3), '8101043f0003ff']
+	});
+	test('presetRecall moves to the stored position', async () => {
+		Object.assign(simulator.state, { pan: 500, tilt: 200 });
+		await camera.presetSet(3);
+		Object.assign(simulator.state, { pan: 0, tilt: 0 });
+		assertCommand(await sent(() => camera.presetRecall(3)), '8101043f0203ff');
+		assert.deepEqual(await camera.positionInquiry(), { pan: 500, tilt: 200 });
+	});
+});
+
+describe('inquiries', () => {
+	const inquiries = {
+		powerInquiry: ['81090400ff', 'On'],
+		zoomPosInquiry: ['81090447ff', 0],
+		focusPosInquiry: ['81090448ff', 0x1000],
+		focusInquiry: ['81090438ff', 'Auto'],
+		whiteBalanceInquiry: ['81090435ff', 'Auto'],
+		redGainInquiry: ['81090443ff', 0x80],
+		blueGainInquiry: ['81090444ff', 0x80],
+		exposureInquiry: ['81090439ff', 'Full Auto'],
+		shutterPosInquiry: ['8109044aff', { position: 6, label: '1/60' }],
+		irisPosInquiry: ['8109044bff', { position: 11, label: 'F4.8' }],
+		gainPosInquiry: ['8109044cff', { position: 1, label: '0 dB' }],
+		expCompInquiry: ['8109043eff', 'Off'],
+		expCompPosInquiry: ['8109044eff', { position: 7, label: '0 dB' }],
+		backlightInquiry: ['81090433ff', 'Off'],
+		versionInquiry: ['81090002ff', { vendor: 0x0001, model: 0x0510, romRevision: 0x0100, maxSocketNum: 2 }],
+		videoFormatInquiry: ['81090623ff', '1920x1080p/30'],
+		positionInquiry: ['81090612ff', { pan: 0, tilt: 0 }],
+		colorFormatInquiry: ['81097e0103ff', 'RGB']
+	};
+	for(const [method, [inquiry, value]] of Object.entries(inquiries)) {
+		test(method, async () => {
+			let answer;
+			assert.deepEqual(await sent(async () => answer = await camera[method]()), [inquiry]);
+			assert.deepEqual(answer, value);
+		});
+	}
+
+	test('positionInquiry reads negative positions', async () => {
+		Object.assign(simulator.state, { pan: -2224, tilt: -400 });
+		assert.deepEqual(await camera.positionInquiry(), { pan: -2224, tilt: -400 });
+	});
+});
+
+describe('state', () => {
+	const StateReads = [
+		'81090400ff', '81090433ff', '81090447ff', '81090448ff', '81090438ff', '81090435ff', '81090443ff', '81090444ff', '81090439ff',
+		'8109044aff', '8109044bff', '8109044cff', '8109043eff', '8109044eff', '81090623ff', '81090612ff', '81097e0103ff'
+	];
+
+	test('syncState reads every field and reports what changed', async () => {
+		const changes = [];
+		camera.on('stateChanged', (changed) => changes.push(changed));
+		assert.deepEqual(await sent(() => camera.syncState()), StateReads);
+		assert.equal(changes.length, 1);
+		assert.deepEqual(changes[0].panTiltPos, { pan: 0, tilt: 0 });
+		assert.equal(camera.state.exposure, 'Full Auto');
+
+		// Nothing changed the second time
+		await camera.syncState();
+		assert.equal(changes.length, 1);
+	});
+	test('syncState reads the fields it is asked for', async () => {
+		assert.deepEqual(await sent(() => camera.syncState(['power', 'panTiltPos'])), ['81090400ff', '81090612ff']);
+	});
+	test('a completed command reads back the state it changed', async () => {
+		await camera.syncState(['exposure']);
+		const changed = once(camera, 'stateChanged');
+		await camera.exposureMode(Exposure.Manual);
+		assert.equal((await changed)[0].exposure, 'Manual');
+	});
+	test('startPolling reads the state right away, stopPolling ends it', async () => {
+		assert.deepEqual(await sent(() => camera.startPolling(0)), StateReads);
+		camera.stopPolling();
+	});
+});
+
+describe('camera model', () => {
+	test('detectModel picks the profile from the version inquiry', async () => {
+		const models = [];
+		camera.on('model', (profile) => models.push(profile));
+		assert.deepEqual(await sent(async () => assert.equal(await camera.detectModel(), Models.huddlecam)), ['81090002ff']);
+		// The HuddleCam HD is what the camera started out as
+		assert.deepEqual(models, []);
+	});
+	test('a Sony camera gets its speeds and loses the color format inquiry', async () => {
+		simulator.version.vendor = 0x0020;
+		assert.equal(await camera.detectModel(), Models.sony);
+		assert.equal(camera.profile, Models.sony);
+		assert.deepEqual(await sent(() => camera.move(Direction.Right, 24, 20)), ['8101060118140203ff']);
+		await assert.rejects(sent(() => camera.colorFormatInquiry()), UnsupportedCommandError);
+	});
+});
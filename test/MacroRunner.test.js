@@ -0,0 +1,60 @@
+// Macro recording and playback: what a recording keeps and how the speed changes a replay
+
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { Huddlecam, SimulatedCamera } from '../Huddlecam.js';
+import { Fence } from '../server/Fence.js';
+import { withSource, currentSource } from '../server/Journal.js';
+import { MacroRunner } from '../server/MacroRunner.js';
+
+let simulator;
+let camera;
+let macros;
+let runner;
+
+beforeEach(async () => {
+	simulator = new SimulatedCamera({ panRate: 5000, tiltRate: 5000, lensRate: 50000, resetTime: 20 });
+	camera = new Huddlecam(simulator, null, { source: currentSource });
+	await once(camera, 'open');
+	macros = new Map();
+	runner = new MacroRunner({ camera, fence: new Fence(camera, null), macros });
+});
+afterEach(() => camera.close());
+
+// Send as a socket client, the way the server does
+const from = (client, call) => withSource({ via: 'socket', client }, call);
+
+test('a recording keeps the commands of its client the camera carried out', async () => {
+	runner.record('ada');
+	await from('ada', () => camera.home());
+	await from('ada', () => camera.positionInquiry());
+	await from('grace', () => camera.zoomTo(0x2000));
+	await from('ada', () => camera.zoomTo(0x1000));
+
+	const { commands } = runner.stopRecording('ada');
+	assert.deepEqual(commands.map(({ command }) => command), ['81 01 06 04 FF', '81 01 04 47 01 00 00 00 FF']);
+	assert.equal(runner.isRecording('ada'), false);
+});
+
+test('a recording leaves out commands the camera rejected', async () => {
+	simulator.state.power = false;
+	runner.record('ada');
+	await assert.rejects(from('ada', () => camera.home()));
+	await from('ada', () => camera.powerOn());
+
+	const { commands } = runner.stopRecording('ada');
+	assert.deepEqual(commands.map(({ command }) => command), ['81 01 04 00 02 FF']);
+});
+
+test('the playback speed changes the time between commands, not the speeds of the commands', async () => {
+	macros.set('pan', { name: 'pan', commands: [{ at: 0, command: '81 01 06 01 05 03 02 03 FF' }, { at: 400, command: '81 01 06 01 00 00 03 03 FF' }] });
+	const started = Date.now();
+	await runner.play('pan', { speed: 4 });
+
+	assert.ok(Date.now() - started < 300, `played in ${Date.now() - started}ms`);
+	// Drives are replayed with `drive()`, which sends the speed of an axis that stands still as 1
+	assert.deepEqual(simulator.received.filter((message) => !message.startsWith('8109')), ['8101060105010203ff', '8101060101010303ff']);
+	assert.equal(runner.macro, null);
+});
@@ -0,0 +1,45 @@
+// Camera model profiles: which profile a version inquiry picks, lookup by id and the feature of a command
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Models, Feature, DefaultModel, modelFor, modelById, featureOf } from '../Models.js';
+
+test('every profile knows its id and the ranges that follow from its tables', () => {
+	for(const [id, profile] of Object.entries(Models)) {
+		assert.equal(profile.id, id);
+		assert.deepEqual(profile.ranges.shutter, [0, profile.shutter.length - 1]);
+		assert.deepEqual(profile.ranges.gain, [0, profile.gain.length - 1]);
+		assert.deepEqual(profile.ranges.lensSpeed, [0, 7]);
+	}
+});
+
+test('modelFor picks the profile for the exact model, then the one for the vendor', () => {
+	assert.equal(modelFor({ vendor: 0x0001, model: 0x0510 }), Models.huddlecam);
+	assert.equal(modelFor({ vendor: 0x0020, model: 0x0426 }), Models.sony);
+	assert.equal(modelFor({ vendor: 0x0001, model: 0x0612 }), Models.ptzoptics);
+	assert.equal(modelFor({ vendor: 0x0001, model: 0x0613 }), Models.ptzoptics);
+});
+
+test('modelFor takes other models of the HuddleCam vendor for a HuddleCam HD, not a PTZOptics', () => {
+	assert.equal(modelFor({ vendor: 0x0001, model: 0x0511 }), Models.huddlecam);
+	assert.equal(modelFor({ vendor: 0x0001, model: 0x0000 }), Models.huddlecam);
+});
+
+test('modelFor drives cameras of unknown vendors like a HuddleCam HD', () => {
+	assert.equal(DefaultModel, Models.huddlecam);
+	assert.equal(modelFor({ vendor: 0x00ff, model: 0x0001 }), DefaultModel);
+});
+
+test('modelById looks up configured models', () => {
+	assert.equal(modelById('sony'), Models.sony);
+	assert.throws(() => modelById('canon'), { message: 'Unknown camera model "canon", use huddlecam, sony, ptzoptics' });
+	assert.throws(() => modelById('toString'), /Unknown camera model/);
+});
+
+test('featureOf groups commands by bytes 1-3', () => {
+	assert.equal(featureOf(Buffer.from('8101040002ff', 'hex')), Feature.Power);
+	assert.equal(featureOf(Buffer.from('8209044eff', 'hex')), Feature.ExposureCompensation);
+	assert.equal(featureOf(Buffer.from('81097e0103ff', 'hex')), Feature.ColorFormat);
+	assert.equal(featureOf(Buffer.from('81090002ff', 'hex')), null);
+});
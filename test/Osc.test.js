@@ -0,0 +1,87 @@
+// OSC packets: decoding what show control software sends and encoding the feedback
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePacket, encodeMessage, OscError } from '../server/Osc.js';
+
+// An OSC string: UTF-8, a terminating zero and zeros up to a multiple of 4 bytes
+const string = (value) => {
+	const bytes = Buffer.from(`${value}\0`);
+	return Buffer.concat([bytes, Buffer.alloc((4 - bytes.length % 4) % 4)]);
+};
+const int32 = (value) => {
+	const bytes = Buffer.alloc(4);
+	bytes.writeInt32BE(value);
+	return bytes;
+};
+const bundle = (...messages) => Buffer.concat([
+	string('#bundle'), Buffer.alloc(8),
+	...messages.flatMap((message) => [int32(message.length), message])
+]);
+
+test('encodeMessage sends whole numbers as int32, other numbers as float32', () => {
+	assert.deepEqual(encodeMessage('/camera/1/position', [300, -100]), Buffer.concat([string('/camera/1/position'), string(',ii'), int32(300), int32(-100)]));
+
+	const float = Buffer.alloc(4);
+	float.writeFloatBE(0.5);
+	assert.deepEqual(encodeMessage('/zoom', [0.5, 'tele', true, false]), Buffer.concat([string('/zoom'), string(',fsTF'), float, string('tele')]));
+	assert.deepEqual(encodeMessage('/home'), Buffer.concat([string('/home'), string(',')]));
+});
+
+test('decodePacket reads what encodeMessage wrote', () => {
+	assert.deepEqual(decodePacket(encodeMessage('/camera/stage/moveto', [-300, 100, 8, 4, 'abc', true])), [
+		{ address: '/camera/stage/moveto', args: [-300, 100, 8, 4, 'abc', true] }
+	]);
+	assert.deepEqual(decodePacket(encodeMessage('/camera/1/zoom', [0.25])), [{ address: '/camera/1/zoom', args: [0.25] }]);
+});
+
+test('decodePacket reads every type tag', () => {
+	const int64 = Buffer.alloc(8);
+	int64.writeBigInt64BE(-5n);
+	const double = Buffer.alloc(8);
+	double.writeDoubleBE(1.5);
+	const blob = Buffer.concat([int32(5), Buffer.from([1, 2, 3, 4, 5, 0, 0, 0])]);
+
+	const packet = Buffer.concat([string('/all'), string(',ihdsSbTFNI'), int32(7), int64, double, string('a'), string('symbol'), blob]);
+	assert.deepEqual(decodePacket(packet), [
+		{ address: '/all', args: [7, -5, 1.5, 'a', 'symbol', Buffer.from([1, 2, 3, 4, 5]), true, false, null, Infinity] }
+	]);
+});
+
+test('decodePacket takes messages without type tags', () => {
+	assert.deepEqual(decodePacket(string('/camera/1/home')), [{ address: '/camera/1/home', args: [] }]);
+});
+
+test('decodePacket flattens bundles, nested ones too', () => {
+	const home = encodeMessage('/camera/1/home');
+	const preset = encodeMessage('/camera/2/preset', [3]);
+	assert.deepEqual(decodePacket(bundle(home, bundle(preset))), [
+		{ address: '/camera/1/home', args: [] },
+		{ address: '/camera/2/preset', args: [3] }
+	]);
+	assert.deepEqual(decodePacket(bundle()), []);
+});
+
+test('decodePacket rejects broken packets', () => {
+	const broken = {
+		'Unterminated string': Buffer.from('/camera'),
+		'"camera" is not an OSC address': string('camera'),
+		'Missing type tags': Buffer.concat([string('/camera'), string('ii')]),
+		'Packet too short': Buffer.concat([string('/camera'), string(',ii'), int32(1)]),
+		'Unsupported type tag "x"': Buffer.concat([string('/camera'), string(',x')])
+	};
+	for(const [message, packet] of Object.entries(broken)) {
+		assert.throws(() => decodePacket(packet), { name: 'OscError', message }, message);
+	}
+
+	// A bundle element that is longer than the packet
+	const home = encodeMessage('/camera/1/home');
+	const cut = bundle(home).subarray(0, -4);
+	assert.throws(() => decodePacket(cut), OscError);
+	// A blob that is longer than the packet
+	assert.throws(() => decodePacket(Buffer.concat([string('/blob'), string(',b'), int32(64), Buffer.alloc(8)])), { message: 'Packet too short' });
+	// Negative sizes, a blob of -8 bytes used to hand its own size to the next argument
+	assert.throws(() => decodePacket(Buffer.concat([string('#bundle'), Buffer.alloc(8), int32(-4)])), { name: 'OscError', message: 'Negative size -4' });
+	assert.throws(() => decodePacket(Buffer.concat([string('/blob'), string(',bi'), int32(-8), int32(1)])), { message: 'Negative size -8' });
+});
@@ -0,0 +1,150 @@
+// The power manager: power settings from the config, confirmed power changes, idle standby, waking and startup actions
+
+
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { Huddlecam, SimulatedCamera } from '../Huddlecam.js';
+import { Fence } from '../server/Fence.js';
+import { PresetStore } from '../server/PresetStore.js';
+import { ControlLock } from '../server/ControlLock.js';
+import { TourState } from '../server/TourRunner.js';
+import { PowerManager, PowerState, PowerReason, checkPower } from '../server/PowerManager.js';
+
+describe('checkPower', () => {
+	test('defaults to no schedules, no idle standby and homing on startup', () => {
+		assert.deepEqual(checkPower(undefined, 'Stage'), { on: [], off: [], idleStandby: 0, startup: { action: 'home' } });
+	});
+	test('parses schedules and the startup action', () => {
+		const power = checkPower({ on: '0 7 * * 1-5', off: ['0 20 * * *', '0 13 * * 6'], idleStandby: 1800000, startup: 'preset:3' }, 'Stage');
+		assert.deepEqual(power.on.map((cron) => cron.expression), ['0 7 * * 1-5']);
+		assert.deepEqual(power.off.map((cron) => cron.expression), ['0 20 * * *', '0 13 * * 6']);
+		assert.equal(power.idleStandby, 1800000);
+		assert.deepEqual(power.startup, { action: 'preset', slot: 3 });
+		assert.deepEqual(checkPower({ startup: 'restore' }, 'Stage').startup, { action: 'restore' });
+	});
+	test('rejects settings it can\'t run', () => {
+		assert.throws(() => checkPower({ on: 7 }, 'Stage'), { message: 'The power on times of Stage must be a list of cron expressions' });
+		assert.throws(() => checkPower({ off: ['0 25 * * *'] }, 'Stage'), { message: 'Stage: The hour "25" in "0 25 * * *" must be between 0 and 23' });
+		assert.throws(() => checkPower({ idleStandby: -1 }, 'Stage'), /The idle standby time of Stage/);
+		assert.throws(() => checkPower({ startup: 'preset' }, 'Stage'), { message: 'The startup action of Stage must be home, restore, none or preset:<slot>, not "preset"' });
+		assert.throws(() => checkPower({ startup: 'home:2' }, 'Stage'), /The startup action of Stage/);
+		assert.throws(() => checkPower({ startup: 'sleep' }, 'Stage'), /The startup action of Stage/);
+	});
+});
+
+describe('PowerManager', () => {
+	let dataDir;
+	let simulator;
+	let entry;
+
+	before(() => dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'power-')));
+	after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+	beforeEach(async () => {
+		simulator = new SimulatedCamera({ panRate: 5000, tiltRate: 5000, resetTime: 20 });
+		const camera = new Huddlecam(simulator);
+		await once(camera, 'open');
+		await camera.syncState(['power']);
+		entry = {
+			name: 'Stage',
+			camera,
+			fence: new Fence(camera, null),
+			presets: new PresetStore(path.join(dataDir, 'presets.json'), camera),
+			lock: new ControlLock(0),
+			tour: { state: TourState.Stopped },
+			macro: { macro: null }
+		};
+	});
+	afterEach(() => entry.camera.close());
+
+	// What the camera received while the call ran
+	async function sent(call) {
+		const from = simulator.received.length;
+		await call();
+		return simulator.received.slice(from);
+	}
+
+	const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+	function manager(options = {}) {
+		return new PowerManager(entry, { ...checkPower(options, entry.name), file: path.join(dataDir, 'position.json') });
+	}
+
+	test('set sends the power command and confirms it with the power inquiry', async () => {
+		const power = manager();
+		const progress = [];
+		power.on('progress', (status) => progress.push(status.transition));
+
+		assert.deepEqual(await sent(() => power.set(false, 'ada')), ['8101040003ff', '81090400ff']);
+		assert.equal(simulator.state.power, false);
+		assert.deepEqual(progress, ['standby', null]);
+		const status = power.status();
+		assert.equal(status.reason, PowerReason.Manual);
+		assert.equal(status.by, 'ada');
+		assert.equal(status.error, null);
+		assert.equal(typeof status.confirmedAt, 'number');
+	});
+
+	test('control input wakes a camera in standby', async () => {
+		const power = manager();
+		await power.set(false, 'ada');
+		await entry.camera.syncState(['power']);
+		assert.equal(entry.camera.power, PowerState.Standby);
+
+		await power.input('grace');
+		assert.equal(simulator.state.power, true);
+		assert.equal(power.reason, PowerReason.Wake);
+		assert.equal(power.by, 'grace');
+	});
+
+	test('a client connecting only wakes a camera that went to standby for being idle', async () => {
+		const power = manager({ idleStandby: 20 });
+		// The idle timer doesn't keep the process alive on its own
+		await wait(80);
+		assert.equal(simulator.state.power, false);
+		assert.equal(power.reason, PowerReason.Idle);
+
+		await entry.camera.syncState(['power']);
+		await power.wakeFromIdle('grace');
+		assert.equal(simulator.state.power, true);
+		assert.equal(power.reason, PowerReason.Wake);
+
+		// Switched off on purpose, it stays off
+		await power.set(false, 'ada');
+		await entry.camera.syncState(['power']);
+		assert.deepEqual(await sent(() => power.wakeFromIdle('grace')), []);
+		assert.equal(simulator.state.power, false);
+	});
+
+	test('a running tour keeps the camera out of idle standby', async () => {
+		entry.tour.state = TourState.Running;
+		const power = manager({ idleStandby: 20 });
+		await wait(80);
+		assert.equal(power.transition, null);
+		assert.equal(simulator.state.power, true);
+	});
+
+	test('the startup action homes the camera or recalls a preset', async () => {
+		assert.deepEqual(await sent(() => manager().runStartup()), ['81010604ff']);
+		assert.deepEqual(await sent(() => manager({ startup: 'none' }).runStartup()), []);
+
+		await entry.presets.load();
+		Object.assign(simulator.state, { pan: 300, tilt: -100 });
+		await entry.presets.save({ label: 'Lectern', slot: 4, panSpeed: 18, tiltSpeed: 14 });
+		await assert.rejects(manager({ startup: 'preset:5' }).runStartup(), { message: 'There is no preset in slot 5' });
+		const commands = await sent(() => manager({ startup: 'preset:4' }).runStartup());
+		assert.equal(commands[0], '81010602120e0001020c0f0f090cff');
+	});
+
+	test('a preset startup action waits for the presets to be read', async () => {
+		fs.writeFileSync(path.join(dataDir, 'presets.json'), JSON.stringify([{ slot: 2, label: 'Door', pan: 300, tilt: -100, panSpeed: 18, tiltSpeed: 14 }]));
+		// The server reads the presets and connects the camera at the same time
+		entry.presets.load();
+		const commands = await sent(() => manager({ startup: 'preset:2' }).runStartup());
+		assert.equal(commands[0], '81010602120e0001020c0f0f090cff');
+	});
+});
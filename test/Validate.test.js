@@ -0,0 +1,76 @@
+// Checks for the arguments clients send
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Direction, Models } from '../Huddlecam.js';
+import { ValidationError, integer, number, boolean, oneOf, string } from '../server/Validate.js';
+
+const huddlecam = { profile: Models.huddlecam };
+const sony = { profile: Models.sony };
+
+test('integer takes whole numbers inside the range of the camera\'s model', () => {
+	assert.equal(integer(18, 'panSpeed', huddlecam), 18);
+	assert.equal(integer(24, 'panSpeed', sony), 24);
+	assert.equal(integer(-2224, 'pan', huddlecam), -2224);
+	assert.equal(integer(-4440, 'pan', { range: 'relativePan', ...huddlecam }), -4440);
+	assert.equal(integer(-18, 'pan', { range: 'panVector', ...huddlecam }), -18);
+	assert.equal(integer(127, 'slot', huddlecam), 127);
+});
+
+test('integer rejects missing, fractional and out of range values', () => {
+	assert.throws(() => integer(undefined, 'panSpeed', huddlecam), { name: 'ValidationError', message: '`panSpeed` is required', field: 'panSpeed' });
+	assert.throws(() => integer(2.5, 'panSpeed', huddlecam), { message: '`panSpeed` must be a whole number' });
+	assert.throws(() => integer('5', 'panSpeed', huddlecam), { message: '`panSpeed` must be a whole number' });
+	assert.throws(() => integer(NaN, 'panSpeed', huddlecam), ValidationError);
+	assert.throws(() => integer(19, 'panSpeed', huddlecam), { message: '`panSpeed` must be between 1 and 18 on a HuddleCam HD' });
+	assert.throws(() => integer(0, 'panSpeed', huddlecam), ValidationError);
+	assert.throws(() => integer(-4441, 'pan', { range: 'relativePan', ...huddlecam }), { message: '`pan` must be between -4440 and 4440 on a HuddleCam HD' });
+	assert.throws(() => integer(15, 'tilt', { range: 'tiltVector', ...huddlecam }), { message: '`tilt` must be between -14 and 14 on a HuddleCam HD' });
+	assert.throws(() => integer(16, 'slot', sony), { message: '`slot` must be between 0 and 15 on a Sony EVI/SRG', field: 'slot' });
+});
+
+test('integer checks the ranges that are the same for every camera without a model', () => {
+	assert.equal(integer(90, 'dwell'), 90);
+	assert.throws(() => integer(86401, 'dwell'), { message: '`dwell` must be between 0 and 86400' });
+	assert.throws(() => integer(7, 'weekday', huddlecam), { message: '`weekday` must be between 0 and 6 on a HuddleCam HD' });
+	// Arguments without a range take any whole number
+	assert.equal(integer(40000, 'panSpeed'), 40000);
+});
+
+test('integer falls back when the argument is missing', () => {
+	assert.equal(integer(undefined, 'panSpeed', { fallback: 5, ...huddlecam }), 5);
+	assert.equal(integer(null, 'tiltSpeed', { fallback: 3, ...huddlecam }), 3);
+	assert.throws(() => integer(40, 'panSpeed', { fallback: 5, ...huddlecam }), ValidationError);
+});
+
+test('number takes fractions inside the range', () => {
+	assert.equal(number(0.5, 'speed', { range: 'playbackSpeed' }), 0.5);
+	assert.equal(number(undefined, 'speed', { range: 'playbackSpeed', fallback: 1 }), 1);
+	assert.throws(() => number(Infinity, 'speed', { range: 'playbackSpeed' }), { message: '`speed` must be a number' });
+	assert.throws(() => number(0.05, 'speed', { range: 'playbackSpeed' }), { message: '`speed` must be between 0.1 and 10' });
+});
+
+test('boolean', () => {
+	assert.equal(boolean(true, 'relative'), true);
+	assert.equal(boolean(undefined, 'relative', false), false);
+	assert.throws(() => boolean('true', 'relative'), { message: '`relative` must be true or false' });
+	assert.throws(() => boolean(undefined, 'relative'), ValidationError);
+});
+
+test('oneOf takes enum names in any case and enum values', () => {
+	assert.equal(oneOf('upLeft', 'direction', Direction), Direction.UpLeft);
+	assert.equal(oneOf('DOWN', 'direction', Direction), Direction.Down);
+	assert.equal(oneOf(3, 'direction', Direction), Direction.Right);
+	assert.throws(() => oneOf('sideways', 'direction', Direction), { message: /^`direction` must be one of Up, Down, Left, Right/ });
+	assert.throws(() => oneOf(8, 'direction', Direction), ValidationError);
+});
+
+test('string', () => {
+	assert.equal(string('Stage', 'label'), 'Stage');
+	assert.equal(string('', 'label', { optional: true }), undefined);
+	assert.throws(() => string('', 'label'), { message: '`label` must be a non-empty string' });
+	assert.throws(() => string(42, 'label'), ValidationError);
+	assert.throws(() => string('x'.repeat(101), 'label'), { message: '`label` must be at most 100 characters' });
+	assert.equal(string('x'.repeat(20), 'label', { max: 20 }).length, 20);
+});